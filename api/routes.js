@@ -0,0 +1,336 @@
+// api/routes.js
+const db = require('../utils/database');
+const config = require('../config/config.js');
+const log = require('../utils/logWriter');
+const professionLoader = require('../utils/professionLoader');
+const { PRIORITY_LEVELS, DEFAULT_PRIORITY, parsePriority, parseNeededBy } = require('../utils/requestPriority');
+const { hasCoreRole, getUserProfessionRoles } = require('../utils/permissionChecks');
+const { submitRequest } = require('../interactions/shared/requestFlow');
+const { claimForCrafter } = require('../interactions/shared/manageCraftsFlow');
+
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Error with an HTTP status; `details` are merged into the error body.
+ */
+function httpError(status, message, details = {}) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+function requireString(body, field) {
+  const value = body[field];
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw httpError(400, `"${field}" is required`);
+  }
+  return value.trim();
+}
+
+function parseRequestId(params) {
+  const id = parseInt(params.id, 10);
+  if (!Number.isInteger(id) || id < 1 || String(id) !== params.id) {
+    throw httpError(400, 'Id must be a positive integer');
+  }
+  return id;
+}
+
+async function loadRequest(params) {
+  const request = await db.getRequestById(parseRequestId(params));
+  if (!request) throw httpError(404, `Request #${params.id} not found`);
+  return request;
+}
+
+function parseAuditLog(json) {
+  try {
+    const entries = JSON.parse(json || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Public shape of a request row: JSON columns are left out of listings and
+ * expanded in the detail view.
+ */
+function serializeRequest(row) {
+  const { audit_log, materials_json, provided_materials_json, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Map a database compare-and-set result to an HTTP response.
+ */
+async function respondWithResult(requestId, result) {
+  if (!result.success) {
+    if (result.reason === 'not_found') throw httpError(404, `Request #${requestId} not found`);
+    throw httpError(409, 'Request is not in a state that allows this change', {
+      reason: result.reason,
+      status: result.status,
+      claimedBy: result.claimedBy || null
+    });
+  }
+  return { data: serializeRequest(await db.getRequestById(requestId)) };
+}
+
+async function fetchGuildMember(client, userId) {
+  const guild = client?.guilds.cache.get(config.guildId);
+  return guild ? guild.members.fetch(userId).catch(() => null) : null;
+}
+
+async function lookupUserName(client, userId) {
+  try {
+    const user = await client.users.fetch(userId);
+    return user.globalName || user.username;
+  } catch (err) {
+    return userId;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Read endpoints
+// ---------------------------------------------------------------------------
+
+async function getHealth() {
+  return { data: { status: 'ok', uptimeSeconds: Math.round(process.uptime()) } };
+}
+
+async function listRequests({ query }) {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, MAX_LIST_LIMIT);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  const rows = await db.searchRequests({
+    status: query.status ? query.status.split(',').map(s => s.trim()).filter(Boolean) : null,
+    profession: query.profession,
+    claimedBy: query.crafter,
+    character: query.character,
+    userId: query.user,
+    limit,
+    offset
+  });
+  return { data: rows.map(serializeRequest) };
+}
+
+async function getRequest({ params }) {
+  const request = await loadRequest(params);
+  return {
+    data: {
+      ...serializeRequest(request),
+      materials: await db.getRequestMaterials(request.id),
+      audit_log: parseAuditLog(request.audit_log)
+    }
+  };
+}
+
+async function getRequestAudit({ params }) {
+  const request = await loadRequest(params);
+  return { data: parseAuditLog(request.audit_log) };
+}
+
+async function listCharacters({ query }) {
+  const characters = query.user ? await db.getCharactersByUser(query.user) : await db.getAllCharacters();
+  return { data: characters };
+}
+
+async function listProfessions() {
+  const { professions } = professionLoader.getMetadata();
+  return {
+    data: Object.entries(professions).map(([name, meta]) => ({
+      name,
+      ...meta,
+      gearSlots: professionLoader.getGearSlots(name)
+    }))
+  };
+}
+
+async function listRecipes({ params, query }) {
+  const profession = params.profession.toLowerCase();
+  const slots = professionLoader.getGearSlots(profession);
+  if (slots.length === 0) throw httpError(404, `Profession "${profession}" is not loaded`);
+
+  if (query.search) {
+    return { data: professionLoader.searchRecipes(profession, query.search) };
+  }
+
+  const selected = query.slot ? slots.filter(slot => slot.toLowerCase() === query.slot.toLowerCase()) : slots;
+  if (query.slot && selected.length === 0) throw httpError(404, `Gear slot "${query.slot}" not found for ${profession}`);
+
+  return {
+    data: selected.flatMap(gearSlot =>
+      professionLoader.getRecipes(profession, gearSlot).map(recipe => ({ ...recipe, gearSlot, profession }))
+    )
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Write endpoints - all changes go through database.js and its transition rules.
+// `user_id` is the Discord user the change is recorded against in the audit log.
+// ---------------------------------------------------------------------------
+
+async function createRequest({ body, client }) {
+  const userId = requireString(body, 'user_id');
+  const characterName = requireString(body, 'character');
+  const profession = requireString(body, 'profession').toLowerCase();
+  const gearSlot = requireString(body, 'gear_slot');
+  const recipeName = requireString(body, 'recipe');
+
+  // Same choices the request flow offers
+  if (!config.enabledProfessions.includes(profession)) {
+    throw httpError(400, `Profession "${profession}" is not enabled`);
+  }
+  if (!config.enabledGearSlots.includes(gearSlot)) {
+    throw httpError(400, `Gear slot "${gearSlot}" is not enabled`);
+  }
+
+  const character = (await db.getCharactersByUser(userId))
+    .find(c => c.name.toLowerCase() === characterName.toLowerCase());
+  if (!character) throw httpError(400, `Character "${characterName}" is not registered to user ${userId}`);
+
+  const recipe = professionLoader.getRecipe(profession, gearSlot, recipeName);
+  if (!recipe) throw httpError(400, `Recipe "${recipeName}" not found in ${profession} > ${gearSlot}`);
+
+  const quantity = body.quantity === undefined ? 1 : parseInt(body.quantity, 10);
+  if (!Number.isInteger(quantity) || quantity < 1) throw httpError(400, '"quantity" must be a positive integer');
+
+  const priority = body.priority === undefined ? DEFAULT_PRIORITY : parsePriority(String(body.priority));
+  if (!priority) throw httpError(400, `"priority" must be one of: ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+
+  const neededBy = parseNeededBy(body.needed_by ? String(body.needed_by) : '');
+  if (neededBy.error) throw httpError(400, neededBy.error);
+
+  // Only materials the recipe uses count as provided, capped at what the quantity needs
+  const provided = {};
+  for (const [material, qty] of Object.entries(body.provided_materials || {})) {
+    const amount = parseInt(qty, 10);
+    if (recipe.materials[material] !== undefined && amount > 0) {
+      provided[material] = Math.min(amount, recipe.materials[material] * quantity);
+    }
+  }
+
+  // Anything short of the full materials is a guild craft, which only Core members may ask for
+  const providesAll = Object.entries(recipe.materials)
+    .every(([material, perUnit]) => (provided[material] || 0) >= perUnit * quantity);
+  if (!providesAll) {
+    const member = await fetchGuildMember(client, userId);
+    if (!hasCoreRole(member)) {
+      throw httpError(403, `User ${userId} must provide all materials (guild crafts need the Core role)`);
+    }
+  }
+
+  if (await db.checkDuplicateRequest(userId, character.name, profession, gearSlot, recipe.name)) {
+    throw httpError(409, 'An identical request was just submitted');
+  }
+
+  const created = await submitRequest(client, userId, {
+    character: character.name,
+    profession,
+    gearSlot,
+    requestId: recipe.name,
+    requestName: recipe.name,
+    materials: recipe.materials,
+    quantity,
+    priority,
+    neededBy: neededBy.value,
+    source: 'api'
+  }, provided);
+  log.info(`[API] Request ${created.lastID} created for ${character.name} (${recipe.name})`);
+
+  return { status: 201, data: serializeRequest(await db.getRequestById(created.lastID)) };
+}
+
+async function claimRequest({ params, body, client }) {
+  const request = await loadRequest(params);
+  const userId = requireString(body, 'user_id');
+
+  // Same rule as the claim menu: crafters only claim in professions they hold a role for
+  const member = await fetchGuildMember(client, userId);
+  if (!getUserProfessionRoles(member).includes(request.profession)) {
+    throw httpError(403, `User ${userId} does not have the ${request.profession} role`);
+  }
+
+  const userName = typeof body.user_name === 'string' && body.user_name.trim()
+    ? body.user_name.trim()
+    : (member.nickname || member.displayName || await lookupUserName(client, userId));
+
+  return respondWithResult(request.id, await claimForCrafter(client, request.id, userId, userName));
+}
+
+async function releaseRequest({ params, body }) {
+  const requestId = parseRequestId(params);
+  const userId = requireString(body, 'user_id');
+  const claimedBy = body.claimed_by ? String(body.claimed_by) : userId;
+
+  return respondWithResult(requestId, await db.releaseRequest(requestId, userId, claimedBy));
+}
+
+async function completeRequest({ params, body }) {
+  const requestId = parseRequestId(params);
+  const userId = requireString(body, 'user_id');
+  const claimedBy = body.claimed_by ? String(body.claimed_by) : userId;
+
+  let quantity = null;
+  if (body.quantity !== undefined) {
+    quantity = parseInt(body.quantity, 10);
+    if (!Number.isInteger(quantity) || quantity < 1) throw httpError(400, '"quantity" must be a positive integer');
+  }
+
+  if (!await db.getRequestById(requestId)) throw httpError(404, `Request #${requestId} not found`);
+  return respondWithResult(requestId, await db.completeRequestWithQuantity(requestId, userId, quantity, claimedBy));
+}
+
+async function cancelRequest({ params, body }) {
+  const requestId = parseRequestId(params);
+  const userId = requireString(body, 'user_id');
+  const reason = requireString(body, 'reason');
+
+  return respondWithResult(requestId, await db.cancelRequest(requestId, userId, reason));
+}
+
+async function setPriority({ params, body }) {
+  const request = await loadRequest(params);
+  const userId = requireString(body, 'user_id');
+  const priority = body.priority ? parsePriority(String(body.priority)) : null;
+  if (!priority) {
+    throw httpError(400, `"priority" must be one of: ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+  }
+
+  await db.setRequestPriority(request.id, priority, userId);
+  return { data: serializeRequest(await db.getRequestById(request.id)) };
+}
+
+// ---------------------------------------------------------------------------
+// Webhook delivery log
+// ---------------------------------------------------------------------------
+
+async function listWebhookDeliveries({ query }) {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, MAX_LIST_LIMIT);
+  return { data: await db.listWebhookDeliveries({ status: query.status || null, limit }) };
+}
+
+async function replayWebhookDelivery({ params }) {
+  const id = parseRequestId(params);
+  const delivery = await db.getWebhookDelivery(id);
+  if (!delivery) throw httpError(404, `Delivery #${id} not found`);
+  if (!await db.replayWebhookDeliveries({ id })) throw httpError(409, `Delivery #${id} is already pending`);
+  return { status: 202, data: { id, status: 'pending' } };
+}
+
+const routes = [
+  { method: 'GET', path: '/api/health', handler: getHealth },
+  { method: 'GET', path: '/api/requests', handler: listRequests },
+  { method: 'POST', path: '/api/requests', handler: createRequest },
+  { method: 'GET', path: '/api/requests/:id', handler: getRequest },
+  { method: 'GET', path: '/api/requests/:id/audit', handler: getRequestAudit },
+  { method: 'POST', path: '/api/requests/:id/claim', handler: claimRequest },
+  { method: 'POST', path: '/api/requests/:id/release', handler: releaseRequest },
+  { method: 'POST', path: '/api/requests/:id/complete', handler: completeRequest },
+  { method: 'POST', path: '/api/requests/:id/cancel', handler: cancelRequest },
+  { method: 'PUT', path: '/api/requests/:id/priority', handler: setPriority },
+  { method: 'GET', path: '/api/characters', handler: listCharacters },
+  { method: 'GET', path: '/api/professions', handler: listProfessions },
+  { method: 'GET', path: '/api/professions/:profession/recipes', handler: listRecipes },
+  { method: 'GET', path: '/api/webhooks/deliveries', handler: listWebhookDeliveries },
+  { method: 'POST', path: '/api/webhooks/deliveries/:id/replay', handler: replayWebhookDelivery }
+];
+
+module.exports = {
+  routes
+};
@@ -0,0 +1,151 @@
+// api/server.js
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config/config.js');
+const log = require('../utils/logWriter');
+const { routes } = require('./routes');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Turn '/api/requests/:id' into a regex with named parameters.
+ */
+function compileRoute(route) {
+  const keys = [];
+  const source = route.path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { ...route, keys, pattern: new RegExp(`^${source}/?$`) };
+}
+
+const compiledRoutes = routes.map(compileRoute);
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          return reject(Object.assign(new Error('Body must be a JSON object'), { status: 400 }));
+        }
+        resolve(parsed);
+      } catch (err) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Constant-time check of "Authorization: Bearer <token>".
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleRequest(req, res, context) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = compiledRoutes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+
+  if (!route) {
+    const pathExists = compiledRoutes.some(r => r.pattern.test(url.pathname));
+    return sendJson(res, pathExists ? 405 : 404, { error: { message: pathExists ? 'Method not allowed' : 'Not found' } });
+  }
+
+  if (!isAuthorized(req, context.token)) {
+    return sendJson(res, 401, { error: { message: 'Missing or invalid API token' } });
+  }
+
+  const values = url.pathname.match(route.pattern).slice(1);
+  let params;
+  try {
+    params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(values[i])]));
+  } catch (err) {
+    throw Object.assign(new Error('Malformed URL encoding in path'), { status: 400 });
+  }
+  const query = Object.fromEntries(url.searchParams.entries());
+  const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+
+  const result = await route.handler({ params, query, body, client: context.client });
+  sendJson(res, result.status || 200, { data: result.data });
+}
+
+/**
+ * Start the local REST API if enabled in config.
+ * The bearer token comes from API_TOKEN in .env; without one the API stays off.
+ * @param {Client} client - Discord client (used to resolve user names)
+ * @returns {http.Server|null}
+ */
+function startApiServer(client) {
+  const settings = config.api;
+  if (!settings || !settings.enabled) {
+    log.info('[API] REST API is disabled in config');
+    return null;
+  }
+
+  const token = process.env.API_TOKEN;
+  if (!token) {
+    log.error('[API] REST API is enabled but API_TOKEN is not set in .env - not starting');
+    return null;
+  }
+
+  const context = { client, token };
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, context).catch(err => {
+      const status = err.status || 500;
+      if (status >= 500) {
+        log.error(`[API] ${req.method} ${req.url} failed:`, err);
+      } else {
+        log.debug(`[API] ${req.method} ${req.url} -> ${status}: ${err.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: { message: status >= 500 ? 'Internal server error' : err.message, ...err.details } });
+      }
+    });
+  });
+
+  server.on('error', err => {
+    log.error(`[API] Server error: ${err.message}`);
+  });
+
+  server.listen(settings.port, settings.host, () => {
+    log.info(`[API] REST API listening on http://${settings.host}:${settings.port}/api`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  startApiServer
+};
@@ -1,16 +1,28 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { handleRequestFlow } = require('../interactions/shared/requestFlow');
+const { autocompleteRecipes } = require('../interactions/shared/recipeSearchFlow');
 const log = require('../utils/logWriter');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('request')
-    .setDescription('Start a new profession/enchant request'),
+    .setDescription('Start a new profession/enchant request')
+    .addStringOption(option =>
+      option
+        .setName('recipe')
+        .setDescription('Search for a recipe, or a material it uses')
+        .setAutocomplete(true)
+        .setRequired(false)
+    ),
   
+  async autocomplete(interaction) {
+    await autocompleteRecipes(interaction);
+  },
+
   async execute(interaction, client) {
     try {
-      // Kick off the dropdown-based request flow
-      await handleRequestFlow(interaction, client);
+      // Kick off the dropdown-based request flow, starting from the chosen recipe (or search results) when one was given
+      await handleRequestFlow(interaction, client, { recipeQuery: interaction.options.getString('recipe') });
     } catch (error) {
       log.error('Error in /request:', error);
       
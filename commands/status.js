@@ -23,8 +23,8 @@ module.exports = {
         });
       }
 
-      const pending = await db.getRequestsByUserId(userId, ['open', 'claimed', 'in_progress']);
-      const history = await db.getRequestsByUserId(userId, ['complete', 'denied'], config.requestHistoryLimit);
+      const pending = await db.getRequestsByUserId(userId, ['open', 'claimed', 'in_progress', 'ready']);
+      const history = await db.getRequestsByUserId(userId, ['complete', 'denied', 'expired'], config.requestHistoryLimit);
 
       const responseChannel = await resolveResponseChannel(interaction, client);
       
@@ -50,12 +50,14 @@ module.exports = {
         content += `No recent history.`;
       } else {
         for (const req of history) {
-          const emoji = req.status === 'complete' ? '✅' : '🚫';
+          const emoji = req.status === 'complete' ? '✅' : req.status === 'expired' ? '⌛' : '🚫';
           content += `• ${emoji} ${req.character} — ${req.request_name} to ${req.gear_slot}`;
           if (req.status === 'complete') {
             content += ` (by ${req.claimed_by_name})`;
           } else if (req.status === 'denied') {
             content += ` — Reason: ${req.deny_reason || 'No reason provided'}`;
+          } else if (req.status === 'expired') {
+            content += ` — Expired unclaimed`;
           }
           content += `\n`;
         }
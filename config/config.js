@@ -198,6 +198,27 @@ module.exports = {
     "Bombs",       // Engineering Explosives  
     "Device"       // Jumper Cables, Repair Bots, etc.
   ],
+
+  // ========================================
+  // PROFESSION DATA
+  // See: docs/PROFESSION_DATA_FORMAT.md
+  // ========================================
+
+  // Profession file checks, run when profession data is loaded and by scripts/validate-professions.js
+  // Errors: duplicate recipe names, unparseable materials, zero quantities, broken structure.
+  // Warnings: slots missing from enabledGearSlots, near-duplicate material names.
+  // With strict on, a file with errors is not loaded at all instead of loading the parts that parse.
+  professionValidation: {
+    strict: false               // true = refuse to load profession files that have errors
+  },
+
+  // Reload a profession's data when its JSON file in config/ is saved, without restarting the bot.
+  // Admins can also reload from the admin menu (♻️ Reload Professions). Pending requests whose
+  // recipe was removed are flagged (⚠️ Recipe removed) instead of breaking.
+  professionReload: {
+    watchFiles: false           // true = watch config/ for changes to enabled profession files
+  },
+
   // ========================================
   // REQUEST DISPLAY CONFIGURATION
   // ========================================
@@ -215,14 +236,160 @@ module.exports = {
   // ========================================
   
   // Notification settings for request status changes
-  // Users receive DMs when their requests change status
+  // Users receive DMs when their requests change status.
+  // The notifyOn* flags are defaults: each user can pick their own events, delivery
+  // and quiet hours from My Requests → 🔔 Notifications.
   notificationSettings: {
     enabled: true,           // Master switch for all notifications
     notifyOnClaim: true,     // When a crafter claims the request
-    notifyOnProgress: true,  // When status changes to "in_progress"
+    notifyOnProgress: true,  // When part of a multi-item request is completed
     notifyOnComplete: true,  // When request is marked complete
     notifyOnRelease: true,   // When crafter releases request back to open
-    notifyOnCancel: true     // When admin cancels the request
+    notifyOnCancel: true,    // When admin cancels the request
+    notifyOnExpire: true,    // When an untouched open request expires
+    channelId: "",           // Guild channel for users who prefer a mention over a DM ("" = DM only)
+    defaultTimezone: "UTC"   // Timezone assumed for quiet hours until a user sets their own
+  },
+
+  // New-request announcements
+  // When a profession has a channel here, every new request is posted there as an embed
+  // that mentions the profession role (roles.professions) and has a Claim button.
+  // The post is edited as the request is claimed, completed or cancelled.
+  // Leave a profession's channel empty ("") to skip announcements for it.
+  announcements: {
+    channels: {
+      enchanting: "",
+      tailoring: ""
+    }
+  },
+
+  // ========================================
+  // DIGESTS
+  // ========================================
+
+  // Scheduled summaries of the queue. Times are 5-field cron expressions
+  // ("minute hour day-of-month month day-of-week") in `timezone`, e.g.
+  // "0 9 * * *" = every day at 09:00, "0 18 * * 1" = Mondays at 18:00.
+  digests: {
+    channelId: "",                 // Channel for officer digests ("" = no officer digests)
+    timezone: "UTC",
+    schedules: {                   // Officer digest time per profession (omit or "" to skip)
+      enchanting: "",
+      tailoring: ""
+    },
+    oldestOpenCount: 5,            // Oldest open requests listed in each officer digest
+    personalSchedule: ""           // DM digest for crafters who opt in from Manage Requests ("" = off)
+  },
+
+  // ========================================
+  // REQUEST MAINTENANCE SCHEDULER
+  // ========================================
+
+  // Periodic jobs that keep the queue from going stale.
+  // Ages are measured from the request's last update. Set any *Days value to 0 to disable that job.
+  // Job state is stored in the database, so restarts do not re-send reminders.
+  requestScheduler: {
+    enabled: false,             // Master switch for all scheduler jobs (review the thresholds below before enabling)
+    checkIntervalMinutes: 60,   // How often the jobs run
+    idleReminderDays: 3,        // DM the claimant when a claim has been idle this long
+    autoReleaseDays: 7,         // Release idle claims back to "open" after this long
+    expireOpenDays: 60          // Expire open requests nobody has claimed after this long
+  },
+
+  // ========================================
+  // RECIPE KNOWLEDGE
+  // ========================================
+
+  // Crafters register the recipes their characters know from the "My Recipes" menu.
+  // Crafters who have not registered any recipes for a profession see every request.
+  recipeKnowledge: {
+    claimMode: 'flag'           // 'flag' marks unregistered recipes in the claim list, 'filter' hides them
+  },
+
+  // ========================================
+  // AUTO-ASSIGNMENT
+  // ========================================
+
+  // Offer new requests straight to a crafter instead of waiting for a manual claim.
+  // Candidates are crafters who registered the recipe under "My Recipes"; the one with the
+  // fewest active claims is DMed first. Declined or unanswered offers move to the next crafter,
+  // and when nobody is left the request stays open for a manual claim.
+  autoAssignment: {
+    professions: [],            // Professions to auto-assign, e.g. ["enchanting"]. Empty = off
+    maxActiveClaims: 5,         // Skip crafters already holding this many claims (0 = no cap)
+    responseTimeoutMinutes: 30  // Pass the offer on if it isn't answered in time (0 = wait forever)
+  },
+
+  // ========================================
+  // DELIVERY CONFIRMATION
+  // ========================================
+
+  // Optional "ready" step between in progress and complete. When enabled, a crafter finishing
+  // a request marks it ready instead of complete, and the requester is DMed to confirm they
+  // received it or dispute it. Disputes send the request back to the crafter and flag it for
+  // officers in the admin menu. Unanswered requests are confirmed automatically.
+  deliveryConfirmation: {
+    enabled: false,
+    autoConfirmHours: 48        // Confirm ready requests nobody answered after this long (0 = never)
+  },
+
+  // ========================================
+  // CRAFTER STATISTICS
+  // ========================================
+
+  // Leaderboard (admin menu) and "My Stats" (crafter menu) report over the last 7 days,
+  // the last 30 days, the current season or all time.
+  crafterStats: {
+    seasonStart: ''             // Start date of the current season, e.g. "2026-09-01". Blank = last 90 days
+  },
+
+  // ========================================
+  // REST API
+  // ========================================
+
+  // Local HTTP API for spreadsheets and other tools. Every call needs the header
+  // "Authorization: Bearer <API_TOKEN>" with API_TOKEN set in .env.
+  // Keep host on 127.0.0.1 unless the port is firewalled or behind a reverse proxy.
+  api: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 3080
+  },
+
+  // ========================================
+  // WEB DASHBOARD
+  // ========================================
+
+  // Read-only browser view of the queues, crafter workload, character history,
+  // outstanding materials and audit log. Protected with HTTP Basic auth: any
+  // username, with DASHBOARD_PASSWORD from .env as the password.
+  dashboard: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 3081
+  },
+
+  // ========================================
+  // OUTGOING WEBHOOKS
+  // ========================================
+
+  // POST a signed JSON payload (event, actor, request row) to each endpoint on request
+  // lifecycle events: created, claimed, released, partially_completed, completed,
+  // cancelled, reassigned, reopened, expired. Use ['*'] to receive all of them.
+  // Receivers verify X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).
+  // Failed deliveries are retried with backoff, then kept for replay (scripts/webhooks.js).
+  webhooks: {
+    endpoints: [
+      // {
+      //   name: 'guild-site',
+      //   url: 'https://example.com/hooks/crafting',
+      //   secret: process.env.WEBHOOK_SECRET_GUILD_SITE,
+      //   events: ['created', 'claimed', 'completed', 'cancelled']
+      // }
+    ],
+    maxAttempts: 6,             // Give up (status "failed") after this many attempts
+    retryBaseSeconds: 30,       // First retry delay; doubles after each failure
+    timeoutSeconds: 10          // Per-attempt request timeout
   },
 
   // ========================================
@@ -0,0 +1,98 @@
+// dashboard/html.js
+
+const NAV = [
+  { path: '/queues', label: 'Queues' },
+  { path: '/crafters', label: 'Crafters' },
+  { path: '/characters', label: 'Characters' },
+  { path: '/materials', label: 'Materials' },
+  { path: '/audit', label: 'Audit Log' }
+];
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0; background: #1e1f22; color: #dbdee1; }
+  header { background: #2b2d31; padding: 12px 24px; display: flex; gap: 24px; align-items: center; }
+  header h1 { font-size: 18px; margin: 0 16px 0 0; }
+  header a { color: #b5bac1; text-decoration: none; }
+  header a.active { color: #fff; font-weight: 600; }
+  main { padding: 16px 24px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #3f4147; vertical-align: top; }
+  th { color: #949ba4; font-weight: 600; }
+  td.num, th.num { text-align: right; }
+  a { color: #00a8fc; }
+  form { margin: 8px 0 16px; display: flex; gap: 8px; }
+  input, select, button { background: #383a40; color: #dbdee1; border: 1px solid #4e5058; padding: 6px 8px; border-radius: 4px; }
+  .muted { color: #949ba4; }
+  .badge { padding: 1px 6px; border-radius: 4px; font-size: 12px; background: #383a40; }
+  .status-open { color: #f0b232; } .status-in_progress, .status-claimed { color: #00a8fc; } .status-ready { color: #a970ff; }
+  .status-complete { color: #23a55a; } .status-denied, .status-expired { color: #949ba4; }
+`;
+
+/**
+ * Escape text for HTML element content and attribute values.
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a table. Cells are escaped unless given as { html } objects.
+ * @param {Array<string|{label: string, num?: boolean}>} columns
+ * @param {Array<Array<*>>} rows
+ * @param {string} emptyText - Shown instead of the table when there are no rows
+ */
+function table(columns, rows, emptyText = 'Nothing to show.') {
+  if (rows.length === 0) return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+
+  const cols = columns.map(col => (typeof col === 'string' ? { label: col } : col));
+  const head = cols.map(col => `<th${col.num ? ' class="num"' : ''}>${escapeHtml(col.label)}</th>`).join('');
+  const body = rows.map(row => '<tr>' + row.map((cell, i) => {
+    const content = cell && typeof cell === 'object' && 'html' in cell ? cell.html : escapeHtml(cell);
+    return `<td${cols[i]?.num ? ' class="num"' : ''}>${content}</td>`;
+  }).join('') + '</tr>').join('');
+
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function statusBadge(status) {
+  const label = status === 'denied' ? 'cancelled' : status;
+  return { html: `<span class="badge status-${escapeHtml(status)}">${escapeHtml(label)}</span>` };
+}
+
+/**
+ * Wrap page content in the shared layout with navigation.
+ */
+function layout(title, activePath, content) {
+  const nav = NAV.map(item =>
+    `<a href="${item.path}"${item.path === activePath ? ' class="active"' : ''}>${escapeHtml(item.label)}</a>`
+  ).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Crafting Dashboard</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1>⚒️ Crafting Dashboard</h1>${nav}</header>
+<main>
+${content}
+</main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  table,
+  statusBadge,
+  layout
+};
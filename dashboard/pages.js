@@ -0,0 +1,204 @@
+// dashboard/pages.js
+const config = require('../config/config.js');
+const db = require('../utils/database');
+const { compareRequestsByPriority } = require('../utils/requestPriority');
+const { capitalize, getDeadlineBadge, getPriorityLabel } = require('../utils/requestFormatter');
+const { getShortfall } = require('../utils/guildBank');
+const { escapeHtml, table, statusBadge, layout } = require('./html');
+
+const ACTIVE_STATUSES = ['open', 'claimed', 'in_progress', 'ready'];
+const AUDIT_LIMIT = 200;
+
+function formatTimestamp(value) {
+  return value ? String(value).replace('T', ' ').slice(0, 16) : '';
+}
+
+/**
+ * Display name for a Discord user id from the client cache (no API calls).
+ */
+function userName(client, userId, fallback = null) {
+  if (!userId) return '';
+  const user = client?.users?.cache?.get(userId);
+  return user ? (user.globalName || user.username) : (fallback || userId);
+}
+
+function quantity(request) {
+  const requested = parseInt(request.quantity_requested, 10) || 1;
+  const completed = parseInt(request.quantity_completed, 10) || 0;
+  return requested > 1 ? `${completed}/${requested}` : '1';
+}
+
+function characterLink(name) {
+  return { html: `<a href="/characters?name=${encodeURIComponent(name)}">${escapeHtml(name)}</a>` };
+}
+
+function requestLink(id) {
+  return { html: `<a href="/audit?request=${id}">#${id}</a>` };
+}
+
+/**
+ * Open and in-progress queues per profession, most urgent first.
+ */
+async function queuesPage({ client }) {
+  const active = await db.searchRequests({ status: ACTIVE_STATUSES, limit: 1000 });
+  const professions = [...new Set([...(config.enabledProfessions || []), ...active.map(r => r.profession)])];
+
+  let content = '';
+  for (const profession of professions) {
+    const requests = active.filter(r => r.profession === profession).sort(compareRequestsByPriority);
+    const open = requests.filter(r => r.status === 'open');
+    const working = requests.filter(r => r.status !== 'open');
+
+    content += `<h2>${escapeHtml(capitalize(profession))} — ${open.length} open, ${working.length} in progress</h2>`;
+    content += table(
+      ['#', 'Character', 'Request', { label: 'Qty', num: true }, 'Priority', 'Needed By', 'Submitted'],
+      open.map(r => [requestLink(r.id), characterLink(r.character), r.request_name, quantity(r),
+        getPriorityLabel(r), getDeadlineBadge(r), formatTimestamp(r.created_at)]),
+      'No open requests.'
+    );
+    content += table(
+      ['#', 'Character', 'Request', { label: 'Done', num: true }, 'Priority', 'Needed By', 'Crafter', 'Updated'],
+      working.map(r => [requestLink(r.id), characterLink(r.character), r.request_name, quantity(r),
+        getPriorityLabel(r), getDeadlineBadge(r), userName(client, r.claimed_by, r.claimed_by_name), formatTimestamp(r.updated_at)]),
+      'Nothing in progress.'
+    );
+  }
+
+  return layout('Queues', '/queues', content || '<p class="muted">No professions configured.</p>');
+}
+
+/**
+ * Per-crafter workload: active claims, completions and last activity.
+ */
+async function craftersPage({ client }) {
+  const crafters = await db.getAllCraftersWithProfessions();
+  const active = await db.searchRequests({ status: ['claimed', 'in_progress'], limit: 1000 });
+
+  const rows = crafters
+    .map(crafter => {
+      const claims = active.filter(r => r.claimed_by === crafter.claimed_by).sort(compareRequestsByPriority);
+      return { crafter, claims };
+    })
+    .sort((a, b) => b.claims.length - a.claims.length)
+    .map(({ crafter, claims }) => [
+      userName(client, crafter.claimed_by, crafter.claimed_by_name),
+      crafter.professions.map(capitalize).join(', '),
+      claims.length,
+      crafter.completed_count,
+      formatTimestamp(crafter.last_activity),
+      { html: claims.map(r => `${requestLink(r.id).html} ${escapeHtml(r.request_name)} (${escapeHtml(r.character)})`).join('<br>') }
+    ]);
+
+  const content = '<h2>Crafter Workload</h2>' + table(
+    ['Crafter', 'Professions', { label: 'Active', num: true }, { label: 'Completed', num: true }, 'Last Activity', 'Current Claims'],
+    rows,
+    'No crafter has claimed a request yet.'
+  );
+
+  return layout('Crafters', '/crafters', content);
+}
+
+/**
+ * Character list, or one character's full request history.
+ */
+async function charactersPage({ client, query }) {
+  const name = (query.name || '').trim();
+  let content = `<form method="get" action="/characters">
+    <input name="name" placeholder="Character name" value="${escapeHtml(name)}">
+    <button type="submit">Show history</button>
+  </form>`;
+
+  if (name) {
+    const requests = (await db.searchRequests({ character: name, limit: 1000 })).sort((a, b) => b.id - a.id);
+    content += `<h2>History for ${escapeHtml(name)} (${requests.length})</h2>`;
+    content += table(
+      ['#', 'Profession', 'Slot', 'Request', { label: 'Qty', num: true }, 'Status', 'Crafter', 'Submitted', 'Updated'],
+      requests.map(r => [requestLink(r.id), capitalize(r.profession), r.gear_slot, r.request_name, quantity(r),
+        statusBadge(r.status), userName(client, r.claimed_by, r.claimed_by_name), formatTimestamp(r.created_at), formatTimestamp(r.updated_at)]),
+      'No requests for this character.'
+    );
+    return layout(name, '/characters', content);
+  }
+
+  const characters = await db.getAllCharacters();
+  content += `<h2>Registered Characters (${characters.length})</h2>`;
+  content += table(
+    ['Character', 'Type', 'Owner'],
+    characters.map(c => [characterLink(c.name), capitalize(c.type || ''), userName(client, c.user_id)]),
+    'No characters registered.'
+  );
+  return layout('Characters', '/characters', content);
+}
+
+/**
+ * Materials still needed across every active request.
+ */
+async function materialsPage() {
+  const totals = await db.getOutstandingMaterialTotals();
+  let content = '<h2>Outstanding Materials</h2>' +
+    '<p class="muted">Required for open and claimed requests, minus what requesters provided.</p>' +
+    table(
+      ['Material', 'Profession', { label: 'Unclaimed', num: true }, { label: 'Claimed', num: true }, { label: 'Total', num: true }],
+      totals.map(t => [t.material_name, capitalize(t.profession), t.unclaimed, t.claimed, t.total]),
+      'No outstanding materials.'
+    );
+
+  const bank = await db.getGuildBankInventory();
+  content += '<h2>Guild Bank</h2>' +
+    '<p class="muted">Stock against what claimed guild crafts have reserved and what unclaimed ones will need.</p>' +
+    table(
+      ['Material', { label: 'Have', num: true }, { label: 'Reserved', num: true }, { label: 'Short', num: true }, { label: 'Unclaimed', num: true }],
+      bank.map(row => [row.material_name, row.have, row.reserved, getShortfall(row), row.unclaimed]),
+      'The guild bank is empty.'
+    );
+
+  return layout('Materials', '/materials', content);
+}
+
+/**
+ * Searchable audit log across all requests.
+ */
+async function auditPage({ client, query }) {
+  const term = (query.q || '').trim();
+  const requestId = parseInt(query.request, 10) || null;
+  const rows = await db.searchAuditLog({ term: term || null, requestId, limit: AUDIT_LIMIT });
+
+  let content = `<form method="get" action="/audit">
+    <input name="q" placeholder="Action, user id or character" value="${escapeHtml(term)}">
+    <input name="request" placeholder="Request #" size="8" value="${requestId || ''}">
+    <button type="submit">Search</button>
+  </form>`;
+
+  content += `<h2>Audit Log${requestId ? ` for #${requestId}` : ''} <span class="muted">(newest ${AUDIT_LIMIT} shown)</span></h2>`;
+  content += table(
+    ['Time', '#', 'Character', 'Request', 'Action', 'By', 'Details'],
+    rows.map(row => {
+      let entry = {};
+      try {
+        entry = JSON.parse(row.entry) || {};
+      } catch (err) {
+        entry = {};
+      }
+      const { action, by, at, ...details } = entry;
+      const detailText = Object.entries(details).map(([key, value]) =>
+        `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ');
+      return [formatTimestamp(at), requestLink(row.request_id), characterLink(row.character), row.request_name,
+        action, userName(client, by), detailText];
+    }),
+    'No matching audit entries.'
+  );
+
+  return layout('Audit Log', '/audit', content);
+}
+
+const pages = {
+  '/queues': queuesPage,
+  '/crafters': craftersPage,
+  '/characters': charactersPage,
+  '/materials': materialsPage,
+  '/audit': auditPage
+};
+
+module.exports = {
+  pages
+};
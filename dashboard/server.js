@@ -0,0 +1,101 @@
+// dashboard/server.js
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config/config.js');
+const log = require('../utils/logWriter');
+const { pages } = require('./pages');
+const { escapeHtml, layout } = require('./html');
+
+function send(res, status, html, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': Buffer.byteLength(html),
+    'Cache-Control': 'no-store',
+    'X-Frame-Options': 'DENY',
+    ...headers
+  });
+  res.end(html);
+}
+
+/**
+ * HTTP Basic auth: any username, password must match DASHBOARD_PASSWORD.
+ */
+function isAuthorized(req, password) {
+  const match = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+  if (!match) return false;
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const given = Buffer.from(decoded.slice(decoded.indexOf(':') + 1));
+  const expected = Buffer.from(password);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleRequest(req, res, context) {
+  if (!isAuthorized(req, context.password)) {
+    return send(res, 401, layout('Sign in', null, '<p>Sign in with the dashboard password.</p>'), {
+      'WWW-Authenticate': 'Basic realm="Crafting Dashboard", charset="UTF-8"'
+    });
+  }
+
+  if (req.method !== 'GET') {
+    return send(res, 405, layout('Not allowed', null, '<p>The dashboard is read-only.</p>'), { Allow: 'GET' });
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/') {
+    res.writeHead(302, { Location: '/queues' });
+    return res.end();
+  }
+
+  const page = pages[url.pathname.replace(/\/$/, '')];
+  if (!page) {
+    return send(res, 404, layout('Not found', null, `<p>No page at ${escapeHtml(url.pathname)}.</p>`));
+  }
+
+  const query = Object.fromEntries(url.searchParams.entries());
+  send(res, 200, await page({ client: context.client, query }));
+}
+
+/**
+ * Start the read-only web dashboard if enabled in config.
+ * The password comes from DASHBOARD_PASSWORD in .env; without one the dashboard stays off.
+ * @param {Client} client - Discord client (used to show user names from its cache)
+ * @returns {http.Server|null}
+ */
+function startDashboardServer(client) {
+  const settings = config.dashboard;
+  if (!settings || !settings.enabled) {
+    log.info('[DASHBOARD] Web dashboard is disabled in config');
+    return null;
+  }
+
+  const password = process.env.DASHBOARD_PASSWORD;
+  if (!password) {
+    log.error('[DASHBOARD] Web dashboard is enabled but DASHBOARD_PASSWORD is not set in .env - not starting');
+    return null;
+  }
+
+  const context = { client, password };
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, context).catch(err => {
+      log.error(`[DASHBOARD] ${req.method} ${req.url} failed:`, err);
+      if (!res.headersSent) {
+        send(res, 500, layout('Error', null, '<p>Something went wrong loading this page.</p>'));
+      }
+    });
+  });
+
+  server.on('error', err => {
+    log.error(`[DASHBOARD] Server error: ${err.message}`);
+  });
+
+  server.listen(settings.port, settings.host, () => {
+    log.info(`[DASHBOARD] Web dashboard listening on http://${settings.host}:${settings.port}/`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  startDashboardServer
+};
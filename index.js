@@ -8,7 +8,17 @@ const { initDatabase } = require('./utils/database');
 const { ensurePrimaryRequestChannel } = require('./utils/primaryChannel');
 const { performStartupCleanup } = require('./utils/startupCleanup');
 const { loadProfessions } = require('./utils/professionLoader');
+const { startProfessionWatcher } = require('./utils/professionReload');
 const { scheduleAutomaticBackups } = require('./utils/databaseBackup');
+const { scheduleRequestMaintenance } = require('./utils/requestScheduler');
+const { scheduleAssignmentTimeouts } = require('./utils/requestAssignment');
+const { scheduleHeldNotificationFlush } = require('./utils/notifications');
+const { startRequestAnnouncements } = require('./utils/requestAnnouncements');
+const { scheduleDigests } = require('./utils/digests');
+const { scheduleDeliveryConfirmation } = require('./utils/deliveryConfirmation');
+const { startApiServer } = require('./api/server');
+const { startDashboardServer } = require('./dashboard/server');
+const { startWebhookDispatcher } = require('./utils/webhooks');
 const { clearAllTracking } = require('./utils/cleanupService');
 const config = require('./config/config.js');
 const fs = require('fs');
@@ -50,8 +60,8 @@ client.once('clientReady', async () => {
   const professionLoadResult = loadProfessions();
   log.info(`Profession cache ready: ${professionLoadResult.professionsLoaded} professions loaded`);
 
-  // Initialize SQLite schema
-  await initDatabase();
+  // Flag requests whose recipe was removed, and reload profession files when they change (if enabled)
+  startProfessionWatcher(client);
 
   // Register slash commands with Discord
   // Disabled during button-only testing: do not register slash commands
@@ -68,6 +78,29 @@ client.once('clientReady', async () => {
   
   // Schedule automatic database backups
   scheduleAutomaticBackups(client);
+
+  // Send request lifecycle events to configured outgoing webhooks
+  startWebhookDispatcher();
+
+  // Post new requests to profession announcement channels and keep the posts current
+  startRequestAnnouncements(client);
+
+  // Schedule idle-claim reminders, stale-claim release and open-request expiry
+  scheduleRequestMaintenance(client);
+  scheduleAssignmentTimeouts(client);
+
+  // Deliver notifications held during users' quiet hours
+  scheduleHeldNotificationFlush(client);
+
+  // Officer digest posts and personal crafter digests
+  scheduleDigests(client);
+
+  // Requester confirm/dispute prompts for requests marked ready, and auto-confirm
+  scheduleDeliveryConfirmation(client);
+
+  // Local REST API and web dashboard (both off unless enabled in config)
+  startApiServer(client);
+  startDashboardServer(client);
 });
 
 client.on('interactionCreate', async (interaction) => {
@@ -81,12 +114,21 @@ client.on('interactionCreate', async (interaction) => {
       }
       await command.execute(interaction, client);
 
+    } else if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      if (command && command.autocomplete) {
+        await command.autocomplete(interaction, client);
+      }
+
     } else {
       // Delegate buttons & dropdowns
       await handleInteractions(interaction, client);
     }
   } catch (error) {
     log.error('Unhandled interaction error:', error);
+
+    // Autocomplete interactions can't be replied to
+    if (interaction.isAutocomplete()) return;
     
     // Don't try to respond to expired interactions (code 10062)
     if (error.code === 10062) {
@@ -110,4 +152,18 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
-client.login(process.env.DISCORD_TOKEN);
+async function start() {
+  // Bring the SQLite schema up to date before connecting.
+  // A failed migration is rolled back and the bot refuses to start.
+  try {
+    await initDatabase();
+  } catch (err) {
+    log.error('[STARTUP] Database migration failed, refusing to start:', err);
+    process.exitCode = 1;
+    return;
+  }
+
+  client.login(process.env.DISCORD_TOKEN);
+}
+
+start();
@@ -1,6 +1,8 @@
 const config = require('../config/config.js');
 const log = require('../utils/logWriter');
 const { recordUserActivity } = require('../utils/cleanupService');
+const { isStatsPeriod } = require('../utils/crafterStats');
+const { handlePaginatedSelectButton } = require('../utils/paginatedSelect');
 
 const { handleRequestDropdowns, handleMaterialsButton, handleMaterialsModal } = require('./shared/requestFlow');
 const { handleStatusCommand, handleStatusButton, handleStatusDropdown } = require('./shared/statusFlow');
@@ -14,6 +16,8 @@ const {
 const { 
     handleManageRequestsMain,
     handleViewMyWork,
+    handleMyRatings,
+    handleMyStats,
     handleClaimRequest,
     handleClaimDropdown,
     handleMarkComplete,
@@ -29,7 +33,8 @@ const {
     handleSelectProfession,
     handleChangeProfession,
     handleSwitchToCrafter,
-    handleSwitchToAdmin
+    handleSwitchToAdmin,
+    handleToggleDigest
 } = require('./shared/manageCraftsFlow');
 const {
     handleAdminSummary,
@@ -39,6 +44,10 @@ const {
     handleAdminCrafterDropdown,
     handleAdminLookup,
     handleAdminLookupModal,
+    handleAdminDisputes,
+    handleAdminDisputeSelect,
+    handleAdminLeaderboard,
+    handleAdminReloadProfessions,
     handleAdminAudit,
     handleAdminAuditSearch,
     handleAdminAuditModal,
@@ -50,9 +59,60 @@ const {
     handleAdminCancelModal,
     handleAdminMarkComplete,
     handleAdminReopen,
+    handleAdminSetPriority,
+    handleAdminPrioritySelect,
     handleBackToAdminMenu,
     handleAdminProfessionPage
 } = require('./shared/adminCraftsFlow');
+const {
+    handleMyRecipes,
+    handleRecipesCharacter,
+    handleRecipesSlot,
+    handleRecipesSelect
+} = require('./shared/recipeKnowledgeFlow');
+const { handleAutoAssignButton } = require('./shared/autoAssignFlow');
+const { handleAnnouncementClaim } = require('./shared/announcementFlow');
+const {
+    handleDeliveryConfirm,
+    handleDeliveryDispute,
+    handleDeliveryDisputeModal
+} = require('./shared/deliveryFlow');
+const { handleRateButton, handleRateSelect, handleRatingModal } = require('./shared/ratingFlow');
+const { handleEditRequestSelect, handleEditCharacterSelect, handleEditApproval } = require('./shared/requestEditFlow');
+const {
+    handleSaveTemplateButton,
+    handleTemplateUseSelect,
+    handleTemplateDeleteSelect,
+    handleCompletedAgainSelect
+} = require('./shared/requestTemplateFlow');
+const { handleGearSetDropdowns, handleGearSetButton } = require('./shared/gearSetFlow');
+const {
+    showRecipeSearchModal,
+    handleRecipeSearchModal,
+    handleRecipeSearchSelect,
+    handleRecipeSearchCharacter,
+    handleRecipeSearchQuantity
+} = require('./shared/recipeSearchFlow');
+const {
+    handleGuildBank,
+    handleBankTransactionButton,
+    handleBankTransactionModal,
+    handleBankHistory
+} = require('./shared/guildBankFlow');
+const {
+    handleHandoffSelect,
+    handleHandoffMaterialSelect,
+    handleHandoffModal,
+    handleHandoffAll,
+    handleHandoffOpen
+} = require('./shared/materialHandoffFlow');
+const {
+    handleNotificationSettings,
+    handleNotificationSelect,
+    handleQuietHoursButton,
+    handleQuietHoursModal,
+    handleResetNotifications
+} = require('./shared/notificationPrefsFlow');
 
 async function handleInteractions(interaction, client) {
   // Determine type for logging
@@ -74,6 +134,18 @@ async function handleInteractions(interaction, client) {
     if (interaction.isStringSelectMenu()) {
       if (interaction.customId.startsWith('char_')) {
         await handleCharacterDropdowns(interaction, client);
+      } else if (interaction.customId.startsWith('status_notif_')) {
+        await handleNotificationSelect(interaction, client);
+      } else if (interaction.customId === 'status_rate_select') {
+        await handleRateSelect(interaction, client);
+      } else if (interaction.customId === 'status_edit_select') {
+        await handleEditRequestSelect(interaction, client);
+      } else if (interaction.customId === 'status_template_use') {
+        await handleTemplateUseSelect(interaction, client);
+      } else if (interaction.customId === 'status_template_delete') {
+        await handleTemplateDeleteSelect(interaction, client);
+      } else if (interaction.customId === 'status_again_select') {
+        await handleCompletedAgainSelect(interaction, client);
       } else if (interaction.customId.startsWith('status_')) {
         await handleStatusDropdown(interaction, client);
       } else if (interaction.customId.startsWith('manage_crafts:')) {
@@ -94,15 +166,52 @@ async function handleInteractions(interaction, client) {
           case 'manage_crafts:admin_crafter_dropdown':
             await handleAdminCrafterDropdown(interaction, client);
             break;
+          case 'manage_crafts:admin_dispute_select':
+            await handleAdminDisputeSelect(interaction, client);
+            break;
+          case 'manage_crafts:handoff_select':
+            await handleHandoffSelect(interaction, client);
+            break;
+          case 'manage_crafts:recipes_character':
+            await handleRecipesCharacter(interaction, client);
+            break;
+          case 'manage_crafts:recipes_slot':
+            await handleRecipesSlot(interaction, client);
+            break;
           default:
+            if (interaction.customId.startsWith('manage_crafts:recipes_select_')) {
+              const chunk = parseInt(interaction.customId.split('_').pop());
+              await handleRecipesSelect(interaction, client, chunk);
+              break;
+            }
+            // Handle material hand-off dropdown
+            if (interaction.customId.startsWith('manage_crafts:handoff_material_')) {
+              await handleHandoffMaterialSelect(interaction, client);
+              break;
+            }
             // Handle admin reassign dropdown
             if (interaction.customId.startsWith('manage_crafts:admin_reassign_select_')) {
               const requestId = parseInt(interaction.customId.split('_').pop());
               await handleAdminReassignSelect(interaction, client, requestId);
               break;
             }
+            if (interaction.customId.startsWith('manage_crafts:admin_priority_select_')) {
+              const requestId = parseInt(interaction.customId.split('_').pop());
+              await handleAdminPrioritySelect(interaction, client, requestId);
+              break;
+            }
             log.warn(`Unrecognized manage_crafts dropdown: ${interaction.customId}`);
         }
+      } else if (interaction.customId.startsWith('request_set_')) {
+        await handleGearSetDropdowns(interaction, client);
+      } else if (interaction.customId === 'request_search_select') {
+        // May open the quantity modal, so it must not go through handleRequestDropdowns' safeUpdate
+        await handleRecipeSearchSelect(interaction, client);
+      } else if (interaction.customId.startsWith('request_search_character_')) {
+        await handleRecipeSearchCharacter(interaction, client);
+      } else if (interaction.customId.startsWith('request_edit_character_')) {
+        // Opens the quantity modal, so it must not go through handleRequestDropdowns' safeUpdate
+        await handleEditCharacterSelect(interaction, client);
       } else {
         await handleRequestDropdowns(interaction, client);
       }
@@ -113,6 +222,68 @@ async function handleInteractions(interaction, client) {
         await handleMaterialsButton(interaction, client);
         return;
       }
+
+      // Previous/Next on paginated select menus
+      if (interaction.customId.startsWith('paginated_')) {
+        await handlePaginatedSelectButton(interaction, client);
+        return;
+      }
+
+      // Auto-assignment offer DMs
+      if (interaction.customId.startsWith('auto_assign:')) {
+        await handleAutoAssignButton(interaction, client);
+        return;
+      }
+
+      // Claim button on new-request announcements
+      if (interaction.customId.startsWith('announce_claim_')) {
+        await handleAnnouncementClaim(interaction, client);
+        return;
+      }
+
+      // Confirm/dispute buttons on delivery confirmation DMs
+      if (interaction.customId.startsWith('delivery_confirm_')) {
+        await handleDeliveryConfirm(interaction, client);
+        return;
+      }
+      if (interaction.customId.startsWith('delivery_dispute_')) {
+        await handleDeliveryDispute(interaction, client);
+        return;
+      }
+
+      // Approve/reject buttons on request edit DMs
+      if (interaction.customId.startsWith('request_edit_')) {
+        await handleEditApproval(interaction, client);
+        return;
+      }
+
+      // Recipe search on the first request prompt and its results
+      if (interaction.customId === 'request_search_start') {
+        await showRecipeSearchModal(interaction, client);
+        return;
+      }
+      if (interaction.customId.startsWith('request_search_quantity_')) {
+        await handleRecipeSearchQuantity(interaction, client);
+        return;
+      }
+
+      // Gear set builder buttons
+      if (interaction.customId.startsWith('request_set_')) {
+        await handleGearSetButton(interaction, client);
+        return;
+      }
+
+      // Save as Template button on request submission confirmations
+      if (interaction.customId.startsWith('request_template_save_')) {
+        await handleSaveTemplateButton(interaction, client);
+        return;
+      }
+
+      // Rate button on completion notifications
+      if (interaction.customId.startsWith('rate_request_')) {
+        await handleRateButton(interaction, client);
+        return;
+      }
       
       // Manage crafts buttons
       if (interaction.customId.startsWith('manage_crafts:')) {
@@ -142,6 +313,12 @@ async function handleInteractions(interaction, client) {
           case 'manage_crafts:materials_per_char':
             await handleMaterialsPerChar(interaction, client);
             break;
+          case 'manage_crafts:my_recipes':
+            await handleMyRecipes(interaction, client);
+            break;
+          case 'manage_crafts:toggle_digest':
+            await handleToggleDigest(interaction, client);
+            break;
           case 'manage_crafts:back_to_menu':
             await handleBackToMenu(interaction, client);
             break;
@@ -169,6 +346,31 @@ async function handleInteractions(interaction, client) {
           case 'manage_crafts:admin_audit':
             await handleAdminAudit(interaction, client);
             break;
+          case 'manage_crafts:my_ratings':
+            await handleMyRatings(interaction, client);
+            break;
+          case 'manage_crafts:admin_disputes':
+            await handleAdminDisputes(interaction, client);
+            break;
+          case 'manage_crafts:admin_guild_bank':
+            await handleGuildBank(interaction, client);
+            break;
+          case 'manage_crafts:admin_bank_deposit':
+          case 'manage_crafts:admin_bank_withdraw':
+            await handleBankTransactionButton(interaction, client);
+            break;
+          case 'manage_crafts:admin_bank_history':
+            await handleBankHistory(interaction, client);
+            break;
+          case 'manage_crafts:admin_leaderboard':
+            await handleAdminLeaderboard(interaction, client);
+            break;
+          case 'manage_crafts:admin_reload_professions':
+            await handleAdminReloadProfessions(interaction, client);
+            break;
+          case 'manage_crafts:my_stats':
+            await handleMyStats(interaction, client);
+            break;
           case 'manage_crafts:audit_search':
             await handleAdminAuditSearch(interaction, client);
             break;
@@ -209,6 +411,27 @@ async function handleInteractions(interaction, client) {
               await handleAdminCrafterPage(interaction, client);
               break;
             }
+            // Handle material hand-off "mark all received" button
+            if (interaction.customId.startsWith('manage_crafts:handoff_all_')) {
+              await handleHandoffAll(interaction, client);
+              break;
+            }
+            // Handle "Record Materials" on the request details view
+            if (interaction.customId.startsWith('manage_crafts:handoff_open_')) {
+              await handleHandoffOpen(interaction, client);
+              break;
+            }
+            // Handle leaderboard and My Stats period switching
+            if (interaction.customId.startsWith('manage_crafts:admin_leaderboard_')) {
+              const period = interaction.customId.replace('manage_crafts:admin_leaderboard_', '');
+              if (isStatsPeriod(period)) await handleAdminLeaderboard(interaction, client, period);
+              break;
+            }
+            if (interaction.customId.startsWith('manage_crafts:my_stats_')) {
+              const period = interaction.customId.replace('manage_crafts:my_stats_', '');
+              if (isStatsPeriod(period)) await handleMyStats(interaction, client, period);
+              break;
+            }
             
             // Handle admin request management buttons
             if (interaction.customId.startsWith('manage_crafts:admin_reassign_')) {
@@ -234,6 +457,12 @@ async function handleInteractions(interaction, client) {
               await handleAdminReopen(interaction, client, requestId);
               break;
             }
+
+            if (interaction.customId.startsWith('manage_crafts:admin_set_priority_')) {
+              const requestId = parseInt(interaction.customId.split('_').pop());
+              await handleAdminSetPriority(interaction, client, requestId);
+              break;
+            }
             
             // Handle dynamic button IDs
             if (interaction.customId.startsWith('manage_crafts:complete_multi:')) {
@@ -274,6 +503,13 @@ async function handleInteractions(interaction, client) {
           // Delegate to other flows if the ID matches a pattern
           if (interaction.customId.startsWith('char_')) {
             await handleCharacterButtons(interaction, client);
+          } else if (interaction.customId === 'status_notif_settings') {
+            await handleNotificationSettings(interaction, client);
+          } else if (interaction.customId === 'status_notif_quiet') {
+            // Opens a modal, so it must not go through handleStatusButton's deferUpdate
+            await handleQuietHoursButton(interaction, client);
+          } else if (interaction.customId === 'status_notif_reset') {
+            await handleResetNotifications(interaction, client);
           } else if (interaction.customId.startsWith('status_')) {
             await handleStatusButton(interaction, client);
           } else {
@@ -283,8 +519,16 @@ async function handleInteractions(interaction, client) {
     } else if (interaction.isModalSubmit()) {
         if (interaction.customId.startsWith('char_')) {
             await handleCharacterModal(interaction, client);
+        } else if (interaction.customId === 'status_notif_quiet_modal') {
+            await handleQuietHoursModal(interaction, client);
+        } else if (interaction.customId.startsWith('delivery_dispute_modal_')) {
+            await handleDeliveryDisputeModal(interaction, client);
+        } else if (interaction.customId.startsWith('rate_request_modal_')) {
+            await handleRatingModal(interaction, client);
         } else if (interaction.customId.startsWith('materials_modal_')) {
           await handleMaterialsModal(interaction, client);
+        } else if (interaction.customId === 'request_search_modal') {
+          await handleRecipeSearchModal(interaction, client);
         } else if (interaction.customId.startsWith('quantity_modal_')) {
           // Quantity modal submission from request flow
           const { handleQuantityModal } = require('./shared/requestFlow');
@@ -300,6 +544,10 @@ async function handleInteractions(interaction, client) {
         } else if (interaction.customId.startsWith('manage_crafts:admin_reassign_modal_')) {
             const requestId = parseInt(interaction.customId.split('_').pop());
             await handleAdminReassignModal(interaction, client, requestId);
+        } else if (interaction.customId.startsWith('manage_crafts:handoff_modal_')) {
+            await handleHandoffModal(interaction, client);
+        } else if (interaction.customId.startsWith('manage_crafts:admin_bank_modal_')) {
+            await handleBankTransactionModal(interaction, client);
         } else if (interaction.customId.startsWith('manage_crafts:admin_cancel_modal_')) {
             const requestId = parseInt(interaction.customId.split('_').pop());
             await handleAdminCancelModal(interaction, client, requestId);
@@ -5,7 +5,8 @@ function buildCrafterQueuePages(requests, crafterName, pageCharLimit = 1800) {
   let current = header;
   for (const req of requests) {
     const indicator = getMaterialIndicator(req);
-    let block = `• **#${req.id}** ${req.character} - ${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.request_name} ${indicator}\n`;
+    const priorityBadge = getPriorityBadge(req);
+    let block = `• **#${req.id}** ${req.character} - ${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.request_name} ${indicator}${priorityBadge ? ` ${priorityBadge}` : ''}\n`;
     if ((current + block).length > pageCharLimit && current !== header) {
       pages.push(current);
       current = '';
@@ -26,7 +27,9 @@ async function handleAdminCrafterDropdown(interaction, client, page = 0) {
   await cleanupService.cleanupFromLevel(userId, client, 4);
 
   const requests = await db.getAllRequestsByClaimedUser(crafterId);
-  const inProgress = requests.filter(r => r.status === 'in_progress' || r.status === 'claimed');
+  const inProgress = requests
+    .filter(r => r.status === 'in_progress' || r.status === 'claimed')
+    .sort(compareRequestsByPriority);
   const crafterName = requests[0]?.claimed_by_name || 'Unknown';
 
   if (inProgress.length === 0) {
@@ -107,6 +110,14 @@ const config = require('../../config/config.js');
 const { resolveResponseChannel } = require('../../utils/requestChannel');
 const cleanupService = require('../../utils/cleanupService');
 const log = require('../../utils/logWriter');
+const { PRIORITY_LEVELS, compareRequestsByPriority } = require('../../utils/requestPriority');
+const { getPriorityBadge, getPriorityLabel, getDeadlineBadge, getRecipeRemovedBadge } = require('../../utils/requestFormatter');
+const { emitRequestEvent } = require('../../utils/requestEvents');
+const { notifyRequester } = require('../../utils/notifications');
+const { formatStars, formatRatingSummary, buildRatingRows } = require('../../utils/ratings');
+const { computeCrafterStats, getPeriodLabel, formatStatsLine, buildStatsPeriodRow } = require('../../utils/crafterStats');
+const { reloadProfessionData, summarizeReload, formatReloadReport } = require('../../utils/professionReload');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
 
 /**
  * Helper to determine material provision status for a request
@@ -162,6 +173,13 @@ function buildProfessionSummaryPages(byProfession, pageCharLimit = 1800) {
     const statusEmoji = totalRequests === 0 ? '✅' : data.open > 0 ? '⏳' : '⚙️';
     let block = `${statusEmoji} **${professionName}** (${totalRequests} total)\n`;
     block += `  Open: ${data.open} request(s)\n`;
+    const urgent = [];
+    if (data.raid_critical > 0) urgent.push(`${PRIORITY_LEVELS.raid_critical.emoji} ${data.raid_critical} raid-critical`);
+    if (data.high > 0) urgent.push(`${PRIORITY_LEVELS.high.emoji} ${data.high} high`);
+    if (data.next_needed_by) urgent.push(`next due ${getDeadlineBadge({ needed_by: data.next_needed_by })}`);
+    if (urgent.length > 0) {
+      block += `  Priority: ${urgent.join(' | ')}\n`;
+    }
     if (Object.keys(data.in_progress).length > 0) {
       block += `  Claimed:\n`;
       for (const [crafter, count] of Object.entries(data.in_progress)) {
@@ -210,6 +228,15 @@ async function handleAdminSummary(interaction, client, page = 0) {
     }
   }
 
+  // Urgent counts and nearest deadline per profession
+  const prioritySummary = await db.getPrioritySummary();
+  for (const row of prioritySummary) {
+    if (!byProfession[row.profession]) continue;
+    byProfession[row.profession].raid_critical = row.raid_critical_count;
+    byProfession[row.profession].high = row.high_count;
+    byProfession[row.profession].next_needed_by = row.next_needed_by;
+  }
+
   const pages = buildProfessionSummaryPages(byProfession);
   const totalPages = pages.length;
   const currentPage = Math.max(0, Math.min(page, totalPages - 1));
@@ -333,9 +360,9 @@ async function showAdminProfessionQueue(interaction, client, profession, page =
   const itemsPerPage = 20;
   const openRequests = await db.getOpenRequestsByProfession(profession);
   
-  // Get all active requests and sort by request ID (order received)
+  // Get all active requests: most urgent first, then by request ID (order received)
   const allRequests = await db.getRequestsByProfession(profession, ['open', 'claimed', 'in_progress']);
-  allRequests.sort((a, b) => a.id - b.id);
+  allRequests.sort(compareRequestsByPriority);
 
   const totalPages = Math.ceil(allRequests.length / itemsPerPage);
   const startIndex = page * itemsPerPage;
@@ -354,7 +381,7 @@ async function showAdminProfessionQueue(interaction, client, profession, page =
   if (allRequests.length === 0) {
     content += '*No active requests for this profession.*\n';
   } else {
-    content += '**Requests (Ordered by Request Time):**\n\n';
+    content += '**Requests (Ordered by Priority, Deadline, then Request Time):**\n\n';
     
     // Group by status for better readability
     const byStatus = {
@@ -368,8 +395,9 @@ async function showAdminProfessionQueue(interaction, client, profession, page =
       content += `**⏳ OPEN (${byStatus.open.length}):**\n`;
       for (const req of byStatus.open) {
         const indicator = getMaterialIndicator(req);
+          const priorityBadge = getPriorityBadge(req);
           const qty = req.quantity_requested || req.quantity || 1;
-          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} ${indicator}\n`;
+          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} ${indicator}${priorityBadge ? ` ${priorityBadge}` : ''}\n`;
       }
       content += `\n`;
     }
@@ -380,8 +408,9 @@ async function showAdminProfessionQueue(interaction, client, profession, page =
       for (const req of byStatus.claimed) {
         const claimedBy = req.claimed_by_name || 'Unknown';
         const indicator = getMaterialIndicator(req);
+          const priorityBadge = getPriorityBadge(req);
           const qty = req.quantity_requested || req.quantity || 1;
-          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} | By: ${claimedBy} ${indicator}\n`;
+          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} | By: ${claimedBy} ${indicator}${priorityBadge ? ` ${priorityBadge}` : ''}\n`;
       }
       content += `\n`;
     }
@@ -392,8 +421,9 @@ async function showAdminProfessionQueue(interaction, client, profession, page =
       for (const req of byStatus.in_progress) {
         const claimedBy = req.claimed_by_name || 'Unknown';
         const indicator = getMaterialIndicator(req);
+          const priorityBadge = getPriorityBadge(req);
           const qty = req.quantity_requested || req.quantity || 1;
-          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} | By: ${claimedBy} ${indicator}\n`;
+          content += `#${req.id} | ${req.character} | ${req.request_name} x${qty} | By: ${claimedBy} ${indicator}${priorityBadge ? ` ${priorityBadge}` : ''}\n`;
       }
       content += `\n`;
     }
@@ -485,6 +515,9 @@ async function handleAdminByCrafter(interaction, client) {
   // Get guild to check member roles
   const guild = client.guilds.cache.get(config.guildId);
 
+  // Requester ratings per crafter
+  const ratings = new Map((await db.getCrafterRatingSummaries()).map(summary => [summary.crafter_id, summary]));
+
   let content = `👤 **View by Crafter**\n\n`;
   content += `Showing 5 most recent crafters by activity:\n\n`;
 
@@ -508,7 +541,7 @@ async function handleAdminByCrafter(interaction, client) {
     const permissionStr = permissions.length > 0 ? ` [${permissions.join(', ')}]` : '';
     const lastActivity = new Date(crafter.last_activity).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     content += `**${crafter.claimed_by_name}**${permissionStr}\n`;
-    content += `└ In Progress: ${crafter.in_progress_count} | Completed: ${crafter.completed_count} | Last: ${lastActivity}\n\n`;
+    content += `└ In Progress: ${crafter.in_progress_count} | Completed: ${crafter.completed_count} | ${formatRatingSummary(ratings.get(crafter.claimed_by))} | Last: ${lastActivity}\n\n`;
   }
 
   // Dropdown still contains all crafters
@@ -516,19 +549,18 @@ async function handleAdminByCrafter(interaction, client) {
     label: crafter.claimed_by_name,
     value: `crafter_${crafter.claimed_by}`,
     emoji: '👤',
-    description: `${crafter.in_progress_count} in progress, ${crafter.completed_count} completed`
+    description: `${crafter.in_progress_count} in progress, ${crafter.completed_count} completed, ${formatRatingSummary(ratings.get(crafter.claimed_by))}`.slice(0, 100)
   }));
 
-  const dropdown = new StringSelectMenuBuilder()
-    .setCustomId('manage_crafts:admin_crafter_dropdown')
-    .setPlaceholder('Select a crafter to view their queue')
-    .addOptions(options.slice(0, 25)); // Discord limit
-
-  const row = new ActionRowBuilder().addComponents(dropdown);
+  const rows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:admin_crafter_dropdown',
+    placeholder: 'Select a crafter to view their queue',
+    options
+  });
 
   const msg = await channel.send({
     content,
-    components: [row]
+    components: rows
   });
   cleanupService.trackMenuMessage(userId, 3, msg.id);
   if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
@@ -565,7 +597,8 @@ async function handleAdminCrafterDropdown(interaction, client) {
     content += '*This crafter has no requests.*\n';
   } else {
     const crafterName = requests[0].claimed_by_name || 'Unknown';
-    content += `**${crafterName}** has **${requests.length}** request(s):\n\n`;
+    content += `**${crafterName}** has **${requests.length}** request(s):\n`;
+    content += `**Rating:** ${formatRatingSummary(await db.getCrafterRatingSummary(crafterId))}\n\n`;
 
     // Group by status
     const byStatus = { in_progress: [], complete: [] };
@@ -577,9 +610,11 @@ async function handleAdminCrafterDropdown(interaction, client) {
 
     if (byStatus.in_progress.length > 0) {
       content += `**In Progress (${byStatus.in_progress.length}):**\n`;
+      byStatus.in_progress.sort(compareRequestsByPriority);
       for (const req of byStatus.in_progress) {
         const indicator = getMaterialIndicator(req);
-        content += `• **#${req.id}** ${req.character} - ${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.request_name} ${indicator}\n`;
+        const priorityBadge = getPriorityBadge(req);
+        content += `• **#${req.id}** ${req.character} - ${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.request_name} ${indicator}${priorityBadge ? ` ${priorityBadge}` : ''}\n`;
       }
       content += '\n';
     }
@@ -596,6 +631,14 @@ async function handleAdminCrafterDropdown(interaction, client) {
         content += `_... and ${byStatus.complete.length - 5} more completed_\n`;
       }
     }
+
+    const feedback = (await db.getRecentCrafterRatings(crafterId, 5)).filter(rating => rating.comment).slice(0, 3);
+    if (feedback.length > 0) {
+      content += `\n**Recent Feedback:**\n`;
+      for (const rating of feedback) {
+        content += `• **#${rating.request_id}** ${formatStars(rating.rating)} "${rating.comment.slice(0, 100)}"\n`;
+      }
+    }
   }
 
   const msg = await channel.send({ content });
@@ -689,6 +732,9 @@ async function showRequestDetails(interaction, client, channel, request, include
   content += `**Profession:** ${request.profession}\n`;
   content += `**Gear Slot:** ${request.gear_slot}\n`;
   content += `**Request:** ${request.request_name}\n`;
+  if (request.recipe_removed_at) {
+    content += `**${getRecipeRemovedBadge(request)}:** no longer in the profession files since ${new Date(request.recipe_removed_at).toLocaleString()} (the materials below are from when it was submitted)\n`;
+  }
   // Quantity info
   const qtyRequested = parseInt(request.quantity_requested || request.quantity || 1, 10) || 1;
   const qtyCompleted = parseInt(request.quantity_completed || 0, 10) || 0;
@@ -696,10 +742,22 @@ async function showRequestDetails(interaction, client, channel, request, include
   // Show user-friendly status label
   const statusLabel = request.status === 'denied' ? 'Cancelled' : request.status;
   content += `**Status:** ${statusLabel}\n`;
+  content += `**Priority:** ${getPriorityLabel(request)}\n`;
+  if (request.needed_by) {
+    content += `**Needed By:** ${request.needed_by} ${getDeadlineBadge(request)}\n`;
+  }
   
   if (request.status === 'denied' && request.deny_reason) {
     content += `**Cancellation Reason:** ${request.deny_reason}\n`;
   }
+
+  if (request.status === 'ready' && request.ready_at) {
+    content += `**Ready Since:** ${new Date(request.ready_at).toLocaleString()} (waiting for the requester to confirm)\n`;
+  }
+
+  if (request.disputed_at) {
+    content += `**⚠️ Delivery Disputed:** ${new Date(request.disputed_at).toLocaleString()} - ${request.dispute_reason || 'No reason given'}\n`;
+  }
   
   if (request.claimed_by_name) {
     content += `**Claimed By:** ${request.claimed_by_name}\n`;
@@ -710,46 +768,51 @@ async function showRequestDetails(interaction, client, channel, request, include
   content += `**Updated:** ${new Date(request.updated_at).toLocaleString()}\n\n`;
 
   // Materials
-  if (request.materials_json) {
-    const materials = JSON.parse(request.materials_json);
-    if (Object.keys(materials).length > 0) {
-      content += `**Materials Required (per unit):**\n`;
-      for (const [mat, qty] of Object.entries(materials)) {
-        content += `  • ${mat} x${qty}\n`;
-      }
-      // Totals for requested quantity
-      if (qtyRequested > 1) {
-        content += `**Total Required (for ${qtyRequested}):**\n`;
-        for (const [mat, qty] of Object.entries(materials)) {
-          const total = (parseInt(qty, 10) || 0) * qtyRequested;
-          content += `  • ${mat} x${total}\n`;
-        }
+  const materials = await db.getRequestMaterials(request.id);
+  const required = materials.filter(mat => mat.required_per_unit > 0);
+  if (required.length > 0) {
+    content += `**Materials Required (per unit):**\n`;
+    for (const mat of required) {
+      content += `  • ${mat.material_name} x${mat.required_per_unit}\n`;
+    }
+    // Totals for requested quantity
+    if (qtyRequested > 1) {
+      content += `**Total Required (for ${qtyRequested}):**\n`;
+      for (const mat of required) {
+        content += `  • ${mat.material_name} x${mat.required_per_unit * qtyRequested}\n`;
       }
-      content += '\n';
     }
+    content += '\n';
   }
 
-  // Provided materials (these are totals across the request quantity)
-  if (request.provided_materials_json) {
-    const provided = JSON.parse(request.provided_materials_json);
-    if (Object.keys(provided).length > 0) {
-      content += `**Materials Provided (total):**\n`;
-      for (const [mat, qty] of Object.entries(provided)) {
-        content += `  • ${mat} x${qty}\n`;
-      }
-      content += '\n';
+  // Provided materials (these are totals across the request quantity), with what the crafter has received
+  const provided = materials.filter(mat => mat.provided > 0 || mat.delivered > 0);
+  if (provided.length > 0) {
+    content += `**Materials Provided (total):**\n`;
+    for (const mat of provided) {
+      content += `  • ${mat.material_name} x${mat.provided} (received ${mat.delivered})\n`;
     }
+    content += '\n';
   }
 
   // Audit log (admin only)
   if (includeAuditLog && request.audit_log) {
     const auditLog = JSON.parse(request.audit_log);
     if (auditLog.length > 0) {
-      content += `**Audit Log:**\n`;
-      for (const entry of auditLog) {
-        const timestamp = new Date(entry.at).toLocaleString();
-        content += `  • [${timestamp}] ${entry.action} by <@${entry.by}>\n`;
+      // Keep the newest entries that fit under Discord's 2000 character limit
+      const budget = 1900 - content.length - 60;
+      const lines = [];
+      let used = 0;
+      for (const entry of [...auditLog].reverse()) {
+        const line = `  • [${new Date(entry.at).toLocaleString()}] ${entry.action} by <@${entry.by}>\n`;
+        if (used + line.length > budget) break;
+        lines.unshift(line);
+        used += line.length;
       }
+      content += `**Audit Log:**\n`;
+      const hidden = auditLog.length - lines.length;
+      if (hidden > 0) content += `  _...${hidden} earlier entr${hidden === 1 ? 'y' : 'ies'} not shown_\n`;
+      content += lines.join('');
     }
   }
 
@@ -762,33 +825,51 @@ async function showRequestDetails(interaction, client, channel, request, include
         .setLabel('Reassign Crafter')
         .setStyle(ButtonStyle.Primary)
         .setEmoji('👤')
-        .setDisabled(request.status === 'complete' || request.status === 'denied'),
+        .setDisabled(request.status === 'complete' || request.status === 'denied' || request.status === 'expired' || request.status === 'ready'),
       new ButtonBuilder()
         .setCustomId(`manage_crafts:admin_cancel_${request.id}`)
         .setLabel('Cancel Request')
         .setStyle(ButtonStyle.Danger)
         .setEmoji('❌')
-        .setDisabled(request.status === 'complete' || request.status === 'denied')
+        .setDisabled(request.status === 'complete' || request.status === 'denied' || request.status === 'expired')
     );
 
     const row2 = new ActionRowBuilder().addComponents(
       new ButtonBuilder()
         .setCustomId(`manage_crafts:admin_mark_complete_${request.id}`)
-        .setLabel('Mark Complete')
+        .setLabel(request.status === 'ready' ? 'Confirm Delivery' : 'Mark Complete')
         .setStyle(ButtonStyle.Success)
         .setEmoji('✅')
-        .setDisabled(request.status === 'complete' || request.status === 'denied' || request.status === 'open'),
+        .setDisabled(request.status === 'complete' || request.status === 'denied' || request.status === 'expired' || request.status === 'open'),
       new ButtonBuilder()
         .setCustomId(`manage_crafts:admin_reopen_${request.id}`)
         .setLabel('Reopen Request')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('🔄')
-        .setDisabled(request.status === 'open' || request.status === 'claimed' || request.status === 'in_progress')
+        .setDisabled(request.status === 'open' || request.status === 'claimed' || request.status === 'in_progress' || request.status === 'ready'),
+      new ButtonBuilder()
+        .setCustomId(`manage_crafts:admin_set_priority_${request.id}`)
+        .setLabel('Set Priority')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⚡')
+        .setDisabled(request.status === 'complete' || request.status === 'denied' || request.status === 'expired')
     );
 
     components.push(row1, row2);
   }
 
+  // The crafter holding the claim can record materials handed over from here too
+  const holdsClaim = request.claimed_by === userId && ['claimed', 'in_progress'].includes(request.status);
+  if (holdsClaim && materials.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`manage_crafts:handoff_open_${request.id}`)
+        .setLabel('Record Materials Received')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('📦')
+    ));
+  }
+
   const msg = await channel.send({ content, components });
   
   // Track at Level 4 (result display)
@@ -812,6 +893,217 @@ async function showRequestDetails(interaction, client, channel, request, include
   }
 }
 
+/**
+ * Admin Disputes - requests whose requester disputed delivery, with a dropdown to open one
+ */
+async function handleAdminDisputes(interaction, client) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and admin menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const disputed = await db.getDisputedRequests();
+
+  let content = `⚠️ **Disputed Deliveries**\n\n`;
+  const components = [];
+
+  if (disputed.length === 0) {
+    content += '*No open disputes.*\n';
+  } else {
+    content += `**${disputed.length}** request(s) where the requester disputed delivery:\n\n`;
+    for (const req of disputed.slice(0, 15)) {
+      const disputedDate = new Date(req.disputed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      const reason = (req.dispute_reason || 'No reason given').slice(0, 80);
+      content += `**#${req.id}** ${req.character} - ${req.request_name}\n`;
+      content += `└ ${req.status === 'ready' ? 'Marked ready again' : 'Back with crafter'}: ${req.claimed_by_name || 'Unclaimed'} | ${disputedDate} | "${reason}"\n\n`;
+    }
+    if (disputed.length > 15) {
+      content += `_...and ${disputed.length - 15} more_\n`;
+    }
+
+    components.push(...await buildPaginatedSelect(userId, {
+      customId: 'manage_crafts:admin_dispute_select',
+      placeholder: 'Open a disputed request...',
+      options: disputed.map(req => ({
+        label: `#${req.id} ${req.character} - ${req.request_name}`.slice(0, 100),
+        description: (req.dispute_reason || 'No reason given').slice(0, 100),
+        value: String(req.id)
+      }))
+    }));
+  }
+
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:back_to_admin_menu')
+      .setLabel('Back to Admin Menu')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🔙')
+  ));
+
+  const msg = await channel.send({ content, components });
+
+  // Track at Level 3 (disputes list)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * Disputed request chosen from the disputes dropdown - show its details
+ */
+async function handleAdminDisputeSelect(interaction, client) {
+  const requestId = parseInt(interaction.values[0], 10);
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 4+ (keep header, admin menu, and disputes list)
+  await cleanupService.cleanupFromLevel(interaction.user.id, client, 4);
+
+  const request = await db.getRequestById(requestId);
+  if (!request) {
+    await interaction.reply({ content: `❌ Request #${requestId} not found.`, flags: 1 << 6 });
+    return;
+  }
+
+  await showRequestDetails(interaction, client, channel, request, true);
+}
+
+/**
+ * Admin Leaderboard - Crafter and profession statistics for a period
+ */
+async function handleAdminLeaderboard(interaction, client, period = 'month') {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and admin menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const stats = await computeCrafterStats(period);
+
+  let content = `🏆 **Crafter Leaderboard - ${getPeriodLabel(period)}**\n\n`;
+  if (stats.crafters.length === 0) {
+    content += '*No crafting activity in this period.*\n';
+  } else {
+    content += '**Top Crafters:**\n';
+    stats.crafters.slice(0, 10).forEach((crafter, index) => {
+      content += `${index + 1}. **${crafter.crafterName}** - ${formatStatsLine(crafter)}\n`;
+    });
+    if (stats.crafters.length > 10) {
+      content += `_...and ${stats.crafters.length - 10} more_\n`;
+    }
+
+    content += '\n**By Profession:**\n';
+    for (const prof of stats.professions) {
+      const professionName = prof.profession.charAt(0).toUpperCase() + prof.profession.slice(1);
+      const top = prof.crafters.filter(crafter => crafter.completed > 0).slice(0, 3)
+        .map(crafter => `${crafter.crafterName} (${crafter.completed})`);
+      let block = `**${professionName}** - ${formatStatsLine(prof)}\n`;
+      if (top.length > 0) block += `└ Top: ${top.join(', ')}\n`;
+
+      // Stay inside Discord's 2000 character limit
+      if ((content + block).length > 1900) {
+        content += '_...more professions not shown_\n';
+        break;
+      }
+      content += block;
+    }
+  }
+
+  const components = [
+    buildStatsPeriodRow('manage_crafts:admin_leaderboard_', period),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:back_to_admin_menu')
+        .setLabel('Back to Admin Menu')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🔙')
+    )
+  ];
+
+  const msg = await channel.send({ content, components });
+
+  // Track at Level 3 (leaderboard)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * Admin Reload Professions - Reload profession files from config/ and report what changed
+ */
+async function handleAdminReloadProfessions(interaction, client) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and admin menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const report = await reloadProfessionData({ userId });
+  log.info(`[ADMIN_CRAFTS] Profession data reloaded by ${interaction.user.tag}: ${summarizeReload(report)}`);
+
+  let content = formatReloadReport(report, 1750);
+  const flagged = await db.getRequestsWithRemovedRecipes();
+  if (flagged.length > report.flags.removedIds.length) {
+    content += `\n\n⚠️ **${flagged.length}** pending request(s) in total use removed recipes: ${flagged.slice(0, 20).map(req => `#${req.id}`).join(', ')}${flagged.length > 20 ? ', ...' : ''}`;
+  }
+
+  const components = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:back_to_admin_menu')
+        .setLabel('Back to Admin Menu')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🔙')
+    )
+  ];
+
+  const msg = await channel.send({ content, components });
+
+  // Track at Level 3 (reload report)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
 /**
  * Admin Audit Log - Show paginated list with option to search
  */
@@ -1161,23 +1453,21 @@ async function handleAdminReassign(interaction, client, requestId) {
       return;
     }
 
-    // Build dropdown options (max 25)
     const options = crafters.map(member => ({
       label: (member.nickname || member.displayName || member.user.username).slice(0, 100),
       value: member.user.id,
       description: `${member.user.tag}`.slice(0, 100)
-    })).slice(0, 25);
-
-    const dropdown = new StringSelectMenuBuilder()
-      .setCustomId(`manage_crafts:admin_reassign_select_${requestId}`)
-      .setPlaceholder('Select a crafter to reassign to...')
-      .addOptions(options);
+    }));
 
-    const row = new ActionRowBuilder().addComponents(dropdown);
+    const rows = await buildPaginatedSelect(interaction.user.id, {
+      customId: `manage_crafts:admin_reassign_select_${requestId}`,
+      placeholder: 'Select a crafter to reassign to...',
+      options
+    });
 
     await interaction.reply({
       content: `**Reassign Request #${requestId}**\n\nSelect a crafter with the **${request.profession}** profession:`,
-      components: [row],
+      components: rows,
       flags: 1 << 6
     });
   } catch (err) {
@@ -1234,6 +1524,7 @@ async function handleAdminReassignSelect(interaction, client, requestId) {
 
     // Append audit log
     await db.appendAuditLog(requestId, 'Request reassigned', userId);
+    emitRequestEvent('reassigned', requestId, userId, { previousClaimant: request.claimed_by || null, newClaimant: newCrafterId });
 
     // Notify old crafter if there was one
     if (request.claimed_by && request.claimed_by !== newCrafterId) {
@@ -1334,22 +1625,18 @@ async function handleAdminCancelModal(interaction, client, requestId) {
 
     // Append audit log
     await db.appendAuditLog(requestId, `Request cancelled by admin: ${cancelReason}`, userId);
+    emitRequestEvent('cancelled', requestId, userId, { reason: cancelReason });
 
-    // Notify requester
+    // Notify requester (respects their notification preferences)
     if (request.user_id) {
-      try {
-        const requesterUser = await client.users.fetch(request.user_id);
-        await requesterUser.send(
-          `❌ Your request **#${requestId}** for **${request.request_name}** on **${request.character}** has been cancelled by an administrator.\n\n` +
-          `**Reason:** ${cancelReason}`
-        );
-      } catch (err) {
-        log.warn(`[ADMIN_CRAFTS] Could not DM requester ${request.user_id}:`, err);
-      }
+      await notifyRequester(client, request.user_id, 'cancel',
+        `❌ Your request **#${requestId}** for **${request.request_name}** on **${request.character}** has been cancelled by an administrator.\n\n` +
+        `**Reason:** ${cancelReason}`
+      );
     }
 
     await interaction.reply({
-      content: `✅ Request #${requestId} has been cancelled. Requester has been notified.`,
+      content: `✅ Request #${requestId} has been cancelled. The requester will be notified per their notification settings.`,
       flags: 1 << 6
     });
 
@@ -1384,6 +1671,22 @@ async function handleAdminMarkComplete(interaction, client, requestId) {
       return;
     }
 
+    // Ready requests only need their delivery confirmed - officers resolve it for the requester
+    if (request.status === 'ready') {
+      const result = await db.confirmRequestDelivery(requestId, userId, { onBehalfOf: request.user_id });
+      if (!result.success) {
+        await interaction.reply({ content: `⚠️ Request #${requestId} is no longer waiting for confirmation.`, flags: 1 << 6 });
+        return;
+      }
+
+      await notifyRequester(client, request.user_id, 'complete',
+        `🎉 An officer confirmed delivery of request **#${requestId}** for **${request.character}**. It's now complete.`,
+        buildRatingRows([request]));
+      await cleanupService.cleanupFromLevel(userId, client, 4);
+      await showRequestDetails(interaction, client, channel, await db.getRequestById(requestId), true);
+      return;
+    }
+
     // Instead of immediately completing, prompt admin for completed quantity
     const qtyRequested = parseInt(request.quantity_requested || request.quantity || 1, 10) || 1;
     const qtyCompleted = parseInt(request.quantity_completed || 0, 10) || 0;
@@ -1396,7 +1699,7 @@ async function handleAdminMarkComplete(interaction, client, requestId) {
 
     const input = new TextInputBuilder()
       .setCustomId('completed_qty')
-      .setLabel(`Completed (remaining: ${remaining})`)
+      .setLabel(remaining > 0 ? `Completed (remaining: ${remaining})` : 'All crafted - submit to mark ready again')
       .setStyle(TextInputStyle.Short)
       .setPlaceholder(String(remaining))
       .setRequired(true)
@@ -1414,6 +1717,76 @@ async function handleAdminMarkComplete(interaction, client, requestId) {
   }
 }
 
+/**
+ * Handle admin set priority button - show priority dropdown
+ */
+async function handleAdminSetPriority(interaction, client, requestId) {
+  const request = await db.getRequestById(requestId);
+
+  if (!request) {
+    await interaction.reply({
+      content: `❌ Request #${requestId} not found.`,
+      flags: 1 << 6
+    });
+    return;
+  }
+
+  const options = Object.entries(PRIORITY_LEVELS).map(([key, level]) => ({
+    label: level.label,
+    value: key,
+    emoji: level.emoji || '▫️',
+    default: (request.priority || 'normal') === key
+  }));
+
+  const dropdown = new StringSelectMenuBuilder()
+    .setCustomId(`manage_crafts:admin_priority_select_${requestId}`)
+    .setPlaceholder('Select a priority...')
+    .addOptions(options);
+
+  await interaction.reply({
+    content: `**Set Priority for Request #${requestId}**\n\n${request.request_name} for ${request.character}`,
+    components: [new ActionRowBuilder().addComponents(dropdown)],
+    flags: 1 << 6
+  });
+}
+
+/**
+ * Handle admin priority dropdown selection
+ */
+async function handleAdminPrioritySelect(interaction, client, requestId) {
+  const priority = interaction.values[0];
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  try {
+    const updated = await db.setRequestPriority(requestId, priority, userId);
+
+    if (!updated) {
+      await interaction.update({
+        content: `❌ Request #${requestId} not found.`,
+        components: []
+      });
+      return;
+    }
+
+    await interaction.update({
+      content: `✅ Request #${requestId} priority set to **${getPriorityLabel({ priority })}**.`,
+      components: []
+    });
+
+    // Refresh the request details
+    const updatedRequest = await db.getRequestById(requestId);
+    await cleanupService.cleanupFromLevel(userId, client, 4);
+    await showRequestDetails(interaction, client, channel, updatedRequest, true);
+  } catch (err) {
+    log.error('[ADMIN_CRAFTS] Failed to set request priority:', err);
+    await interaction.update({
+      content: `❌ Failed to set priority: ${err.message}`,
+      components: []
+    });
+  }
+}
+
 /**
  * Handle admin reopen request button
  */
@@ -1447,6 +1820,7 @@ async function handleAdminReopen(interaction, client, requestId) {
 
     // Append audit log
     await db.appendAuditLog(requestId, 'Request reopened by admin', userId);
+    emitRequestEvent('reopened', requestId, userId);
 
     await interaction.reply({
       content: `✅ Request #${requestId} has been reopened.`,
@@ -1476,6 +1850,10 @@ module.exports = {
   handleAdminCrafterPage,
   handleAdminLookup,
   handleAdminLookupModal,
+  handleAdminDisputes,
+  handleAdminDisputeSelect,
+  handleAdminLeaderboard,
+  handleAdminReloadProfessions,
   handleAdminAudit,
   handleAdminAuditSearch,
   handleAdminAuditModal,
@@ -1487,6 +1865,8 @@ module.exports = {
   handleAdminCancelModal,
   handleAdminMarkComplete,
   handleAdminReopen,
+  handleAdminSetPriority,
+  handleAdminPrioritySelect,
   handleBackToAdminMenu,
   handleAdminProfessionPage,
   showRequestDetails
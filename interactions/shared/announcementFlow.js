@@ -0,0 +1,44 @@
+// interactions/shared/announcementFlow.js
+const db = require('../../utils/database');
+const { getUserProfessionRoles } = require('../../utils/permissionChecks');
+const { claimForCrafter, describeConflict, getGuildMember } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+/**
+ * Claim button on a new-request announcement. Goes through the same claim
+ * path as the Manage Requests dropdown; the post itself is updated by the
+ * request event listener once the claim lands.
+ */
+async function handleAnnouncementClaim(interaction, client) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const userId = interaction.user.id;
+  const request = await db.getRequestById(requestId);
+
+  if (!request) {
+    return interaction.reply({ content: `❌ Request #${requestId} no longer exists.`, flags: 1 << 6 });
+  }
+
+  const member = await getGuildMember(interaction, client);
+  if (!getUserProfessionRoles(member).includes(request.profession)) {
+    const professionName = request.profession.charAt(0).toUpperCase() + request.profession.slice(1);
+    return interaction.reply({ content: `❌ You need the ${professionName} role to claim this request.`, flags: 1 << 6 });
+  }
+
+  const userName = (member && (member.nickname || member.displayName)) || interaction.user.username;
+  const result = await claimForCrafter(client, requestId, userId, userName);
+
+  if (!result.success) {
+    return interaction.reply({ content: `⚠️ ${describeConflict(requestId, result)}.`, flags: 1 << 6 });
+  }
+
+  log.info(`[ANNOUNCE] ${interaction.user.tag} claimed request ${requestId} from its announcement`);
+  await interaction.reply({
+    content: `✅ You claimed **#${requestId}** ${request.request_name} for **${request.character}**.\n` +
+      `It's in **My Claimed Requests** in the Manage Requests menu.`,
+    flags: 1 << 6
+  });
+}
+
+module.exports = {
+  handleAnnouncementClaim
+};
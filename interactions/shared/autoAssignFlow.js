@@ -0,0 +1,82 @@
+// interactions/shared/autoAssignFlow.js
+const db = require('../../utils/database');
+const log = require('../../utils/logWriter');
+const { offerToNextCrafter } = require('../../utils/requestAssignment');
+const { getGuildMember, claimForCrafter } = require('./manageCraftsFlow');
+
+/**
+ * Finds the outstanding offer for this request addressed to the clicking user.
+ */
+async function getOwnOffer(interaction, requestId) {
+  const offer = await db.getPendingAssignmentOffer(requestId);
+  return offer && offer.user_id === interaction.user.id ? offer : null;
+}
+
+async function closeOfferMessage(interaction, content) {
+  await interaction.update({ content, components: [] });
+}
+
+/**
+ * Accept button on an auto-assignment DM: claim the request.
+ */
+async function handleAssignAccept(interaction, client, requestId) {
+  const userId = interaction.user.id;
+  const offer = await getOwnOffer(interaction, requestId);
+
+  if (!offer || !await db.resolveAssignmentOffer(offer.id, 'accepted')) {
+    return closeOfferMessage(interaction, `⌛ The offer for request **#${requestId}** is no longer available.`);
+  }
+
+  const member = await getGuildMember(interaction, client);
+  const userName = (member && (member.nickname || member.displayName)) || interaction.user.username;
+  const result = await claimForCrafter(client, requestId, userId, userName);
+
+  if (!result.success) {
+    const by = result.claimedByName ? ` by **${result.claimedByName}**` : '';
+    return closeOfferMessage(interaction, `⚠️ Request **#${requestId}** was already picked up${by} before you accepted.`);
+  }
+
+  await db.appendAuditLog(requestId, 'auto_assign_accepted', userId, { crafter: userId });
+  const { request } = result;
+
+  await closeOfferMessage(interaction,
+    `✅ You claimed **#${requestId}** ${request.request_name} for **${request.character}**.\n` +
+    `It's in **My Claimed Requests** in the Manage Requests menu.`
+  );
+}
+
+/**
+ * Decline button on an auto-assignment DM: pass the request to the next crafter.
+ */
+async function handleAssignDecline(interaction, client, requestId) {
+  const userId = interaction.user.id;
+  const offer = await getOwnOffer(interaction, requestId);
+
+  if (!offer || !await db.resolveAssignmentOffer(offer.id, 'declined')) {
+    return closeOfferMessage(interaction, `⌛ The offer for request **#${requestId}** is no longer available.`);
+  }
+
+  await db.appendAuditLog(requestId, 'auto_assign_declined', userId, { crafter: userId });
+  await closeOfferMessage(interaction, `👍 Declined request **#${requestId}**. It has been passed on.`);
+
+  await offerToNextCrafter(client, requestId);
+}
+
+/**
+ * Routes auto_assign:accept_{id} and auto_assign:decline_{id} buttons.
+ */
+async function handleAutoAssignButton(interaction, client) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+
+  if (interaction.customId.startsWith('auto_assign:accept_')) {
+    await handleAssignAccept(interaction, client, requestId);
+  } else if (interaction.customId.startsWith('auto_assign:decline_')) {
+    await handleAssignDecline(interaction, client, requestId);
+  } else {
+    log.warn(`Unrecognized auto_assign button: ${interaction.customId}`);
+  }
+}
+
+module.exports = {
+  handleAutoAssignButton
+};
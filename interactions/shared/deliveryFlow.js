@@ -0,0 +1,110 @@
+// interactions/shared/deliveryFlow.js
+const { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const db = require('../../utils/database');
+const { notifyCrafter } = require('../../utils/deliveryConfirmation');
+const { buildRatingRows } = require('../../utils/ratings');
+const { describeConflict } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+/**
+ * Load the request behind a confirm/dispute button and check the clicker is its requester.
+ * Replies and returns null when the action can't go ahead.
+ */
+async function getOwnReadyRequest(interaction, requestId) {
+  const request = await db.getRequestById(requestId);
+
+  if (!request) {
+    await interaction.reply({ content: `❌ Request #${requestId} no longer exists.`, flags: 1 << 6 });
+    return null;
+  }
+  if (request.user_id !== interaction.user.id) {
+    await interaction.reply({ content: '❌ Only the requester can confirm or dispute this delivery.', flags: 1 << 6 });
+    return null;
+  }
+  if (request.status !== 'ready') {
+    await interaction.reply({ content: `⚠️ ${describeConflict(requestId, { reason: 'status_changed', status: request.status })}.`, flags: 1 << 6 });
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * "✅ I received it" on the confirmation prompt - finalize the request
+ */
+async function handleDeliveryConfirm(interaction, client) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getOwnReadyRequest(interaction, requestId);
+  if (!request) return;
+
+  const result = await db.confirmRequestDelivery(requestId, interaction.user.id);
+  if (!result.success) {
+    return interaction.reply({ content: `⚠️ ${describeConflict(requestId, result)}.`, flags: 1 << 6 });
+  }
+
+  log.info(`[DELIVERY] ${interaction.user.tag} confirmed delivery of request ${requestId}`);
+  await interaction.update({
+    content: `🎉 Thanks! Request **#${requestId}** for **${request.character}** is confirmed and complete. How did it go?`,
+    components: buildRatingRows([request])
+  });
+
+  await notifyCrafter(client, request,
+    `✅ **${request.character}** confirmed they received request **#${requestId}** (${request.request_name}). It's now complete.`);
+}
+
+/**
+ * "⚠️ Dispute" on the confirmation prompt - ask what went wrong
+ */
+async function handleDeliveryDispute(interaction) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getOwnReadyRequest(interaction, requestId);
+  if (!request) return;
+
+  const modal = new ModalBuilder()
+    .setCustomId(`delivery_dispute_modal_${requestId}`)
+    .setTitle(`Dispute Request #${requestId}`)
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('dispute_reason')
+        .setLabel('What went wrong?')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('e.g. I never got the enchant')
+        .setRequired(true)
+        .setMaxLength(500)
+    ));
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Dispute modal submission - send the request back to the crafter and flag it for officers
+ */
+async function handleDeliveryDisputeModal(interaction, client) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getOwnReadyRequest(interaction, requestId);
+  if (!request) return;
+
+  const reason = interaction.fields.getTextInputValue('dispute_reason').trim();
+  const result = await db.disputeRequestDelivery(requestId, interaction.user.id, reason);
+  if (!result.success) {
+    return interaction.reply({ content: `⚠️ ${describeConflict(requestId, result)}.`, flags: 1 << 6 });
+  }
+
+  log.info(`[DELIVERY] ${interaction.user.tag} disputed delivery of request ${requestId}: ${reason}`);
+  const content = `⚠️ Dispute recorded for request **#${requestId}**. It's back with **${request.claimed_by_name || 'your crafter'}** and the officers have been flagged.\n**Reason:** ${reason}`;
+  if (interaction.isFromMessage()) {
+    await interaction.update({ content, components: [] });
+  } else {
+    await interaction.reply({ content, flags: 1 << 6 });
+  }
+
+  await notifyCrafter(client, request,
+    `⚠️ **${request.character}** disputed delivery of request **#${requestId}** (${request.request_name}):\n> ${reason}\n\n` +
+    `It's back in **My Claimed Requests**. Sort it out with them, then mark it complete again.`);
+}
+
+module.exports = {
+  handleDeliveryConfirm,
+  handleDeliveryDispute,
+  handleDeliveryDisputeModal
+};
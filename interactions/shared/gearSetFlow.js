@@ -0,0 +1,404 @@
+// interactions/shared/gearSetFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { getRecipes, getGearSlots, getRecipe } = require('../../utils/professionLoader');
+const cleanupService = require('../../utils/cleanupService');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const { hasCoreRole } = require('../../utils/permissionChecks');
+const { getGuildMember } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+// A set is several slots; a single piece goes through the normal request flow
+const MIN_SET_SLOTS = 2;
+
+function setHeader(interaction, description) {
+  return new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle('New Gear Set')
+    .setAuthor({ name: interaction.user.username, iconURL: interaction.user.displayAvatarURL() })
+    .setDescription(description + '\n\u200B')
+    .setTimestamp();
+}
+
+function sessionExpired(interaction) {
+  return interaction.update({
+    embeds: [setHeader(interaction, '⚠️ Session expired. Please start over.')],
+    components: []
+  });
+}
+
+/**
+ * Enabled gear slots of a profession that have at least one recipe.
+ */
+function getSetSlots(profession) {
+  const availableSlots = getGearSlots(profession);
+  return config.enabledGearSlots.filter(
+    slot => availableSlots.includes(slot) && getRecipes(profession, slot).length > 0
+  );
+}
+
+/**
+ * Sum of the materials of every recipe chosen for the set.
+ * @param {Object} data - Set session ({ profession, slots: { slot: recipeName } })
+ * @returns {Object} { "Material": total }
+ */
+function combineMaterials(data) {
+  const combined = {};
+  for (const [slot, recipeName] of Object.entries(data.slots)) {
+    const recipe = getRecipe(data.profession, slot, recipeName);
+    if (!recipe) continue;
+    for (const [material, qty] of Object.entries(recipe.materials)) {
+      combined[material] = (combined[material] || 0) + (qty || 0);
+    }
+  }
+  return combined;
+}
+
+/**
+ * The builder: chosen recipes per slot, combined materials, a slot picker and submit buttons.
+ * @param {string|null} notice - Shown above the set, e.g. why a submit was refused
+ */
+async function renderBuilder(interaction, client, key, data, notice = null) {
+  const chosen = Object.entries(data.slots);
+  let description = notice ? `${notice}\n\n` : '';
+  description += `Building a gear set for **${data.character}** (${data.profession}).\n` +
+    `Pick a recipe for each slot you want, then submit them all at once (at least ${MIN_SET_SLOTS} slots).`;
+
+  const embed = setHeader(interaction, description);
+  embed.addFields({
+    name: `🧩 Slots (${chosen.length})`,
+    value: chosen.length > 0
+      ? chosen.map(([slot, recipeName]) => `• **${slot}:** ${recipeName}`).join('\n')
+      : 'None yet',
+    inline: false
+  });
+
+  const materials = Object.entries(combineMaterials(data));
+  if (materials.length > 0) {
+    let matList = materials.map(([material, qty]) => `• ${material} x${qty}`).join('\n');
+    if (matList.length > 1000) matList = matList.substring(0, 997) + '...';
+    embed.addFields({ name: '📦 Combined Materials', value: matList, inline: false });
+  }
+
+  const slotOptions = getSetSlots(data.profession).map(slot => ({
+    label: slot,
+    value: slot,
+    description: (data.slots[slot] ? `✅ ${data.slots[slot]}` : 'Not in the set').slice(0, 100)
+  }));
+  const components = await buildPaginatedSelect(interaction.user.id, {
+    customId: `request_set_slot_${key}`,
+    placeholder: 'Choose a slot to add or change',
+    options: slotOptions
+  });
+
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId(`request_set_submit_full_${key}`)
+      .setLabel('📦 Submit (Provide Materials)')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(chosen.length < MIN_SET_SLOTS)
+  ];
+  if (hasCoreRole(await getGuildMember(interaction, client))) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`request_set_submit_none_${key}`)
+        .setLabel('🛡️ Submit as Guild Craft')
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(chosen.length < MIN_SET_SLOTS)
+    );
+  }
+  buttons.push(
+    new ButtonBuilder()
+      .setCustomId(`request_set_clear_${key}`)
+      .setLabel('🗑️ Clear')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(chosen.length === 0)
+  );
+  components.push(new ActionRowBuilder().addComponents(buttons));
+
+  return interaction.update({ embeds: [embed], components });
+}
+
+/**
+ * A slot's recipes, with a remove option when the slot is already in the set.
+ * The listed names are kept in the session so a pick is resolved by name, not position.
+ */
+async function renderRecipeSelect(interaction, key, data, slot) {
+  const recipes = getRecipes(data.profession, slot);
+  data.recipeMenu = { slot, names: recipes.map(recipe => recipe.name) };
+  await db.storeTempSession(key, interaction.user.id, data);
+
+  const options = recipes.map((recipe, index) => ({
+    label: recipe.name.slice(0, 100),
+    value: `pick::${slot}::${index}`,
+    ...(data.slots[slot] === recipe.name ? { description: '✅ In the set' } : {})
+  }));
+  if (data.slots[slot]) {
+    options.unshift({ label: `❌ Remove ${slot} from the set`.slice(0, 100), value: `remove::${slot}` });
+  }
+
+  const rows = await buildPaginatedSelect(interaction.user.id, {
+    customId: `request_set_recipe_${key}`,
+    placeholder: 'Choose an option',
+    options
+  });
+
+  return interaction.update({
+    embeds: [setHeader(interaction, `✨ Choose a recipe for **${slot}** on **${data.character}**:`)],
+    components: [
+      ...rows,
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`request_set_back_${key}`)
+          .setLabel('🔙 Back to Set')
+          .setStyle(ButtonStyle.Secondary)
+      )
+    ]
+  });
+}
+
+/**
+ * "🧩 Build a Gear Set" on the first request prompt: choose the character
+ */
+async function showGearSetBuilder(interaction) {
+  const chars = await db.getCharactersByUser(interaction.user.id);
+  if (!chars.length) {
+    return interaction.reply({ content: '❌ You have no registered characters.', flags: 1 << 6 });
+  }
+
+  const rows = await buildPaginatedSelect(interaction.user.id, {
+    customId: 'request_set_character',
+    placeholder: 'Choose a character',
+    options: chars.map(c => ({ label: `${c.name} (${c.type})`, value: c.name }))
+  });
+  return interaction.update({
+    embeds: [setHeader(interaction, 'Who is this gear set for?')],
+    components: rows
+  });
+}
+
+/**
+ * Gear set builder dropdowns: character, profession, slot and recipe
+ */
+async function handleGearSetDropdowns(interaction, client) {
+  const id = interaction.customId;
+  const value = interaction.values[0];
+  const userId = interaction.user.id;
+
+  if (id === 'request_set_character') {
+    const row = new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('request_set_profession')
+        .setPlaceholder('Choose a profession')
+        .addOptions(config.enabledProfessions.slice(0, 25).map(p => ({
+          label: p[0].toUpperCase() + p.slice(1),
+          value: `${value}::${p}`
+        })))
+    );
+    return interaction.update({
+      embeds: [setHeader(interaction, `What profession is this gear set for, **${value}**?`)],
+      components: [row]
+    });
+  }
+
+  if (id === 'request_set_profession') {
+    const [character, profession] = value.split('::');
+    if (getSetSlots(profession).length < MIN_SET_SLOTS) {
+      return interaction.update({
+        embeds: [setHeader(interaction, `⚠️ **${profession}** doesn't have enough gear slots configured for a set.`)],
+        components: []
+      });
+    }
+
+    const key = `set_${userId}_${Date.now()}`;
+    const data = { character, profession, slots: {} };
+    await db.storeTempSession(key, userId, data);
+    return renderBuilder(interaction, client, key, data);
+  }
+
+  if (id.startsWith('request_set_slot_')) {
+    const key = id.slice('request_set_slot_'.length);
+    const data = await db.getTempSession(key);
+    if (!data) return sessionExpired(interaction);
+    return renderRecipeSelect(interaction, key, data, value);
+  }
+
+  if (id.startsWith('request_set_recipe_')) {
+    const key = id.slice('request_set_recipe_'.length);
+    const data = await db.getTempSession(key);
+    if (!data) return sessionExpired(interaction);
+
+    const [action, slot, arg] = value.split('::');
+    if (action === 'remove') {
+      delete data.slots[slot];
+    } else {
+      const recipeName = data.recipeMenu?.slot === slot ? data.recipeMenu.names[parseInt(arg, 10)] : null;
+      const recipe = recipeName ? getRecipe(data.profession, slot, recipeName) : null;
+      if (!recipe) {
+        return interaction.reply({
+          content: `❌ ${recipeName ? `**${recipeName}** is` : 'That recipe is'} no longer available. Please choose again.`,
+          flags: 1 << 6
+        });
+      }
+      data.slots[slot] = recipe.name;
+    }
+    await db.storeTempSession(key, userId, data);
+    return renderBuilder(interaction, client, key, data);
+  }
+
+  log.warn(`[GEAR_SET] Unrecognized dropdown: ${id}`);
+}
+
+/**
+ * Submit every slot of the set as requests linked by one request_sets row.
+ * @param {string} provision - 'full' (requester provides everything) or 'none' (guild craft)
+ */
+async function submitGearSet(interaction, client, key, provision) {
+  const userId = interaction.user.id;
+  const data = await db.getTempSession(key);
+  if (!data) return sessionExpired(interaction);
+
+  const chosen = Object.entries(data.slots);
+  if (chosen.length < MIN_SET_SLOTS) {
+    return renderBuilder(interaction, client, key, data, `⚠️ Pick at least ${MIN_SET_SLOTS} slots, or use Create New Request for a single piece.`);
+  }
+
+  const pieces = [];
+  for (const [slot, recipeName] of chosen) {
+    const recipe = config.enabledProfessions.includes(data.profession) && config.enabledGearSlots.includes(slot)
+      ? getRecipe(data.profession, slot, recipeName)
+      : null;
+    if (!recipe) {
+      delete data.slots[slot];
+      await db.storeTempSession(key, userId, data);
+      return renderBuilder(interaction, client, key, data, `⚠️ **${recipeName}** is no longer available for ${slot} and was removed from the set.`);
+    }
+    pieces.push({ slot, recipe });
+  }
+
+  const chars = await db.getCharactersByUser(userId);
+  if (!chars.some(c => c.name === data.character)) {
+    return interaction.update({
+      embeds: [setHeader(interaction, `❌ **${data.character}** is no longer one of your registered characters.`)],
+      components: []
+    });
+  }
+
+  if (provision === 'none' && !hasCoreRole(await getGuildMember(interaction, client))) {
+    return renderBuilder(interaction, client, key, data, '⚠️ Guild crafts need the Core role. Submit the set providing the materials instead.');
+  }
+
+  // Drop the session first so a double click can't submit the set twice
+  await db.deleteTempSession(key);
+
+  const { submitRequest } = require('./requestFlow');
+  const setId = await db.createRequestSet(userId, data.character, data.profession);
+  const created = [];
+  try {
+    for (const { slot, recipe } of pieces) {
+      const provided = {};
+      if (provision === 'full') {
+        for (const [material, qty] of Object.entries(recipe.materials)) provided[material] = qty || 0;
+      }
+      const result = await submitRequest(client, userId, {
+        character: data.character,
+        profession: data.profession,
+        gearSlot: slot,
+        requestId: recipe.name,
+        requestName: recipe.name,
+        materials: recipe.materials,
+        quantity: 1,
+        setId
+      }, provided);
+      created.push({ id: result.lastID, slot, name: recipe.name });
+    }
+  } catch (err) {
+    // Pieces already created stay in the set; tell the user which ones made it
+    log.error(`[GEAR_SET] Gear set ${setId} for ${data.character} stopped after ${created.length}/${pieces.length} pieces:`, err);
+    const missing = pieces.filter(piece => !created.some(req => req.slot === piece.slot));
+    const embed = setHeader(interaction, `❌ Only **${created.length} of ${pieces.length}** pieces of the set were requested. ` +
+      'Request the missing pieces on their own.');
+    embed.addFields(
+      { name: 'Set', value: `🧩 #${setId}`, inline: true },
+      { name: 'Requested', value: created.map(req => `• **#${req.id}** ${req.slot}: ${req.name}`).join('\n') || 'None', inline: false },
+      { name: 'Missing', value: missing.map(piece => `• ${piece.slot}: ${piece.recipe.name}`).join('\n'), inline: false }
+    );
+    await interaction.update({ embeds: [embed], components: [] });
+    cleanupService.clearUserActivity(userId);
+    return;
+  }
+  log.info(`[GEAR_SET] ${interaction.user.tag} submitted gear set ${setId} (${created.length} requests) for ${data.character}`);
+
+  const materials = Object.entries(combineMaterials(data));
+  let matList = materials.map(([material, qty]) => `${material} x${qty}`).join('\n') || 'None';
+  if (matList.length > 1000) matList = matList.substring(0, 997) + '...';
+
+  const embed = setHeader(interaction, `✅ Requested a **${created.length}-piece** gear set for **${data.character}**. ` +
+    'Crafters can claim the whole set at once, and My Requests shows its combined progress.');
+  embed.addFields(
+    { name: 'Set', value: `🧩 #${setId}`, inline: true },
+    { name: 'Profession', value: data.profession, inline: true },
+    { name: 'Materials', value: provision === 'full' ? '📦 You\'re providing' : '🛡️ Guild craft', inline: true },
+    { name: 'Requests', value: created.map(req => `• **#${req.id}** ${req.slot}: ${req.name}`).join('\n'), inline: false },
+    { name: provision === 'full' ? '✅ You\'re Providing' : '❌ Still Needed', value: matList, inline: false }
+  );
+  embed.setFooter({ text: '\u200B' });
+
+  await interaction.update({ embeds: [embed], components: [] });
+
+  // ** CLEAR: Flow complete, clear user activity tracking **
+  cleanupService.clearUserActivity(userId);
+
+  const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.COMPLETION);
+  if (config.requestMode === 'channel') {
+    cleanupService.scheduleChannelDeletion(interaction.channel, timeout);
+  } else if (config.requestMode === 'dm') {
+    cleanupService.scheduleDMCleanup(
+      interaction.channel,
+      client,
+      timeout,
+      userId,
+      'completion',
+      cleanupService.MessageType.COMPLETION
+    );
+  }
+}
+
+/**
+ * Gear set builder buttons: start, back, clear and submit
+ */
+async function handleGearSetButton(interaction, client) {
+  const id = interaction.customId;
+
+  if (id === 'request_set_start') {
+    return showGearSetBuilder(interaction);
+  }
+
+  for (const provision of ['full', 'none']) {
+    const prefix = `request_set_submit_${provision}_`;
+    if (id.startsWith(prefix)) {
+      return submitGearSet(interaction, client, id.slice(prefix.length), provision);
+    }
+  }
+
+  const clear = id.startsWith('request_set_clear_');
+  if (clear || id.startsWith('request_set_back_')) {
+    const key = id.slice(clear ? 'request_set_clear_'.length : 'request_set_back_'.length);
+    const data = await db.getTempSession(key);
+    if (!data) return sessionExpired(interaction);
+    if (clear) {
+      data.slots = {};
+      await db.storeTempSession(key, interaction.user.id, data);
+    }
+    return renderBuilder(interaction, client, key, data);
+  }
+
+  log.warn(`[GEAR_SET] Unrecognized button: ${id}`);
+}
+
+module.exports = {
+  showGearSetBuilder,
+  handleGearSetDropdowns,
+  handleGearSetButton
+};
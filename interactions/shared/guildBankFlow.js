@@ -0,0 +1,217 @@
+// interactions/shared/guildBankFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const { MAX_REASON_LENGTH, LEDGER_TYPES, getShortfall, formatBankStock } = require('../../utils/guildBank');
+const log = require('../../utils/logWriter');
+
+const MAX_TRANSACTION_QUANTITY = 100000;
+const HISTORY_LIMIT = 20;
+
+/**
+ * Guild bank overview: stock per material against what claimed guild crafts have reserved
+ * @param {string|null} notice - Result of the last deposit/withdrawal, shown above the list
+ */
+async function showGuildBank(interaction, client, notice = null) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and admin menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const inventory = await db.getGuildBankInventory();
+
+  let content = notice ? `${notice}\n\n` : '';
+  content += '🏦 **Guild Bank**\n\n';
+
+  if (inventory.length === 0) {
+    content += '*The guild bank is empty and no guild crafts need materials.*\n';
+  } else {
+    const shortCount = inventory.filter(row => getShortfall(row) > 0).length;
+    content += shortCount > 0
+      ? `⚠️ **${shortCount}** material(s) short for claimed guild crafts:\n\n`
+      : '✅ Stock covers every claimed guild craft:\n\n';
+
+    let shown = 0;
+    for (const row of inventory) {
+      let line = `${getShortfall(row) > 0 ? '🔴' : '🟢'} **${row.material_name}** - ${formatBankStock(row)}`;
+      if (row.unclaimed > 0) line += ` (+${row.unclaimed} for unclaimed)`;
+      line += '\n';
+
+      // Stay inside Discord's 2000 character limit
+      if (content.length + line.length > 1850) break;
+      content += line;
+      shown++;
+    }
+    if (shown < inventory.length) {
+      content += `_...and ${inventory.length - shown} more_\n`;
+    }
+  }
+
+  const components = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:admin_bank_deposit')
+        .setLabel('Deposit')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('📥'),
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:admin_bank_withdraw')
+        .setLabel('Withdraw')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('📤'),
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:admin_bank_history')
+        .setLabel('History')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('📜'),
+      new ButtonBuilder()
+        .setCustomId('manage_crafts:back_to_admin_menu')
+        .setLabel('Back to Admin Menu')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🔙')
+    )
+  ];
+
+  const msg = await channel.send({ content, components });
+
+  // Track at Level 3 (guild bank)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * "Guild Bank" button on the admin menu
+ */
+async function handleGuildBank(interaction, client) {
+  await showGuildBank(interaction, client);
+}
+
+/**
+ * Deposit / Withdraw buttons - ask for the material, quantity and reason
+ */
+async function handleBankTransactionButton(interaction) {
+  const isDeposit = interaction.customId === 'manage_crafts:admin_bank_deposit';
+
+  const modal = new ModalBuilder()
+    .setCustomId(`manage_crafts:admin_bank_modal_${isDeposit ? 'deposit' : 'withdrawal'}`)
+    .setTitle(isDeposit ? 'Deposit to Guild Bank' : 'Withdraw from Guild Bank')
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('material_name')
+          .setLabel('Material')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder('e.g. Large Brilliant Shard')
+          .setRequired(true)
+          .setMaxLength(100)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('quantity')
+          .setLabel('Quantity')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder('20')
+          .setRequired(true)
+          .setMaxLength(6)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason')
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder(isDeposit ? 'e.g. Farmed during Tuesday raid' : 'e.g. Sold to fund consumables')
+          .setRequired(true)
+          .setMaxLength(MAX_REASON_LENGTH)
+      )
+    );
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Deposit / Withdraw modal submission - record it and refresh the overview
+ */
+async function handleBankTransactionModal(interaction, client) {
+  const type = interaction.customId.replace('manage_crafts:admin_bank_modal_', '');
+  const materialName = interaction.fields.getTextInputValue('material_name').trim();
+  const quantityText = interaction.fields.getTextInputValue('quantity').trim();
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+
+  const quantity = /^\d+$/.test(quantityText) ? parseInt(quantityText, 10) : 0;
+  if (quantity < 1 || quantity > MAX_TRANSACTION_QUANTITY) {
+    return interaction.reply({ content: `❌ Enter a quantity from 1 to ${MAX_TRANSACTION_QUANTITY}.`, flags: 1 << 6 });
+  }
+  if (!materialName || !reason) {
+    return interaction.reply({ content: '❌ Enter a material and a reason.', flags: 1 << 6 });
+  }
+
+  const result = await db.recordGuildBankTransaction(materialName, type === 'deposit' ? quantity : -quantity, {
+    type,
+    reason,
+    actorId: interaction.user.id,
+    actorName: interaction.member?.displayName || interaction.user.username
+  });
+
+  if (!result.success) {
+    return interaction.reply({
+      content: `❌ The guild bank only holds **${result.balance}** x **${result.materialName}**.`,
+      flags: 1 << 6
+    });
+  }
+
+  log.info(`[GUILD_BANK] ${interaction.user.tag} recorded ${type} of ${quantity} x ${result.materialName}: ${reason}`);
+  const notice = type === 'deposit'
+    ? `📥 Deposited **${quantity}** x **${result.materialName}** (now ${result.balance}).`
+    : `📤 Withdrew **${quantity}** x **${result.materialName}** (now ${result.balance}).`;
+  await showGuildBank(interaction, client, notice);
+}
+
+/**
+ * History button - most recent ledger entries
+ */
+async function handleBankHistory(interaction, client) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 4+ (keep header, admin menu and guild bank)
+  await cleanupService.cleanupFromLevel(userId, client, 4);
+
+  const entries = await db.getGuildBankLedger(HISTORY_LIMIT);
+
+  let content = `📜 **Guild Bank History** (last ${HISTORY_LIMIT})\n\n`;
+  if (entries.length === 0) {
+    content += '*No deposits or withdrawals recorded yet.*\n';
+  } else {
+    for (const entry of entries) {
+      const type = LEDGER_TYPES[entry.type] || { emoji: '•', label: entry.type };
+      const date = new Date(entry.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      const line = `${type.emoji} ${date} **${entry.change > 0 ? '+' : ''}${entry.change} ${entry.material_name}** ` +
+        `(now ${entry.balance}) - ${entry.actor_name || `<@${entry.actor_id}>`}: ${entry.reason || type.label}\n`;
+
+      // Stay inside Discord's 2000 character limit
+      if (content.length + line.length > 1900) break;
+      content += line;
+    }
+  }
+
+  const msg = await channel.send({ content });
+
+  // Track at Level 4 (ledger display)
+  cleanupService.trackMenuMessage(userId, 4, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+
+  await interaction.deferUpdate();
+}
+
+module.exports = {
+  handleGuildBank,
+  handleBankTransactionButton,
+  handleBankTransactionModal,
+  handleBankHistory
+};
@@ -10,6 +10,14 @@ const { ensureDMMenu } = require('../../utils/dmMenu');
 const { ChannelType } = require('discord.js');
 const log = require('../../utils/logWriter');
 const professionLoader = require('../../utils/professionLoader');
+const { compareRequestsByPriority } = require('../../utils/requestPriority');
+const { getPriorityBadge, getRecipeRemovedBadge } = require('../../utils/requestFormatter');
+const { notifyRequester } = require('../../utils/notifications');
+const { formatStars, formatRatingSummary, buildRatingRows } = require('../../utils/ratings');
+const { getShortfall, indexInventory, formatBankStock } = require('../../utils/guildBank');
+const { buildHandoffSelect } = require('./materialHandoffFlow');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const { computeCrafterStats, getPeriodLabel, formatStatsLine, buildStatsPeriodRow } = require('../../utils/crafterStats');
 
 /**
  * Helper to get guild member from interaction (works in both DM and guild contexts)
@@ -73,18 +81,43 @@ function getMaterialIndicator(request) {
 }
 
 /**
- * Helper to send notifications to requesters when status changes
+ * Helper to explain why a claim/release/complete did not apply
+ * @param {number} requestId
+ * @param {Object} result - Conflict result returned by the database layer
+ * @returns {string} One-line, user-facing explanation
  */
-async function notifyRequester(client, requesterId, message) {
-  if (!config.notificationSettings.enabled) return;
-  
-  try {
-    const user = await client.users.fetch(requesterId);
-    await user.send(message);
-    log.info(`[MANAGE_CRAFTS] Notification sent to user ${requesterId}`);
-  } catch (err) {
-    log.error(`[MANAGE_CRAFTS] Failed to send notification to user ${requesterId}:`, err);
+function describeConflict(requestId, result) {
+  if (result.reason === 'already_claimed') {
+    return `**#${requestId}** is already claimed by **${result.claimedByName || 'another crafter'}**`;
+  }
+  if (result.reason === 'not_found') {
+    return `**#${requestId}** no longer exists`;
   }
+  const statusLabel = result.status === 'denied' ? 'cancelled' : result.status;
+  return `**#${requestId}** is no longer available (status: ${statusLabel})`;
+}
+
+/**
+ * Claims a request for a crafter and notifies the requester.
+ * Shared by the claim dropdown and the Claim button on request announcements.
+ * @param {Client} client - Discord client
+ * @param {number} requestId
+ * @param {string} userId - Crafter claiming the request
+ * @param {string} userName - Crafter display name stored on the request
+ * @returns {Promise<Object>} db.claimRequest result, plus the updated `request` on success
+ */
+async function claimForCrafter(client, requestId, userId, userName) {
+  // Claim the request (automatically sets to in_progress) - rejected if someone else got there first
+  const result = await db.claimRequest(requestId, userId, userName);
+  if (!result.success) return result;
+
+  const request = await db.getRequestById(requestId);
+  const notifMessage = `✅ Your request **#${requestId}** for **${request.character}** has been claimed by **${userName}**!\n\n` +
+    `**Profession:** ${request.profession}\n` +
+    `**Request:** ${request.request_name} to ${request.gear_slot}`;
+  await notifyRequester(client, request.user_id, 'claim', notifMessage);
+
+  return { ...result, request };
 }
 
 /**
@@ -217,7 +250,7 @@ async function showCrafterMenu(interaction, client, channel, professionRoles, al
   content += `✋ **Unassigned ${professionName} Requests:** ${unassignedCount}\n\n`;
   content += '─────────────────────────\n\n';
 
-  // Row 1: My Claimed Requests, Material Lists (informational actions)
+  // Row 1: My Claimed Requests, Material Lists, My Recipes, Digest (informational actions)
   const row1 = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId('manage_crafts:view_my_work')
@@ -228,16 +261,36 @@ async function showCrafterMenu(interaction, client, channel, professionRoles, al
       .setCustomId('manage_crafts:material_lists')
       .setLabel('Material Lists')
       .setStyle(ButtonStyle.Primary)
-      .setEmoji('📦')
+      .setEmoji('📦'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:my_recipes')
+      .setLabel('My Recipes')
+      .setStyle(ButtonStyle.Primary)
+      .setEmoji('📖')
   );
 
-  // Row 2: Unclaimed Requests (standalone action)
+  // Personal digest opt-in, only when a personal digest schedule is configured
+  if (config.digests?.personalSchedule) {
+    row1.addComponents(buildDigestButton(await db.isDigestSubscriber(userId)));
+  }
+
+  // Row 2: Unclaimed Requests, My Ratings, My Stats
   const row2 = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId('manage_crafts:claim_request')
       .setLabel('Unclaimed Requests')
       .setStyle(ButtonStyle.Secondary)
-      .setEmoji('✋')
+      .setEmoji('✋'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:my_ratings')
+      .setLabel('My Ratings')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('⭐'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:my_stats')
+      .setLabel('My Stats')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('📈')
   );
 
   // Row 3: Complete Requests, Release Request (completion actions)
@@ -369,6 +422,22 @@ async function showAdminMenu(interaction, client, channel, alreadyDeferred = fal
   content += '**Search Tools:**\n';
   content += '• Request Lookup - Find specific request by ID\n';
   content += '• Audit Log Search - All requests (newest first) with character search\n\n';
+
+  const disputed = await db.getDisputedRequests();
+  if (disputed.length > 0) {
+    content += `⚠️ **${disputed.length} disputed deliver${disputed.length === 1 ? 'y needs' : 'ies need'} attention** - see Disputes\n\n`;
+  }
+
+  const shortMaterials = (await db.getGuildBankInventory()).filter(row => getShortfall(row) > 0);
+  if (shortMaterials.length > 0) {
+    content += `🏦 **${shortMaterials.length} material(s) short** for claimed guild crafts - see Guild Bank\n\n`;
+  }
+
+  const removedRecipes = await db.getRequestsWithRemovedRecipes();
+  if (removedRecipes.length > 0) {
+    content += `♻️ **${removedRecipes.length} pending request(s) use recipes removed from the profession files** - see Request Lookup\n\n`;
+  }
+
   content += '**Material Icons:** 🛡️ Guild Craft (Core Full) | 🔷 Guild Craft (Core Partial) | 📦 User Materials\n';
 
   const buttons = [
@@ -387,6 +456,11 @@ async function showAdminMenu(interaction, client, channel, alreadyDeferred = fal
       .setLabel('View by Crafter')
       .setStyle(ButtonStyle.Primary)
       .setEmoji('👤'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:admin_leaderboard')
+      .setLabel('Leaderboard')
+      .setStyle(ButtonStyle.Primary)
+      .setEmoji('🏆'),
     new ButtonBuilder()
       .setCustomId('manage_crafts:admin_lookup')
       .setLabel('Request Lookup')
@@ -396,12 +470,27 @@ async function showAdminMenu(interaction, client, channel, alreadyDeferred = fal
       .setCustomId('manage_crafts:admin_audit')
       .setLabel('Audit Log Search')
       .setStyle(ButtonStyle.Secondary)
-      .setEmoji('📜')
+      .setEmoji('📜'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:admin_disputes')
+      .setLabel(disputed.length > 0 ? `Disputes (${disputed.length})` : 'Disputes')
+      .setStyle(disputed.length > 0 ? ButtonStyle.Danger : ButtonStyle.Secondary)
+      .setEmoji('⚠️'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:admin_guild_bank')
+      .setLabel('Guild Bank')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🏦'),
+    new ButtonBuilder()
+      .setCustomId('manage_crafts:admin_reload_professions')
+      .setLabel('Reload Professions')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('♻️')
   ];
 
   const rows = [
-    new ActionRowBuilder().addComponents(buttons.slice(0, 3)),
-    new ActionRowBuilder().addComponents(buttons.slice(3, 5))
+    new ActionRowBuilder().addComponents(buttons.slice(0, 4)),
+    new ActionRowBuilder().addComponents(buttons.slice(4, 9))
   ];
   
   // Add "Switch to Crafter Menu" button if admin has profession roles
@@ -481,7 +570,9 @@ async function handleViewMyWork(interaction, client) {
         const qtySuffix = qtyRequested > 1 ? ` x${qtyRequested}` : '';
         const requestLabel = `${req.request_name}${qtySuffix}`;
         const statusLabel = req.status === 'in_progress' ? 'In Progress' : req.status === 'claimed' ? 'Claimed' : req.status;
-        content += `**${taskNumber}.** ${materialIndicator ? materialIndicator + ' ' : ''}For: **${req.character}** | ${requestLabel} | Status: **${statusLabel}**\n`;
+        const priorityBadge = getPriorityBadge(req);
+        const disputeBadge = req.disputed_at ? ' | ⚠️ Delivery disputed' : '';
+        content += `**${taskNumber}.** ${materialIndicator ? materialIndicator + ' ' : ''}For: **${req.character}** | ${requestLabel} | Status: **${statusLabel}**${priorityBadge ? ` | ${priorityBadge}` : ''}${disputeBadge}\n`;
       }
     }
     
@@ -526,7 +617,8 @@ async function handleViewMyWork(interaction, client) {
     }
   }
 
-  const msg = await channel.send({ content });
+  const handoffRows = await buildHandoffSelect(userId, activeWork);
+  const msg = await channel.send({ content, components: handoffRows });
   
   // Track at Level 3 (submenu display)
   cleanupService.trackMenuMessage(userId, 3, msg.id);
@@ -547,6 +639,108 @@ async function handleViewMyWork(interaction, client) {
   await interaction.deferUpdate();
 }
 
+/**
+ * My Ratings - Shows the crafter's average rating, breakdown and recent feedback
+ */
+async function handleMyRatings(interaction, client) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and profession menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const summary = await db.getCrafterRatingSummary(userId);
+
+  let content = '⭐ **My Ratings**\n\n';
+  if (!summary.rating_count) {
+    content += 'No ratings yet. Requesters can rate a request once it is complete.\n';
+  } else {
+    content += `**Average:** ${formatRatingSummary(summary)}\n`;
+    const breakdown = [['5', summary.five], ['4', summary.four], ['3', summary.three], ['2', summary.two], ['1', summary.one]];
+    content += breakdown.map(([stars, count]) => `${stars}★ ${count}`).join(' | ') + '\n\n';
+
+    content += '**Recent Feedback:**\n';
+    for (const rating of await db.getRecentCrafterRatings(userId, 5)) {
+      content += `${formatStars(rating.rating)} **#${rating.request_id}** ${rating.character} - ${rating.request_name}`;
+      content += rating.comment ? `\n> ${rating.comment}\n` : '\n';
+    }
+  }
+
+  const msg = await channel.send({ content });
+
+  // Track at Level 3 (submenu display)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * My Stats - Shows the crafter's own statistics for a period, overall and per profession
+ */
+async function handleMyStats(interaction, client, period = 'month') {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and profession menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const stats = await computeCrafterStats(period);
+  const rank = stats.crafters.findIndex(crafter => crafter.crafterId === userId);
+  const mine = stats.crafters[rank];
+
+  let content = `📈 **My Stats - ${getPeriodLabel(period)}**\n\n`;
+  if (!mine) {
+    content += '*No crafting activity in this period.*\n';
+  } else {
+    content += `**Overall:** ${formatStatsLine(mine)}\n`;
+    if (mine.completed > 0) {
+      content += `**Rank:** #${rank + 1} of ${stats.crafters.length} crafter(s)\n`;
+    }
+
+    content += '\n**By Profession:**\n';
+    for (const prof of mine.professions) {
+      const professionName = prof.profession.charAt(0).toUpperCase() + prof.profession.slice(1);
+      content += `**${professionName}** - ${formatStatsLine(prof)}\n`;
+    }
+  }
+
+  const msg = await channel.send({
+    content,
+    components: [buildStatsPeriodRow('manage_crafts:my_stats_', period)]
+  });
+
+  // Track at Level 3 (submenu display)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
 /**
  * Claim Request - Shows dropdown of available requests
  */
@@ -584,10 +778,33 @@ async function handleClaimRequest(interaction, client) {
       const requests = await db.getOpenRequestsByProfession(profession);
       allOpenRequests = allOpenRequests.concat(requests);
     }
+    // Merge per-profession lists back into a single most-urgent-first queue
+    allOpenRequests.sort(compareRequestsByPriority);
+  }
+
+  // Recipe knowledge: only professions the crafter has registered recipes for are checked
+  const claimMode = config.recipeKnowledge?.claimMode || 'flag';
+  const knownByProfession = {};
+  for (const profession of new Set(allOpenRequests.map(req => req.profession))) {
+    knownByProfession[profession] = await db.getKnownRecipeNamesForUser(userId, profession);
+  }
+  // Recipes removed from the profession files can't be registered any more, so they never count as unknown
+  const isUnknownRecipe = req => {
+    const known = knownByProfession[req.profession];
+    return known.size > 0 && !known.has(req.request_id) && !req.recipe_removed_at;
+  };
+
+  let hiddenUnknown = 0;
+  if (claimMode === 'filter') {
+    const before = allOpenRequests.length;
+    allOpenRequests = allOpenRequests.filter(req => !isUnknownRecipe(req));
+    hiddenUnknown = before - allOpenRequests.length;
   }
 
   if (allOpenRequests.length === 0) {
-    const content = '❌ No open requests available for your professions.';
+    const content = hiddenUnknown > 0
+      ? `❌ No open requests match the recipes you've registered (${hiddenUnknown} hidden). Update them from **My Recipes**.`
+      : '❌ No open requests available for your professions.';
     const msg = await channel.send({ content });
     
     // Track at Level 3 (empty message)
@@ -609,38 +826,76 @@ async function handleClaimRequest(interaction, client) {
     return interaction.deferUpdate();
   }
 
-  // Build multi-select dropdown with up to 25 requests
-  const options = allOpenRequests.slice(0, 25).map((req, index) => {
+  // Gear sets with two or more open requests can be claimed together
+  const openBySet = new Map();
+  for (const req of allOpenRequests) {
+    if (!req.set_id) continue;
+    if (!openBySet.has(req.set_id)) openBySet.set(req.set_id, []);
+    openBySet.get(req.set_id).push(req);
+  }
+  const setOptions = [...openBySet.entries()]
+    .filter(([, reqs]) => reqs.length >= 2)
+    .map(([setId, reqs]) => {
+      const professionCap = reqs[0].profession.charAt(0).toUpperCase() + reqs[0].profession.slice(1);
+      return {
+        label: `🧩 Gear set #${setId} | ${reqs[0].character} (${reqs.length} pieces)`.slice(0, 100),
+        value: `claim_set_${setId}`,
+        description: `${professionCap} - ${reqs.map(req => req.gear_slot).join(', ')}`.slice(0, 100),
+        emoji: '🧩'
+      };
+    });
+
+  // Build multi-select dropdown of every open request (set options first), paginated past 25
+  const requestOptions = allOpenRequests.map((req, index) => {
     const materialIndicator = getMaterialIndicator(req);
     const qtyRequested = parseInt(req.quantity_requested || req.quantity || 1, 10) || 1;
     const qtySuffix = qtyRequested > 1 ? ` x${qtyRequested}` : '';
     const label = `${index + 1}. ${req.character} | ${req.request_name}${qtySuffix}`;
     const professionCap = req.profession.charAt(0).toUpperCase() + req.profession.slice(1);
     const qtyDesc = qtyRequested > 1 ? ` | Qty: ${qtyRequested}` : '';
+    const priorityBadge = getPriorityBadge(req);
+    const priorityDesc = priorityBadge ? ` | ${priorityBadge}` : '';
+    const unknownPrefix = req.recipe_removed_at
+      ? `${getRecipeRemovedBadge(req)} | `
+      : isUnknownRecipe(req) ? '❔ Not in your recipes | ' : '';
+    const setDesc = req.set_id ? ` | 🧩 Set #${req.set_id}` : '';
     const description = materialIndicator 
-      ? `${professionCap} - ${req.gear_slot} ${materialIndicator === '🛡️' ? '[Guild Craft]' : '[User Materials]'}${qtyDesc}`
-      : `${professionCap} - ${req.gear_slot}${qtyDesc}`;
+      ? `${unknownPrefix}${professionCap} - ${req.gear_slot} ${materialIndicator === '🛡️' ? '[Guild Craft]' : '[User Materials]'}${qtyDesc}${priorityDesc}${setDesc}`
+      : `${unknownPrefix}${professionCap} - ${req.gear_slot}${qtyDesc}${priorityDesc}${setDesc}`;
     
     return {
-      label,
+      label: label.slice(0, 100),
       value: `claim_${req.id}`,
-      description,
+      description: description.slice(0, 100),
       emoji: materialIndicator || '📋'
     };
   });
+  const options = [...setOptions, ...requestOptions];
+
+  const claimRows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:claim_dropdown',
+    placeholder: 'Select requests to claim (can select multiple)',
+    options,
+    minValues: 1,
+    maxValues: 25
+  });
 
-  const dropdown = new StringSelectMenuBuilder()
-    .setCustomId('manage_crafts:claim_dropdown')
-    .setPlaceholder('Select requests to claim (can select multiple)')
-    .setMinValues(1)
-    .setMaxValues(Math.min(options.length, 25))
-    .addOptions(options);
-
-  const row1 = new ActionRowBuilder().addComponents(dropdown);
+  let recipeNote = '';
+  if (setOptions.length > 0) {
+    recipeNote += `**Gear Sets:** 🧩 Claims every open piece of the set at once\n`;
+  }
+  if (allOpenRequests.some(req => req.recipe_removed_at)) {
+    recipeNote += `**Removed Recipes:** ⚠️ No longer in the profession files; materials are from when the request was made\n`;
+  }
+  if (hiddenUnknown > 0) {
+    recipeNote += `**Recipes:** ${hiddenUnknown} request(s) for recipes you haven't registered are hidden\n`;
+  } else if (allOpenRequests.some(isUnknownRecipe)) {
+    recipeNote += `**Recipes:** ❔ Not in your registered recipes (update them from **My Recipes**)\n`;
+  }
 
   const msg = await channel.send({
-    content: `📋 **Claim Requests**\n\n**How to use:**\n• Click the dropdown menu below\n• Select one or more requests (click multiple items to select)\n• Press **Enter** or click outside to submit your selection\n\n**Icons:** 🛡️ Guild Craft (Core Full) | 🔷 Guild Craft (Core Partial) | 📦 User Materials\n\nYou can claim multiple requests at once:`,
-    components: [row1]
+    content: `📋 **Claim Requests**\n\n**How to use:**\n• Click the dropdown menu below\n• Select one or more requests (click multiple items to select)\n• Press **Enter** or click outside to submit your selection\n\n**Icons:** 🛡️ Guild Craft (Core Full) | 🔷 Guild Craft (Core Partial) | 📦 User Materials\n**Priority:** 🔥 Raid-Critical | 🔸 High | ⏰ Due soon | ⚠️ Overdue\n${recipeNote}\nYou can claim multiple requests at once:`,
+    components: claimRows
   });
 
   // Track at Level 3 (submenu dropdown)
@@ -667,39 +922,52 @@ async function handleClaimRequest(interaction, client) {
  */
 async function handleClaimDropdown(interaction, client) {
   const selectedValues = interaction.values; // Array of selected values
-  const requestIds = selectedValues.map(val => parseInt(val.replace('claim_', '')));
   const userId = interaction.user.id;
+
+  // Defer immediately to prevent timeout; the member fetch and set expansion below can be slow
+  await interaction.deferUpdate();
+
   // Prefer guild nickname/display name over global username for notifications and storage
   const member = await getGuildMember(interaction, client);
+
+  // Gear set options expand to the set's open requests in the crafter's professions
+  const professionRoles = getUserProfessionRoles(member);
+  const requestIds = [];
+  for (const val of selectedValues) {
+    if (val.startsWith('claim_set_')) {
+      const setRequests = (await db.getRequestsBySet(parseInt(val.replace('claim_set_', ''), 10), ['open']))
+        .filter(req => professionRoles.includes(req.profession));
+      // Filter mode hides unknown recipes from the list, so don't claim them through the set either
+      if ((config.recipeKnowledge?.claimMode || 'flag') === 'filter' && setRequests.length > 0) {
+        const known = await db.getKnownRecipeNamesForUser(userId, setRequests[0].profession);
+        requestIds.push(...setRequests.filter(req => known.size === 0 || known.has(req.request_id) || req.recipe_removed_at).map(req => req.id));
+      } else {
+        requestIds.push(...setRequests.map(req => req.id));
+      }
+    } else {
+      requestIds.push(parseInt(val.replace('claim_', '')));
+    }
+  }
+  const uniqueRequestIds = [...new Set(requestIds)];
   const userName = (member && (member.nickname || member.displayName)) || interaction.member?.displayName || interaction.user.username;
   const channel = await resolveResponseChannel(interaction, client);
 
-  // Defer immediately to prevent timeout
-  await interaction.deferUpdate();
-
   try {
     let successCount = 0;
     let failedClaims = [];
+    const conflictedClaims = [];
     const claimedRequests = [];
 
     // Claim each selected request
-    for (const requestId of requestIds) {
+    for (const requestId of uniqueRequestIds) {
       try {
-        // Claim the request (automatically sets to in_progress)
-        await db.claimRequest(requestId, userId, userName);
-
-        // Get request details for notification
-        const request = await db.getRequestById(requestId);
-        claimedRequests.push(request);
-        
-        // Send notification to requester
-        if (config.notificationSettings.notifyOnClaim) {
-          const notifMessage = `✅ Your request **#${requestId}** for **${request.character}** has been claimed by **${userName}**!\n\n` +
-            `**Profession:** ${request.profession}\n` +
-            `**Request:** ${request.request_name} to ${request.gear_slot}`;
-          await notifyRequester(client, request.user_id, notifMessage);
+        const result = await claimForCrafter(client, requestId, userId, userName);
+        if (!result.success) {
+          conflictedClaims.push(describeConflict(requestId, result));
+          continue;
         }
-        
+
+        claimedRequests.push(result.request);
         successCount++;
       } catch (err) {
         log.error(`[MANAGE_CRAFTS] Failed to claim request ${requestId}:`, err);
@@ -708,7 +976,9 @@ async function handleClaimDropdown(interaction, client) {
     }
 
     // Build confirmation message
-    let content = `✅ Successfully claimed **${successCount}** request(s)!\n\n`;
+    let content = successCount > 0
+      ? `✅ Successfully claimed **${successCount}** request(s)!\n\n`
+      : '⚠️ No requests were claimed.\n\n';
     
     if (claimedRequests.length > 0) {
       content += 'Claimed:\n';
@@ -719,6 +989,13 @@ async function handleClaimDropdown(interaction, client) {
       }
     }
     
+    if (conflictedClaims.length > 0) {
+      content += `\n⚠️ Could not claim:\n`;
+      for (const line of conflictedClaims) {
+        content += `• ${line}\n`;
+      }
+    }
+    
     if (failedClaims.length > 0) {
       content += `\n❌ Failed to claim: ${failedClaims.join(', ')}`;
     }
@@ -796,22 +1073,21 @@ async function handleMarkComplete(interaction, client) {
 
   // Build dropdown
   const options = myWork.map((req, index) => ({
-    label: `${index + 1}. ${req.character} | ${req.request_name}`,
+    label: `${index + 1}. ${req.character} | ${req.request_name}`.slice(0, 100),
     value: `complete_${req.id}`,
-    description: `${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.gear_slot}`,
+    description: [`${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.gear_slot}`, getPriorityBadge(req)].filter(Boolean).join(' | ').slice(0, 100),
     emoji: '✅'
   }));
 
-  const dropdown = new StringSelectMenuBuilder()
-    .setCustomId('manage_crafts:complete_dropdown')
-    .setPlaceholder('Select a request to mark complete')
-    .addOptions(options);
-
-  const row = new ActionRowBuilder().addComponents(dropdown);
+  const rows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:complete_dropdown',
+    placeholder: 'Select a request to mark complete',
+    options
+  });
 
   const msg = await channel.send({
     content: `✅ **Complete Requests**\n\n**How to use:**\n• Click the dropdown menu below\n• Select a request to mark as complete\n\nChoose a request:`,
-    components: [row]
+    components: rows
   });
 
   // Track at Level 3 (submenu dropdown)
@@ -971,7 +1247,7 @@ async function completeSingleRequest(interaction, client, channel, requestId) {
 
     const input = new TextInputBuilder()
       .setCustomId('completed_qty')
-      .setLabel(`Completed (remaining: ${remaining})`)
+      .setLabel(remaining > 0 ? `Completed (remaining: ${remaining})` : 'All crafted - submit to mark ready again')
       .setStyle(TextInputStyle.Short)
       .setPlaceholder(String(remaining))
       .setRequired(true)
@@ -1004,6 +1280,9 @@ async function handleCompleteModal(interaction, client) {
   const qtyCompleted = parseInt(request.quantity_completed || 0, 10) || 0;
   const remaining = Math.max(0, qtyRequested - qtyCompleted);
 
+  // A disputed delivery already has every item crafted - submitting hands it over again
+  const handOver = remaining === 0 && request.status === 'in_progress';
+
   let entered = 0;
   try {
     const value = interaction.fields.getTextInputValue('completed_qty');
@@ -1012,31 +1291,39 @@ async function handleCompleteModal(interaction, client) {
     entered = 0;
   }
 
-  if (entered <= 0) {
+  if (entered <= 0 && !handOver) {
     return interaction.reply({ content: `❌ You must enter a number between 1 and ${remaining}.`, flags: 1 << 6 });
   }
 
+  // Crafters may only complete their own claims; admins complete on behalf of the current claimant
+  const member = await getGuildMember(interaction, client);
+  const expectedClaimedBy = isAdmin(member) ? request.claimed_by : userId;
+
   try {
-    // Call DB partial-completion function
-    await db.completeRequestWithQuantity(requestId, userId, entered);
-
-    // Notify requester if configured
-    if (config.notificationSettings.notifyOnComplete) {
-      const requesterId = request.user_id || request.requester_id;
-      if (requesterId) {
-        const notifMessage = entered >= remaining
-          ? `🎉 Your request **#${requestId}** for **${request.character}** has been completed!`
-          : `🔔 Partial completion for request **#${requestId}**: **${entered}** item(s) completed. Remaining: **${remaining - entered}**.`;
-        try {
-          const requesterUser = await client.users.fetch(requesterId);
-          await requesterUser.send(notifMessage);
-        } catch (err) {
-          log.warn('[MANAGE_CRAFTS] Could not DM requester:', err);
-        }
-      }
+    // Call DB partial-completion function (rejected if the claim changed hands meanwhile)
+    const result = await db.completeRequestWithQuantity(requestId, userId, handOver ? null : entered, expectedClaimedBy);
+    if (!result.success) {
+      return interaction.reply({ content: `⚠️ Could not complete: ${describeConflict(requestId, result)}.`, flags: 1 << 6 });
     }
 
-    await interaction.reply({ content: `✅ Marked ${entered} item(s) complete for request #${requestId}.`, flags: 1 << 6 });
+    // Notify requester (respects their notification preferences).
+    // Ready requests get the confirm/dispute prompt from the delivery confirmation listener instead.
+    const requesterId = request.user_id || request.requester_id;
+    if (requesterId && result.status !== 'ready') {
+      const finished = result.status === 'complete';
+      const notifMessage = finished
+        ? `🎉 Your request **#${requestId}** for **${request.character}** has been completed!`
+        : `🔔 Partial completion for request **#${requestId}**: **${entered}** item(s) completed. Remaining: **${remaining - entered}**.`;
+      await notifyRequester(client, requesterId, finished ? 'complete' : 'progress', notifMessage, finished ? buildRatingRows([request]) : []);
+    }
+
+    const confirmation = handOver
+      ? `📬 Request #${requestId} marked ready again.`
+      : `✅ Marked ${entered} item(s) complete for request #${requestId}.`;
+    await interaction.reply({
+      content: result.status === 'ready' ? `${confirmation} Waiting for the requester to confirm delivery.` : confirmation,
+      flags: 1 << 6
+    });
 
     // Refresh details display if applicable
     const channel = await resolveResponseChannel(interaction, client);
@@ -1066,16 +1353,23 @@ async function handleCompleteMulti(interaction, client) {
 
   try {
     let completedRequests = [];
+    const conflictedCompletions = [];
+    const readyIds = new Set();
     
     for (const reqId of requestIds) {
       const request = await db.getRequestById(reqId);
-      await db.completeRequest(reqId, userId);
+      const result = await db.completeRequest(reqId, userId);
+      if (!result.success) {
+        conflictedCompletions.push(describeConflict(reqId, result));
+        continue;
+      }
       completedRequests.push(request);
+      if (result.status === 'ready') readyIds.add(reqId);
     }
 
-    // Group by requester for notifications
+    // Group by requester for notifications (ready requests get a confirm/dispute prompt instead)
     const byRequester = {};
-    for (const req of completedRequests) {
+    for (const req of completedRequests.filter(r => !readyIds.has(r.id))) {
       if (!byRequester[req.user_id]) {
         byRequester[req.user_id] = [];
       }
@@ -1083,20 +1377,29 @@ async function handleCompleteMulti(interaction, client) {
     }
 
     // Send notifications
-    if (config.notificationSettings.notifyOnComplete) {
-      for (const [requesterId, requests] of Object.entries(byRequester)) {
-        const charName = requests[0].character;
-        let notifMessage = `🎉 All requests for **${charName}** have been completed!\n\n`;
-        for (const req of requests) {
-          notifMessage += `• **#${req.id}** ${req.request_name} to ${req.gear_slot}\n`;
-        }
-        notifMessage += `\nYour items are ready!`;
-        await notifyRequester(client, requesterId, notifMessage);
+    for (const [requesterId, requests] of Object.entries(byRequester)) {
+      const charName = requests[0].character;
+      let notifMessage = `🎉 All requests for **${charName}** have been completed!\n\n`;
+      for (const req of requests) {
+        notifMessage += `• **#${req.id}** ${req.request_name} to ${req.gear_slot}\n`;
       }
+      notifMessage += `\nYour items are ready!`;
+      await notifyRequester(client, requesterId, 'complete', notifMessage, buildRatingRows(requests));
     }
 
-    const charName = completedRequests[0].character;
-    const content = `✅ Successfully completed **${requestIds.length}** request(s) for **${charName}**!`;
+    let content = completedRequests.length > 0
+      ? `✅ Successfully completed **${completedRequests.length}** request(s) for **${completedRequests[0].character}**!\n`
+      : '⚠️ No requests were completed.\n';
+    if (readyIds.size > 0) {
+      content += `📬 Waiting for the requester to confirm delivery.\n`;
+    }
+    
+    if (conflictedCompletions.length > 0) {
+      content += `\n⚠️ Could not complete:\n`;
+      for (const line of conflictedCompletions) {
+        content += `• ${line}\n`;
+      }
+    }
 
     // Show confirmation and auto-return to menu
     const confirmMsg = await channel.send({ content });
@@ -1179,24 +1482,23 @@ async function handleReleaseRequest(interaction, client) {
   }
 
   const options = myWork.map((req, index) => ({
-    label: `${index + 1}. ${req.character} | ${req.request_name}`,
+    label: `${index + 1}. ${req.character} | ${req.request_name}`.slice(0, 100),
     value: `release_${req.id}`,
-    description: `${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.gear_slot}`,
+    description: [`${req.profession.charAt(0).toUpperCase() + req.profession.slice(1)} - ${req.gear_slot}`, getPriorityBadge(req)].filter(Boolean).join(' | ').slice(0, 100),
     emoji: '🔓'
   }));
 
-  const dropdown = new StringSelectMenuBuilder()
-    .setCustomId('manage_crafts:release_dropdown')
-    .setPlaceholder('Select requests to release (can select multiple)')
-    .setMinValues(1)
-    .setMaxValues(Math.min(options.length, 25))
-    .addOptions(options);
-
-  const row = new ActionRowBuilder().addComponents(dropdown);
+  const rows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:release_dropdown',
+    placeholder: 'Select requests to release (can select multiple)',
+    options,
+    minValues: 1,
+    maxValues: 25
+  });
 
   const msg = await channel.send({
     content: `🔓 **Release Requests**\n\n**How to use:**\n• Click the dropdown menu below\n• Select one or more requests (click multiple items to select)\n• Press **Enter** or click outside to submit your selection\n\nYou can release multiple requests at once:`,
-    components: [row]
+    components: rows
   });
 
   // Track at Level 3 (submenu dropdown)
@@ -1228,12 +1530,10 @@ async function handleReleaseDropdown(interaction, client) {
   const userName = interaction.user.username;
   const channel = await resolveResponseChannel(interaction, client);
 
-  // Defer immediately to prevent timeout
-  await interaction.deferUpdate();
-
   try {
     let successCount = 0;
     let failedReleases = [];
+    const conflictedReleases = [];
     const releasedRequests = [];
 
     // Release each selected request
@@ -1241,17 +1541,19 @@ async function handleReleaseDropdown(interaction, client) {
       try {
         // Get request details for notification
         const request = await db.getRequestById(requestId);
-        await db.releaseRequest(requestId, userId);
+        const result = await db.releaseRequest(requestId, userId);
+        if (!result.success) {
+          conflictedReleases.push(describeConflict(requestId, result));
+          continue;
+        }
         releasedRequests.push(request);
 
         // Send notification to requester
-        if (config.notificationSettings.notifyOnRelease) {
-          const notifMessage = `⚠️ Your request **#${requestId}** for **${request.character}** has been released back to the open queue.\n\n` +
-            `**Profession:** ${request.profession}\n` +
-            `**Request:** ${request.request_name} to ${request.gear_slot}\n\n` +
-            `It is now available for other crafters to claim.`;
-          await notifyRequester(client, request.user_id, notifMessage);
-        }
+        const notifMessage = `⚠️ Your request **#${requestId}** for **${request.character}** has been released back to the open queue.\n\n` +
+          `**Profession:** ${request.profession}\n` +
+          `**Request:** ${request.request_name} to ${request.gear_slot}\n\n` +
+          `It is now available for other crafters to claim.`;
+        await notifyRequester(client, request.user_id, 'release', notifMessage);
         
         successCount++;
       } catch (err) {
@@ -1261,7 +1563,9 @@ async function handleReleaseDropdown(interaction, client) {
     }
 
     // Build confirmation message
-    let content = `✅ Successfully released **${successCount}** request(s)!\n\n`;
+    let content = successCount > 0
+      ? `✅ Successfully released **${successCount}** request(s)!\n\n`
+      : '⚠️ No requests were released.\n\n';
     
     if (releasedRequests.length > 0) {
       content += 'Released:\n';
@@ -1270,6 +1574,13 @@ async function handleReleaseDropdown(interaction, client) {
       }
     }
     
+    if (conflictedReleases.length > 0) {
+      content += `\n⚠️ Could not release:\n`;
+      for (const line of conflictedReleases) {
+        content += `• ${line}\n`;
+      }
+    }
+    
     if (failedReleases.length > 0) {
       content += `\n❌ Failed to release: ${failedReleases.join(', ')}`;
     }
@@ -1299,6 +1610,42 @@ async function handleReleaseDropdown(interaction, client) {
   }
 }
 
+/**
+ * Personal digest toggle button for the crafter menu
+ */
+function buildDigestButton(subscribed) {
+  return new ButtonBuilder()
+    .setCustomId('manage_crafts:toggle_digest')
+    .setLabel(subscribed ? 'Digest: On' : 'Digest: Off')
+    .setStyle(subscribed ? ButtonStyle.Success : ButtonStyle.Secondary)
+    .setEmoji('📬');
+}
+
+/**
+ * Digest button - opt in or out of the personal DM digest
+ */
+async function handleToggleDigest(interaction, client) {
+  const userId = interaction.user.id;
+  const subscribed = !await db.isDigestSubscriber(userId);
+  await db.setDigestSubscription(userId, subscribed);
+  log.info(`[MANAGE_CRAFTS] ${interaction.user.tag} turned the personal digest ${subscribed ? 'on' : 'off'}`);
+
+  // Flip the button in place, leaving the rest of the menu as it is
+  const rows = interaction.message.components.map(row => new ActionRowBuilder().addComponents(
+    row.components.map(component => component.customId === 'manage_crafts:toggle_digest'
+      ? buildDigestButton(subscribed)
+      : ButtonBuilder.from(component))
+  ));
+  await interaction.update({ components: rows });
+
+  await interaction.followUp({
+    content: subscribed
+      ? `📬 Digest on. You'll get a DM with your claimed requests and the materials they need (schedule: \`${config.digests.personalSchedule}\`, ${config.digests.timezone || 'UTC'}).`
+      : '📭 Digest off. You will no longer get the digest DM.',
+    flags: 1 << 6
+  });
+}
+
 /**
  * Material Lists - Show options for generating material lists
  */
@@ -1391,68 +1738,20 @@ async function handleMaterialsMaster(interaction, client) {
     return;
   }
 
-  // Aggregate all materials
-  const materialTotals = {};
-  for (const req of myWork) {
-    // Only include requests where the guild provides materials
-    // (requests where `provides_materials` is falsy indicate guild craft)
-    if (req.provides_materials) continue;
-    if (req.materials_json) {
-      try {
-        log.debug(`[MATERIALS] Processing request ${req.id}, raw materials_json: ${req.materials_json}`);
-        const materials = JSON.parse(req.materials_json);
-        log.debug(`[MATERIALS] Parsed materials for request ${req.id}:`, JSON.stringify(materials));
-        
-        // Determine quantity multiplier for this request
-        const qtyMultiplier = parseInt(req.quantity_requested || req.quantity || 1, 10) || 1;
-
-        // Handle array format ["Material x10", "Other x5"]
-        if (Array.isArray(materials)) {
-          log.warn(`[MATERIALS] Request ${req.id} has array format materials, converting...`);
-          for (const materialStr of materials) {
-            const match = materialStr.match(/^(.+?)\\s+x(\\d+)$/);
-            if (match) {
-              const [, materialName, quantity] = match;
-              const parsedQty = parseInt(quantity, 10);
-              if (!isNaN(parsedQty) && parsedQty > 0) {
-                const added = parsedQty * qtyMultiplier;
-                materialTotals[materialName.trim()] = (materialTotals[materialName.trim()] || 0) + added;
-                log.debug(`[MATERIALS] Added ${added} ${materialName.trim()}, total now: ${materialTotals[materialName.trim()]}`);
-              }
-            }
-          }
-        }
-        // Handle object format {"Material": quantity}
-        else if (typeof materials === 'object' && materials !== null) {
-          for (const [materialName, quantity] of Object.entries(materials)) {
-            // Skip entries where key looks like an index
-            if (materialName.match(/^\\d+$/)) continue;
-            
-            // Parse quantity to ensure it's a number
-            const parsedQty = parseInt(quantity, 10);
-            if (!isNaN(parsedQty) && parsedQty > 0) {
-              const added = parsedQty * qtyMultiplier;
-              materialTotals[materialName] = (materialTotals[materialName] || 0) + added;
-              log.debug(`[MATERIALS] Added ${added} ${materialName}, total now: ${materialTotals[materialName]}`);
-            }
-          }
-        }
-      } catch (err) {
-        log.warn(`[MATERIALS] Failed to parse materials for request ${req.id}:`, err);
-      }
-    }
-  }
+  // Materials still missing across all active claims (per-unit x quantity, minus received)
+  const materialTotals = await db.getMaterialTotalsForCrafter(userId, selectedProfession || null);
 
   let content = `📦 **Master Material List**\n\n`;
-  content += `Total materials needed for **${myWork.length}** request(s):\n\n`;
+  content += `Materials still missing for **${myWork.length}** request(s):\n\n`;
 
-  if (Object.keys(materialTotals).length === 0) {
+  if (materialTotals.length === 0) {
     content += '*No materials required.*\n';
   } else {
-    // Sort materials alphabetically for consistent display
-    const sortedMaterials = Object.entries(materialTotals).sort((a, b) => a[0].localeCompare(b[0]));
-    for (const [materialName, totalQty] of sortedMaterials) {
-      content += `• **${materialName}** x${totalQty}\n`;
+    // Guild bank stock for materials the guild holds or guild crafts need
+    const bank = indexInventory(await db.getGuildBankInventory());
+    for (const { material_name: materialName, total, awaited } of materialTotals) {
+      const stock = bank.get(materialName.toLowerCase());
+      content += `• **${materialName}** x${total}${awaited > 0 ? ` (${awaited} promised by requesters)` : ''}${stock ? ` - 🏦 ${formatBankStock(stock)}` : ''}\n`;
     }
   }
 
@@ -1525,36 +1824,27 @@ async function handleMaterialsPerChar(interaction, client) {
     byCharacter[req.character].push(req);
   }
 
+  // Outstanding materials grouped by character, already sorted by character then material
+  const materialRows = await db.getMaterialTotalsByCharacterForCrafter(userId, selectedProfession || null);
+  const materialsByCharacter = {};
+  for (const row of materialRows) {
+    if (!materialsByCharacter[row.character]) {
+      materialsByCharacter[row.character] = [];
+    }
+    materialsByCharacter[row.character].push(row);
+  }
+
   let content = `📦 **Materials Per Character**\n\n`;
 
   for (const [charName, requests] of Object.entries(byCharacter)) {
     content += `**${charName}** (${requests.length} request(s)):\n`;
-    
-    const charMaterials = {};
-    for (const req of requests) {
-      // Only include materials for guild-provided requests (provides_materials falsy)
-      if (req.provides_materials) continue;
-      if (req.materials_json) {
-        try {
-          const materials = JSON.parse(req.materials_json);
-          const qtyMultiplier = parseInt(req.quantity_requested || req.quantity || 1, 10) || 1;
-          for (const [mat, qty] of Object.entries(materials)) {
-            const added = (parseInt(qty, 10) || 0) * qtyMultiplier;
-            charMaterials[mat] = (charMaterials[mat] || 0) + added;
-          }
-        } catch (err) {
-          log.warn(`[MATERIALS] Failed to parse materials for request ${req.id}:`, err);
-        }
-      }
-    }
 
-    if (Object.keys(charMaterials).length === 0) {
+    const charMaterials = materialsByCharacter[charName] || [];
+    if (charMaterials.length === 0) {
       content += '  *No materials required*\n';
     } else {
-      // Sort materials alphabetically for consistent display
-      const sortedMaterials = Object.entries(charMaterials).sort((a, b) => a[0].localeCompare(b[0]));
-      for (const [mat, qty] of sortedMaterials) {
-        content += `  • **${mat}** x${qty}\n`;
+      for (const { material_name: mat, total, awaited } of charMaterials) {
+        content += `  • **${mat}** x${total}${awaited > 0 ? ` (${awaited} promised by requester)` : ''}\n`;
       }
     }
     content += '\n';
@@ -1707,6 +1997,8 @@ async function handleSwitchToAdmin(interaction, client) {
 module.exports = {
   handleManageRequestsMain,
   handleViewMyWork,
+  handleMyRatings,
+  handleMyStats,
   handleClaimRequest,
   handleClaimDropdown,
   handleMarkComplete,
@@ -1723,5 +2015,9 @@ module.exports = {
   handleSelectProfession,
   handleChangeProfession,
   handleSwitchToCrafter,
-  handleSwitchToAdmin
+  handleSwitchToAdmin,
+  handleToggleDigest,
+  claimForCrafter,
+  describeConflict,
+  getGuildMember
 };
@@ -0,0 +1,228 @@
+// interactions/shared/materialHandoffFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ChannelType } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const { getRequestLabel } = require('../../utils/requestFormatter');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const log = require('../../utils/logWriter');
+
+const MAX_RECEIVED = 99999;
+
+/**
+ * "Record materials received" dropdown for the My Claimed Requests view.
+ * @param {string} userId - Crafter the menu is shown to
+ * @param {Array<Object>} requests - The crafter's active requests
+ * @returns {Promise<Array<ActionRowBuilder>>} Empty when none of the requests use materials
+ */
+async function buildHandoffSelect(userId, requests) {
+  const withMaterials = requests.filter(req =>
+    ['claimed', 'in_progress'].includes(req.status) && req.materials_json && req.materials_json !== '{}');
+  if (withMaterials.length === 0) return [];
+
+  return buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:handoff_select',
+    placeholder: '📦 Record materials received for...',
+    options: withMaterials.map(req => ({
+      label: `#${req.id} ${req.character} - ${getRequestLabel(req)}`.slice(0, 100),
+      value: String(req.id)
+    }))
+  });
+}
+
+/**
+ * Load a request the crafter wants to record materials for and check they hold the claim.
+ * Replies and returns null when they can't.
+ */
+async function getOwnClaimedRequest(interaction, requestId) {
+  const request = await db.getRequestById(requestId);
+
+  if (!request) {
+    await interaction.reply({ content: `❌ Request #${requestId} no longer exists.`, flags: 1 << 6 });
+    return null;
+  }
+  if (request.claimed_by !== interaction.user.id || !['claimed', 'in_progress'].includes(request.status)) {
+    await interaction.reply({ content: `❌ Request #${requestId} is no longer one of your active claims.`, flags: 1 << 6 });
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * Hand-off view for one request: what is needed, promised and received per material
+ * @param {string|null} notice - Result of the last change, shown above the list
+ */
+async function showHandoff(interaction, client, request, notice = null) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 4+ (keep header, profession menu and claimed list)
+  await cleanupService.cleanupFromLevel(userId, client, 4);
+
+  const qtyRequested = parseInt(request.quantity_requested || 1, 10) || 1;
+  const materials = await db.getRequestMaterials(request.id);
+
+  let content = notice ? `${notice}\n\n` : '';
+  content += `📦 **Materials for #${request.id}** - ${request.character}: ${getRequestLabel(request)}\n\n`;
+
+  const components = [];
+  if (materials.length === 0) {
+    content += '*This request has no materials to track.*\n';
+  } else {
+    for (const mat of materials) {
+      const needed = mat.required_per_unit * qtyRequested;
+      content += `• **${mat.material_name}** - received ${mat.delivered}/${needed}`;
+      if (mat.provided > 0) content += ` (requester promised ${mat.provided})`;
+      content += mat.delivered >= needed ? ' ✅\n' : '\n';
+    }
+
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`manage_crafts:handoff_material_${request.id}`)
+        .setPlaceholder('Record a received amount...')
+        .addOptions(materials.slice(0, 25).map((mat, index) => ({
+          label: mat.material_name.slice(0, 100),
+          description: `Received ${mat.delivered} of ${mat.required_per_unit * qtyRequested}`,
+          value: String(index)
+        })))
+    ));
+
+    const awaiting = materials.some(mat => mat.provided > mat.delivered);
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`manage_crafts:handoff_all_${request.id}`)
+        .setLabel('Mark All Promised Received')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('📥')
+        .setDisabled(!awaiting)
+    ));
+  }
+
+  const msg = await channel.send({ content, components });
+
+  // Track at Level 4 (hand-off display)
+  cleanupService.trackMenuMessage(userId, 4, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * Request chosen from the My Claimed Requests dropdown
+ */
+async function handleHandoffSelect(interaction, client) {
+  const request = await getOwnClaimedRequest(interaction, parseInt(interaction.values[0], 10));
+  if (!request) return;
+  await showHandoff(interaction, client, request);
+}
+
+/**
+ * "Record Materials" on the request details view
+ */
+async function handleHandoffOpen(interaction, client) {
+  const request = await getOwnClaimedRequest(interaction, parseInt(interaction.customId.split('_').pop(), 10));
+  if (!request) return;
+  await showHandoff(interaction, client, request);
+}
+
+/**
+ * Material chosen on the hand-off view - ask how much has been received so far
+ */
+async function handleHandoffMaterialSelect(interaction) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getOwnClaimedRequest(interaction, requestId);
+  if (!request) return;
+
+  const index = parseInt(interaction.values[0], 10);
+  const mat = (await db.getRequestMaterials(requestId))[index];
+  if (!mat) {
+    return interaction.reply({ content: '❌ That material is no longer part of this request.', flags: 1 << 6 });
+  }
+
+  const needed = mat.required_per_unit * (parseInt(request.quantity_requested || 1, 10) || 1);
+  const modal = new ModalBuilder()
+    .setCustomId(`manage_crafts:handoff_modal_${requestId}_${index}`)
+    .setTitle(mat.material_name.slice(0, 45))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('received')
+        .setLabel(`Received so far (needed: ${needed})`.slice(0, 45))
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(mat.delivered))
+        .setRequired(true)
+        .setMaxLength(5)
+    ));
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Received-amount modal submission
+ */
+async function handleHandoffModal(interaction, client) {
+  const [requestId, index] = interaction.customId.replace('manage_crafts:handoff_modal_', '').split('_').map(Number);
+  const request = await getOwnClaimedRequest(interaction, requestId);
+  if (!request) return;
+
+  const mat = (await db.getRequestMaterials(requestId))[index];
+  if (!mat) {
+    return interaction.reply({ content: '❌ That material is no longer part of this request.', flags: 1 << 6 });
+  }
+
+  const text = interaction.fields.getTextInputValue('received').trim();
+  if (!/^\d+$/.test(text) || parseInt(text, 10) > MAX_RECEIVED) {
+    return interaction.reply({ content: `❌ Enter a whole number from 0 to ${MAX_RECEIVED}.`, flags: 1 << 6 });
+  }
+
+  const received = parseInt(text, 10);
+  const changes = await db.recordMaterialsReceived(requestId, { [mat.material_name]: received }, interaction.user.id);
+  const notice = Object.keys(changes).length > 0
+    ? `✅ Recorded **${received}** x **${mat.material_name}** received.`
+    : `ℹ️ **${mat.material_name}** was already at ${received}.`;
+
+  log.info(`[MATERIALS] ${interaction.user.tag} recorded ${received} x ${mat.material_name} received for request ${requestId}`);
+  await showHandoff(interaction, client, request, notice);
+}
+
+/**
+ * "Mark All Promised Received" - the requester handed over everything they promised
+ */
+async function handleHandoffAll(interaction, client) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getOwnClaimedRequest(interaction, requestId);
+  if (!request) return;
+
+  const received = {};
+  for (const mat of await db.getRequestMaterials(requestId)) {
+    if (mat.provided > mat.delivered) received[mat.material_name] = mat.provided;
+  }
+
+  const changes = await db.recordMaterialsReceived(requestId, received, interaction.user.id);
+  const count = Object.keys(changes).length;
+
+  log.info(`[MATERIALS] ${interaction.user.tag} marked all promised materials received for request ${requestId}`);
+  await showHandoff(interaction, client, request,
+    count > 0 ? `✅ Marked ${count} promised material(s) as received.` : 'ℹ️ Everything promised was already received.');
+}
+
+module.exports = {
+  buildHandoffSelect,
+  handleHandoffSelect,
+  handleHandoffOpen,
+  handleHandoffMaterialSelect,
+  handleHandoffModal,
+  handleHandoffAll
+};
@@ -0,0 +1,252 @@
+// interactions/shared/notificationPrefsFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ChannelType } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const {
+  NOTIFICATION_EVENTS,
+  getMentionChannelId,
+  getDefaultTimezone,
+  isValidTimezone,
+  parseTimeOfDay,
+  getPreferences
+} = require('../../utils/notifications');
+const log = require('../../utils/logWriter');
+
+/**
+ * Embed and components for the notification settings view.
+ */
+function buildSettingsView(prefs) {
+  const channelId = getMentionChannelId();
+  const enabled = NOTIFICATION_EVENTS.filter(e => prefs.events.includes(e.key));
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle('🔔 Notification Settings')
+    .setDescription(
+      (config.notificationSettings?.enabled
+        ? 'Choose which updates about your requests you receive and how.'
+        : '⚠️ Request notifications are currently turned off for everyone by the officers. Your settings are saved for when they return.') +
+      '\n\u200B'
+    )
+    .addFields(
+      {
+        name: '📣 Notify me when a request is...',
+        value: enabled.length > 0 ? enabled.map(e => `• ${e.label}`).join('\n') : '_Nothing - all request notifications are off_',
+        inline: false
+      },
+      {
+        name: '📬 Delivery',
+        value: prefs.delivery === 'channel' ? `Mention in <#${channelId}>` : 'Direct message',
+        inline: true
+      },
+      {
+        name: '🌙 Quiet Hours',
+        value: prefs.quietStart && prefs.quietEnd
+          ? `${prefs.quietStart}-${prefs.quietEnd} (${prefs.timezone})\nUpdates are held and sent together afterwards.`
+          : 'Off',
+        inline: true
+      }
+    )
+    .setFooter({ text: (prefs.custom ? 'Using your saved settings.' : 'Using the server defaults.') + '\u200B' });
+
+  const eventSelect = new StringSelectMenuBuilder()
+    .setCustomId('status_notif_events')
+    .setPlaceholder('Choose which updates to receive...')
+    .setMinValues(0)
+    .setMaxValues(NOTIFICATION_EVENTS.length)
+    .addOptions(NOTIFICATION_EVENTS.map(e => ({
+      label: e.label,
+      description: e.description,
+      value: e.key,
+      default: prefs.events.includes(e.key)
+    })));
+
+  const rows = [new ActionRowBuilder().addComponents(eventSelect)];
+
+  if (channelId) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('status_notif_delivery')
+        .addOptions(
+          { label: 'Direct message', value: 'dm', emoji: '✉️', default: prefs.delivery === 'dm' },
+          { label: 'Mention me in the notification channel', value: 'channel', emoji: '📢', default: prefs.delivery === 'channel' }
+        )
+    ));
+  }
+
+  rows.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('status_notif_quiet')
+      .setLabel('🌙 Quiet Hours')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId('status_notif_reset')
+      .setLabel('↩️ Use Defaults')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!prefs.custom),
+    new ButtonBuilder()
+      .setCustomId('status_back_menu')
+      .setLabel('🔙 Back to Menu')
+      .setStyle(ButtonStyle.Secondary)
+  ));
+
+  return { embeds: [embed], components: rows };
+}
+
+/**
+ * Save a change on top of the user's current effective preferences.
+ */
+async function savePreferences(userId, changes) {
+  const prefs = { ...(await getPreferences(userId)), ...changes };
+  await db.saveNotificationPreferences(userId, prefs);
+  return getPreferences(userId);
+}
+
+/**
+ * "🔔 Notifications" button on My Requests - shows the settings view at Level 3
+ */
+async function handleNotificationSettings(interaction, client) {
+  const userId = interaction.user.id;
+  await interaction.deferUpdate();
+
+  const channel = await resolveResponseChannel(interaction, client);
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+
+  const msg = await channel.send(buildSettingsView(await getPreferences(userId)));
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    const timeout = cleanupService.getCleanupTimeout(cleanupService.MessageType.SUBMENU);
+    cleanupService.scheduleDMCleanup(
+      channel,
+      client,
+      timeout,
+      userId,
+      'submenu',
+      cleanupService.MessageType.SUBMENU
+    );
+  }
+}
+
+/**
+ * Event and delivery dropdowns - save and refresh the view in place
+ */
+async function handleNotificationSelect(interaction) {
+  const userId = interaction.user.id;
+  let prefs;
+
+  if (interaction.customId === 'status_notif_events') {
+    const valid = new Set(NOTIFICATION_EVENTS.map(e => e.key));
+    prefs = await savePreferences(userId, { events: interaction.values.filter(v => valid.has(v)) });
+    log.info(`[NOTIFY] ${interaction.user.tag} set notification events: ${prefs.events.join(', ') || 'none'}`);
+  } else {
+    prefs = await savePreferences(userId, { delivery: interaction.values[0] === 'channel' ? 'channel' : 'dm' });
+    log.info(`[NOTIFY] ${interaction.user.tag} set notification delivery: ${prefs.delivery}`);
+  }
+
+  await interaction.update(buildSettingsView(prefs));
+}
+
+/**
+ * "🌙 Quiet Hours" button - opens a modal prefilled with the current window
+ */
+async function handleQuietHoursButton(interaction) {
+  const prefs = await getPreferences(interaction.user.id);
+
+  const startInput = new TextInputBuilder()
+    .setCustomId('quiet_start')
+    .setLabel('Start (24h, e.g. 22:00) - blank to turn off')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('22:00')
+    .setRequired(false)
+    .setMaxLength(5);
+  const endInput = new TextInputBuilder()
+    .setCustomId('quiet_end')
+    .setLabel('End (24h, e.g. 07:30)')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('07:30')
+    .setRequired(false)
+    .setMaxLength(5);
+  const timezoneInput = new TextInputBuilder()
+    .setCustomId('quiet_timezone')
+    .setLabel('Timezone (e.g. Europe/Berlin)')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder(getDefaultTimezone())
+    .setRequired(false)
+    .setMaxLength(64);
+
+  if (prefs.quietStart) startInput.setValue(prefs.quietStart);
+  if (prefs.quietEnd) endInput.setValue(prefs.quietEnd);
+  timezoneInput.setValue(prefs.timezone);
+
+  const modal = new ModalBuilder()
+    .setCustomId('status_notif_quiet_modal')
+    .setTitle('Quiet Hours')
+    .addComponents(
+      new ActionRowBuilder().addComponents(startInput),
+      new ActionRowBuilder().addComponents(endInput),
+      new ActionRowBuilder().addComponents(timezoneInput)
+    );
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Quiet hours modal submission - validate, save and refresh the settings view
+ */
+async function handleQuietHoursModal(interaction) {
+  const userId = interaction.user.id;
+  const startText = interaction.fields.getTextInputValue('quiet_start').trim();
+  const endText = interaction.fields.getTextInputValue('quiet_end').trim();
+  const timezone = interaction.fields.getTextInputValue('quiet_timezone').trim() || getDefaultTimezone();
+
+  if (!isValidTimezone(timezone)) {
+    return interaction.reply({
+      content: `❌ **${timezone}** isn't a timezone I recognize. Use a name like \`Europe/London\` or \`America/New_York\`.`,
+      flags: 1 << 6
+    });
+  }
+
+  let quietStart = null;
+  let quietEnd = null;
+  if (startText || endText) {
+    quietStart = parseTimeOfDay(startText);
+    quietEnd = parseTimeOfDay(endText);
+    if (!quietStart || !quietEnd) {
+      return interaction.reply({
+        content: '❌ Enter both a start and end time as 24-hour `HH:MM` (e.g. `22:00` and `07:30`), or leave both blank to turn quiet hours off.',
+        flags: 1 << 6
+      });
+    }
+    if (quietStart === quietEnd) {
+      return interaction.reply({ content: '❌ Quiet hours need different start and end times.', flags: 1 << 6 });
+    }
+  }
+
+  const prefs = await savePreferences(userId, { quietStart, quietEnd, timezone });
+  log.info(`[NOTIFY] ${interaction.user.tag} set quiet hours: ${quietStart ? `${quietStart}-${quietEnd} ${timezone}` : 'off'}`);
+
+  if (interaction.isFromMessage()) {
+    return interaction.update(buildSettingsView(prefs));
+  }
+  return interaction.reply({ content: '✅ Quiet hours saved.', flags: 1 << 6 });
+}
+
+/**
+ * "↩️ Use Defaults" button - drop saved preferences
+ */
+async function handleResetNotifications(interaction) {
+  await db.deleteNotificationPreferences(interaction.user.id);
+  log.info(`[NOTIFY] ${interaction.user.tag} reset notification settings to defaults`);
+  await interaction.update(buildSettingsView(await getPreferences(interaction.user.id)));
+}
+
+module.exports = {
+  handleNotificationSettings,
+  handleNotificationSelect,
+  handleQuietHoursButton,
+  handleQuietHoursModal,
+  handleResetNotifications
+};
@@ -0,0 +1,119 @@
+// interactions/shared/ratingFlow.js
+const { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const db = require('../../utils/database');
+const { MAX_COMMENT_LENGTH, formatStars } = require('../../utils/ratings');
+const log = require('../../utils/logWriter');
+
+/**
+ * Load a request the clicker wants to rate and check they may rate it.
+ * Replies and returns null when they can't.
+ */
+async function getRateableRequest(interaction, requestId) {
+  const request = await db.getRequestById(requestId);
+
+  if (!request) {
+    await interaction.reply({ content: `❌ Request #${requestId} no longer exists.`, flags: 1 << 6 });
+    return null;
+  }
+  if (request.user_id !== interaction.user.id) {
+    await interaction.reply({ content: '❌ Only the requester can rate this request.', flags: 1 << 6 });
+    return null;
+  }
+  if (request.status !== 'complete' || !request.claimed_by) {
+    await interaction.reply({ content: `❌ Request #${requestId} can only be rated once it's complete.`, flags: 1 << 6 });
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * Rating modal, prefilled with the requester's earlier rating if they are changing it.
+ */
+async function showRatingModal(interaction, requestId) {
+  const request = await getRateableRequest(interaction, requestId);
+  if (!request) return;
+
+  const [existing] = await db.getRatingsForRequests([requestId]);
+
+  const ratingInput = new TextInputBuilder()
+    .setCustomId('rating')
+    .setLabel('Rating (1 = poor, 5 = excellent)')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('5')
+    .setRequired(true)
+    .setMaxLength(1);
+  const commentInput = new TextInputBuilder()
+    .setCustomId('rating_comment')
+    .setLabel('Comment (optional)')
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder('e.g. Fast and friendly, had it done before raid')
+    .setRequired(false)
+    .setMaxLength(MAX_COMMENT_LENGTH);
+
+  if (existing) {
+    ratingInput.setValue(String(existing.rating));
+    if (existing.comment) commentInput.setValue(existing.comment);
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(`rate_request_modal_${requestId}`)
+    .setTitle(`Rate Request #${requestId}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(ratingInput),
+      new ActionRowBuilder().addComponents(commentInput)
+    );
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * "⭐ Rate" button on a completion notification
+ */
+async function handleRateButton(interaction) {
+  await showRatingModal(interaction, parseInt(interaction.customId.split('_').pop()));
+}
+
+/**
+ * "Rate a completed request" dropdown on the completed requests view
+ */
+async function handleRateSelect(interaction) {
+  await showRatingModal(interaction, parseInt(interaction.values[0], 10));
+}
+
+/**
+ * Rating modal submission - validate and save
+ */
+async function handleRatingModal(interaction) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const request = await getRateableRequest(interaction, requestId);
+  if (!request) return;
+
+  const ratingText = interaction.fields.getTextInputValue('rating').trim();
+  if (!/^[1-5]$/.test(ratingText)) {
+    return interaction.reply({ content: '❌ Enter a rating from 1 to 5.', flags: 1 << 6 });
+  }
+
+  const rating = parseInt(ratingText, 10);
+  const comment = interaction.fields.getTextInputValue('rating_comment').trim() || null;
+
+  await db.saveRequestRating(requestId, {
+    userId: interaction.user.id,
+    crafterId: request.claimed_by,
+    crafterName: request.claimed_by_name,
+    rating,
+    comment
+  });
+
+  log.info(`[RATINGS] ${interaction.user.tag} rated request ${requestId} (${request.claimed_by_name}) ${rating}/5`);
+  await interaction.reply({
+    content: `⭐ Thanks! You rated **#${requestId}** by **${request.claimed_by_name || 'your crafter'}** ${formatStars(rating)}.`,
+    flags: 1 << 6
+  });
+}
+
+module.exports = {
+  handleRateButton,
+  handleRateSelect,
+  handleRatingModal
+};
@@ -0,0 +1,266 @@
+// interactions/shared/recipeKnowledgeFlow.js
+const { ActionRowBuilder, StringSelectMenuBuilder } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { getUserProfessionRoles } = require('../../utils/permissionChecks');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const professionLoader = require('../../utils/professionLoader');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const { capitalize } = require('../../utils/requestFormatter');
+const { getGuildMember } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+// Discord allows 25 options per select menu and 5 rows per message
+const OPTIONS_PER_SELECT = 25;
+const MAX_SELECTS = 5;
+
+/**
+ * Builds the recipe checklist for one gear slot: one multi-select per 25 recipes,
+ * with the recipes the character already knows preselected. Option values are
+ * positions in the list, resolved against the names stored in the session.
+ */
+function buildRecipeSelects(recipes, known) {
+  const rows = [];
+  for (let chunk = 0; chunk * OPTIONS_PER_SELECT < recipes.length && chunk < MAX_SELECTS; chunk++) {
+    const start = chunk * OPTIONS_PER_SELECT;
+    const slice = recipes.slice(start, start + OPTIONS_PER_SELECT);
+    const options = slice.map((recipe, i) => ({
+      label: recipe.name.slice(0, 100),
+      value: `${start + i}`,
+      default: known.has(recipe.name)
+    }));
+
+    const placeholder = recipes.length > OPTIONS_PER_SELECT
+      ? `Recipes ${start + 1}-${start + slice.length} you know`
+      : 'Select every recipe you know';
+
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`manage_crafts:recipes_select_${chunk}`)
+        .setPlaceholder(placeholder)
+        .setMinValues(0)
+        .setMaxValues(options.length)
+        .addOptions(options)
+    ));
+  }
+  return rows;
+}
+
+function buildRecipeContent(session, recipes, known) {
+  const knownCount = recipes.filter(recipe => known.has(recipe.name)).length;
+  let content = `📖 **${session.characterName} — ${capitalize(session.profession)} (${session.gearSlot})**\n\n`;
+  content += `Known: **${knownCount}/${recipes.length}**\n\n`;
+  content += 'Select every recipe this character can craft. Unselecting a recipe removes it. ';
+  content += 'Changes save as soon as you close the dropdown.';
+  if (recipes.length > OPTIONS_PER_SELECT * MAX_SELECTS) {
+    content += `\n\n⚠️ Only the first ${OPTIONS_PER_SELECT * MAX_SELECTS} recipes in this slot can be listed here.`;
+  }
+  return content;
+}
+
+/**
+ * Entry point from the crafter menu: choose which character to update.
+ */
+async function handleMyRecipes(interaction, client) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep header and profession menu)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const member = await getGuildMember(interaction, client);
+  const professionRoles = getUserProfessionRoles(member);
+  const professionSession = await db.getTempSession(`manage_profession_${userId}`);
+  const profession = professionRoles.includes(professionSession?.selected_profession)
+    ? professionSession.selected_profession
+    : professionRoles[0];
+
+  if (!profession) {
+    return interaction.reply({ content: '❌ You do not have any profession roles.', flags: 1 << 6 });
+  }
+
+  if (professionLoader.getGearSlots(profession).length === 0) {
+    return interaction.reply({
+      content: `❌ No recipe data is loaded for ${capitalize(profession)}.`,
+      flags: 1 << 6
+    });
+  }
+
+  const characters = await db.getCharactersByUser(userId);
+  if (characters.length === 0) {
+    return interaction.reply({
+      content: '❌ You have no registered characters. Add one from **Manage Characters** first.',
+      flags: 1 << 6
+    });
+  }
+
+  const options = [];
+  for (const character of characters) {
+    const known = await db.getKnownRecipes(character.id, profession);
+    options.push({
+      label: character.name.slice(0, 100),
+      value: `${character.id}`,
+      description: `${capitalize(character.type || 'character')} | ${known.length} ${capitalize(profession)} recipe(s) registered`.slice(0, 100),
+      emoji: character.type === 'main' ? '⭐' : '👤'
+    });
+  }
+
+  await db.storeTempSession(`recipe_knowledge_${userId}`, userId, { profession });
+
+  const rows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:recipes_character',
+    placeholder: 'Select a character',
+    options
+  });
+
+  const msg = await channel.send({
+    content: `📖 **My ${capitalize(profession)} Recipes**\n\n` +
+             'Register the recipes each of your characters knows. Requests you can craft are flagged in ' +
+             '**Unclaimed Requests**, and requesters can see how many crafters know a recipe.\n\n' +
+             'Choose a character:',
+    components: rows
+  });
+
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * Character chosen: pick a gear slot.
+ */
+async function handleRecipesCharacter(interaction, client) {
+  const userId = interaction.user.id;
+  const characterId = parseInt(interaction.values[0], 10);
+  const session = await db.getTempSession(`recipe_knowledge_${userId}`);
+
+  if (!session) {
+    return interaction.reply({ content: '❌ Session expired. Please open **My Recipes** again.', flags: 1 << 6 });
+  }
+
+  const character = (await db.getCharactersByUser(userId)).find(c => c.id === characterId);
+  if (!character) {
+    return interaction.reply({ content: '❌ Character not found.', flags: 1 << 6 });
+  }
+
+  await interaction.deferUpdate();
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 4+ (keep the character picker)
+  await cleanupService.cleanupFromLevel(userId, client, 4);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  const { profession } = session;
+  const known = new Set(await db.getKnownRecipes(character.id, profession));
+  const options = professionLoader.getGearSlots(profession)
+    .map(slot => {
+      const recipes = professionLoader.getRecipes(profession, slot);
+      const knownCount = recipes.filter(recipe => known.has(recipe.name)).length;
+      return { slot, total: recipes.length, knownCount };
+    })
+    .filter(({ total }) => total > 0)
+    .map(({ slot, total, knownCount }) => ({
+      label: slot,
+      value: slot,
+      description: `${knownCount}/${total} known`,
+      emoji: knownCount > 0 ? '✅' : '▫️'
+    }));
+
+  await db.storeTempSession(`recipe_knowledge_${userId}`, userId, {
+    profession,
+    characterId: character.id,
+    characterName: character.name
+  });
+
+  const rows = await buildPaginatedSelect(userId, {
+    customId: 'manage_crafts:recipes_slot',
+    placeholder: 'Select a gear slot',
+    options
+  });
+
+  const msg = await channel.send({
+    content: `📖 **${character.name}** knows **${known.size}** ${capitalize(profession)} recipe(s).\n\nChoose a gear slot to update:`,
+    components: rows
+  });
+
+  cleanupService.trackMenuMessage(userId, 4, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+}
+
+/**
+ * Gear slot chosen: show the recipe checklist for that slot.
+ */
+async function handleRecipesSlot(interaction, client) {
+  const userId = interaction.user.id;
+  const gearSlot = interaction.values[0];
+  const session = await db.getTempSession(`recipe_knowledge_${userId}`);
+
+  if (!session?.characterId) {
+    return interaction.reply({ content: '❌ Session expired. Please open **My Recipes** again.', flags: 1 << 6 });
+  }
+
+  await interaction.deferUpdate();
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 5+ (keep the character and slot pickers)
+  await cleanupService.cleanupFromLevel(userId, client, 5);
+  cleanupService.trackUserChannel(userId, channel.id);
+
+  // The listed names are kept so a pick is resolved by name, not by position in a reloaded list
+  const recipes = professionLoader.getRecipes(session.profession, gearSlot);
+  const slotSession = { ...session, gearSlot, recipeNames: recipes.map(recipe => recipe.name) };
+  await db.storeTempSession(`recipe_knowledge_${userId}`, userId, slotSession);
+  const known = new Set(await db.getKnownRecipes(session.characterId, session.profession));
+
+  const msg = await channel.send({
+    content: buildRecipeContent(slotSession, recipes, known),
+    components: buildRecipeSelects(recipes, known)
+  });
+
+  cleanupService.trackMenuMessage(userId, 5, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+}
+
+/**
+ * Saves one recipe checklist dropdown and refreshes the checklist message.
+ * @param {number} chunk - Which 25-recipe block of the slot this dropdown covers
+ */
+async function handleRecipesSelect(interaction, client, chunk) {
+  const userId = interaction.user.id;
+  const session = await db.getTempSession(`recipe_knowledge_${userId}`);
+
+  if (!session?.gearSlot || !Array.isArray(session.recipeNames)) {
+    return interaction.reply({ content: '❌ Session expired. Please open **My Recipes** again.', flags: 1 << 6 });
+  }
+
+  // Recipes removed by a reload since the checklist was shown are left out
+  const { profession, gearSlot, recipeNames } = session;
+  const start = chunk * OPTIONS_PER_SELECT;
+  const covered = recipeNames.slice(start, start + OPTIONS_PER_SELECT);
+  const selected = interaction.values
+    .map(value => recipeNames[parseInt(value, 10)])
+    .filter(name => name && professionLoader.getRecipe(profession, gearSlot, name));
+
+  await db.setKnownRecipes(session.characterId, userId, profession, covered, selected);
+  log.info(`[RECIPES] ${interaction.user.tag} set ${selected.length}/${covered.length} known ${profession} ${gearSlot} recipes for ${session.characterName}`);
+
+  const recipes = professionLoader.getRecipes(profession, gearSlot);
+  const updated = { ...session, recipeNames: recipes.map(recipe => recipe.name) };
+  await db.storeTempSession(`recipe_knowledge_${userId}`, userId, updated);
+
+  const known = new Set(await db.getKnownRecipes(session.characterId, profession));
+  await interaction.update({
+    content: buildRecipeContent(updated, recipes, known),
+    components: buildRecipeSelects(recipes, known)
+  });
+}
+
+module.exports = {
+  handleMyRecipes,
+  handleRecipesCharacter,
+  handleRecipesSlot,
+  handleRecipesSelect
+};
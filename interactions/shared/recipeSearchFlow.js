@@ -0,0 +1,320 @@
+// interactions/shared/recipeSearchFlow.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { fuzzySearchRecipes, getRecipe } = require('../../utils/professionLoader');
+const cleanupService = require('../../utils/cleanupService');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const { capitalize } = require('../../utils/requestFormatter');
+const log = require('../../utils/logWriter');
+
+// Results listed in the embed and the select menu (one select menu's worth)
+const MAX_RESULTS = 25;
+
+function searchHeader(interaction, description) {
+  return new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle('New Request')
+    .setAuthor({ name: interaction.user.username, iconURL: interaction.user.displayAvatarURL() })
+    .setDescription(description + '\n\u200B')
+    .setTimestamp();
+}
+
+/**
+ * "Enchanting - Weapon" or "Tailoring - Back | uses Mooncloth x4"
+ */
+function describeResult(result) {
+  const where = `${capitalize(result.profession)} - ${result.gearSlot}`;
+  return result.matchedMaterial
+    ? `${where} | uses ${result.matchedMaterial} x${result.materials[result.matchedMaterial]}`
+    : where;
+}
+
+/**
+ * Search results as a request flow prompt: a list of matches and a select menu to pick one.
+ * Used for the search modal and for /request with a recipe option.
+ * The results are kept in a session and picked again by name, so a profession reload
+ * between the search and the pick can't swap in a different recipe.
+ * @param {string} query - Search text
+ * @returns {Promise<{embeds: Array, components: Array}>}
+ */
+async function buildSearchResults(interaction, query) {
+  const results = fuzzySearchRecipes(query, { limit: MAX_RESULTS });
+  const searchAgainRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('request_search_start')
+      .setLabel('🔍 Search Again')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  if (results.length === 0) {
+    return {
+      embeds: [searchHeader(interaction, `🔍 No recipes or materials match **${query}**.\n\nTry a shorter or different spelling.`)],
+      components: [searchAgainRow]
+    };
+  }
+
+  const userId = interaction.user.id;
+  const resultsKey = `searchresults_${userId}_${Date.now()}`;
+  await db.storeTempSession(resultsKey, userId, {
+    results: results.map(({ profession, gearSlot, name }) => ({ profession, gearSlot, name }))
+  });
+
+  let list = results.map(result => `• **${result.name}** - ${describeResult(result)}`).join('\n');
+  if (list.length > 3500) list = list.substring(0, 3497) + '...';
+
+  const row = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId('request_search_select')
+      .setPlaceholder('Choose a recipe')
+      .addOptions(results.map((result, index) => ({
+        label: result.name.slice(0, 100),
+        description: describeResult(result).slice(0, 100),
+        value: `${resultsKey}::${index}`
+      })))
+  );
+
+  return {
+    embeds: [searchHeader(interaction, `🔍 Results for **${query}**:\n\n${list}`)],
+    components: [row, searchAgainRow]
+  };
+}
+
+/**
+ * Recipe picked from search results or autocomplete, stored as a request session.
+ * Several characters get a character prompt; with one there's nothing to ask and
+ * the session is ready for the quantity step.
+ * @param {Array<Object>} chars - The user's characters (at least one)
+ * @param {string|null} flowMessageId - Message the flow is shown on, if known yet
+ * @returns {Promise<{key: string, data: Object, prompt: Object|null}>} prompt is null when the character is already set
+ */
+async function startRecipeRequest(interaction, chars, { profession, gearSlot, recipe }, flowMessageId) {
+  const userId = interaction.user.id;
+  const key = `search_${userId}_${Date.now()}`;
+  const data = {
+    profession,
+    gearSlot,
+    requestId: recipe.name,
+    requestName: recipe.name,
+    materials: recipe.materials,
+    flowMessageId
+  };
+
+  if (chars.length === 1) {
+    const updated = { ...data, character: chars[0].name };
+    await db.storeTempSession(key, userId, updated);
+    return { key, data: updated, prompt: null };
+  }
+
+  await db.storeTempSession(key, userId, data);
+  const rows = await buildPaginatedSelect(userId, {
+    customId: `request_search_character_${key}`,
+    placeholder: 'Choose a character',
+    options: chars.map(c => ({ label: `${c.name} (${c.type})`, value: c.name }))
+  });
+  return {
+    key,
+    data,
+    prompt: {
+      embeds: [searchHeader(interaction, `Who is **${recipe.name}** for?\n\n${describeResult({ ...recipe, profession, gearSlot })}`)],
+      components: rows
+    }
+  };
+}
+
+/**
+ * "🔍 Search Recipes" on the first request prompt (and "Search Again" on results)
+ */
+async function showRecipeSearchModal(interaction) {
+  const modal = new ModalBuilder()
+    .setCustomId('request_search_modal')
+    .setTitle('Search Recipes');
+
+  const input = new TextInputBuilder()
+    .setCustomId('query')
+    .setLabel('Recipe or material name')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('e.g. Crusader or Arcanite Bar')
+    .setMinLength(2)
+    .setMaxLength(100)
+    .setRequired(true);
+
+  modal.addComponents(new ActionRowBuilder().addComponents(input));
+  await interaction.showModal(modal);
+}
+
+/**
+ * Search modal submitted: show the results on the flow message
+ */
+async function handleRecipeSearchModal(interaction) {
+  const query = interaction.fields.getTextInputValue('query').trim();
+  log.debug(`[RECIPE_SEARCH] ${interaction.user.tag} searched for "${query}"`);
+  await interaction.update(await buildSearchResults(interaction, query));
+}
+
+/**
+ * Recipe chosen from the results: ask which character it's for, or go straight to
+ * the quantity step when the user has only one.
+ */
+async function handleRecipeSearchSelect(interaction) {
+  const userId = interaction.user.id;
+  const [resultsKey, indexText] = interaction.values[0].split('::');
+  const search = await db.getTempSession(resultsKey);
+  const picked = search?.results?.[parseInt(indexText, 10)];
+  if (!picked) {
+    return interaction.reply({ content: '⚠️ Session expired. Please search again.', flags: 1 << 6 });
+  }
+
+  const { profession, gearSlot } = picked;
+  const recipe = config.enabledProfessions.includes(profession)
+    ? getRecipe(profession, gearSlot, picked.name)
+    : null;
+  if (!recipe) {
+    return interaction.reply({ content: `❌ **${picked.name}** is no longer available. Please search again.`, flags: 1 << 6 });
+  }
+
+  const chars = await db.getCharactersByUser(userId);
+  if (!chars.length) {
+    return interaction.reply({ content: '❌ You have no registered characters.', flags: 1 << 6 });
+  }
+
+  const flowMessageId = interaction.message?.id || null;
+  const { key, data, prompt } = await startRecipeRequest(interaction, chars, { profession, gearSlot, recipe }, flowMessageId);
+  if (prompt) return interaction.update(prompt);
+
+  if (flowMessageId) cleanupService.trackMenuMessage(userId, 4, flowMessageId);
+  const { showQuantityModal } = require('./requestFlow');
+  await showQuantityModal(interaction, key, data);
+}
+
+/**
+ * Character chosen for a searched recipe: continue to the quantity step
+ */
+async function handleRecipeSearchCharacter(interaction) {
+  const userId = interaction.user.id;
+  const key = interaction.customId.replace('request_search_character_', '');
+  const data = await db.getTempSession(key);
+  if (!data) {
+    return interaction.reply({ content: '⚠️ Session expired. Please search again.', flags: 1 << 6 });
+  }
+
+  const character = interaction.values[0];
+  const chars = await db.getCharactersByUser(userId);
+  if (!chars.some(c => c.name === character)) {
+    return interaction.reply({ content: `❌ **${character}** is not one of your characters.`, flags: 1 << 6 });
+  }
+
+  const flowMessageId = data.flowMessageId || interaction.message?.id || null;
+  const updated = { ...data, character, flowMessageId };
+  await db.storeTempSession(key, userId, updated);
+  if (flowMessageId) cleanupService.trackMenuMessage(userId, 4, flowMessageId);
+
+  const { showQuantityModal } = require('./requestFlow');
+  await showQuantityModal(interaction, key, updated);
+}
+
+/**
+ * Autocomplete value for a recipe: "profession::slot::name", so /request can go straight
+ * to that recipe. Falls back to the plain name (searched again) when it won't fit.
+ */
+function recipeChoiceValue(result) {
+  const value = `${result.profession}::${result.gearSlot}::${result.name}`;
+  return value.length <= 100 ? value : result.name.slice(0, 100);
+}
+
+/**
+ * The recipe an autocomplete value points to, or null for typed text and
+ * recipes that are no longer available
+ * @param {string} value - /request's recipe option
+ * @returns {{profession: string, gearSlot: string, recipe: Object}|null}
+ */
+function resolveRecipeChoice(value) {
+  const [profession, gearSlot, ...nameParts] = String(value || '').split('::');
+  if (nameParts.length === 0 || !config.enabledProfessions.includes(profession)) return null;
+  const recipe = getRecipe(profession, gearSlot, nameParts.join('::'));
+  return recipe ? { profession, gearSlot, recipe } : null;
+}
+
+/**
+ * First prompt for /request with a recipe option: the character step when a recipe was
+ * picked from autocomplete, otherwise search results for the typed text.
+ * @param {Array<Object>} chars - The user's characters
+ * @returns {Promise<{embeds: Array, components: Array}>}
+ */
+async function buildRecipeOptionPrompt(interaction, chars, value) {
+  const choice = resolveRecipeChoice(value);
+  // A picked recipe that has since gone is searched for by name
+  if (!choice) return buildSearchResults(interaction, String(value).split('::').pop());
+
+  const { key, data, prompt } = await startRecipeRequest(interaction, chars, choice, null);
+  if (prompt) return prompt;
+
+  // One character: the quantity modal can only open from a click, so ask for one
+  return {
+    embeds: [searchHeader(interaction, `Requesting **${data.requestName}** for **${data.character}**.\n\n${describeResult({ ...choice.recipe, profession: choice.profession, gearSlot: choice.gearSlot })}`)],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`request_search_quantity_${key}`)
+          .setLabel('Continue')
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId('request_search_start')
+          .setLabel('🔍 Search Instead')
+          .setStyle(ButtonStyle.Secondary)
+      )
+    ]
+  };
+}
+
+/**
+ * "Continue" on a recipe picked from autocomplete for a user with one character
+ */
+async function handleRecipeSearchQuantity(interaction) {
+  const userId = interaction.user.id;
+  const key = interaction.customId.replace('request_search_quantity_', '');
+  const data = await db.getTempSession(key);
+  if (!data) {
+    return interaction.reply({ content: '⚠️ Session expired. Please search again.', flags: 1 << 6 });
+  }
+
+  const flowMessageId = interaction.message?.id || null;
+  const updated = { ...data, flowMessageId };
+  await db.storeTempSession(key, userId, updated);
+  if (flowMessageId) cleanupService.trackMenuMessage(userId, 4, flowMessageId);
+
+  const { showQuantityModal } = require('./requestFlow');
+  await showQuantityModal(interaction, key, updated);
+}
+
+/**
+ * Autocomplete for /request's recipe option
+ */
+async function autocompleteRecipes(interaction) {
+  const query = interaction.options.getFocused();
+  const choices = fuzzySearchRecipes(query, { limit: 25 }).map(result => ({
+    name: `${result.name} (${describeResult(result)})`.slice(0, 100),
+    value: recipeChoiceValue(result)
+  }));
+  await interaction.respond(choices);
+}
+
+module.exports = {
+  buildSearchResults,
+  buildRecipeOptionPrompt,
+  handleRecipeSearchQuantity,
+  showRecipeSearchModal,
+  handleRecipeSearchModal,
+  handleRecipeSearchSelect,
+  handleRecipeSearchCharacter,
+  autocompleteRecipes
+};
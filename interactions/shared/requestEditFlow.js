@@ -0,0 +1,385 @@
+// interactions/shared/requestEditFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const { getRequestLabel, getPriorityLabel, formatEditChanges } = require('../../utils/requestFormatter');
+const { notifyCrafter } = require('../../utils/deliveryConfirmation');
+const { sendDM } = require('../../utils/notifications');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
+const { hasCoreRole } = require('../../utils/permissionChecks');
+const { describeConflict, getGuildMember } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+// Open requests are edited directly; claimed ones need the crafter's approval
+const EDITABLE_STATUSES = ['open', 'claimed', 'in_progress'];
+
+function editHeader(interaction, title, description) {
+  return new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(title)
+    .setAuthor({ name: interaction.user.username, iconURL: interaction.user.displayAvatarURL() })
+    .setDescription(description + '\n\u200B')
+    .setTimestamp();
+}
+
+function parseJsonObject(json) {
+  try {
+    const parsed = JSON.parse(json || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Before/after diff between a request row and the values chosen in the edit session.
+ * @returns {Object} { field: { from, to } }, empty when nothing changed
+ */
+function buildEditChanges(request, data, providedMaterials) {
+  const changes = {};
+  const compare = (field, from, to) => {
+    if (from !== to) changes[field] = { from, to };
+  };
+
+  compare('character', request.character, data.character);
+  compare('quantity_requested', parseInt(request.quantity_requested || 1, 10) || 1, data.quantity || 1);
+  compare('priority', request.priority || 'normal', data.priority || 'normal');
+  compare('needed_by', request.needed_by || null, data.neededBy || null);
+
+  const before = parseJsonObject(request.provided_materials_json);
+  const names = new Set([...Object.keys(before), ...Object.keys(providedMaterials)]);
+  if ([...names].some(name => (parseInt(before[name], 10) || 0) !== (providedMaterials[name] || 0))) {
+    changes.provided_materials = { from: before, to: providedMaterials };
+  }
+
+  return changes;
+}
+
+/**
+ * Whether the edited quantity and provided materials still cover the whole recipe.
+ */
+function providesAllMaterials(request, data, providedMaterials) {
+  const quantity = data.quantity || 1;
+  return Object.entries(parseJsonObject(request.materials_json))
+    .every(([material, perUnit]) => (providedMaterials[material] || 0) >= (perUnit || 0) * quantity);
+}
+
+/**
+ * "Edit a Request" button in My Requests - pick which pending request to change
+ */
+async function showEditRequestMenu(interaction, client) {
+  const userId = interaction.user.id;
+  const requests = await db.getRequestsByUserId(userId, EDITABLE_STATUSES, 999);
+
+  if (requests.length === 0) {
+    return interaction.followUp({
+      content: '❌ You have no pending requests to edit.',
+      flags: 1 << 6
+    });
+  }
+
+  const options = [];
+  for (const req of requests) {
+    const professionName = req.profession.charAt(0).toUpperCase() + req.profession.slice(1);
+    const pending = req.status !== 'open' && await db.getPendingRequestEdit(req.id);
+    options.push({
+      label: `[${professionName}] ${req.character}: ${getRequestLabel(req)}`.slice(0, 100),
+      description: (pending
+        ? `${req.gear_slot} - edit awaiting crafter approval`
+        : `${req.gear_slot} - ${req.status === 'open' ? 'Open' : 'Claimed, crafter must approve'}`).slice(0, 100),
+      value: String(req.id)
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle('✏️ Edit a Request')
+    .setDescription('Change the character, quantity, priority, deadline or materials of a pending request.\n\n' +
+      'Open requests are updated straight away. If a crafter has already claimed it, they must approve the change first.\n\u200B');
+
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep main status menu at Level 2)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+
+  const selectRows = await buildPaginatedSelect(userId, {
+    customId: 'status_edit_select',
+    placeholder: 'Select a request to edit...',
+    options
+  });
+  const msg = await channel.send({
+    embeds: [embed],
+    components: [
+      ...selectRows,
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('status_back_menu')
+          .setLabel('🔙 Back')
+          .setStyle(ButtonStyle.Secondary)
+      )
+    ]
+  });
+
+  // Track at Level 3 (submenu display)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+}
+
+/**
+ * Request chosen from the edit dropdown - start an edit session and ask for the character.
+ * The rest of the edit reuses the quantity and materials steps of the request flow.
+ */
+async function handleEditRequestSelect(interaction, client) {
+  const userId = interaction.user.id;
+  const request = await db.getRequestById(parseInt(interaction.values[0], 10));
+
+  if (!request || request.user_id !== userId) {
+    return interaction.reply({ content: '❌ That request no longer exists.', flags: 1 << 6 });
+  }
+  if (!EDITABLE_STATUSES.includes(request.status)) {
+    return interaction.reply({ content: `⚠️ ${describeConflict(request.id, { reason: 'status_changed', status: request.status })}.`, flags: 1 << 6 });
+  }
+
+  const chars = await db.getCharactersByUser(userId);
+  const key = `edit_${userId}_${request.id}_${Date.now()}`;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (the edit replaces the request picker)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+
+  let description = `Editing **#${request.id}** - ${getRequestLabel(request)} (${request.gear_slot})\n\n`;
+  description += `**Character:** ${request.character}\n`;
+  description += `**Priority:** ${getPriorityLabel(request)}\n`;
+  description += `**Needed by:** ${request.needed_by || 'No deadline'}\n\n`;
+  description += request.status === 'open'
+    ? 'Pick the character this request is for. Quantity and materials come next.'
+    : `⚠️ Claimed by **${request.claimed_by_name || 'a crafter'}** - they'll be asked to approve your changes.\n\nPick the character this request is for. Quantity and materials come next.`;
+
+  const characterRows = await buildPaginatedSelect(userId, {
+    customId: `request_edit_character_${key}`,
+    placeholder: 'Choose a character',
+    options: chars.map(c => ({
+      label: `${c.name} (${c.type})`,
+      ...(c.name === request.character ? { description: 'Current character' } : {}),
+      value: c.name
+    }))
+  });
+  const msg = await channel.send({
+    embeds: [editHeader(interaction, 'Edit Request', description)],
+    components: characterRows
+  });
+
+  await db.storeTempSession(key, userId, {
+    editRequestId: request.id,
+    character: request.character,
+    profession: request.profession,
+    gearSlot: request.gear_slot,
+    requestId: request.request_id,
+    requestName: request.request_name,
+    materials: parseJsonObject(request.materials_json),
+    quantity: parseInt(request.quantity_requested || 1, 10) || 1,
+    priority: request.priority || 'normal',
+    neededBy: request.needed_by || null,
+    flowMessageId: msg.id
+  });
+
+  // Track at Level 3 (edit flow message)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+
+  await interaction.deferUpdate();
+}
+
+/**
+ * Character chosen - continue with the request flow's quantity modal, prefilled
+ */
+async function handleEditCharacterSelect(interaction) {
+  const key = interaction.customId.replace('request_edit_character_', '');
+  const data = await db.getTempSession(key);
+  if (!data) {
+    return interaction.reply({ content: '⚠️ Session expired. Please start the edit again from My Requests.', flags: 1 << 6 });
+  }
+
+  const character = interaction.values[0];
+  const chars = await db.getCharactersByUser(interaction.user.id);
+  if (!chars.some(c => c.name === character)) {
+    return interaction.reply({ content: `❌ **${character}** is not one of your characters.`, flags: 1 << 6 });
+  }
+
+  const updated = { ...data, character };
+  await db.storeTempSession(key, interaction.user.id, updated);
+
+  const { showQuantityModal } = require('./requestFlow');
+  await showQuantityModal(interaction, key, updated);
+}
+
+/**
+ * Show the outcome on the edit flow message
+ */
+async function showEditResult(interaction, flowMessageId, embed) {
+  if (!interaction.isModalSubmit()) {
+    return interaction.update({ embeds: [embed], components: [] });
+  }
+
+  await interaction.deferUpdate();
+  const channel = interaction.channel;
+  const target = flowMessageId ? await channel.messages.fetch(flowMessageId).catch(() => null) : null;
+  if (target) {
+    await target.edit({ embeds: [embed], components: [] });
+  } else {
+    await channel.send({ embeds: [embed] });
+  }
+}
+
+/**
+ * Last step of an edit (called from the request flow once materials are chosen):
+ * apply it to an open request, or send it to the crafter for approval.
+ * @param {string} key - Edit session key
+ * @param {Object} data - Edit session
+ * @param {Object} providedMaterials - { "Material": total provided }
+ */
+async function finalizeRequestEdit(interaction, client, key, data, providedMaterials) {
+  const userId = interaction.user.id;
+  const request = await db.getRequestById(data.editRequestId);
+  await db.deleteTempSession(key);
+
+  let embed;
+  if (!request || request.user_id !== userId || !EDITABLE_STATUSES.includes(request.status)) {
+    const status = request ? request.status : null;
+    embed = editHeader(interaction, 'Edit Request',
+      `⚠️ ${describeConflict(data.editRequestId, request ? { reason: 'status_changed', status } : { reason: 'not_found' })}. Nothing was changed.`);
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  const completed = parseInt(request.quantity_completed || 0, 10);
+  if ((data.quantity || 1) < completed) {
+    embed = editHeader(interaction, 'Edit Request',
+      `❌ **${completed}** of this request are already crafted, so the quantity can't go below ${completed}. Nothing was changed.`);
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  const chars = await db.getCharactersByUser(userId);
+  if (!chars.some(c => c.name === data.character)) {
+    embed = editHeader(interaction, 'Edit Request', `❌ **${data.character}** is not one of your characters. Nothing was changed.`);
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  const changes = buildEditChanges(request, data, providedMaterials);
+  if (Object.keys(changes).length === 0) {
+    embed = editHeader(interaction, 'Edit Request', `ℹ️ Request **#${request.id}** already matches - nothing to change.`);
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  // Dropping below the full materials turns the request into a guild craft, which needs the Core role
+  if ((changes.provided_materials || changes.quantity_requested) && !providesAllMaterials(request, data, providedMaterials)
+      && !hasCoreRole(await getGuildMember(interaction, client))) {
+    embed = editHeader(interaction, 'Edit Request',
+      '❌ Providing less than all the materials makes this a guild craft, which needs the Core role. Nothing was changed.');
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  const diff = formatEditChanges(changes);
+
+  if (request.status === 'open') {
+    const result = await db.applyRequestEdit(request.id, changes, userId);
+    embed = result.success
+      ? editHeader(interaction, 'Request Updated', `✅ Updated **#${request.id}** - ${request.request_name}:\n\n${diff}`)
+      : editHeader(interaction, 'Edit Request', `⚠️ ${describeEditConflict(request.id, result)}. Nothing was changed.`);
+    if (result.success) log.info(`[REQUEST_EDIT] ${interaction.user.tag} edited open request ${request.id}`);
+    return showEditResult(interaction, data.flowMessageId, embed);
+  }
+
+  const editId = await db.createRequestEdit(request.id, userId, request.claimed_by, changes);
+  log.info(`[REQUEST_EDIT] ${interaction.user.tag} asked ${request.claimed_by_name || request.claimed_by} to approve edit ${editId} of request ${request.id}`);
+
+  await notifyCrafter(client, request, {
+    content: `✏️ <@${userId}> wants to change request **#${request.id}** (${request.request_name} for **${request.character}**) you claimed:\n\n${diff}\n\nApprove to apply the changes, or reject to keep the request as it is.`,
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`request_edit_approve_${editId}`)
+        .setLabel('✅ Approve')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`request_edit_reject_${editId}`)
+        .setLabel('❌ Reject')
+        .setStyle(ButtonStyle.Danger)
+    )]
+  });
+
+  embed = editHeader(interaction, 'Edit Sent for Approval',
+    `📨 **${request.claimed_by_name || 'Your crafter'}** has claimed **#${request.id}**, so they've been asked to approve:\n\n${diff}\n\nYou'll get a DM when they answer.`);
+  return showEditResult(interaction, data.flowMessageId, embed);
+}
+
+function describeEditConflict(requestId, result) {
+  if (result.reason === 'quantity_below_completed') {
+    return `More of **#${requestId}** has been crafted than the new quantity`;
+  }
+  return describeConflict(requestId, result);
+}
+
+/**
+ * Approve / Reject buttons on the crafter's edit DM
+ */
+async function handleEditApproval(interaction, client) {
+  const approve = interaction.customId.startsWith('request_edit_approve_');
+  const editId = parseInt(interaction.customId.split('_').pop());
+  const edit = await db.getRequestEdit(editId);
+
+  if (!edit) {
+    return interaction.update({ content: '⚠️ This edit no longer exists.', components: [] });
+  }
+  if (edit.crafter_id !== interaction.user.id) {
+    return interaction.reply({ content: '❌ Only the crafter who claimed this request can answer.', flags: 1 << 6 });
+  }
+  if (edit.status !== 'pending') {
+    const outcome = edit.status === 'superseded' ? 'was replaced by a newer edit' : `was already ${edit.status}`;
+    return interaction.update({ content: `ℹ️ This edit of request **#${edit.request_id}** ${outcome}.`, components: [] });
+  }
+
+  const request = await db.getRequestById(edit.request_id);
+  const diff = formatEditChanges(edit.changes);
+
+  if (!approve) {
+    if (!await db.resolveRequestEdit(editId, 'rejected', interaction.user.id)) {
+      return interaction.update({ content: `ℹ️ This edit of request **#${edit.request_id}** was already answered.`, components: [] });
+    }
+    await db.appendAuditLog(edit.request_id, 'edit_rejected', interaction.user.id, { editId, changes: edit.changes });
+    log.info(`[REQUEST_EDIT] ${interaction.user.tag} rejected edit ${editId} of request ${edit.request_id}`);
+
+    await interaction.update({ content: `❌ Rejected the changes to request **#${edit.request_id}**. It stays as it was.`, components: [] });
+    await sendDM(client, edit.user_id,
+      `❌ **${interaction.user.username}** didn't approve your changes to request **#${edit.request_id}**${request ? ` (${request.request_name})` : ''}:\n\n${diff}\n\nThe request is unchanged.`);
+    return;
+  }
+
+  if (!await db.resolveRequestEdit(editId, 'approved', interaction.user.id)) {
+    return interaction.update({ content: `ℹ️ This edit of request **#${edit.request_id}** was already answered.`, components: [] });
+  }
+
+  const result = await db.applyRequestEdit(edit.request_id, edit.changes, edit.user_id, {
+    statuses: ['claimed', 'in_progress'],
+    claimedBy: interaction.user.id,
+    approvedBy: interaction.user.id
+  });
+
+  if (!result.success) {
+    await db.resolveRequestEdit(editId, 'stale', interaction.user.id, 'approved');
+    return interaction.update({ content: `⚠️ ${describeEditConflict(edit.request_id, result)}, so the edit can't be applied.`, components: [] });
+  }
+
+  log.info(`[REQUEST_EDIT] ${interaction.user.tag} approved edit ${editId} of request ${edit.request_id}`);
+  await interaction.update({ content: `✅ Approved. Request **#${edit.request_id}** now reads:\n\n${diff}`, components: [] });
+  await sendDM(client, edit.user_id,
+    `✅ **${interaction.user.username}** approved your changes to request **#${edit.request_id}**${request ? ` (${request.request_name})` : ''}:\n\n${diff}`);
+}
+
+module.exports = {
+  showEditRequestMenu,
+  handleEditRequestSelect,
+  handleEditCharacterSelect,
+  finalizeRequestEdit,
+  handleEditApproval
+};
@@ -10,12 +10,16 @@ const {
 
 const db = require('../../utils/database');
 const config = require('../../config/config.js');
-const { getRecipes, getGearSlots } = require('../../utils/professionLoader');
+const { getRecipes, getRecipe, getGearSlots } = require('../../utils/professionLoader');
 const { storeTempSession, getTempSession } = require('../../utils/database');
 const { resolveResponseChannel } = require('../../utils/requestChannel');
 const cleanupService = require('../../utils/cleanupService');
 const { getNavigationMessage } = require('../../utils/navigationHelper');
 const { ensureDMMenu } = require('../../utils/dmMenu');
+const { DEFAULT_PRIORITY, parsePriority, parseNeededBy } = require('../../utils/requestPriority');
+const { getPriorityLabel } = require('../../utils/requestFormatter');
+const { isAutoAssignEnabled, offerToNextCrafter } = require('../../utils/requestAssignment');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
 const log = require('../../utils/logWriter');
 
 /** Helper to generate unique per-user session keys */
@@ -111,8 +115,10 @@ async function safeUpdate(interaction, payload, opts = {}) {
 
 /**
  * Starts the dropdown flow with character selection.
+ * @param {Object} [options]
+ * @param {string|null} [options.recipeQuery] - Start from the chosen recipe, or search results for typed text (/request recipe:)
  */
-async function handleRequestFlow(interaction, client) {
+async function handleRequestFlow(interaction, client, { recipeQuery = null } = {}) {
   const userId = interaction.user.id;
   const chars = await db.getCharactersByUser(userId);
   if (!chars.length) {
@@ -244,20 +250,31 @@ async function handleRequestFlow(interaction, client) {
     label: `${c.name} (${c.type})`,
     value: c.name
   }));
-  const row = new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId('request_character')
-      .setPlaceholder('Choose a character')
-      .addOptions(options.slice(0, 25))
+  const characterRows = await buildPaginatedSelect(userId, {
+    customId: 'request_character',
+    placeholder: 'Choose a character',
+    options
+  });
+
+  // Search recipes by name or material, or request several slots for one character together as a gear set
+  const shortcutRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('request_search_start')
+      .setLabel('🔍 Search Recipes')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId('request_set_start')
+      .setLabel('🧩 Build a Gear Set')
+      .setStyle(ButtonStyle.Secondary)
   );
 
   const embed = requestHeader(interaction, 'New Request', 'Who is this request for?');
 
   // Send the first prompt
-  const msg = await channel.send({
-    embeds: [embed],
-    components: [row]
-  });
+  const { buildRecipeOptionPrompt } = require('./recipeSearchFlow');
+  const msg = await channel.send(recipeQuery
+    ? await buildRecipeOptionPrompt(interaction, chars, recipeQuery)
+    : { embeds: [embed], components: [...characterRows, shortcutRow] });
 
   // Confirm to the user (only if needed)
   // Check if interaction is still valid before responding
@@ -344,16 +361,15 @@ async function handleRequestDropdowns(interaction, client) {
         label: slot,
         value: `${charName}::${profession}::${slot}`
       }));
-      const row = new ActionRowBuilder().addComponents(
-        new StringSelectMenuBuilder()
-          .setCustomId('request_slot')
-          .setPlaceholder('Select gear slot')
-          .addOptions(opts.slice(0, 25))
-      );
+      const rows = await buildPaginatedSelect(userId, {
+        customId: 'request_slot',
+        placeholder: 'Select gear slot',
+        options: opts
+      });
       const embed = requestHeader(interaction, 'New Request', `Which gear slot on **${charName}** for **${profession}**?`);
       return await safeUpdate(interaction, {
         embeds: [embed],
-        components: [row]
+        components: rows
       });
     }
 
@@ -370,120 +386,61 @@ async function handleRequestDropdowns(interaction, client) {
         });
       }
 
-      // ** PAGINATION: Handle more than 25 recipes (Discord limit) **
-      const ITEMS_PER_PAGE = 24; // Leave room for "Next Page" option if needed
-      const totalPages = Math.ceil(recipes.length / ITEMS_PER_PAGE);
-      const currentPage = 1; // First page
-      
-      const startIdx = (currentPage - 1) * ITEMS_PER_PAGE;
-      const endIdx = Math.min(startIdx + ITEMS_PER_PAGE, recipes.length);
-      const pageRecipes = recipes.slice(startIdx, endIdx);
-
-      const opts = pageRecipes.map(e => {
-        const key = _tempKey(userId);
-        log.debug(`[REQUEST_FLOW] Generated session key: ${key} for user: ${userId}`);
-        storeTempSession(key, userId, {
-          character: charName,
-          profession,
-          gearSlot: slot,
-          requestId: e.name,
-          requestName: e.name,
-          materials: e.materials
-        });
-        log.debug(`[REQUEST_FLOW] Stored session data for key: ${key}`);
-        return { label: e.name.slice(0, 100), value: key };
+      // Every recipe is reachable through the paginated select. Option values point into the
+      // names saved here, so a profession reload while the menu is open can't shift the choice
+      const menuKey = _tempKey(userId);
+      await storeTempSession(menuKey, userId, {
+        character: charName,
+        profession,
+        gearSlot: slot,
+        recipeNames: recipes.map(e => e.name)
+      });
+      const opts = recipes.map((e, index) => ({
+        label: e.name.slice(0, 100),
+        value: `recipe::${menuKey}::${index}`
+      }));
+      const rows = await buildPaginatedSelect(userId, {
+        customId: 'request_enchant',
+        placeholder: 'Choose an option',
+        options: opts
       });
-
-      // Add "Next Page" option if there are more pages
-      if (totalPages > 1) {
-        opts.push({
-          label: `📄 Next Page (${currentPage + 1}/${totalPages})`,
-          value: `pagination::${charName}::${profession}::${slot}::${currentPage + 1}`
-        });
-      }
-
-      const row = new ActionRowBuilder().addComponents(
-        new StringSelectMenuBuilder()
-          .setCustomId('request_enchant')
-          .setPlaceholder('Choose an option')
-          .addOptions(opts)
-      );
-      
-      let description = `✨ Choose an option for **${slot}** on **${charName}**:`;
-      if (totalPages > 1) {
-        description += `\n\n📄 Showing page ${currentPage} of ${totalPages} (${recipes.length} total items)`;
-      }
       
+      const description = `✨ Choose an option for **${slot}** on **${charName}**:`;
       const embed = requestHeader(interaction, 'New Request', description);
       return await safeUpdate(interaction, {
         embeds: [embed],
-        components: [row]
+        components: rows
       });
     }
 
-    // 4) Enchant/item chosen → ask about materials (or handle pagination)
+    // 4) Enchant/item chosen → ask about materials
     if (id === 'request_enchant') {
-      const key = vals[0];
-      
-      // ** PAGINATION: Check if this is a pagination request **
-      if (key.startsWith('pagination::')) {
-        const [_, charName, profession, slot, pageStr] = key.split('::');
-        const currentPage = parseInt(pageStr);
-        const recipes = getRecipes(profession, slot);
-        
-        const ITEMS_PER_PAGE = 24;
-        const totalPages = Math.ceil(recipes.length / ITEMS_PER_PAGE);
-        
-        const startIdx = (currentPage - 1) * ITEMS_PER_PAGE;
-        const endIdx = Math.min(startIdx + ITEMS_PER_PAGE, recipes.length);
-        const pageRecipes = recipes.slice(startIdx, endIdx);
-
-        const opts = pageRecipes.map(e => {
-          const sessionKey = _tempKey(userId);
-          storeTempSession(sessionKey, userId, {
-            character: charName,
-            profession,
-            gearSlot: slot,
-            requestId: e.name,
-            requestName: e.name,
-            materials: e.materials
-          });
-          return { label: e.name.slice(0, 100), value: sessionKey };
-        });
-
-        // Add pagination options
-        const paginationOpts = [];
-        
-        // Previous page option
-        if (currentPage > 1) {
-          paginationOpts.push({
-            label: `⬅️ Previous Page (${currentPage - 1}/${totalPages})`,
-            value: `pagination::${charName}::${profession}::${slot}::${currentPage - 1}`
+      let key = vals[0];
+
+      // Recipe options point at a name in the menu's session; look the recipe up by that name
+      if (key.startsWith('recipe::')) {
+        const [, menuKey, indexText] = key.split('::');
+        const menu = await getTempSession(menuKey);
+        const recipeName = menu?.recipeNames?.[parseInt(indexText, 10)];
+        const recipe = recipeName ? getRecipe(menu.profession, menu.gearSlot, recipeName) : null;
+        if (menu && !recipe) {
+          return interaction.reply({
+            content: `❌ **${recipeName || 'That recipe'}** is no longer available. Please start a new request.`,
+            flags: 1 << 6
           });
         }
-        
-        // Next page option
-        if (currentPage < totalPages) {
-          paginationOpts.push({
-            label: `➡️ Next Page (${currentPage + 1}/${totalPages})`,
-            value: `pagination::${charName}::${profession}::${slot}::${currentPage + 1}`
+        if (recipe) {
+          key = _tempKey(userId);
+          log.debug(`[REQUEST_FLOW] Generated session key: ${key} for user: ${userId}`);
+          await storeTempSession(key, userId, {
+            character: menu.character,
+            profession: menu.profession,
+            gearSlot: menu.gearSlot,
+            requestId: recipe.name,
+            requestName: recipe.name,
+            materials: recipe.materials
           });
         }
-
-        const row = new ActionRowBuilder().addComponents(
-          new StringSelectMenuBuilder()
-            .setCustomId('request_enchant')
-            .setPlaceholder('Choose an option')
-            .addOptions([...opts, ...paginationOpts])
-        );
-        
-        const description = `✨ Choose an option for **${slot}** on **${charName}**:\n\n📄 Page ${currentPage} of ${totalPages} (${recipes.length} total items)`;
-        const embed = requestHeader(interaction, 'New Request', description);
-        
-        return await safeUpdate(interaction, {
-          embeds: [embed],
-          components: [row]
-        });
       }
       
       // Normal flow: Enchant selected
@@ -599,7 +556,8 @@ async function handleRequestDropdowns(interaction, client) {
     }
 
 /**
- * Shows a modal asking for the requested quantity.
+ * Shows a modal asking for the requested quantity, plus optional priority and "needed by" date.
+ * Values already in the session (e.g. when editing a request) are prefilled.
  */
 async function showQuantityModal(interaction, key, data) {
   const { ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
@@ -614,9 +572,32 @@ async function showQuantityModal(interaction, key, data) {
     .setStyle(TextInputStyle.Short)
     .setPlaceholder('1')
     .setRequired(true)
-    .setValue('1');
+    .setValue(String(data?.quantity || 1));
 
-  modal.addComponents(new ActionRowBuilder().addComponents(input));
+  const priorityInput = new TextInputBuilder()
+    .setCustomId('priority')
+    .setLabel('Priority: normal, high or raid-critical')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('normal')
+    .setRequired(false);
+
+  const neededByInput = new TextInputBuilder()
+    .setCustomId('needed_by')
+    .setLabel('Needed by (YYYY-MM-DD, optional)')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('YYYY-MM-DD')
+    .setMinLength(0)
+    .setMaxLength(10)
+    .setRequired(false);
+
+  if (data?.priority) priorityInput.setValue(data.priority);
+  if (data?.neededBy) neededByInput.setValue(data.neededBy);
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(input),
+    new ActionRowBuilder().addComponents(priorityInput),
+    new ActionRowBuilder().addComponents(neededByInput)
+  );
 
   await interaction.showModal(modal);
 }
@@ -641,8 +622,21 @@ async function handleQuantityModal(interaction, client) {
     qty = 1;
   }
 
-  // Update session with selected quantity
-  await storeTempSession(key, interaction.user.id, { ...data, quantity: qty });
+  // Optional priority / deadline: unreadable input falls back to the default and is reported in the embed
+  const optionalField = (fieldId) => {
+    try {
+      return interaction.fields.getTextInputValue(fieldId) || '';
+    } catch (err) {
+      return '';
+    }
+  };
+  const priorityInput = optionalField('priority');
+  const priority = parsePriority(priorityInput) || DEFAULT_PRIORITY;
+  const priorityNote = parsePriority(priorityInput) ? '' : `\n*Didn't recognize "${priorityInput.trim()}"*`;
+  const neededBy = parseNeededBy(optionalField('needed_by'));
+
+  // Update session with selected quantity, priority and deadline
+  await storeTempSession(key, interaction.user.id, { ...data, quantity: qty, priority, neededBy: neededBy.value });
 
   // Re-fetch updated data
   const updated = await getTempSession(key);
@@ -688,7 +682,9 @@ async function handleQuantityModal(interaction, client) {
   const slot = enchantMatch ? enchantMatch[1] : updated.gearSlot;
   const effect = enchantMatch ? enchantMatch[2] : updated.requestName;
 
-  const embed = requestHeader(interaction, 'New Request', hasCoreRole
+  // Edits of an existing request reuse this step under their own title
+  const flowTitle = updated.editRequestId ? 'Edit Request' : 'New Request';
+  const embed = requestHeader(interaction, flowTitle, hasCoreRole
     ? `How would you like to fulfill this request?`
     : `Confirm your material provision:`)
     .addFields(
@@ -707,6 +703,18 @@ async function handleQuantityModal(interaction, client) {
         value: `**${updated.quantity}**`,
         inline: true
       },
+      {
+        name: '⚡ Priority',
+        value: `**${getPriorityLabel({ priority: updated.priority })}**${priorityNote}`,
+        inline: true
+      },
+      {
+        name: '📅 Needed By',
+        value: neededBy.value
+          ? `**${neededBy.value}**`
+          : neededBy.error ? `None\n*${neededBy.error}*` : 'None',
+        inline: true
+      },
       {
         name: '💰 Cost',
         value: `**${materialCount}** types\n**${totalItems}** total`,
@@ -719,6 +727,22 @@ async function handleQuantityModal(interaction, client) {
       }
     );
 
+  // Recipe knowledge: stay quiet until crafters of this profession have registered recipes
+  const knowledge = await db.countCraftersKnowingRecipe(updated.profession, updated.requestId);
+  if (knowledge.crafters > 0) {
+    embed.addFields({
+      name: '🧑‍🔧 Crafters',
+      value: `**${knowledge.crafters}** crafter${knowledge.crafters === 1 ? '' : 's'} know${knowledge.crafters === 1 ? 's' : ''} this recipe`,
+      inline: false
+    });
+  } else if (knowledge.professionRegistered) {
+    embed.addFields({
+      name: '🧑‍🔧 Crafters',
+      value: '⚠️ No crafter has registered this recipe yet. You can still submit, but it may take longer to be picked up.',
+      inline: false
+    });
+  }
+
   if (hasCoreRole) {
     embed.setFooter({ text: '🛡️ Core Member: Provide all materials | Share partial guild resources | Get full guild craft' });
   } else {
@@ -744,7 +768,7 @@ async function handleQuantityModal(interaction, client) {
 
     // Fallback: search recent messages for the flow message by embed title
     const messages = await channel.messages.fetch({ limit: config.recentMessageSearchLimit });
-    const flowMessage = messages.find(msg => msg.embeds.length > 0 && msg.embeds[0].title === 'New Request');
+    const flowMessage = messages.find(msg => msg.embeds.length > 0 && msg.embeds[0].title === flowTitle);
     if (flowMessage) {
       await flowMessage.edit({ embeds: [embed], components: [row] });
     } else {
@@ -756,6 +780,57 @@ async function handleQuantityModal(interaction, client) {
 }
 
 
+/**
+ * Persists a new request from flow session data and starts auto-assignment.
+ * Shared by the request flow, "Request again" from templates and the REST API.
+ * @param {string} userId - Requester
+ * @param {Object} data - Session-shaped data (character, profession, gearSlot, requestId, requestName, materials, quantity, priority, neededBy, setId, source)
+ * @param {Object} providedMaterialsObj - { "Material": total provided }
+ * @returns {Promise<{lastID: number}>} The addRequest result
+ */
+async function submitRequest(client, userId, data, providedMaterialsObj) {
+    // Determine if providing any materials
+    const hasProvidedMaterials = Object.values(providedMaterialsObj).some(qty => qty > 0);
+
+    // Persist to database
+    const created = await db.addRequest({
+        user_id: userId,
+        character: data.character,
+        profession: data.profession,
+        gear_slot: data.gearSlot,
+        request_id: data.requestId,
+        request_name: data.requestName,
+        materials_json: JSON.stringify(data.materials),
+        provided_materials_json: JSON.stringify(providedMaterialsObj),
+        provides_materials: hasProvidedMaterials ? 1 : 0,
+      quantity_requested: data.quantity || 1,
+      quantity_completed: 0,
+      priority: data.priority || DEFAULT_PRIORITY,
+      needed_by: data.neededBy || null,
+      set_id: data.setId || null,
+    });
+    
+    await db.logAction(userId, 'createRequest', null, {
+        character: data.character,
+        item: data.requestName,
+        slot: data.gearSlot,
+      provides_materials: hasProvidedMaterials,
+      quantity: data.quantity || 1,
+      priority: data.priority || DEFAULT_PRIORITY,
+      needed_by: data.neededBy || null,
+      ...(data.source ? { source: data.source } : {}),
+    });
+
+    // Auto-assignment runs in the background; the request stays claimable manually meanwhile
+    if (isAutoAssignEnabled(data.profession)) {
+      offerToNextCrafter(client, created.lastID).catch(err => {
+        log.error(`[REQUEST_FLOW] Auto-assignment failed for request ${created.lastID}:`, err);
+      });
+    }
+
+    return created;
+}
+
 async function finalizeRequest(interaction, client, providedMaterialsObj) {
     // Handle both button interactions (has customId) and modal submissions
     const key = interaction.customId 
@@ -784,6 +859,12 @@ async function finalizeRequest(interaction, client, providedMaterialsObj) {
     }
     log.debug(`[REQUEST_FLOW] Session data found for finalization. Key: ${key}`);
 
+    // Editing an existing request: apply (or send for approval) instead of creating a new one
+    if (data.editRequestId) {
+      const { finalizeRequestEdit } = require('./requestEditFlow');
+      return finalizeRequestEdit(interaction, client, key, data, providedMaterialsObj);
+    }
+
     // Check for duplicates within the last 5 seconds
     const isDuplicate = await db.checkDuplicateRequest(
       interaction.user.id,
@@ -811,31 +892,7 @@ async function finalizeRequest(interaction, client, providedMaterialsObj) {
         }
     }
 
-    // Determine if providing any materials
-    const hasProvidedMaterials = Object.values(providedMaterialsObj).some(qty => qty > 0);
-
-    // Persist to database
-    await db.addRequest({
-        user_id: interaction.user.id,
-        character: data.character,
-        profession: data.profession,
-        gear_slot: data.gearSlot,
-        request_id: data.requestId,
-        request_name: data.requestName,
-        materials_json: JSON.stringify(data.materials),
-        provided_materials_json: JSON.stringify(providedMaterialsObj),
-        provides_materials: hasProvidedMaterials ? 1 : 0,
-      quantity_requested: data.quantity || 1,
-      quantity_completed: 0,
-    });
-    
-    await db.logAction(interaction.user.id, 'createRequest', null, {
-        character: data.character,
-        item: data.requestName,
-        slot: data.gearSlot,
-      provides_materials: hasProvidedMaterials,
-      quantity: data.quantity || 1,
-    });
+    const created = await submitRequest(client, interaction.user.id, data, providedMaterialsObj);
 
     // Build detailed materials status
     const providedList = [];
@@ -860,11 +917,22 @@ async function finalizeRequest(interaction, client, providedMaterialsObj) {
         { name: 'Profession', value: data.profession, inline: true },
         { name: 'Gear Slot', value: data.gearSlot, inline: true },
         { name: 'Item', value: data.requestName, inline: false },
+        { name: 'Priority', value: getPriorityLabel({ priority: data.priority }), inline: true },
+        { name: 'Needed By', value: data.neededBy || 'No deadline', inline: true },
+        { name: '\u200B', value: '\u200B', inline: true },
         { name: '✅ You\'re Providing', value: providedList.length > 0 ? providedList.join('\n') : 'None', inline: true },
         { name: '❌ Still Needed', value: neededList.length > 0 ? neededList.join('\n') : 'All materials provided!', inline: true },
     );
     embed.setFooter({ text: '\u200B' }); // Add spacing for future images
 
+    // Recurring requests can be saved and re-submitted later from My Requests → Templates
+    const templateRow = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`request_template_save_${created.lastID}`)
+        .setLabel('💾 Save as Template')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
     // Handle both interaction types for final message
     if (interaction.isModalSubmit()) {
         // Modal submissions need to respond to the message context
@@ -882,12 +950,13 @@ async function finalizeRequest(interaction, client, providedMaterialsObj) {
         if (flowMessage) {
             await flowMessage.edit({
                 embeds: [embed],
-                components: []
+                components: [templateRow]
             });
         } else {
             // Fallback: send new message
             const msg = await channel.send({
-                embeds: [embed]
+                embeds: [embed],
+                components: [templateRow]
             });
         }
     } else {
@@ -897,12 +966,12 @@ async function finalizeRequest(interaction, client, providedMaterialsObj) {
         const flowMessageId = session?.flowMessageId || null;
         return await safeUpdate(interaction, {
           embeds: [embed],
-          components: []
+          components: [templateRow]
         }, { flowMessageId });
       } catch (e) {
         return await safeUpdate(interaction, {
           embeds: [embed],
-          components: []
+          components: [templateRow]
         });
       }
     }
@@ -1100,5 +1169,7 @@ module.exports = {
   handleMaterialsButton,
   handleMaterialsModal,
   handleQuantityModal,
+  showQuantityModal,
+  submitRequest,
 };
 
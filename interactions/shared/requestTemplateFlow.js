@@ -0,0 +1,256 @@
+// interactions/shared/requestTemplateFlow.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder } = require('discord.js');
+const db = require('../../utils/database');
+const config = require('../../config/config.js');
+const { getRecipe } = require('../../utils/professionLoader');
+const { resolveResponseChannel } = require('../../utils/requestChannel');
+const cleanupService = require('../../utils/cleanupService');
+const { hasCoreRole } = require('../../utils/permissionChecks');
+const {
+  MAX_TEMPLATES,
+  PROVISIONS,
+  buildTemplateFromRequest,
+  parseTemplateRow,
+  getTemplateProvidedMaterials,
+  formatTemplateLabel
+} = require('../../utils/requestTemplates');
+const { getGuildMember } = require('./manageCraftsFlow');
+const log = require('../../utils/logWriter');
+
+/**
+ * Save a template from one of the user's requests.
+ * @returns {Promise<string>} Message for the user
+ */
+async function saveTemplateFromRequest(userId, requestId) {
+  const request = await db.getRequestById(requestId);
+  if (!request || request.user_id !== userId) {
+    return `❌ Request #${requestId} no longer exists.`;
+  }
+
+  const template = buildTemplateFromRequest(request);
+  const templates = await db.getRequestTemplates(userId);
+  const replacing = templates.some(t =>
+    t.character === template.character && t.profession === template.profession && t.request_id === template.requestId);
+  if (!replacing && templates.length >= MAX_TEMPLATES) {
+    return `❌ You already have ${MAX_TEMPLATES} templates. Delete one under My Requests → Templates first.`;
+  }
+
+  await db.saveRequestTemplate(template);
+  const provision = PROVISIONS[template.provision];
+  return `💾 ${replacing ? 'Updated' : 'Saved'} template **${formatTemplateLabel(template)}** (${provision.emoji} ${provision.label}). ` +
+    'Use it from My Requests → Templates.';
+}
+
+/**
+ * Check a template can still be submitted and submit it as a new request.
+ * Validates the recipe still exists, the character is still the user's, and
+ * guild-craft provision is still allowed.
+ * @param {Object} template - Template fields (see utils/requestTemplates.js)
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function submitTemplate(interaction, client, template) {
+  const userId = interaction.user.id;
+  const label = formatTemplateLabel(template);
+
+  const recipe = config.enabledProfessions.includes(template.profession) && config.enabledGearSlots.includes(template.gearSlot)
+    ? getRecipe(template.profession, template.gearSlot, template.requestId)
+    : null;
+  if (!recipe) {
+    return { success: false, message: `❌ **${template.requestName}** is no longer in the ${template.profession} recipe list, so **${label}** can't be requested again.` };
+  }
+
+  const chars = await db.getCharactersByUser(userId);
+  if (!chars.some(c => c.name === template.character)) {
+    return { success: false, message: `❌ **${template.character}** is no longer one of your registered characters.` };
+  }
+
+  if (template.provision !== 'full') {
+    const member = await getGuildMember(interaction, client);
+    if (!hasCoreRole(member)) {
+      return { success: false, message: `❌ **${label}** is a guild craft, which needs the Core role. Submit it through Create New Request instead.` };
+    }
+  }
+
+  const isDuplicate = await db.checkDuplicateRequest(userId, template.character, template.profession, template.gearSlot, template.requestId, 5000);
+  if (isDuplicate) {
+    return { success: false, message: '⚠️ You just submitted this request. Please wait a moment before submitting again.' };
+  }
+
+  const { submitRequest } = require('./requestFlow');
+  const created = await submitRequest(client, userId, {
+    character: template.character,
+    profession: template.profession,
+    gearSlot: template.gearSlot,
+    requestId: recipe.name,
+    requestName: recipe.name,
+    materials: recipe.materials,
+    quantity: template.quantity
+  }, getTemplateProvidedMaterials(template, recipe.materials));
+
+  if (template.id) await db.markRequestTemplateUsed(template.id);
+  log.info(`[TEMPLATES] ${interaction.user.tag} requested ${label} again as request ${created.lastID}`);
+  return { success: true, message: `✅ Requested **${label}** again as request **#${created.lastID}**.` };
+}
+
+/**
+ * My Requests → Templates: saved templates with Request again and Delete menus
+ * @param {string|null} notice - Result of the last action, shown above the list
+ */
+async function showTemplates(interaction, client, notice = null) {
+  const userId = interaction.user.id;
+  const channel = await resolveResponseChannel(interaction, client);
+
+  // Clean Level 3+ (keep main status menu at Level 2)
+  await cleanupService.cleanupFromLevel(userId, client, 3);
+
+  const templates = (await db.getRequestTemplates(userId)).map(parseTemplateRow);
+
+  let description = notice ? `${notice}\n\n` : '';
+  if (templates.length === 0) {
+    description += 'You have no saved templates yet.\n\nSave one with **💾 Save as Template** after submitting a request, ' +
+      'or from your completed requests.';
+  } else {
+    description += 'Request any of these again in one click:\n\n';
+    for (const template of templates) {
+      const provision = PROVISIONS[template.provision];
+      description += `• **${formatTemplateLabel(template)}** - ${template.gearSlot} (${provision.emoji} ${provision.label})\n`;
+    }
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle('📋 Request Templates')
+    .setDescription(description + '\n\u200B');
+
+  const components = [];
+  if (templates.length > 0) {
+    const options = templates.map(template => ({
+      label: formatTemplateLabel(template).slice(0, 100),
+      description: `${template.profession.charAt(0).toUpperCase() + template.profession.slice(1)} - ${template.gearSlot}`.slice(0, 100),
+      value: String(template.id)
+    }));
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('status_template_use')
+          .setPlaceholder('🔁 Request again...')
+          .addOptions(options)
+      ),
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('status_template_delete')
+          .setPlaceholder('🗑️ Delete a template...')
+          .addOptions(options)
+      )
+    );
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('status_back_menu')
+      .setLabel('🔙 Back to Menu')
+      .setStyle(ButtonStyle.Secondary)
+  ));
+
+  const msg = await channel.send({ embeds: [embed], components });
+
+  // Track at Level 3 (submenu display)
+  cleanupService.trackMenuMessage(userId, 3, msg.id);
+  cleanupService.scheduleSubmenuCleanup(channel, client, userId);
+}
+
+/**
+ * "💾 Save as Template" on the submission confirmation
+ */
+async function handleSaveTemplateButton(interaction) {
+  const requestId = parseInt(interaction.customId.split('_').pop());
+  const content = await saveTemplateFromRequest(interaction.user.id, requestId);
+  await interaction.reply({ content, flags: 1 << 6 });
+}
+
+/**
+ * Template chosen from "Request again..." - submit it straight away
+ */
+async function handleTemplateUseSelect(interaction, client) {
+  const row = await db.getRequestTemplate(parseInt(interaction.values[0], 10), interaction.user.id);
+  if (!row) {
+    return interaction.reply({ content: '❌ That template no longer exists.', flags: 1 << 6 });
+  }
+
+  const result = await submitTemplate(interaction, client, parseTemplateRow(row));
+  if (!result.success) {
+    return interaction.reply({ content: result.message, flags: 1 << 6 });
+  }
+
+  await showTemplates(interaction, client, result.message);
+  await interaction.deferUpdate();
+}
+
+/**
+ * Template chosen from "Delete a template..."
+ */
+async function handleTemplateDeleteSelect(interaction, client) {
+  const templateId = parseInt(interaction.values[0], 10);
+  const row = await db.getRequestTemplate(templateId, interaction.user.id);
+  const deleted = row && await db.deleteRequestTemplate(templateId, interaction.user.id);
+
+  if (deleted) log.info(`[TEMPLATES] ${interaction.user.tag} deleted template ${templateId}`);
+  await showTemplates(interaction, client, deleted
+    ? `🗑️ Deleted template **${formatTemplateLabel(parseTemplateRow(row))}**.`
+    : '❌ That template no longer exists.');
+  await interaction.deferUpdate();
+}
+
+/**
+ * "Request again / save as template" dropdown on the completed requests view
+ */
+async function handleCompletedAgainSelect(interaction, client) {
+  const [action, idText] = interaction.values[0].split('_');
+  const requestId = parseInt(idText, 10);
+
+  if (action === 'template') {
+    const content = await saveTemplateFromRequest(interaction.user.id, requestId);
+    return interaction.reply({ content, flags: 1 << 6 });
+  }
+
+  const request = await db.getRequestById(requestId);
+  if (!request || request.user_id !== interaction.user.id) {
+    return interaction.reply({ content: `❌ Request #${requestId} no longer exists.`, flags: 1 << 6 });
+  }
+
+  const result = await submitTemplate(interaction, client, buildTemplateFromRequest(request));
+  await interaction.reply({ content: result.message, flags: 1 << 6 });
+}
+
+/**
+ * Options for the completed requests view's "Request again / save as template" dropdown
+ * @param {Array<Object>} requests - Completed requests on the current page
+ * @returns {ActionRowBuilder|null} Null when there are none
+ */
+function buildCompletedAgainSelect(requests) {
+  if (requests.length === 0) return null;
+
+  const options = [];
+  for (const req of requests) {
+    const label = formatTemplateLabel(buildTemplateFromRequest(req));
+    options.push(
+      { label: `🔁 Request again: ${label}`.slice(0, 100), value: `again_${req.id}` },
+      { label: `💾 Save as template: ${label}`.slice(0, 100), value: `template_${req.id}` }
+    );
+  }
+
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId('status_again_select')
+      .setPlaceholder('🔁 Request again or save as template...')
+      .addOptions(options.slice(0, 25))
+  );
+}
+
+module.exports = {
+  showTemplates,
+  buildCompletedAgainSelect,
+  handleSaveTemplateButton,
+  handleTemplateUseSelect,
+  handleTemplateDeleteSelect,
+  handleCompletedAgainSelect
+};
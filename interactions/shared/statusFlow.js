@@ -3,12 +3,68 @@ const db = require('../../utils/database');
 const config = require('../../config/config.js');
 const { resolveResponseChannel } = require('../../utils/requestChannel');
 const { getNavigationMessage } = require('../../utils/navigationHelper');
-const { getRequestLabel, getRequestSubtext } = require('../../utils/requestFormatter');
+const { getRequestLabel, getRequestSubtext, getHandoffSummary, getRecipeRemovedBadge } = require('../../utils/requestFormatter');
 const cleanupService = require('../../utils/cleanupService');
 const { ensureDMMenu } = require('../../utils/dmMenu');
+const { emitRequestEvent } = require('../../utils/requestEvents');
+const { formatStars } = require('../../utils/ratings');
+const { showEditRequestMenu } = require('./requestEditFlow');
+const { showTemplates, buildCompletedAgainSelect } = require('./requestTemplateFlow');
+const { buildPaginatedSelect } = require('../../utils/paginatedSelect');
 const log = require('../../utils/logWriter');
 const { ChannelType, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder } = require('discord.js');
 
+// Requests still waiting on something, including 'ready' ones waiting for the requester to confirm delivery
+const PENDING_STATUSES = ['open', 'claimed', 'in_progress', 'ready'];
+
+function getStatusEmoji(status) {
+  return { open: '⏳', claimed: '👤', ready: '📬' }[status] || '⚙️';
+}
+
+/**
+ * "🧩 Gear Sets" embed field with the combined progress of the user's unfinished sets.
+ * @param {string|null} profession - Optional profession filter
+ * @returns {Promise<Object|null>} Embed field, or null when there are no unfinished sets
+ */
+async function buildGearSetField(userId, profession = null) {
+  const sets = await db.getRequestSetProgress(userId, profession);
+  if (sets.length === 0) return null;
+
+  const lines = sets.map(set => {
+    const parts = [`${set.done}/${set.total} complete`];
+    if (set.ready) parts.push(`${set.ready} ready`);
+    if (set.in_progress) parts.push(`${set.in_progress} in progress`);
+    if (set.open) parts.push(`${set.open} open`);
+    if (set.cancelled) parts.push(`${set.cancelled} cancelled`);
+    const professionNote = profession ? '' : ` (${set.profession})`;
+    return `🧩 **Set #${set.set_id}** ${set.character}${professionNote}: ${parts.join(', ')}`;
+  });
+
+  let value = lines.join('\n');
+  if (value.length > 1000) value = value.substring(0, 997) + '...';
+  return { name: '🧩 Gear Sets', value: value + '\n\u200B', inline: false };
+}
+
+/**
+ * Material hand-off summaries for the given requests, keyed by request id.
+ * Only requests with promised materials get an entry.
+ * @returns {Promise<Map<number, string>>}
+ */
+async function getHandoffSummaries(requests) {
+  const byRequest = new Map();
+  for (const row of await db.getMaterialHandoffs(requests.map(req => req.id))) {
+    if (!byRequest.has(row.request_id)) byRequest.set(row.request_id, []);
+    byRequest.get(row.request_id).push(row);
+  }
+
+  const summaries = new Map();
+  for (const [requestId, rows] of byRequest) {
+    const summary = getHandoffSummary(rows);
+    if (summary) summaries.set(requestId, summary);
+  }
+  return summaries;
+}
+
 /**
  * Initial status command - shows profession selection menu
  * @param {boolean} isButton - True if called from a button press (not a slash command)
@@ -66,7 +122,7 @@ async function showRequestsMenu(interaction, client, userId, alreadyDeferred = f
   for (const prof of config.enabledProfessions) {
     const requests = await db.getRequestsByUserId(
       userId,
-      ['open', 'claimed', 'in_progress'],
+      PENDING_STATUSES,
       3, // Show up to 3 per profession
       prof
     );
@@ -75,13 +131,13 @@ async function showRequestsMenu(interaction, client, userId, alreadyDeferred = f
       hasAnyRequests = true;
       let fieldText = '';
       for (const req of requests) {
-        const emoji = req.status === 'open' ? '⏳' : req.status === 'claimed' ? '👤' : '⚙️';
+        const emoji = getStatusEmoji(req.status);
         const label = getRequestLabel(req);
         fieldText += `${emoji} ${req.character}: ${label}\n`;
       }
       
       // Add "X more..." if there are additional requests
-      const totalCount = await db.getRequestsByUserId(userId, ['open', 'claimed', 'in_progress'], 999, prof);
+      const totalCount = await db.getRequestsByUserId(userId, PENDING_STATUSES, 999, prof);
       if (totalCount.length > 3) {
         fieldText += `_...and ${totalCount.length - 3} more_\n`;
       }
@@ -128,12 +184,20 @@ async function showRequestsMenu(interaction, client, userId, alreadyDeferred = f
     rows.push(new ActionRowBuilder().addComponents(profButtons.slice(i, i + 5)));
   }
 
-  // View Completed button on separate row
+  // View Completed, templates and notification settings on separate row
   rows.push(new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId('status_view_completed')
       .setLabel('📜 All Completed')
-      .setStyle(ButtonStyle.Success)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId('status_templates')
+      .setLabel('📋 Templates')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId('status_notif_settings')
+      .setLabel('🔔 Notifications')
+      .setStyle(ButtonStyle.Secondary)
   ));
 
   // Send menu to resolved channel
@@ -223,6 +287,12 @@ async function handleStatusButton(interaction, client) {
     } else if (customId === 'status_cancel_request') {
       // Show cancel request menu
       await showCancelRequestMenu(interaction, client);
+    } else if (customId === 'status_edit_request') {
+      // Show edit request menu
+      await showEditRequestMenu(interaction, client);
+    } else if (customId === 'status_templates') {
+      // Show saved request templates
+      await showTemplates(interaction, client);
     } else if (customId.startsWith('status_back_')) {
       // Navigate back
       await showRequestsMenu(interaction, client, userId, true);
@@ -256,18 +326,22 @@ async function showAllProfessionsSummary(interaction, client) {
   for (const prof of config.enabledProfessions) {
     const requests = await db.getRequestsByUserId(
       userId,
-      ['open', 'claimed', 'in_progress'],
+      PENDING_STATUSES,
       5,
       prof
     );
 
     if (requests.length > 0) {
       hasAnyRequests = true;
+      const handoffs = await getHandoffSummaries(requests);
       let fieldText = '';
       for (const req of requests) {
-        const emoji = req.status === 'open' ? '⏳' : req.status === 'claimed' ? '👤' : '⚙️';
+        const emoji = getStatusEmoji(req.status);
         const label = getRequestLabel(req);
-        fieldText += `${emoji} [${req.status}] ${req.character}: ${label} to ${req.gear_slot}\n`;
+        const setSuffix = req.set_id ? ` 🧩#${req.set_id}` : '';
+        const removedSuffix = req.recipe_removed_at ? ` ${getRecipeRemovedBadge(req)}` : '';
+        fieldText += `${emoji} [${req.status}] ${req.character}: ${label} to ${req.gear_slot}${setSuffix}${removedSuffix}\n`;
+        if (handoffs.has(req.id)) fieldText += `└ ${handoffs.get(req.id)}\n`;
       }
       
       // Truncate if too long (very unlikely with only 5 items, but safety check)
@@ -281,12 +355,20 @@ async function showAllProfessionsSummary(interaction, client) {
 
   if (!hasAnyRequests) {
     embed.setDescription('✅ You have no pending requests across any professions!\n\n\u200B');
+  } else {
+    const gearSetField = await buildGearSetField(userId);
+    if (gearSetField) embed.addFields(gearSetField);
   }
 
   embed.setFooter({ text: '\u200B' }); // Add spacing above buttons
 
   // Action buttons
   const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('status_edit_request')
+      .setLabel('✏️ Edit a Request')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(!hasAnyRequests),
     new ButtonBuilder()
       .setCustomId('status_cancel_request')
       .setLabel('❌ Cancel a Request')
@@ -332,7 +414,7 @@ async function showProfessionRequests(interaction, profession, client) {
   
   const requests = await db.getRequestsByUserId(
     userId,
-    ['open', 'claimed', 'in_progress'],
+    PENDING_STATUSES,
     config.requestHistoryLimit || 25,
     profession
   );
@@ -344,11 +426,16 @@ async function showProfessionRequests(interaction, profession, client) {
 
   if (requests.length > 0) {
     // Build request lines
+    const handoffs = await getHandoffSummaries(requests);
     const lines = [];
     for (const req of requests) {
-      const emoji = req.status === 'open' ? '⏳' : req.status === 'claimed' ? '👤' : '⚙️';
+      const emoji = getStatusEmoji(req.status);
       const label = getRequestLabel(req);
-      lines.push(`${emoji} [${req.status}] ${req.character}: ${label} to ${req.gear_slot}`);
+      let line = `${emoji} [${req.status}] ${req.character}: ${label} to ${req.gear_slot}`;
+      if (req.set_id) line += ` 🧩#${req.set_id}`;
+      if (req.recipe_removed_at) line += ` ${getRecipeRemovedBadge(req)}`;
+      if (handoffs.has(req.id)) line += `\n└ ${handoffs.get(req.id)}`;
+      lines.push(line);
     }
     
     // Split into multiple fields if needed (Discord limit: 1024 chars per field)
@@ -378,12 +465,20 @@ async function showProfessionRequests(interaction, profession, client) {
       const fieldName = fieldIndex === 1 ? 'Pending Requests' : `Pending Requests (continued ${fieldIndex})`;
       embed.addFields({ name: fieldName, value: currentField.trim() + '\n\u200B', inline: false });
     }
+
+    const gearSetField = await buildGearSetField(userId, profession);
+    if (gearSetField) embed.addFields(gearSetField);
   }
 
   embed.setFooter({ text: '\u200B' }); // Add spacing above buttons
 
   // Action buttons - Row 1
   const row1 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('status_edit_request')
+      .setLabel('✏️ Edit a Request')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(requests.length === 0),
     new ButtonBuilder()
       .setCustomId('status_cancel_request')
       .setLabel('❌ Cancel a Request')
@@ -426,7 +521,7 @@ async function showProfessionRequests(interaction, profession, client) {
 }
 
 /**
- * Shows completed/denied requests with pagination
+ * Shows completed/denied/expired requests with pagination
  * @param {string|null} profession - Optional profession filter (null shows all professions)
  */
 async function showCompletedRequests(interaction, page = 0, profession = null, client) {
@@ -436,8 +531,8 @@ async function showCompletedRequests(interaction, page = 0, profession = null, c
   const userId = interaction.user.id;
   const allRequests = await db.getRequestsByUserId(
     userId,
-    ['complete', 'denied'],
-    999, // Get all completed/denied requests
+    ['complete', 'denied', 'expired'],
+    999, // Get all completed/denied/expired requests
     profession // Filter by profession if provided
   );
 
@@ -459,17 +554,24 @@ async function showCompletedRequests(interaction, page = 0, profession = null, c
         : 'No completed or cancelled requests found.\n\n\u200B'
     );
 
+  // Completed requests on this page that can be rated, and the ratings already given
+  const rateable = requests.filter(req => req.status === 'complete' && req.claimed_by);
+  const ratings = new Map((await db.getRatingsForRequests(rateable.map(req => req.id))).map(r => [r.request_id, r.rating]));
+
   if (requests.length > 0) {
     // Build request lines
     const lines = [];
     for (const req of requests) {
-      const emoji = req.status === 'complete' ? '\u2705' : '\u274c';
-      const statusLabel = req.status === 'complete' ? 'complete' : 'cancelled';
+      const emoji = req.status === 'complete' ? '\u2705' : req.status === 'expired' ? '\u231b' : '\u274c';
+      const statusLabel = req.status === 'denied' ? 'cancelled' : req.status;
       const label = getRequestLabel(req);
       let line = `${emoji} [${statusLabel}] ${req.character} (${req.profession}): ${label} to ${req.gear_slot}`;
       if (req.status === 'denied' && req.deny_reason) {
         line += ` \u2014 Reason: ${req.deny_reason}`;
       }
+      if (ratings.has(req.id)) {
+        line += ` ${formatStars(ratings.get(req.id))}`;
+      }
       lines.push(line);
     }
     
@@ -543,6 +645,26 @@ async function showCompletedRequests(interaction, page = 0, profession = null, c
       .setStyle(ButtonStyle.Secondary)
   );
 
+  // Rate dropdown for completed requests on this page
+  if (rateable.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('status_rate_select')
+        .setPlaceholder('⭐ Rate a completed request...')
+        .addOptions(rateable.map(req => ({
+          label: `#${req.id} ${req.character}: ${getRequestLabel(req)}`.slice(0, 100),
+          description: ratings.has(req.id)
+            ? `Your rating: ${formatStars(ratings.get(req.id))} - choose to change it`
+            : `Crafted by ${req.claimed_by_name || 'unknown'} - not rated yet`.slice(0, 100),
+          value: String(req.id)
+        })))
+    ));
+  }
+
+  // Request again / save as template for completed requests on this page
+  const againRow = buildCompletedAgainSelect(requests.filter(req => req.status === 'complete'));
+  if (againRow) components.push(againRow);
+
   components.push(new ActionRowBuilder().addComponents(buttons));
 
   const channel = await resolveResponseChannel(interaction, client);
@@ -580,7 +702,7 @@ async function showCancelRequestMenu(interaction, client) {
   const requests = await db.getRequestsByUserId(
     userId,
     ['open', 'claimed', 'in_progress'],
-    25 // Max 25 for dropdown (Discord limit)
+    999 // Paginated dropdown, so every pending request is reachable
   );
 
   if (requests.length === 0) {
@@ -612,18 +734,18 @@ async function showCancelRequestMenu(interaction, client) {
       description: `${req.gear_slot} - Status: ${req.status}`.slice(0, 100),
       value: `cancel_req_${req.id}`
     };
-  }).slice(0, 25); // Discord limit
+  });
 
   embed.setFooter({ text: 'Requests are grouped by profession and sorted by submission date.\u200B' });
 
-  const selectMenu = new StringSelectMenuBuilder()
-    .setCustomId('status_cancel_confirm')
-    .setPlaceholder('Select requests to cancel (multi-select enabled)...')
-    .setMinValues(1)
-    .setMaxValues(Math.min(requests.length, 25)) // Allow selecting all available requests
-    .addOptions(options);
-
-  const row1 = new ActionRowBuilder().addComponents(selectMenu);
+  // Allow selecting every request on the current page
+  const selectRows = await buildPaginatedSelect(userId, {
+    customId: 'status_cancel_confirm',
+    placeholder: 'Select requests to cancel (multi-select enabled)...',
+    options,
+    minValues: 1,
+    maxValues: 25
+  });
   const row2 = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId('status_back_menu')
@@ -638,7 +760,7 @@ async function showCancelRequestMenu(interaction, client) {
   
   const msg = await channel.send({
     embeds: [embed],
-    components: [row1, row2]
+    components: [...selectRows, row2]
   });
   
   // Track at Level 3 (submenu display - or Level 4 if called from profession view)
@@ -695,6 +817,7 @@ async function handleStatusDropdown(interaction, client) {
         
         // Add audit log entry
         await db.appendAuditLog(requestId, 'Cancelled by requester', interaction.user.id);
+        emitRequestEvent('cancelled', requestId, interaction.user.id, { reason: 'Cancelled by requester' });
         
         cancelledRequests.push(request);
         
@@ -0,0 +1,32 @@
+/**
+ * Apply pending database schema migrations.
+ *
+ * Usage:
+ *   node scripts/migrate.js            Apply all pending migrations
+ *   node scripts/migrate.js --dry-run  List pending migrations without applying them
+ */
+const { runMigrations } = require('../utils/database');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const migrations = await runMigrations({ dryRun });
+
+  if (migrations.length === 0) {
+    console.log('Database schema is up to date.');
+    return;
+  }
+
+  console.log(dryRun
+    ? `${migrations.length} pending migration(s):`
+    : `Applied ${migrations.length} migration(s):`);
+  for (const migration of migrations) {
+    console.log(`  ${migration.file} - ${migration.description}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
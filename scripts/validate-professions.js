@@ -0,0 +1,53 @@
+/**
+ * Check profession data files in config/ against the profession data format.
+ * Exits with status 1 when any file has errors, so it can run before a deploy.
+ *
+ * Usage:
+ *   node scripts/validate-professions.js                   Check every enabled profession
+ *   node scripts/validate-professions.js <profession> ...  Check specific professions
+ *   node scripts/validate-professions.js --all             Check every .json file in config/
+ *   node scripts/validate-professions.js --strict          Fail on warnings too
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config.js');
+const { validateProfessionFile, formatValidationReport } = require('../utils/professionValidator');
+
+const configDir = path.join(__dirname, '../config');
+
+function flag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+async function main() {
+  const named = process.argv.slice(2).filter(arg => !arg.startsWith('--')).map(arg => arg.toLowerCase());
+  const professions = named.length > 0
+    ? named
+    : flag('all')
+      ? fs.readdirSync(configDir).filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, ''))
+      : config.enabledProfessions || [];
+
+  if (professions.length === 0) {
+    throw new Error('No professions to check (config.enabledProfessions is empty)');
+  }
+
+  const results = professions.map(profession =>
+    validateProfessionFile(profession, { configDir, enabledGearSlots: config.enabledGearSlots || null })
+  );
+  console.log(formatValidationReport(results));
+
+  const errors = results.reduce((sum, result) => sum + result.errors.length, 0);
+  const warnings = results.reduce((sum, result) => sum + result.warnings.length, 0);
+  console.log(`\n${results.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+
+  if (errors > 0 || (flag('strict') && warnings > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+/**
+ * Inspect and replay outgoing webhook deliveries.
+ * Replayed deliveries are queued as pending; the running bot sends them
+ * within a few seconds.
+ *
+ * Usage:
+ *   node scripts/webhooks.js list [--status failed|pending|delivered]  Show recent deliveries
+ *   node scripts/webhooks.js replay <id>                               Send one delivery again
+ *   node scripts/webhooks.js replay-failed [--webhook <name>]          Send every failed delivery again
+ */
+const { initDatabase, listWebhookDeliveries, replayWebhookDeliveries } = require('../utils/database');
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1] || null;
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  await initDatabase();
+
+  if (command === 'list') {
+    const deliveries = await listWebhookDeliveries({ status: option('status') });
+    if (deliveries.length === 0) {
+      console.log('No deliveries found.');
+      return;
+    }
+    for (const d of deliveries) {
+      const result = d.status === 'delivered' ? `HTTP ${d.last_status_code}` : (d.last_error || '');
+      console.log(`#${d.id}  ${d.status.padEnd(9)}  ${d.webhook_name}  ${d.event} (request #${d.request_id})  attempts: ${d.attempts}  ${result}`);
+    }
+    return;
+  }
+
+  if (command === 'replay') {
+    const id = parseInt(arg, 10);
+    if (!id) throw new Error('Usage: node scripts/webhooks.js replay <id>');
+    const queued = await replayWebhookDeliveries({ id });
+    console.log(queued ? `Delivery #${id} queued for replay.` : `Delivery #${id} not found or already pending.`);
+    return;
+  }
+
+  if (command === 'replay-failed') {
+    const queued = await replayWebhookDeliveries({ webhookName: option('webhook') });
+    console.log(`${queued} failed deliver${queued === 1 ? 'y' : 'ies'} queued for replay.`);
+    return;
+  }
+
+  throw new Error('Usage: node scripts/webhooks.js list|replay <id>|replay-failed');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 // utils/cleanupService.js
+const { ChannelType } = require('discord.js');
 const config = require('../config/config.js');
 const log = require('./logWriter.js');
 
@@ -488,6 +489,19 @@ function scheduleDMCleanup(dmChannel, client, delay, userId, cleanupType = 'subm
     log.info(`[CLEANUP] Scheduled DM cleanup (${cleanupType}/${timeoutType}) for ${dmChannel.recipient?.tag || 'user'} in ${delay / 1000}s`);
 }
 
+/**
+ * Schedules the standard submenu cleanup for a menu just sent in DM mode.
+ * Does nothing in channel mode or outside a DM.
+ * @param {import('discord.js').TextBasedChannel} channel The channel the menu was sent to.
+ * @param {import('discord.js').Client} client The Discord client instance.
+ * @param {string} userId The user ID to track activity.
+ */
+function scheduleSubmenuCleanup(channel, client, userId) {
+  if (config.requestMode === 'dm' && channel.type === ChannelType.DM) {
+    scheduleDMCleanup(channel, client, getCleanupTimeout(MessageType.SUBMENU), userId, 'submenu', MessageType.SUBMENU);
+  }
+}
+
 /**
  * Tracks a message at a specific hierarchy level
  * @param {string} userId - The user ID
@@ -604,6 +618,7 @@ module.exports = {
   cancelChannelDeletion,
   cleanupDMMessages,
   scheduleDMCleanup,
+  scheduleSubmenuCleanup,
   recordUserActivity,
   isUserActive,
   clearUserActivity,
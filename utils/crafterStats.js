@@ -0,0 +1,254 @@
+// utils/crafterStats.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../config/config.js');
+const db = require('./database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SEASON_DAYS = 90;
+
+// Selectable reporting periods, in display order
+const STATS_PERIODS = {
+  week: { label: 'Last 7 Days', days: 7 },
+  month: { label: 'Last 30 Days', days: 30 },
+  season: { label: 'This Season' },
+  all: { label: 'All Time' }
+};
+
+// Audit actions that record crafted quantity
+const COMPLETION_ACTIONS = ['completed', 'marked_ready', 'partial_completed'];
+// Audit actions that take a request away from its crafter without finishing it
+const RELEASE_ACTIONS = ['released', 'auto_released'];
+const ACTIVE_STATUSES = ['claimed', 'in_progress'];
+
+/**
+ * Parse a stored timestamp. Rows created by SQLite defaults use
+ * "YYYY-MM-DD HH:MM:SS" (UTC, no zone); newer rows use ISO strings.
+ */
+function parseDbTimestamp(value) {
+  if (!value) return NaN;
+  return Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function isStatsPeriod(period) {
+  return Object.prototype.hasOwnProperty.call(STATS_PERIODS, period);
+}
+
+/**
+ * Start of a reporting period in ms, or null for all time. The season starts at
+ * crafterStats.seasonStart, or covers the last 90 days when that isn't set.
+ */
+function getPeriodStart(period, now = Date.now()) {
+  if (period === 'all') return null;
+  if (period === 'season') {
+    const seasonStart = Date.parse(config.crafterStats?.seasonStart || '');
+    return Number.isNaN(seasonStart) ? now - DEFAULT_SEASON_DAYS * DAY_MS : seasonStart;
+  }
+  return now - STATS_PERIODS[period].days * DAY_MS;
+}
+
+/**
+ * "Last 30 Days", or "This Season (since Sep 1)" when a season start is configured.
+ */
+function getPeriodLabel(period) {
+  const label = STATS_PERIODS[period].label;
+  const seasonStart = config.crafterStats?.seasonStart;
+  if (period !== 'season' || !seasonStart || Number.isNaN(Date.parse(seasonStart))) return label;
+  return `${label} (since ${new Date(seasonStart).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })})`;
+}
+
+/**
+ * "2d 4h", "5h 12m" or "45m" for a duration; "—" when there is nothing to average.
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '—';
+  const minutes = Math.max(Math.round(ms / 60000), 0);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function parseAuditLog(request) {
+  try {
+    return JSON.parse(request.audit_log || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * When the crafter finished a request: the last audit entry that brought it to
+ * its full quantity, falling back to updated_at for rows older than the audit log.
+ */
+function getFinishedAt(request, entries) {
+  const qtyRequested = parseInt(request.quantity_requested || 1, 10) || 1;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (COMPLETION_ACTIONS.includes(entry.action) && (entry.totalCompleted || 0) >= qtyRequested) {
+      return parseDbTimestamp(entry.at);
+    }
+  }
+  return parseDbTimestamp(request.updated_at);
+}
+
+function emptyStats() {
+  return { completed: 0, itemsCrafted: 0, releases: 0, activeLoad: 0, completionMs: 0, timedCount: 0 };
+}
+
+function addStats(target, source) {
+  for (const key of Object.keys(source)) {
+    if (typeof source[key] === 'number') target[key] += source[key];
+  }
+}
+
+/**
+ * Replace the running completion-time totals with an average.
+ */
+function finalizeStats(stats) {
+  const { completionMs, timedCount, ...rest } = stats;
+  return { ...rest, avgCompletionMs: timedCount > 0 ? completionMs / timedCount : null };
+}
+
+function compareStats(a, b) {
+  return b.completed - a.completed || b.itemsCrafted - a.itemsCrafted || a.releases - b.releases;
+}
+
+/**
+ * Compute per-crafter and per-profession statistics from the requests table and its audit logs.
+ *
+ * Completed and items crafted count completed requests finished within the period,
+ * credited to the crafter who held the claim. Average time runs from the last claim to
+ * the moment the crafter finished. Releases count manual and idle releases within the
+ * period against the crafter who lost the claim. Active load is the current number of
+ * claimed or in-progress requests, whatever the period.
+ *
+ * @param {string} [period='all'] - Key of STATS_PERIODS
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{period: string, since: number|null, crafters: Array, professions: Array}>}
+ *   Crafters and professions are sorted by completed, then items crafted. Each crafter
+ *   carries its own per-profession breakdown and each profession its crafters.
+ */
+async function computeCrafterStats(period = 'all', now = Date.now()) {
+  const since = getPeriodStart(period, now);
+  const inPeriod = time => !Number.isNaN(time) && (since === null || time >= since) && time <= now;
+
+  // One cell per crafter per profession
+  const cells = new Map();
+  const names = new Map();
+  const getCell = (crafterId, profession) => {
+    const key = `${crafterId}\u0000${profession}`;
+    if (!cells.has(key)) cells.set(key, { crafterId, profession, ...emptyStats() });
+    return cells.get(key);
+  };
+
+  for (const request of await db.getAllRequests()) {
+    const entries = parseAuditLog(request);
+
+    // Crafters' names as they claimed, for releases where the request no longer says who held it
+    for (const entry of entries) {
+      if (entry.action === 'claimed' && entry.userName) names.set(entry.by, entry.userName);
+    }
+
+    if (request.claimed_by) {
+      if (request.claimed_by_name) names.set(request.claimed_by, request.claimed_by_name);
+
+      if (ACTIVE_STATUSES.includes(request.status)) {
+        getCell(request.claimed_by, request.profession).activeLoad++;
+      }
+
+      if (request.status === 'complete') {
+        const finishedAt = getFinishedAt(request, entries);
+        if (inPeriod(finishedAt)) {
+          const cell = getCell(request.claimed_by, request.profession);
+          cell.completed++;
+          cell.itemsCrafted += parseInt(request.quantity_completed || request.quantity_requested || 1, 10) || 0;
+
+          const claimedAt = parseDbTimestamp(request.claimed_at);
+          if (!Number.isNaN(claimedAt) && finishedAt >= claimedAt) {
+            cell.completionMs += finishedAt - claimedAt;
+            cell.timedCount++;
+          }
+        }
+      }
+    }
+
+    for (const entry of entries) {
+      if (!RELEASE_ACTIONS.includes(entry.action) || !inPeriod(parseDbTimestamp(entry.at))) continue;
+      const crafterId = entry.previousClaimant || entry.by;
+      if (entry.previousClaimantName) names.set(crafterId, entry.previousClaimantName);
+      getCell(crafterId, request.profession).releases++;
+    }
+  }
+
+  const crafters = new Map();
+  const professions = new Map();
+  for (const cell of cells.values()) {
+    const { crafterId, profession, ...stats } = cell;
+    const crafterName = names.get(crafterId) || 'Unknown crafter';
+
+    if (!crafters.has(crafterId)) crafters.set(crafterId, { crafterId, crafterName, ...emptyStats(), professions: [] });
+    const crafter = crafters.get(crafterId);
+    addStats(crafter, stats);
+    crafter.professions.push({ profession, ...finalizeStats(stats) });
+
+    if (!professions.has(profession)) professions.set(profession, { profession, ...emptyStats(), crafters: [] });
+    const prof = professions.get(profession);
+    addStats(prof, stats);
+    prof.crafters.push({ crafterId, crafterName, ...finalizeStats(stats) });
+  }
+
+  const finalize = ({ professions: profs, crafters: members, ...stats }) => ({
+    ...finalizeStats(stats),
+    ...(profs ? { professions: profs.sort(compareStats) } : {}),
+    ...(members ? { crafters: members.sort(compareStats) } : {})
+  });
+
+  return {
+    period,
+    since,
+    crafters: [...crafters.values()].map(finalize).sort(compareStats),
+    professions: [...professions.values()].map(finalize).sort(compareStats)
+  };
+}
+
+/**
+ * "12 completed · 40 items · avg 1d 4h · 1 release · 2 active"
+ */
+function formatStatsLine(stats) {
+  return [
+    `${stats.completed} completed`,
+    `${stats.itemsCrafted} item${stats.itemsCrafted === 1 ? '' : 's'}`,
+    `avg ${formatDuration(stats.avgCompletionMs)}`,
+    `${stats.releases} release${stats.releases === 1 ? '' : 's'}`,
+    `${stats.activeLoad} active`
+  ].join(' · ');
+}
+
+/**
+ * Period buttons shared by the leaderboard and My Stats; the shown period is highlighted.
+ * @param {string} prefix - customId prefix, completed with the period key
+ * @param {string} activePeriod
+ */
+function buildStatsPeriodRow(prefix, activePeriod) {
+  return new ActionRowBuilder().addComponents(
+    Object.entries(STATS_PERIODS).map(([period, { label }]) =>
+      new ButtonBuilder()
+        .setCustomId(`${prefix}${period}`)
+        .setLabel(label)
+        .setStyle(period === activePeriod ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        .setDisabled(period === activePeriod)
+    )
+  );
+}
+
+module.exports = {
+  STATS_PERIODS,
+  isStatsPeriod,
+  getPeriodStart,
+  getPeriodLabel,
+  formatDuration,
+  computeCrafterStats,
+  formatStatsLine,
+  buildStatsPeriodRow
+};
@@ -1,8 +1,10 @@
 const sqlite3 = require('sqlite3').verbose();
-const path =require('path');
+const path = require('path');
 const fs = require('fs');
 const config = require('../config/config.js');
 const log = require('./logWriter');
+const { PRIORITY_LEVELS, PRIORITY_ORDER_SQL } = require('./requestPriority');
+const { emitRequestEvent } = require('./requestEvents');
 
 // Ensure data directory exists
 const dataDir = path.resolve(__dirname, '../data');
@@ -18,228 +20,115 @@ const SESSION_CLEANUP_INTERVAL = 30 * 60 * 1000;
 const SESSION_EXPIRY_TIME = 24 * 60 * 60 * 1000;
 let cleanupTimer = null;
 
+// Versioned schema migrations live in utils/migrations as NNN_name.js files
+const MIGRATIONS_DIR = path.resolve(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
 /**
- * Initialize all necessary tables with the updated schema.
- * NOTE: If you have an existing DB, delete data/guild-requests.sqlite
- * so this schema takes effect.
- */
-function initDatabase() {
-  db.serialize(() => {
-    // Characters table
-    db.run(`CREATE TABLE IF NOT EXISTS characters (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT,
-      name TEXT,
-      type TEXT
-    )`);
-
-    // Requests table with new columns request_id & request_name
-    db.run(`CREATE TABLE IF NOT EXISTS requests (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT,
-      character TEXT,
-      profession TEXT,
-      gear_slot TEXT,
-      request_id TEXT,
-      request_name TEXT,
-      status TEXT DEFAULT 'open',
-      claimed_by TEXT,
-      claimed_by_name TEXT,
-      claimed_at TEXT,
-      deny_reason TEXT,
-      materials_json TEXT,
-      provided_materials_json TEXT,
-      provides_materials INTEGER,
-      quantity_requested INTEGER DEFAULT 1,
-      quantity_completed INTEGER DEFAULT 0,
-      audit_log TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Audit logs table
-    db.run(`CREATE TABLE IF NOT EXISTS action_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT,
-      action_type TEXT,
-      target_request_id INTEGER,
-      timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      details_json TEXT
-    )`);
-
-    // Temp sessions for dropdown flows
-    db.run(`CREATE TABLE IF NOT EXISTS temp_sessions (
-      session_key TEXT PRIMARY KEY,
-      user_id TEXT,
-      data_json TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Active DM channels for cleanup tracking
-    db.run(`CREATE TABLE IF NOT EXISTS active_dms (
-      user_id TEXT PRIMARY KEY,
-      dm_channel_id TEXT,
-      last_activity TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    // Migration: Add provided_materials_json column if it doesn't exist
-    db.run(`PRAGMA table_info(requests)`, (err, rows) => {
-      if (err) {
-        log.error('[DATABASE] Failed to check table structure:', err);
-        return;
-      }
-    });
-    
-    db.all(`PRAGMA table_info(requests)`, (err, rows) => {
-      if (err) {
-        log.error('[DATABASE] Failed to check table structure:', err);
-        return;
-      }
-      
-      const hasProvidedMaterialsJson = rows.some(row => row.name === 'provided_materials_json');
-      const hasQuantityRequested = rows.some(row => row.name === 'quantity_requested');
-      const hasQuantityCompleted = rows.some(row => row.name === 'quantity_completed');
-      const hasClaimedAt = rows.some(row => row.name === 'claimed_at');
-      const hasAuditLog = rows.some(row => row.name === 'audit_log');
-      
-      if (!hasProvidedMaterialsJson) {
-        db.run(`ALTER TABLE requests ADD COLUMN provided_materials_json TEXT`, (err) => {
-          if (err) {
-            log.error('[DATABASE] Failed to add provided_materials_json column:', err);
-          } else {
-            log.info('[DATABASE] Added provided_materials_json column to requests table');
-          }
-        });
-      }
-      
-      if (!hasClaimedAt) {
-        db.run(`ALTER TABLE requests ADD COLUMN claimed_at TEXT`, (err) => {
-          if (err) {
-            log.error('[DATABASE] Failed to add claimed_at column:', err);
-          } else {
-            log.info('[DATABASE] Added claimed_at column to requests table');
-          }
-        });
-      }
-      
-      if (!hasAuditLog) {
-        db.run(`ALTER TABLE requests ADD COLUMN audit_log TEXT`, (err) => {
-          if (err) {
-            log.error('[DATABASE] Failed to add audit_log column:', err);
-          } else {
-            log.info('[DATABASE] Added audit_log column to requests table');
-          }
-        });
-      }
-      
-      if (!hasQuantityRequested) {
-        db.run(`ALTER TABLE requests ADD COLUMN quantity_requested INTEGER DEFAULT 1`, (err) => {
-          if (err) {
-            log.error('[DATABASE] Failed to add quantity_requested column:', err);
-          } else {
-            log.info('[DATABASE] Added quantity_requested column to requests table');
-          }
-        });
+ * Load all migration modules in version order.
+ * Throws if two files share a version number or a module has no up().
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
       }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        description: migration.description || '',
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
 
-      if (!hasQuantityCompleted) {
-        db.run(`ALTER TABLE requests ADD COLUMN quantity_completed INTEGER DEFAULT 0`, (err) => {
-          if (err) {
-            log.error('[DATABASE] Failed to add quantity_completed column:', err);
-          } else {
-            log.info('[DATABASE] Added quantity_completed column to requests table');
-          }
-        });
-      }
-    });
-  });
+  return migrations;
+}
 
-  // Start the session cleanup routine
-  startSessionCleanup();
-  
-  // Migration: Fix corrupted materials_json data
-  fixMaterialsJsonFormat();
+/**
+ * Get the migrations that have not been applied to this database yet.
+ * Read-only: does not create the schema_version table.
+ */
+async function getPendingMigrations() {
+  const migrations = loadMigrations();
+
+  const versionTable = await get(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`
+  );
+  if (!versionTable) return migrations;
+
+  const applied = await all(`SELECT version FROM schema_version`);
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return migrations.filter(migration => !appliedVersions.has(migration.version));
 }
 
 /**
- * Migration function to fix materials_json format
- * Converts any array format to proper object format
+ * Apply all pending migrations in order, each inside its own transaction.
+ * A failing migration is rolled back and the error is rethrown so startup stops.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report pending migrations
+ * @returns {Promise<Array>} The migrations that were (or would be) applied
  */
-async function fixMaterialsJsonFormat() {
-  try {
-    const requests = await all(`SELECT id, materials_json FROM requests WHERE materials_json IS NOT NULL AND materials_json != ''`);
-    
-    let fixedCount = 0;
-    for (const req of requests) {
+async function runMigrations({ dryRun = false } = {}) {
+  const pending = await getPendingMigrations();
+
+  if (dryRun) {
+    return pending;
+  }
+
+  await run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  for (const migration of pending) {
+    log.info(`[DB_MIGRATION] Applying ${migration.file}: ${migration.description}`);
+    await run('BEGIN IMMEDIATE');
+    try {
+      await migration.up({ run, get, all });
+      await run(
+        `INSERT INTO schema_version (version, name) VALUES (?, ?)`,
+        [migration.version, migration.name]
+      );
+      await run('COMMIT');
+    } catch (err) {
       try {
-        const materials = JSON.parse(req.materials_json);
-        
-        // Check if it's in array format ["Material x10", ...]
-        if (Array.isArray(materials)) {
-          log.warn(`[DB_MIGRATION] Request ${req.id} has array format materials, converting...`);
-          
-          const convertedMaterials = {};
-          for (const materialStr of materials) {
-            const match = materialStr.match(/^(.+?)\s+x(\d+)$/);
-            if (match) {
-              const [, materialName, quantity] = match;
-              convertedMaterials[materialName.trim()] = parseInt(quantity, 10);
-            }
-          }
-          
-          // Update the database with corrected format
-          await run(
-            `UPDATE requests SET materials_json = ? WHERE id = ?`,
-            [JSON.stringify(convertedMaterials), req.id]
-          );
-          
-          fixedCount++;
-          log.info(`[DB_MIGRATION] Fixed materials format for request ${req.id}`);
-        }
-        // Check if it's in malformed object format with numeric keys
-        else if (typeof materials === 'object' && materials !== null) {
-          const hasNumericKeys = Object.keys(materials).some(key => key.match(/^\d+$/));
-          if (hasNumericKeys) {
-            log.warn(`[DB_MIGRATION] Request ${req.id} has numeric keys, attempting to fix...`);
-            
-            // Try to reconstruct from the values if they're in "Material xQty" format
-            const convertedMaterials = {};
-            for (const [key, value] of Object.entries(materials)) {
-              // Skip numeric keys and try to parse the value
-              if (key.match(/^\d+$/)) {
-                const match = value.match(/^(.+?)\s+x(\d+)$/);
-                if (match) {
-                  const [, materialName, quantity] = match;
-                  convertedMaterials[materialName.trim()] = parseInt(quantity, 10);
-                }
-              } else {
-                // Keep non-numeric keys as-is
-                convertedMaterials[key] = parseInt(value, 10) || 0;
-              }
-            }
-            
-            if (Object.keys(convertedMaterials).length > 0) {
-              await run(
-                `UPDATE requests SET materials_json = ? WHERE id = ?`,
-                [JSON.stringify(convertedMaterials), req.id]
-              );
-              
-              fixedCount++;
-              log.info(`[DB_MIGRATION] Fixed materials format for request ${req.id}`);
-            }
-          }
-        }
-      } catch (err) {
-        log.error(`[DB_MIGRATION] Failed to fix materials for request ${req.id}:`, err);
+        await run('ROLLBACK');
+      } catch (rollbackErr) {
+        log.error(`[DB_MIGRATION] Rollback of ${migration.file} failed:`, rollbackErr);
       }
+      throw new Error(`Migration ${migration.file} failed: ${err.message}`);
     }
-    
-    if (fixedCount > 0) {
-      log.info(`[DB_MIGRATION] Fixed materials format for ${fixedCount} request(s)`);
-    }
-  } catch (err) {
-    log.error('[DB_MIGRATION] Failed to run materials migration:', err);
   }
+
+  if (pending.length > 0) {
+    log.info(`[DB_MIGRATION] Applied ${pending.length} migration(s)`);
+  }
+
+  return pending;
+}
+
+/**
+ * Bring the schema up to date and start background session cleanup.
+ * Rejects if any migration fails; callers should refuse to start.
+ */
+async function initDatabase() {
+  await runMigrations();
+
+  // Start the session cleanup routine
+  startSessionCleanup();
 }
 
 // Promise-based wrappers
@@ -282,6 +171,10 @@ function getCharactersByUser(userId) {
   return all(`SELECT * FROM characters WHERE user_id = ?`, [userId]);
 }
 
+function getAllCharacters() {
+  return all(`SELECT * FROM characters ORDER BY name COLLATE NOCASE`);
+}
+
 async function deleteCharacter(userId, characterId) {
     try {
         // Get character name before deletion
@@ -292,7 +185,7 @@ async function deleteCharacter(userId, characterId) {
 
         // Get all open or in-progress requests for this character
         const requests = await all(
-            `SELECT id FROM requests WHERE character = ? AND user_id = ? AND status IN ('open', 'claimed', 'in_progress')`,
+            `SELECT id FROM requests WHERE character = ? AND user_id = ? AND status IN ('open', 'claimed', 'in_progress', 'ready')`,
             [character.name, userId]
         );
 
@@ -309,10 +202,12 @@ async function deleteCharacter(userId, characterId) {
             await appendAuditLog(request.id, 'cancelled_character_deleted', userId, {
                 reason: 'Character deleted by owner'
             });
+            emitRequestEvent('cancelled', request.id, userId, { reason: 'Character deleted by owner' });
         }
 
         // Delete the character
         await run(`DELETE FROM characters WHERE id = ? AND user_id = ?`, [characterId, userId]);
+        await run(`DELETE FROM character_recipes WHERE character_id = ?`, [characterId]);
 
         log.info(`[DB] Deleted character ${character.name} (ID: ${characterId}) for user ${userId}, cancelled ${requests.length} requests`);
         return { deletedCharacter: character.name, cancelledRequests: requests.length };
@@ -322,6 +217,96 @@ async function deleteCharacter(userId, characterId) {
     }
 }
 
+// Recipe knowledge functions
+
+/**
+ * Gets the recipe names a character has registered for a profession.
+ * @param {number} characterId
+ * @param {string} profession
+ * @returns {Promise<string[]>}
+ */
+async function getKnownRecipes(characterId, profession) {
+  const rows = await all(
+    `SELECT recipe_name FROM character_recipes WHERE character_id = ? AND profession = ?`,
+    [characterId, profession]
+  );
+  return rows.map(row => row.recipe_name);
+}
+
+/**
+ * Replaces a character's knowledge for a subset of recipes (e.g. one gear slot).
+ * Recipes in `recipeNames` but not in `knownNames` are forgotten.
+ * @param {number} characterId
+ * @param {string} userId - Character owner
+ * @param {string} profession
+ * @param {string[]} recipeNames - Recipes the selection covered
+ * @param {string[]} knownNames - Recipes from that set the character knows
+ */
+async function setKnownRecipes(characterId, userId, profession, recipeNames, knownNames) {
+  if (recipeNames.length === 0) return;
+
+  await run(
+    `DELETE FROM character_recipes
+      WHERE character_id = ? AND profession = ? AND recipe_name IN (${recipeNames.map(() => '?').join(', ')})`,
+    [characterId, profession, ...recipeNames]
+  );
+
+  const known = knownNames.filter(name => recipeNames.includes(name));
+  if (known.length === 0) return;
+
+  await run(
+    `INSERT OR IGNORE INTO character_recipes (character_id, user_id, profession, recipe_name)
+     VALUES ${known.map(() => '(?, ?, ?, ?)').join(', ')}`,
+    known.flatMap(name => [characterId, userId, profession, name])
+  );
+}
+
+/**
+ * Gets every recipe any of a user's characters knows for a profession.
+ * @param {string} userId
+ * @param {string} profession
+ * @returns {Promise<Set<string>>}
+ */
+async function getKnownRecipeNamesForUser(userId, profession) {
+  const rows = await all(
+    `SELECT DISTINCT recipe_name FROM character_recipes WHERE user_id = ? AND profession = ?`,
+    [userId, profession]
+  );
+  return new Set(rows.map(row => row.recipe_name));
+}
+
+/**
+ * Gets the users with at least one character that knows a recipe.
+ * @param {string} profession
+ * @param {string} recipeName
+ * @returns {Promise<string[]>}
+ */
+async function getRecipeCrafterIds(profession, recipeName) {
+  const rows = await all(
+    `SELECT DISTINCT user_id FROM character_recipes WHERE profession = ? AND recipe_name = ?`,
+    [profession, recipeName]
+  );
+  return rows.map(row => row.user_id);
+}
+
+/**
+ * Counts distinct crafters (users) with a character that knows a recipe, and
+ * whether anyone has registered recipes for the profession at all.
+ * @param {string} profession
+ * @param {string} recipeName
+ * @returns {Promise<{crafters: number, professionRegistered: boolean}>}
+ */
+async function countCraftersKnowingRecipe(profession, recipeName) {
+  const row = await get(
+    `SELECT COUNT(DISTINCT CASE WHEN recipe_name = ? THEN user_id END) AS crafters,
+            COUNT(*) AS registrations
+       FROM character_recipes
+      WHERE profession = ?`,
+    [recipeName, profession]
+  );
+  return { crafters: row.crafters, professionRegistered: row.registrations > 0 };
+}
+
 // Request functions
 function getRequestById(id) {
   return get(`SELECT * FROM requests WHERE id = ?`, [id]);
@@ -362,6 +347,52 @@ function getRequestsByUserId(userId, statuses, limit = 10, profession = null) {
   return all(query, params);
 }
 
+/**
+ * Filtered request listing, newest activity first. Every filter is optional.
+ * @param {Object} filters
+ * @param {string|string[]} [filters.status]
+ * @param {string} [filters.profession]
+ * @param {string} [filters.claimedBy] - Crafter user ID
+ * @param {string} [filters.character] - Requesting character name (case-insensitive)
+ * @param {string} [filters.userId] - Requester user ID
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.offset=0]
+ */
+function searchRequests({ status, profession, claimedBy, character, userId, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+
+  const statuses = [].concat(status || []);
+  if (statuses.length > 0) {
+    where.push(`status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+  if (profession) {
+    where.push('profession = ?');
+    params.push(profession);
+  }
+  if (claimedBy) {
+    where.push('claimed_by = ?');
+    params.push(claimedBy);
+  }
+  if (character) {
+    where.push('character = ? COLLATE NOCASE');
+    params.push(character);
+  }
+  if (userId) {
+    where.push('user_id = ?');
+    params.push(userId);
+  }
+
+  return all(
+    `SELECT * FROM requests
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+}
+
 function getAllRequests() {
   return all(
     `SELECT * FROM requests ORDER BY id ASC`
@@ -415,9 +446,9 @@ function updateRequestStatus(id, status, claimedBy = null) {
       } else {
         await run(
           `UPDATE requests
-             SET status = ?, updated_at = ?
+             SET status = ?, completed_at = ?, updated_at = ?
            WHERE id = ?`,
-          [status, timestamp, id]
+          [status, status === 'complete' ? timestamp : null, timestamp, id]
         );
       }
 
@@ -437,6 +468,11 @@ function updateRequestStatus(id, status, claimedBy = null) {
  * - claimed -> denied
  * - in_progress -> complete
  * - in_progress -> denied
+ * - in_progress -> ready (delivery confirmation enabled)
+ * - ready -> complete (requester confirms or auto-confirm)
+ * - ready -> in_progress (requester disputes)
+ * - ready -> denied
+ * - open -> expired (scheduler)
  * - Any status -> denied (override)
  * @param {string} currentStatus
  * @param {string} newStatus
@@ -444,11 +480,13 @@ function updateRequestStatus(id, status, claimedBy = null) {
  */
 function isValidStatusTransition(currentStatus, newStatus) {
   const validTransitions = {
-    'open': ['claimed', 'denied'],
+    'open': ['claimed', 'denied', 'expired'],
     'claimed': ['in_progress', 'denied'],
-    'in_progress': ['complete', 'denied'], // Allow admin cancellation
+    'in_progress': ['complete', 'ready', 'denied'], // Allow admin cancellation
+    'ready': ['complete', 'in_progress', 'denied'],
     'complete': [], // Terminal state
-    'denied': []     // Terminal state (user-facing: "Cancelled")
+    'denied': [],    // Terminal state (user-facing: "Cancelled")
+    'expired': []    // Terminal state; admins can reopen
   };
 
   if (!validTransitions[currentStatus]) {
@@ -502,7 +540,7 @@ async function checkDuplicateRequest(userId, character, profession, gear_slot, r
 }
 
 // Add a new request (using generic request_id & request_name)
-function addRequest({ user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json, provides_materials, quantity_requested = 1, quantity_completed = 0 }) {
+async function addRequest({ user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json, provides_materials, quantity_requested = 1, quantity_completed = 0, priority = 'normal', needed_by = null, set_id = null }) {
   // Validate required fields
   if (!user_id || !character || !profession || !gear_slot || !request_id || !request_name) {
     log.error('[DB] addRequest: Missing required fields', {
@@ -513,7 +551,7 @@ function addRequest({ user_id, character, profession, gear_slot, request_id, req
       request_id: !!request_id,
       request_name: !!request_name
     });
-    return Promise.reject(new Error('Missing required request fields: user_id, character, profession, gear_slot, request_id, and request_name are all required'));
+    throw new Error('Missing required request fields: user_id, character, profession, gear_slot, request_id, and request_name are all required');
   }
 
   const ts = new Date().toISOString();
@@ -523,11 +561,187 @@ function addRequest({ user_id, character, profession, gear_slot, request_id, req
     at: ts
   }]);
   
-  return run(
+  const result = await run(
     `INSERT INTO requests
-       (user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json, provides_materials, quantity_requested, quantity_completed, audit_log, created_at, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json || '{}', provides_materials, quantity_requested, quantity_completed, initialAuditLog, ts, ts]
+       (user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json, provides_materials, quantity_requested, quantity_completed, priority, needed_by, set_id, audit_log, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [user_id, character, profession, gear_slot, request_id, request_name, materials_json, provided_materials_json || '{}', provides_materials, quantity_requested, quantity_completed, PRIORITY_LEVELS[priority] ? priority : 'normal', needed_by, set_id, initialAuditLog, ts, ts]
+  );
+
+  await saveRequestMaterials(result.lastID, parseMaterialsJson(materials_json), parseMaterialsJson(provided_materials_json));
+  emitRequestEvent('created', result.lastID, user_id);
+  return result;
+}
+
+/**
+ * Parse a { "Material": qty } JSON string, returning {} for empty or malformed input.
+ * @param {string} json
+ * @returns {Object}
+ */
+function parseMaterialsJson(json) {
+  if (!json) return {};
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    log.warn('[DB] Ignoring malformed materials JSON:', json);
+    return {};
+  }
+}
+
+/**
+ * Store the normalized material rows for a request.
+ * @param {number} requestId
+ * @param {Object} required - Per-unit requirement { "Material": qty }
+ * @param {Object} provided - Total provided by the requester { "Material": qty }
+ */
+async function saveRequestMaterials(requestId, required = {}, provided = {}) {
+  const names = [...new Set([...Object.keys(required), ...Object.keys(provided)])];
+  if (names.length === 0) return;
+
+  const placeholders = names.map(() => '(?, ?, ?, ?)').join(', ');
+  const params = names.flatMap(name => [
+    requestId,
+    name,
+    parseInt(required[name], 10) || 0,
+    parseInt(provided[name], 10) || 0
+  ]);
+
+  await run(
+    `INSERT OR REPLACE INTO request_materials (request_id, material_name, required_per_unit, provided)
+     VALUES ${placeholders}`,
+    params
+  );
+}
+
+/**
+ * Gets the material rows for a request, alphabetically.
+ * @param {number} requestId
+ * @returns {Promise<Array<{material_name: string, required_per_unit: number, provided: number, delivered: number}>>}
+ */
+function getRequestMaterials(requestId) {
+  return all(
+    `SELECT material_name, required_per_unit, provided, delivered
+       FROM request_materials
+      WHERE request_id = ?
+      ORDER BY material_name COLLATE NOCASE`,
+    [requestId]
+  );
+}
+
+/**
+ * Gets promised and received amounts for requests that involve a material hand-off.
+ * @param {number[]} requestIds
+ * @returns {Promise<Array<{request_id: number, material_name: string, provided: number, delivered: number}>>}
+ */
+function getMaterialHandoffs(requestIds) {
+  if (requestIds.length === 0) return Promise.resolve([]);
+  return all(
+    `SELECT request_id, material_name, provided, delivered
+       FROM request_materials
+      WHERE request_id IN (${requestIds.map(() => '?').join(',')})
+        AND (provided > 0 OR delivered > 0)
+      ORDER BY request_id, material_name COLLATE NOCASE`,
+    requestIds
+  );
+}
+
+/**
+ * Records how much of each material the crafter has received from the requester so far.
+ * Amounts are running totals, not increments. Changes are written to the audit log.
+ * @param {number} requestId
+ * @param {Object} received - { "Material": total received }
+ * @param {string} userId - Crafter recording the hand-off
+ * @returns {Promise<Object>} The changes applied, { "Material": { from, to } }
+ */
+async function recordMaterialsReceived(requestId, received, userId) {
+  const current = new Map((await getRequestMaterials(requestId)).map(mat => [mat.material_name, mat.delivered]));
+  const changes = {};
+
+  for (const [materialName, amount] of Object.entries(received)) {
+    if (!current.has(materialName) || current.get(materialName) === amount) continue;
+    await run(
+      `UPDATE request_materials SET delivered = ? WHERE request_id = ? AND material_name = ?`,
+      [amount, requestId, materialName]
+    );
+    changes[materialName] = { from: current.get(materialName), to: amount };
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await run(`UPDATE requests SET updated_at = ? WHERE id = ?`, [new Date().toISOString(), requestId]);
+    await appendAuditLog(requestId, 'materials_received', userId, { materials: changes });
+    log.info(`[DB] Materials received for request ${requestId} recorded by ${userId}: ${JSON.stringify(changes)}`);
+  }
+
+  return changes;
+}
+
+// Outstanding amount of one material row: per-unit x quantity minus what the requester provided
+const OUTSTANDING_MATERIAL_SQL = `MAX(rm.required_per_unit * IFNULL(r.quantity_requested, 1) - rm.provided, 0)`;
+// What a crafter is still missing for one material row: per-unit x quantity minus what they have received
+const MISSING_MATERIAL_SQL = `MAX(rm.required_per_unit * IFNULL(r.quantity_requested, 1) - rm.delivered, 0)`;
+// Part of the missing amount the requester promised but has not handed over yet
+const AWAITED_MATERIAL_SQL = `MAX(MIN(rm.provided, rm.required_per_unit * IFNULL(r.quantity_requested, 1)) - rm.delivered, 0)`;
+
+/**
+ * Totals the materials a crafter is still missing across their active claims:
+ * everything required minus what they have received. `awaited` is the part the
+ * requesters promised to hand over.
+ * @param {string} userId - Claimant
+ * @param {string|null} profession - Optional profession filter
+ * @returns {Promise<Array<{material_name: string, total: number, awaited: number}>>}
+ */
+function getMaterialTotalsForCrafter(userId, profession = null) {
+  return all(
+    `SELECT rm.material_name, SUM(${MISSING_MATERIAL_SQL}) AS total, SUM(${AWAITED_MATERIAL_SQL}) AS awaited
+       FROM request_materials rm
+       JOIN requests r ON r.id = rm.request_id
+      WHERE r.claimed_by = ? AND r.status IN ('claimed', 'in_progress')
+        AND (? IS NULL OR r.profession = ?)
+      GROUP BY rm.material_name
+     HAVING total > 0
+      ORDER BY rm.material_name COLLATE NOCASE`,
+    [userId, profession, profession]
+  );
+}
+
+/**
+ * Same as getMaterialTotalsForCrafter, grouped by requesting character.
+ * @param {string} userId - Claimant
+ * @param {string|null} profession - Optional profession filter
+ * @returns {Promise<Array<{character: string, material_name: string, total: number, awaited: number}>>}
+ */
+function getMaterialTotalsByCharacterForCrafter(userId, profession = null) {
+  return all(
+    `SELECT r.character, rm.material_name, SUM(${MISSING_MATERIAL_SQL}) AS total, SUM(${AWAITED_MATERIAL_SQL}) AS awaited
+       FROM request_materials rm
+       JOIN requests r ON r.id = rm.request_id
+      WHERE r.claimed_by = ? AND r.status IN ('claimed', 'in_progress')
+        AND (? IS NULL OR r.profession = ?)
+      GROUP BY r.character, rm.material_name
+     HAVING total > 0
+      ORDER BY r.character COLLATE NOCASE, rm.material_name COLLATE NOCASE`,
+    [userId, profession, profession]
+  );
+}
+
+/**
+ * Totals outstanding materials across every active request, split into
+ * unclaimed (open) and claimed work.
+ * @returns {Promise<Array<{material_name: string, profession: string, unclaimed: number, claimed: number, total: number}>>}
+ */
+function getOutstandingMaterialTotals() {
+  return all(
+    `SELECT rm.material_name, r.profession,
+            SUM(CASE WHEN r.status = 'open' THEN ${OUTSTANDING_MATERIAL_SQL} ELSE 0 END) AS unclaimed,
+            SUM(CASE WHEN r.status IN ('claimed', 'in_progress') THEN ${OUTSTANDING_MATERIAL_SQL} ELSE 0 END) AS claimed,
+            SUM(${OUTSTANDING_MATERIAL_SQL}) AS total
+       FROM request_materials rm
+       JOIN requests r ON r.id = rm.request_id
+      WHERE r.status IN ('open', 'claimed', 'in_progress')
+      GROUP BY rm.material_name, r.profession
+     HAVING total > 0
+      ORDER BY total DESC, rm.material_name COLLATE NOCASE`
   );
 }
 
@@ -618,60 +832,164 @@ async function appendAuditLog(requestId, action, userId, details = {}) {
   }
 }
 
+/**
+ * Searches audit log entries across all requests, newest first.
+ * Malformed audit_log values are skipped rather than failing the query.
+ * @param {Object} filters
+ * @param {string} [filters.term] - Matched against the raw entry (action, actor id, details)
+ * @param {number} [filters.requestId]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<Array<{request_id: number, character: string, request_name: string, profession: string, entry: string}>>}
+ */
+function searchAuditLog({ term = null, requestId = null, limit = 100 } = {}) {
+  return all(
+    `SELECT r.id AS request_id, r.character, r.request_name, r.profession, entry.value AS entry
+       FROM requests r,
+            json_each(CASE WHEN json_valid(r.audit_log) THEN r.audit_log ELSE '[]' END) entry
+      WHERE (? IS NULL OR r.id = ?)
+        AND (? IS NULL OR entry.value LIKE '%' || ? || '%' OR r.character LIKE '%' || ? || '%')
+      ORDER BY json_extract(entry.value, '$.at') DESC, r.id DESC
+      LIMIT ?`,
+    [requestId, requestId, term, term, term, limit]
+  );
+}
+
+/**
+ * Describes why a compare-and-set update on a request did not apply.
+ * Re-reads the row so callers can tell the user who holds the claim now.
+ * @param {number} requestId
+ * @returns {Promise<{success: false, reason: string, status?: string, claimedBy?: string, claimedByName?: string}>}
+ */
+async function describeRequestConflict(requestId) {
+  const current = await get(
+    'SELECT status, claimed_by, claimed_by_name FROM requests WHERE id = ?',
+    [requestId]
+  );
+
+  if (!current) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const result = {
+    success: false,
+    status: current.status,
+    claimedBy: current.claimed_by,
+    claimedByName: current.claimed_by_name
+  };
+
+  if (current.claimed_by && ['claimed', 'in_progress'].includes(current.status)) {
+    result.reason = 'already_claimed';
+  } else {
+    result.reason = 'status_changed';
+  }
+
+  return result;
+}
+
 /**
  * Claims a request for a crafter.
+ * Compare-and-set: only applies while the request is still open and unclaimed,
+ * so two crafters claiming at the same moment cannot both win.
  * @param {number} requestId
  * @param {string} userId - The crafter's user ID
  * @param {string} userName - The crafter's Discord username
+ * @returns {Promise<{success: boolean, reason?: string, status?: string, claimedBy?: string, claimedByName?: string}>}
  */
 async function claimRequest(requestId, userId, userName) {
   const timestamp = new Date().toISOString();
   
-  await run(
+  const result = await run(
     `UPDATE requests
        SET status = 'in_progress', claimed_by = ?, claimed_by_name = ?, claimed_at = ?, updated_at = ?
-     WHERE id = ?`,
+     WHERE id = ? AND status = 'open' AND claimed_by IS NULL`,
     [userId, userName, timestamp, timestamp, requestId]
   );
 
+  if (result.changes === 0) {
+    const conflict = await describeRequestConflict(requestId);
+    log.warn(`[DB] Claim of request ${requestId} by ${userName} (${userId}) rejected: ${conflict.reason}${conflict.claimedByName ? ` (held by ${conflict.claimedByName})` : ''}`);
+    return conflict;
+  }
+
+  // A claim from the menus closes any auto-assignment offer still out for the request
+  await run(
+    `UPDATE request_assignments
+       SET status = CASE WHEN user_id = ? THEN 'accepted' ELSE 'cancelled' END, responded_at = ?
+     WHERE request_id = ? AND status = 'offered'`,
+    [userId, timestamp, requestId]
+  );
+
   await appendAuditLog(requestId, 'claimed', userId, { userName });
+  emitRequestEvent('claimed', requestId, userId, { userName });
   log.info(`[DB] Request ${requestId} claimed by ${userName} (${userId})`);
+  return { success: true };
 }
 
 /**
  * Releases a claimed request back to open status.
+ * Compare-and-set: only applies while the request is still claimed by `expectedClaimedBy`.
  * @param {number} requestId
  * @param {string} userId - The user releasing the request
+ * @param {string} [expectedClaimedBy] - Claimant the caller expects to hold the request (defaults to userId)
+ * @param {Object} [options]
+ * @param {string} [options.action='released'] - Audit action, e.g. 'auto_released' for the idle-claim scheduler
+ * @param {Object} [options.details] - Extra audit and event details
+ * @returns {Promise<{success: boolean, reason?: string, status?: string, claimedBy?: string, claimedByName?: string}>}
  */
-async function releaseRequest(requestId, userId) {
+async function releaseRequest(requestId, userId, expectedClaimedBy = userId, { action = 'released', details = {} } = {}) {
   const timestamp = new Date().toISOString();
   
-  await run(
+  const result = await run(
     `UPDATE requests
        SET status = 'open', claimed_by = NULL, claimed_by_name = NULL, claimed_at = NULL, updated_at = ?
-     WHERE id = ?`,
-    [timestamp, requestId]
+     WHERE id = ? AND status IN ('claimed', 'in_progress') AND claimed_by = ?`,
+    [timestamp, requestId, expectedClaimedBy]
   );
 
-  await appendAuditLog(requestId, 'released', userId);
+  if (result.changes === 0) {
+    const conflict = await describeRequestConflict(requestId);
+    log.warn(`[DB] Release of request ${requestId} by user ${userId} rejected: ${conflict.reason}`);
+    return conflict;
+  }
+
+  const releaseDetails = { previousClaimant: expectedClaimedBy, ...details };
+  await appendAuditLog(requestId, action, userId, releaseDetails);
+  emitRequestEvent('released', requestId, userId, releaseDetails);
   log.info(`[DB] Request ${requestId} released by user ${userId}`);
+  return { success: true };
 }
 
 /**
  * Completes a request.
  * @param {number} requestId
  * @param {string} userId - The crafter completing the request
+ * @param {string} [expectedClaimedBy] - Claimant the caller expects to hold the request (defaults to userId)
  */
-async function completeRequest(requestId, userId) {
+async function completeRequest(requestId, userId, expectedClaimedBy = userId) {
   // Deprecated single-complete signature maintained for backwards compatibility
-  return completeRequestWithQuantity(requestId, userId, null);
+  return completeRequestWithQuantity(requestId, userId, null, expectedClaimedBy);
+}
+
+/**
+ * Status a finished request moves to: 'ready' (waiting for the requester to
+ * confirm delivery) when delivery confirmation is enabled, otherwise 'complete'.
+ */
+function getFinishedStatus() {
+  return config.deliveryConfirmation?.enabled ? 'ready' : 'complete';
 }
 
 /**
  * Completes a request, supporting partial quantity completions.
  * If `completedQty` is null, the request is treated as fully completed.
+ * With delivery confirmation enabled, a finished request becomes 'ready'
+ * instead of 'complete' (see confirmRequestDelivery). Guild crafts take the
+ * materials for the newly crafted units out of the guild bank.
+ * Compare-and-set: only applies while the request is still active, claimed by
+ * `expectedClaimedBy`, and (for partial completions) nobody else has recorded
+ * progress since it was read.
+ * @returns {Promise<{success: boolean, reason?: string, status?: string, claimedBy?: string, claimedByName?: string, totalCompleted?: number}>}
  */
-async function completeRequestWithQuantity(requestId, userId, completedQty = null) {
+async function completeRequestWithQuantity(requestId, userId, completedQty = null, expectedClaimedBy = userId) {
   try {
     const timestamp = new Date().toISOString();
 
@@ -681,34 +999,62 @@ async function completeRequestWithQuantity(requestId, userId, completedQty = nul
     const qtyRequested = parseInt(req.quantity_requested || 1, 10);
     const currentCompleted = parseInt(req.quantity_completed || 0, 10);
 
+    const finishedStatus = getFinishedStatus();
+
     if (completedQty === null) {
       // Full completion
-      await run(
+      const result = await run(
         `UPDATE requests
-           SET status = 'complete', quantity_completed = ?, updated_at = ?
-         WHERE id = ?`,
-        [qtyRequested, timestamp, requestId]
+           SET status = ?, quantity_completed = ?, ready_at = ?, completed_at = ?, updated_at = ?
+         WHERE id = ? AND status IN ('claimed', 'in_progress') AND claimed_by = ?`,
+        [finishedStatus, qtyRequested, finishedStatus === 'ready' ? timestamp : null,
+          finishedStatus === 'complete' ? timestamp : null, timestamp, requestId, expectedClaimedBy]
       );
 
-      await appendAuditLog(requestId, 'completed', userId, { completed: qtyRequested, totalCompleted: qtyRequested });
-      log.info(`[DB] Request ${requestId} marked complete by user ${userId} (full)`);
-      return;
+      if (result.changes === 0) {
+        const conflict = await describeRequestConflict(requestId);
+        log.warn(`[DB] Completion of request ${requestId} by user ${userId} rejected: ${conflict.reason}`);
+        return conflict;
+      }
+
+      if (finishedStatus === 'ready') {
+        await appendAuditLog(requestId, 'marked_ready', userId, { completed: qtyRequested, totalCompleted: qtyRequested });
+        emitRequestEvent('ready', requestId, userId, { totalCompleted: qtyRequested });
+        log.info(`[DB] Request ${requestId} marked ready by user ${userId} (full)`);
+      } else {
+        await appendAuditLog(requestId, 'completed', userId, { completed: qtyRequested, totalCompleted: qtyRequested });
+        emitRequestEvent('completed', requestId, userId, { totalCompleted: qtyRequested });
+        log.info(`[DB] Request ${requestId} marked complete by user ${userId} (full)`);
+      }
+      await consumeGuildBankMaterials(requestId, qtyRequested - currentCompleted, userId);
+      return { success: true, totalCompleted: qtyRequested, status: finishedStatus };
     }
 
     // Partial completion requested
     const add = parseInt(completedQty || 0, 10);
     const newCompleted = Math.min(qtyRequested, currentCompleted + add);
-    const newStatus = newCompleted >= qtyRequested ? 'complete' : 'in_progress';
+    const newStatus = newCompleted >= qtyRequested ? finishedStatus : 'in_progress';
 
-    await run(
+    const result = await run(
       `UPDATE requests
-         SET quantity_completed = ?, status = ?, updated_at = ?
-       WHERE id = ?`,
-      [newCompleted, newStatus, timestamp, requestId]
+         SET quantity_completed = ?, status = ?, ready_at = ?, completed_at = ?, updated_at = ?
+       WHERE id = ? AND status IN ('claimed', 'in_progress') AND claimed_by = ? AND IFNULL(quantity_completed, 0) = ?`,
+      [newCompleted, newStatus, newStatus === 'ready' ? timestamp : null, newStatus === 'complete' ? timestamp : null,
+        timestamp, requestId, expectedClaimedBy, currentCompleted]
     );
 
+    if (result.changes === 0) {
+      const conflict = await describeRequestConflict(requestId);
+      log.warn(`[DB] Partial completion of request ${requestId} by user ${userId} rejected: ${conflict.reason}`);
+      return conflict;
+    }
+
+    const event = { complete: 'completed', ready: 'ready' }[newStatus] || 'partially_completed';
     await appendAuditLog(requestId, 'partial_completed', userId, { added: add, totalCompleted: newCompleted });
+    emitRequestEvent(event, requestId, userId, { added: add, totalCompleted: newCompleted });
     log.info(`[DB] Request ${requestId} partial complete by ${userId}: +${add} (now ${newCompleted}/${qtyRequested})`);
+    await consumeGuildBankMaterials(requestId, newCompleted - currentCompleted, userId);
+    return { success: true, totalCompleted: newCompleted, status: newStatus };
   } catch (err) {
     log.error('[DB] Error completing request with quantity:', err);
     throw err;
@@ -716,48 +1062,1131 @@ async function completeRequestWithQuantity(requestId, userId, completedQty = nul
 }
 
 /**
- * Gets all open requests for a specific profession.
- * @param {string} profession
+ * Confirms delivery of a 'ready' request, finalizing it as complete and
+ * clearing any earlier dispute flag.
+ * Compare-and-set: only applies while the request is still ready.
+ * @param {number} requestId
+ * @param {string} userId - Requester confirming, an officer, or the bot for auto-confirm
+ * @param {Object} details - Extra audit details (e.g. { auto: true })
+ * @returns {Promise<{success: boolean, reason?: string, status?: string}>}
  */
-function getOpenRequestsByProfession(profession) {
-  return all(
-    `SELECT * FROM requests
-      WHERE profession = ? AND status = 'open'
-      ORDER BY created_at ASC`,
-    [profession]
+async function confirmRequestDelivery(requestId, userId, details = {}) {
+  const timestamp = new Date().toISOString();
+  const result = await run(
+    `UPDATE requests
+        SET status = 'complete', ready_at = NULL, disputed_at = NULL, dispute_reason = NULL, completed_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'ready'`,
+    [timestamp, timestamp, requestId]
+  );
+
+  if (result.changes === 0) {
+    return describeRequestConflict(requestId);
+  }
+
+  await appendAuditLog(requestId, 'delivery_confirmed', userId, details);
+  emitRequestEvent('completed', requestId, userId, { deliveryConfirmed: true, ...details });
+  log.info(`[DB] Delivery of request ${requestId} confirmed by user ${userId}${details.auto ? ' (auto)' : ''}`);
+  return { success: true };
+}
+
+/**
+ * Disputes delivery of a 'ready' request: it goes back to in_progress with
+ * the same crafter and is flagged for officers until delivery is confirmed.
+ * Compare-and-set: only applies while the request is still ready.
+ * @param {number} requestId
+ * @param {string} userId - Requester disputing
+ * @param {string} reason - Stored as dispute_reason
+ * @returns {Promise<{success: boolean, reason?: string, status?: string}>}
+ */
+async function disputeRequestDelivery(requestId, userId, reason) {
+  const timestamp = new Date().toISOString();
+  const result = await run(
+    `UPDATE requests
+        SET status = 'in_progress', ready_at = NULL, disputed_at = ?, dispute_reason = ?, updated_at = ?
+      WHERE id = ? AND status = 'ready'`,
+    [timestamp, reason, timestamp, requestId]
   );
+
+  if (result.changes === 0) {
+    return describeRequestConflict(requestId);
+  }
+
+  await appendAuditLog(requestId, 'delivery_disputed', userId, { reason });
+  emitRequestEvent('disputed', requestId, userId, { reason });
+  log.info(`[DB] Delivery of request ${requestId} disputed by user ${userId}: ${reason}`);
+  return { success: true };
 }
 
 /**
- * Gets all in-progress and recently cancelled requests claimed by a specific user.
- * Includes denied status so crafters can see why their work disappeared.
- * @param {string} userId
+ * Gets 'ready' requests that have been waiting for confirmation since before `cutoff`.
+ * @param {string} cutoff - ISO timestamp
  */
-function getInProgressRequestsByUser(userId) {
+function getReadyRequestsBefore(cutoff) {
   return all(
     `SELECT * FROM requests
-      WHERE claimed_by = ? AND status IN ('claimed', 'in_progress', 'denied')
-      ORDER BY 
-        CASE status
-          WHEN 'in_progress' THEN 1
-          WHEN 'claimed' THEN 2
-          WHEN 'denied' THEN 3
-        END,
-        claimed_at ASC`,
-    [userId]
+      WHERE status = 'ready' AND datetime(ready_at) <= datetime(?)
+      ORDER BY ready_at ASC`,
+    [cutoff]
   );
 }
 
 /**
- * Gets all requests (any status) for a specific character.
- * @param {string} characterName
+ * Gets disputed requests that are still active, oldest dispute first.
  */
-function getRequestsByCharacterName(characterName) {
+function getDisputedRequests() {
   return all(
     `SELECT * FROM requests
-      WHERE character = ?
-      ORDER BY created_at DESC`,
-    [characterName]
+      WHERE disputed_at IS NOT NULL AND status IN ('claimed', 'in_progress', 'ready')
+      ORDER BY disputed_at ASC`
+  );
+}
+
+/**
+ * Cancels a request (status 'denied', shown as "Cancelled").
+ * Compare-and-set on the status that was validated, so a request completed
+ * in the meantime is not cancelled.
+ * @param {number} requestId
+ * @param {string} userId - User cancelling the request
+ * @param {string} reason - Stored as deny_reason
+ * @returns {Promise<{success: boolean, reason?: string, status?: string}>}
+ */
+async function cancelRequest(requestId, userId, reason) {
+  const current = await get('SELECT status FROM requests WHERE id = ?', [requestId]);
+  if (!current) return { success: false, reason: 'not_found' };
+  if (!isValidStatusTransition(current.status, 'denied')) {
+    return { success: false, reason: 'invalid_transition', status: current.status };
+  }
+
+  const result = await run(
+    `UPDATE requests SET status = 'denied', deny_reason = ?, updated_at = ? WHERE id = ? AND status = ?`,
+    [reason, new Date().toISOString(), requestId, current.status]
+  );
+
+  if (result.changes === 0) {
+    return describeRequestConflict(requestId);
+  }
+
+  await appendAuditLog(requestId, 'cancelled', userId, { reason });
+  emitRequestEvent('cancelled', requestId, userId, { reason });
+  log.info(`[DB] Request ${requestId} cancelled by user ${userId}: ${reason}`);
+  return { success: true };
+}
+
+/**
+ * Gets claimed/in-progress requests with no update since `cutoff`.
+ * @param {string} cutoff - ISO timestamp
+ */
+function getIdleClaimedRequests(cutoff) {
+  return all(
+    `SELECT * FROM requests
+      WHERE status IN ('claimed', 'in_progress')
+        AND claimed_by IS NOT NULL
+        AND datetime(updated_at) <= datetime(?)
+      ORDER BY claimed_by, updated_at ASC`,
+    [cutoff]
+  );
+}
+
+/**
+ * Records that the claimant was reminded about an idle request.
+ * Leaves updated_at alone so the reminder itself doesn't count as activity.
+ * @param {number} requestId
+ */
+function markIdleReminderSent(requestId) {
+  return run(
+    `UPDATE requests SET idle_reminder_sent_at = ? WHERE id = ?`,
+    [new Date().toISOString(), requestId]
+  );
+}
+
+/**
+ * Gets open requests with no update since `cutoff`.
+ * @param {string} cutoff - ISO timestamp
+ */
+function getStaleOpenRequests(cutoff) {
+  return all(
+    `SELECT * FROM requests
+      WHERE status = 'open' AND datetime(updated_at) <= datetime(?)
+      ORDER BY updated_at ASC`,
+    [cutoff]
+  );
+}
+
+/**
+ * Expires an open request.
+ * Compare-and-set: only applies while the request is still open.
+ * @param {number} requestId
+ * @param {string} userId - Actor recorded in the audit log (the bot for scheduled expiry)
+ * @param {Object} details - Extra audit details
+ * @returns {Promise<{success: boolean, reason?: string, status?: string}>}
+ */
+async function expireRequest(requestId, userId, details = {}) {
+  const result = await run(
+    `UPDATE requests SET status = 'expired', updated_at = ? WHERE id = ? AND status = 'open'`,
+    [new Date().toISOString(), requestId]
+  );
+
+  if (result.changes === 0) {
+    return describeRequestConflict(requestId);
+  }
+
+  await appendAuditLog(requestId, 'expired', userId, details);
+  emitRequestEvent('expired', requestId, userId, details);
+  log.info(`[DB] Request ${requestId} expired`);
+  return { success: true };
+}
+
+/**
+ * Gets the last recorded run of a scheduled job.
+ * @param {string} name
+ * @returns {Promise<{name: string, last_run_at: string, last_result_json: string}|undefined>}
+ */
+function getScheduledJob(name) {
+  return get(`SELECT * FROM scheduled_jobs WHERE name = ?`, [name]);
+}
+
+/**
+ * Records a scheduled job run.
+ * @param {string} name
+ * @param {Object} result - Summary stored as JSON
+ * @param {string} runAt - ISO timestamp to record as the run time (defaults to now)
+ */
+function recordScheduledJobRun(name, result = {}, runAt = new Date().toISOString()) {
+  return run(
+    `INSERT OR REPLACE INTO scheduled_jobs (name, last_run_at, last_result_json) VALUES (?, ?, ?)`,
+    [name, runAt, JSON.stringify(result)]
+  );
+}
+
+// Auto-assignment offers
+
+/**
+ * Records that a request was offered to a crafter.
+ * Insert-if-absent: only applies while the request has no outstanding offer,
+ * so two offer attempts at the same moment cannot both go out.
+ * @returns {Promise<number|null>} The offer id, or null if another offer is already outstanding
+ */
+async function createAssignmentOffer(requestId, userId) {
+  const result = await run(
+    `INSERT INTO request_assignments (request_id, user_id, status, offered_at)
+     SELECT ?, ?, 'offered', ?
+     WHERE NOT EXISTS (SELECT 1 FROM request_assignments WHERE request_id = ? AND status = 'offered')`,
+    [requestId, userId, new Date().toISOString(), requestId]
+  );
+  return result.changes > 0 ? result.lastID : null;
+}
+
+/**
+ * Gets the outstanding offer for a request, if any.
+ * @param {number} requestId
+ */
+function getPendingAssignmentOffer(requestId) {
+  return get(
+    `SELECT * FROM request_assignments WHERE request_id = ? AND status = 'offered' ORDER BY id DESC LIMIT 1`,
+    [requestId]
+  );
+}
+
+/**
+ * Closes an outstanding offer. Compare-and-set on status = 'offered' so a
+ * response racing the timeout sweep is only applied once.
+ * @param {number} offerId
+ * @param {string} status - accepted | declined | timed_out | cancelled
+ * @returns {Promise<boolean>} Whether this call closed the offer
+ */
+async function resolveAssignmentOffer(offerId, status) {
+  const result = await run(
+    `UPDATE request_assignments SET status = ?, responded_at = ? WHERE id = ? AND status = 'offered'`,
+    [status, new Date().toISOString(), offerId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Gets every crafter a request has already been offered to.
+ * @param {number} requestId
+ * @returns {Promise<string[]>}
+ */
+async function getAssignmentOfferedUserIds(requestId) {
+  const rows = await all(`SELECT DISTINCT user_id FROM request_assignments WHERE request_id = ?`, [requestId]);
+  return rows.map(row => row.user_id);
+}
+
+/**
+ * Gets outstanding offers made at or before the cutoff.
+ * @param {string} cutoff - ISO timestamp
+ */
+function getExpiredAssignmentOffers(cutoff) {
+  return all(
+    `SELECT * FROM request_assignments WHERE status = 'offered' AND datetime(offered_at) <= datetime(?) ORDER BY offered_at ASC`,
+    [cutoff]
+  );
+}
+
+/**
+ * Counts offers a crafter has not answered yet.
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countPendingOffersByUser(userId) {
+  const row = await get(`SELECT COUNT(*) AS count FROM request_assignments WHERE user_id = ? AND status = 'offered'`, [userId]);
+  return row.count;
+}
+
+// Outgoing webhook delivery log
+
+/**
+ * Queues a webhook delivery, due immediately.
+ * @returns {Promise<number>} The delivery id
+ */
+async function createWebhookDelivery({ webhookName, url, event, requestId, payload }) {
+  const now = new Date().toISOString();
+  const result = await run(
+    `INSERT INTO webhook_deliveries (webhook_name, url, event, request_id, payload_json, status, next_attempt_at, created_at)
+     VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+    [webhookName, url, event, requestId, JSON.stringify(payload), now, now]
+  );
+  return result.lastID;
+}
+
+function getWebhookDelivery(id) {
+  return get(`SELECT * FROM webhook_deliveries WHERE id = ?`, [id]);
+}
+
+/**
+ * Gets pending deliveries whose next attempt is due, oldest first.
+ * @param {string} now - ISO timestamp
+ * @param {number} limit
+ */
+function getDueWebhookDeliveries(now, limit = 50) {
+  return all(
+    `SELECT * FROM webhook_deliveries
+      WHERE status = 'pending' AND datetime(next_attempt_at) <= datetime(?)
+      ORDER BY id ASC
+      LIMIT ?`,
+    [now, limit]
+  );
+}
+
+/**
+ * Records the outcome of one delivery attempt.
+ * @param {number} id
+ * @param {Object} outcome
+ * @param {string} outcome.status - delivered | pending (retry later) | failed (gave up)
+ * @param {number|null} outcome.statusCode - HTTP status, if a response arrived
+ * @param {string|null} outcome.error
+ * @param {string|null} outcome.nextAttemptAt - ISO timestamp for the retry
+ */
+function recordWebhookAttempt(id, { status, statusCode = null, error = null, nextAttemptAt = null }) {
+  return run(
+    `UPDATE webhook_deliveries
+        SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?,
+            next_attempt_at = ?, delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+      WHERE id = ?`,
+    [status, statusCode, error, nextAttemptAt, status, new Date().toISOString(), id]
+  );
+}
+
+/**
+ * Lists deliveries, newest first.
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit=50]
+ */
+function listWebhookDeliveries({ status = null, limit = 50 } = {}) {
+  return all(
+    `SELECT id, webhook_name, url, event, request_id, status, attempts, last_status_code, last_error,
+            next_attempt_at, created_at, delivered_at
+       FROM webhook_deliveries
+      WHERE (? IS NULL OR status = ?)
+      ORDER BY id DESC
+      LIMIT ?`,
+    [status, status, limit]
+  );
+}
+
+/**
+ * Queues failed deliveries to be sent again with a fresh retry budget.
+ * The running bot's retry loop picks them up.
+ * @param {Object} filters
+ * @param {number} [filters.id] - A single delivery (any status except pending)
+ * @param {string} [filters.webhookName] - Only failed deliveries for this endpoint
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function replayWebhookDeliveries({ id = null, webhookName = null } = {}) {
+  const now = new Date().toISOString();
+  const result = id
+    ? await run(
+      `UPDATE webhook_deliveries
+          SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?
+        WHERE id = ? AND status != 'pending'`,
+      [now, id]
+    )
+    : await run(
+      `UPDATE webhook_deliveries
+          SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?
+        WHERE status = 'failed' AND (? IS NULL OR webhook_name = ?)`,
+      [now, webhookName, webhookName]
+    );
+  return result.changes;
+}
+
+// Digests
+
+/**
+ * Gets requests for a profession created after `since` (and up to `until`), oldest first.
+ * @param {string} profession
+ * @param {string} since - ISO timestamp
+ * @param {string|null} until - ISO timestamp, or null for no upper bound
+ */
+function getRequestsCreatedSince(profession, since, until = null) {
+  return all(
+    `SELECT * FROM requests
+      WHERE profession = ? AND datetime(created_at) > datetime(?)
+        AND (? IS NULL OR datetime(created_at) <= datetime(?))
+      ORDER BY id ASC`,
+    [profession, since, until, until]
+  );
+}
+
+/**
+ * Gets requests for a profession completed after `since` (and up to `until`),
+ * by when they were completed rather than when they were last updated.
+ * @param {string} profession
+ * @param {string} since - ISO timestamp
+ * @param {string|null} until - ISO timestamp, or null for no upper bound
+ */
+function getRequestsCompletedSince(profession, since, until = null) {
+  return all(
+    `SELECT * FROM requests
+      WHERE profession = ? AND status = 'complete' AND datetime(completed_at) > datetime(?)
+        AND (? IS NULL OR datetime(completed_at) <= datetime(?))
+      ORDER BY completed_at ASC`,
+    [profession, since, until, until]
+  );
+}
+
+/**
+ * Whether a crafter has opted in to the personal digest.
+ * @param {string} userId
+ */
+async function isDigestSubscriber(userId) {
+  return !!await get(`SELECT 1 FROM digest_subscriptions WHERE user_id = ?`, [userId]);
+}
+
+/**
+ * Opts a crafter in to or out of the personal digest.
+ * @param {string} userId
+ * @param {boolean} subscribed
+ */
+function setDigestSubscription(userId, subscribed) {
+  return subscribed
+    ? run(`INSERT OR IGNORE INTO digest_subscriptions (user_id, created_at) VALUES (?, ?)`, [userId, new Date().toISOString()])
+    : run(`DELETE FROM digest_subscriptions WHERE user_id = ?`, [userId]);
+}
+
+/**
+ * Gets every crafter opted in to the personal digest.
+ * @returns {Promise<string[]>}
+ */
+async function getDigestSubscribers() {
+  const rows = await all(`SELECT user_id FROM digest_subscriptions`);
+  return rows.map(row => row.user_id);
+}
+
+// Request announcements
+
+/**
+ * Records the channel post that announced a request.
+ * @param {number} requestId
+ * @param {string} channelId
+ * @param {string} messageId
+ */
+function saveRequestAnnouncement(requestId, channelId, messageId) {
+  return run(
+    `INSERT OR REPLACE INTO request_announcements (request_id, channel_id, message_id, created_at) VALUES (?, ?, ?, ?)`,
+    [requestId, channelId, messageId, new Date().toISOString()]
+  );
+}
+
+/**
+ * Gets the announcement post for a request, if it was announced.
+ * @param {number} requestId
+ * @returns {Promise<{request_id: number, channel_id: string, message_id: string}|undefined>}
+ */
+function getRequestAnnouncement(requestId) {
+  return get(`SELECT * FROM request_announcements WHERE request_id = ?`, [requestId]);
+}
+
+// Notification preferences
+
+/**
+ * Gets a user's saved notification preferences.
+ * @param {string} userId
+ * @returns {Promise<{user_id: string, events_json: string|null, delivery: string, quiet_start: string|null, quiet_end: string|null, timezone: string|null}|undefined>}
+ */
+function getNotificationPreferences(userId) {
+  return get(`SELECT * FROM notification_preferences WHERE user_id = ?`, [userId]);
+}
+
+/**
+ * Saves a user's notification preferences (all fields are replaced).
+ * @param {string} userId
+ * @param {Object} prefs
+ * @param {string[]} prefs.events - Notification events the user wants
+ * @param {string} prefs.delivery - 'dm' or 'channel'
+ * @param {string|null} prefs.quietStart - "HH:MM" or null for no quiet hours
+ * @param {string|null} prefs.quietEnd - "HH:MM" or null
+ * @param {string|null} prefs.timezone - IANA timezone name
+ */
+function saveNotificationPreferences(userId, { events, delivery, quietStart, quietEnd, timezone }) {
+  return run(
+    `INSERT INTO notification_preferences (user_id, events_json, delivery, quiet_start, quiet_end, timezone, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       events_json = excluded.events_json,
+       delivery = excluded.delivery,
+       quiet_start = excluded.quiet_start,
+       quiet_end = excluded.quiet_end,
+       timezone = excluded.timezone,
+       updated_at = excluded.updated_at`,
+    [userId, JSON.stringify(events), delivery, quietStart, quietEnd, timezone, new Date().toISOString()]
+  );
+}
+
+/**
+ * Removes a user's saved preferences so the global defaults apply again.
+ * @param {string} userId
+ */
+function deleteNotificationPreferences(userId) {
+  return run(`DELETE FROM notification_preferences WHERE user_id = ?`, [userId]);
+}
+
+/**
+ * Holds a notification raised during the user's quiet hours.
+ * @param {string} userId
+ * @param {string} event
+ * @param {string} message
+ * @param {Array<Object>} [components] - Message component rows as JSON, sent with the message later
+ */
+function holdNotification(userId, event, message, components = []) {
+  return run(
+    `INSERT INTO held_notifications (user_id, event, message, components_json, created_at) VALUES (?, ?, ?, ?, ?)`,
+    [userId, event, message, components.length > 0 ? JSON.stringify(components) : null, new Date().toISOString()]
+  );
+}
+
+/**
+ * Gets the ids of users with held notifications waiting.
+ * @returns {Promise<string[]>}
+ */
+async function getUsersWithHeldNotifications() {
+  const rows = await all(`SELECT DISTINCT user_id FROM held_notifications`);
+  return rows.map(row => row.user_id);
+}
+
+/**
+ * Gets a user's held notifications, oldest first.
+ * @param {string} userId
+ */
+function getHeldNotifications(userId) {
+  return all(`SELECT * FROM held_notifications WHERE user_id = ? ORDER BY id`, [userId]);
+}
+
+/**
+ * Deletes held notifications once they have been sent.
+ * @param {number[]} ids
+ */
+function deleteHeldNotifications(ids) {
+  if (ids.length === 0) return Promise.resolve({ changes: 0 });
+  return run(`DELETE FROM held_notifications WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+}
+
+// Request ratings
+
+/**
+ * Saves the requester's rating for a completed request, replacing any earlier rating.
+ * @param {number} requestId
+ * @param {{userId: string, crafterId: string, crafterName: string, rating: number, comment: string|null}} rating
+ */
+async function saveRequestRating(requestId, { userId, crafterId, crafterName, rating, comment }) {
+  const timestamp = new Date().toISOString();
+  await run(
+    `INSERT INTO request_ratings (request_id, user_id, crafter_id, crafter_name, rating, comment, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(request_id) DO UPDATE SET
+       rating = excluded.rating,
+       comment = excluded.comment,
+       updated_at = excluded.updated_at`,
+    [requestId, userId, crafterId, crafterName, rating, comment, timestamp, timestamp]
+  );
+  await appendAuditLog(requestId, 'rated', userId, { rating });
+  log.info(`[DB] Request ${requestId} rated ${rating}/5 by user ${userId}`);
+}
+
+/**
+ * Gets ratings for the given requests.
+ * @param {number[]} requestIds
+ */
+function getRatingsForRequests(requestIds) {
+  if (requestIds.length === 0) return Promise.resolve([]);
+  return all(
+    `SELECT * FROM request_ratings WHERE request_id IN (${requestIds.map(() => '?').join(',')})`,
+    requestIds
+  );
+}
+
+/**
+ * Rating count and average per crafter.
+ * @returns {Promise<Array<{crafter_id: string, rating_count: number, average_rating: number}>>}
+ */
+function getCrafterRatingSummaries() {
+  return all(
+    `SELECT crafter_id, COUNT(*) AS rating_count, AVG(rating) AS average_rating
+       FROM request_ratings
+      GROUP BY crafter_id`
+  );
+}
+
+/**
+ * Rating count, average and per-star breakdown for one crafter.
+ * @param {string} crafterId
+ */
+function getCrafterRatingSummary(crafterId) {
+  return get(
+    `SELECT COUNT(*) AS rating_count, AVG(rating) AS average_rating,
+            SUM(CASE WHEN rating = 5 THEN 1 ELSE 0 END) AS five,
+            SUM(CASE WHEN rating = 4 THEN 1 ELSE 0 END) AS four,
+            SUM(CASE WHEN rating = 3 THEN 1 ELSE 0 END) AS three,
+            SUM(CASE WHEN rating = 2 THEN 1 ELSE 0 END) AS two,
+            SUM(CASE WHEN rating = 1 THEN 1 ELSE 0 END) AS one
+       FROM request_ratings
+      WHERE crafter_id = ?`,
+    [crafterId]
+  );
+}
+
+/**
+ * A crafter's most recent ratings with the request they were for.
+ * @param {string} crafterId
+ * @param {number} limit
+ */
+function getRecentCrafterRatings(crafterId, limit = 5) {
+  return all(
+    `SELECT rr.*, r.character, r.request_name
+       FROM request_ratings rr
+       JOIN requests r ON r.id = rr.request_id
+      WHERE rr.crafter_id = ?
+      ORDER BY rr.updated_at DESC
+      LIMIT ?`,
+    [crafterId, limit]
+  );
+}
+
+// Guild bank
+
+// Materials a guild craft will still consume for one material row: per-unit x units left to craft
+const GUILD_REMAINING_SQL = `rm.required_per_unit * MAX(IFNULL(r.quantity_requested, 1) - IFNULL(r.quantity_completed, 0), 0)`;
+
+/**
+ * Canonical spelling of a material name: the bank's, else the one requests use, else as typed.
+ * @param {string} name
+ */
+async function resolveMaterialName(name) {
+  const row = await get(`SELECT material_name FROM guild_bank_materials WHERE material_name = ?`, [name])
+    || await get(`SELECT material_name FROM request_materials WHERE material_name = ? COLLATE NOCASE LIMIT 1`, [name]);
+  return row ? row.material_name : name;
+}
+
+/**
+ * Adds (positive change) or removes (negative change) guild bank stock and records it in the ledger.
+ * Removals never take stock below zero.
+ * @param {string} materialName - Matched case-insensitively against known materials
+ * @param {number} change
+ * @param {Object} entry
+ * @param {string} entry.type - deposit, withdrawal or consumed
+ * @param {string} [entry.reason]
+ * @param {string} entry.actorId
+ * @param {string} [entry.actorName]
+ * @param {number} [entry.requestId] - Guild craft the materials went to
+ * @returns {Promise<{success: boolean, materialName: string, balance: number, reason?: string}>}
+ *   reason is 'insufficient' when a removal exceeds the stock; balance is then the current stock
+ */
+async function recordGuildBankTransaction(materialName, change, { type, reason = null, actorId, actorName = null, requestId = null }) {
+  const name = await resolveMaterialName(materialName);
+  const timestamp = new Date().toISOString();
+
+  if (change >= 0) {
+    await run(
+      `INSERT INTO guild_bank_materials (material_name, quantity, updated_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(material_name) DO UPDATE SET
+         quantity = quantity + excluded.quantity,
+         updated_at = excluded.updated_at`,
+      [name, change, timestamp]
+    );
+  } else {
+    const result = await run(
+      `UPDATE guild_bank_materials SET quantity = quantity + ?, updated_at = ?
+        WHERE material_name = ? AND quantity >= ?`,
+      [change, timestamp, name, -change]
+    );
+    if (result.changes === 0) {
+      const row = await get(`SELECT quantity FROM guild_bank_materials WHERE material_name = ?`, [name]);
+      return { success: false, reason: 'insufficient', materialName: name, balance: row ? row.quantity : 0 };
+    }
+  }
+
+  const { quantity: balance } = await get(`SELECT quantity FROM guild_bank_materials WHERE material_name = ?`, [name]);
+  await run(
+    `INSERT INTO guild_bank_ledger (material_name, type, change, balance, reason, actor_id, actor_name, request_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [name, type, change, balance, reason, actorId, actorName, requestId, timestamp]
+  );
+
+  log.info(`[DB] Guild bank ${type}: ${change > 0 ? '+' : ''}${change} ${name} by ${actorId} (balance ${balance})`);
+  return { success: true, materialName: name, balance };
+}
+
+/**
+ * Takes the materials a guild craft used for newly crafted units out of the guild bank.
+ * Only materials the bank tracks are touched, and never more than it holds; any
+ * shortfall is noted on the ledger entry for officers to reconcile.
+ * @param {number} requestId
+ * @param {number} units - Units crafted by this completion
+ * @param {string} userId - Crafter completing the request
+ */
+async function consumeGuildBankMaterials(requestId, units, userId) {
+  if (units <= 0) return;
+
+  const materials = await all(
+    `SELECT rm.material_name, rm.required_per_unit, gb.quantity AS on_hand
+       FROM request_materials rm
+       JOIN requests r ON r.id = rm.request_id
+       JOIN guild_bank_materials gb ON gb.material_name = rm.material_name
+      WHERE rm.request_id = ? AND r.provides_materials = 0 AND rm.required_per_unit > 0`,
+    [requestId]
+  );
+
+  const consumed = {};
+  for (const material of materials) {
+    const needed = material.required_per_unit * units;
+    const amount = Math.min(needed, material.on_hand);
+    if (amount <= 0) continue;
+
+    const reason = amount < needed ? `Request #${requestId} (${needed - amount} short)` : `Request #${requestId}`;
+    const result = await recordGuildBankTransaction(material.material_name, -amount, { type: 'consumed', reason, actorId: userId, requestId });
+    if (result.success) consumed[result.materialName] = amount;
+  }
+
+  if (Object.keys(consumed).length > 0) {
+    await appendAuditLog(requestId, 'guild_materials_consumed', userId, { units, materials: consumed });
+  }
+}
+
+/**
+ * Guild bank stock next to what guild crafts need: reserved by claimed
+ * requests, and still unclaimed. Materials with neither stock nor demand are left out.
+ * @returns {Promise<Array<{material_name: string, have: number, reserved: number, unclaimed: number}>>}
+ */
+function getGuildBankInventory() {
+  return all(
+    `SELECT material_name, SUM(have) AS have, SUM(reserved) AS reserved, SUM(unclaimed) AS unclaimed
+       FROM (
+         SELECT material_name, quantity AS have, 0 AS reserved, 0 AS unclaimed
+           FROM guild_bank_materials
+         UNION ALL
+         SELECT rm.material_name, 0,
+                CASE WHEN r.status IN ('claimed', 'in_progress') THEN ${GUILD_REMAINING_SQL} ELSE 0 END,
+                CASE WHEN r.status = 'open' THEN ${GUILD_REMAINING_SQL} ELSE 0 END
+           FROM request_materials rm
+           JOIN requests r ON r.id = rm.request_id
+          WHERE r.provides_materials = 0 AND r.status IN ('open', 'claimed', 'in_progress')
+       )
+      GROUP BY material_name COLLATE NOCASE
+     HAVING SUM(have) > 0 OR SUM(reserved) > 0 OR SUM(unclaimed) > 0
+      ORDER BY MAX(SUM(reserved) - SUM(have), 0) DESC, material_name COLLATE NOCASE`
+  );
+}
+
+/**
+ * Most recent guild bank ledger entries, optionally for one material.
+ * @param {number} [limit=20]
+ * @param {string|null} [materialName]
+ */
+function getGuildBankLedger(limit = 20, materialName = null) {
+  return all(
+    `SELECT * FROM guild_bank_ledger
+      WHERE (? IS NULL OR material_name = ?)
+      ORDER BY id DESC
+      LIMIT ?`,
+    [materialName, materialName, limit]
+  );
+}
+
+// Request edits
+
+// Request columns a requester may change after submitting
+const EDITABLE_REQUEST_FIELDS = ['character', 'quantity_requested', 'priority', 'needed_by'];
+
+/**
+ * Applies a requester's edit to a request and records the before/after diff in its audit log.
+ * Compare-and-set: only applies while the request is in one of `statuses`, still
+ * held by `claimedBy` (null for open requests), and no more units than the new
+ * quantity have been completed.
+ * @param {number} requestId
+ * @param {Object} changes - { field: { from, to } } for EDITABLE_REQUEST_FIELDS and provided_materials
+ * @param {string} userId - Requester who made the edit
+ * @param {{statuses?: string[], claimedBy?: string|null, approvedBy?: string}} [expected]
+ * @returns {Promise<{success: boolean, reason?: string, status?: string, claimedBy?: string, claimedByName?: string}>}
+ */
+async function applyRequestEdit(requestId, changes, userId, { statuses = ['open'], claimedBy = null, approvedBy = null } = {}) {
+  const timestamp = new Date().toISOString();
+  const sets = [];
+  const params = [];
+
+  for (const field of EDITABLE_REQUEST_FIELDS) {
+    if (!changes[field]) continue;
+    sets.push(`${field} = ?`);
+    params.push(changes[field].to);
+  }
+  if (changes.provided_materials) {
+    const provided = changes.provided_materials.to;
+    sets.push('provided_materials_json = ?', 'provides_materials = ?');
+    params.push(JSON.stringify(provided), Object.values(provided).some(qty => qty > 0) ? 1 : 0);
+  }
+  if (sets.length === 0) {
+    log.debug(`[DB] Edit of request ${requestId} by user ${userId} has no editable fields; nothing to apply`);
+    return { success: true };
+  }
+
+  const newQuantity = changes.quantity_requested ? changes.quantity_requested.to : null;
+  const result = await run(
+    `UPDATE requests
+       SET ${sets.join(', ')}, updated_at = ?
+     WHERE id = ? AND status IN (${statuses.map(() => '?').join(',')}) AND claimed_by IS ?
+       AND (? IS NULL OR IFNULL(quantity_completed, 0) <= ?)`,
+    [...params, timestamp, requestId, ...statuses, claimedBy, newQuantity, newQuantity]
+  );
+
+  if (result.changes === 0) {
+    const conflict = await describeRequestConflict(requestId);
+    if (statuses.includes(conflict.status) && (conflict.claimedBy || null) === claimedBy) {
+      conflict.reason = 'quantity_below_completed';
+    }
+    log.warn(`[DB] Edit of request ${requestId} by user ${userId} rejected: ${conflict.reason}`);
+    return conflict;
+  }
+
+  if (changes.provided_materials) {
+    // Only the promise changes; what the crafter has already received stays recorded
+    const provided = changes.provided_materials.to;
+    for (const mat of await getRequestMaterials(requestId)) {
+      await run(
+        `UPDATE request_materials SET provided = ? WHERE request_id = ? AND material_name = ?`,
+        [parseInt(provided[mat.material_name], 10) || 0, requestId, mat.material_name]
+      );
+    }
+  }
+
+  const details = approvedBy ? { changes, approvedBy } : { changes };
+  await appendAuditLog(requestId, 'edited', userId, details);
+  emitRequestEvent('edited', requestId, userId, details);
+  log.info(`[DB] Request ${requestId} edited by user ${userId}${approvedBy ? ` (approved by ${approvedBy})` : ''}: ${Object.keys(changes).join(', ')}`);
+  return { success: true };
+}
+
+/**
+ * Parks an edit to a claimed request until its crafter approves or rejects it.
+ * Any earlier pending edit for the same request is superseded.
+ * @param {number} requestId
+ * @param {string} userId - Requester
+ * @param {string} crafterId - Claimant who must approve
+ * @param {Object} changes - Same shape as applyRequestEdit
+ * @returns {Promise<number>} The new edit id
+ */
+async function createRequestEdit(requestId, userId, crafterId, changes) {
+  const timestamp = new Date().toISOString();
+
+  await run(
+    `UPDATE request_edits SET status = 'superseded', resolved_at = ? WHERE request_id = ? AND status = 'pending'`,
+    [timestamp, requestId]
+  );
+  const result = await run(
+    `INSERT INTO request_edits (request_id, user_id, crafter_id, changes_json, created_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [requestId, userId, crafterId, JSON.stringify(changes), timestamp]
+  );
+
+  await appendAuditLog(requestId, 'edit_requested', userId, { editId: result.lastID, changes });
+  log.info(`[DB] Edit ${result.lastID} of request ${requestId} by user ${userId} awaiting approval from ${crafterId}`);
+  return result.lastID;
+}
+
+/**
+ * Gets a request edit with its changes parsed.
+ * @param {number} editId
+ * @returns {Promise<Object|null>}
+ */
+async function getRequestEdit(editId) {
+  const edit = await get('SELECT * FROM request_edits WHERE id = ?', [editId]);
+  if (!edit) return null;
+  return { ...edit, changes: JSON.parse(edit.changes_json) };
+}
+
+/**
+ * Gets the pending edit for a request, if any.
+ * @param {number} requestId
+ */
+function getPendingRequestEdit(requestId) {
+  return get(`SELECT * FROM request_edits WHERE request_id = ? AND status = 'pending'`, [requestId]);
+}
+
+/**
+ * Moves an edit to approved, rejected or stale.
+ * Compare-and-set: returns false if the edit is no longer in `fromStatus`
+ * (already resolved or superseded).
+ * @param {number} editId
+ * @param {string} status
+ * @param {string} userId - Crafter resolving it
+ * @param {string} [fromStatus='pending']
+ * @returns {Promise<boolean>}
+ */
+async function resolveRequestEdit(editId, status, userId, fromStatus = 'pending') {
+  const result = await run(
+    `UPDATE request_edits SET status = ?, resolved_at = ?, resolved_by = ? WHERE id = ? AND status = ?`,
+    [status, new Date().toISOString(), userId, editId, fromStatus]
+  );
+  return result.changes > 0;
+}
+
+// Gear sets
+
+/**
+ * Creates a gear set that the requests submitted with it will point to (requests.set_id).
+ * @returns {Promise<number>} The new set id
+ */
+async function createRequestSet(userId, character, profession) {
+  const result = await run(
+    `INSERT INTO request_sets (user_id, character, profession, created_at) VALUES (?, ?, ?, ?)`,
+    [userId, character, profession, new Date().toISOString()]
+  );
+  log.info(`[DB] Gear set ${result.lastID} created for ${character} (${profession}) by user ${userId}`);
+  return result.lastID;
+}
+
+/**
+ * Gets the requests in a gear set, in slot order of submission.
+ * @param {number} setId
+ * @param {string[]|null} statuses - Optional status filter
+ */
+function getRequestsBySet(setId, statuses = null) {
+  if (statuses) {
+    return all(
+      `SELECT * FROM requests WHERE set_id = ? AND status IN (${statuses.map(() => '?').join(',')}) ORDER BY id`,
+      [setId, ...statuses]
+    );
+  }
+  return all(`SELECT * FROM requests WHERE set_id = ? ORDER BY id`, [setId]);
+}
+
+/**
+ * Combined progress of a user's gear sets that still have pending requests.
+ * @param {string} userId
+ * @param {string|null} profession - Optional profession filter
+ * @returns {Promise<Array<{set_id: number, character: string, profession: string, total: number, done: number, ready: number, in_progress: number, open: number, cancelled: number}>>}
+ */
+function getRequestSetProgress(userId, profession = null) {
+  return all(
+    `SELECT s.id AS set_id, s.character, s.profession,
+            COUNT(r.id) AS total,
+            SUM(CASE WHEN r.status = 'complete' THEN 1 ELSE 0 END) AS done,
+            SUM(CASE WHEN r.status = 'ready' THEN 1 ELSE 0 END) AS ready,
+            SUM(CASE WHEN r.status IN ('claimed', 'in_progress') THEN 1 ELSE 0 END) AS in_progress,
+            SUM(CASE WHEN r.status = 'open' THEN 1 ELSE 0 END) AS open,
+            SUM(CASE WHEN r.status IN ('denied', 'expired') THEN 1 ELSE 0 END) AS cancelled
+       FROM request_sets s
+       JOIN requests r ON r.set_id = s.id
+      WHERE s.user_id = ? AND (? IS NULL OR s.profession = ?)
+      GROUP BY s.id
+     HAVING SUM(CASE WHEN r.status IN ('open', 'claimed', 'in_progress', 'ready') THEN 1 ELSE 0 END) > 0
+      ORDER BY s.id`,
+    [userId, profession, profession]
+  );
+}
+
+// Request templates
+
+/**
+ * Saves a request template, replacing the user's existing template for the same character and recipe.
+ * @param {{userId: string, character: string, profession: string, gearSlot: string, requestId: string, requestName: string, quantity: number, provision: string, providedMaterials: Object}} template
+ * @returns {Promise<{id: number, replaced: boolean}>}
+ */
+async function saveRequestTemplate({ userId, character, profession, gearSlot, requestId, requestName, quantity, provision, providedMaterials }) {
+  const existing = await get(
+    `SELECT id FROM request_templates WHERE user_id = ? AND character = ? AND profession = ? AND request_id = ?`,
+    [userId, character, profession, requestId]
+  );
+
+  await run(
+    `INSERT INTO request_templates (user_id, character, profession, gear_slot, request_id, request_name, quantity, provision, provided_materials_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, character, profession, request_id) DO UPDATE SET
+       gear_slot = excluded.gear_slot,
+       request_name = excluded.request_name,
+       quantity = excluded.quantity,
+       provision = excluded.provision,
+       provided_materials_json = excluded.provided_materials_json`,
+    [userId, character, profession, gearSlot, requestId, requestName, quantity, provision, JSON.stringify(providedMaterials || {}), new Date().toISOString()]
+  );
+
+  const saved = await get(
+    `SELECT id FROM request_templates WHERE user_id = ? AND character = ? AND profession = ? AND request_id = ?`,
+    [userId, character, profession, requestId]
+  );
+  log.info(`[DB] Request template ${saved.id} (${character}: ${requestName} x${quantity}) ${existing ? 'updated' : 'saved'} for user ${userId}`);
+  return { id: saved.id, replaced: !!existing };
+}
+
+/**
+ * Gets a user's request templates, most recently used first.
+ * @param {string} userId
+ */
+function getRequestTemplates(userId) {
+  return all(
+    `SELECT * FROM request_templates
+      WHERE user_id = ?
+      ORDER BY COALESCE(last_used_at, created_at) DESC, id DESC`,
+    [userId]
+  );
+}
+
+/**
+ * Gets one of a user's request templates.
+ * @param {number} templateId
+ * @param {string} userId - Owner; other users' templates are not returned
+ */
+function getRequestTemplate(templateId, userId) {
+  return get(`SELECT * FROM request_templates WHERE id = ? AND user_id = ?`, [templateId, userId]);
+}
+
+/**
+ * Deletes one of a user's request templates.
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+async function deleteRequestTemplate(templateId, userId) {
+  const result = await run(`DELETE FROM request_templates WHERE id = ? AND user_id = ?`, [templateId, userId]);
+  return result.changes > 0;
+}
+
+/**
+ * Stamps a template as just used, so it sorts first.
+ * @param {number} templateId
+ */
+function markRequestTemplateUsed(templateId) {
+  return run(`UPDATE request_templates SET last_used_at = ? WHERE id = ?`, [new Date().toISOString(), templateId]);
+}
+
+// Removed recipes
+
+/**
+ * Gets the recipe each pending request points at, for checking against reloaded profession data.
+ * @returns {Promise<Array<{id: number, profession: string, gear_slot: string, request_id: string, recipe_removed_at: string|null}>>}
+ */
+function getPendingRequestRecipes() {
+  return all(
+    `SELECT id, profession, gear_slot, request_id, recipe_removed_at FROM requests
+      WHERE status IN ('open', 'claimed', 'in_progress', 'ready')`
+  );
+}
+
+/**
+ * Flags requests whose recipe was removed from the profession files, and clears the flag
+ * on requests whose recipe is back. Both changes are recorded in the audit log.
+ * @param {number[]} removedIds - Requests to flag (already flagged ones are skipped)
+ * @param {number[]} restoredIds - Requests to clear
+ * @param {string} userId - Admin who ran the reload, or the bot for the file watcher
+ * @returns {Promise<{flagged: number, cleared: number}>}
+ */
+async function setRecipeRemovedFlags(removedIds, restoredIds, userId) {
+  const now = new Date().toISOString();
+  let flagged = 0;
+  let cleared = 0;
+  for (const id of removedIds) {
+    const result = await run(`UPDATE requests SET recipe_removed_at = ? WHERE id = ? AND recipe_removed_at IS NULL`, [now, id]);
+    if (result.changes > 0) {
+      await appendAuditLog(id, 'recipe_removed', userId);
+      flagged++;
+    }
+  }
+  for (const id of restoredIds) {
+    const result = await run(`UPDATE requests SET recipe_removed_at = NULL WHERE id = ? AND recipe_removed_at IS NOT NULL`, [id]);
+    if (result.changes > 0) {
+      await appendAuditLog(id, 'recipe_restored', userId);
+      cleared++;
+    }
+  }
+  if (flagged || cleared) {
+    log.info(`[DB] Removed-recipe flags: ${flagged} request(s) flagged, ${cleared} cleared`);
+  }
+  return { flagged, cleared };
+}
+
+/**
+ * Gets pending requests flagged because their recipe was removed.
+ */
+function getRequestsWithRemovedRecipes() {
+  return all(
+    `SELECT * FROM requests
+      WHERE recipe_removed_at IS NOT NULL AND status IN ('open', 'claimed', 'in_progress', 'ready')
+      ORDER BY id`
+  );
+}
+
+/**
+ * Gets all open requests for a specific profession, most urgent first.
+ * @param {string} profession
+ */
+function getOpenRequestsByProfession(profession) {
+  return all(
+    `SELECT * FROM requests
+      WHERE profession = ? AND status = 'open'
+      ORDER BY ${PRIORITY_ORDER_SQL}, created_at ASC`,
+    [profession]
+  );
+}
+
+/**
+ * Gets all in-progress and recently cancelled requests claimed by a specific user.
+ * Includes denied status so crafters can see why their work disappeared.
+ * @param {string} userId
+ */
+function getInProgressRequestsByUser(userId) {
+  return all(
+    `SELECT * FROM requests
+      WHERE claimed_by = ? AND status IN ('claimed', 'in_progress', 'denied')
+      ORDER BY 
+        CASE status
+          WHEN 'in_progress' THEN 1
+          WHEN 'claimed' THEN 2
+          WHEN 'denied' THEN 3
+        END,
+        ${PRIORITY_ORDER_SQL},
+        claimed_at ASC`,
+    [userId]
+  );
+}
+
+/**
+ * Gets all requests (any status) for a specific character.
+ * @param {string} characterName
+ */
+function getRequestsByCharacterName(characterName) {
+  return all(
+    `SELECT * FROM requests
+      WHERE character = ?
+      ORDER BY created_at DESC`,
+    [characterName]
   );
 }
 
@@ -776,6 +2205,46 @@ async function getRequestSummary() {
   return summary;
 }
 
+/**
+ * Gets urgent request counts and the nearest deadline per profession
+ * across open, claimed and in-progress requests.
+ */
+function getPrioritySummary() {
+  return all(
+    `SELECT profession,
+       SUM(CASE WHEN priority = 'raid_critical' THEN 1 ELSE 0 END) as raid_critical_count,
+       SUM(CASE WHEN priority = 'high' THEN 1 ELSE 0 END) as high_count,
+       MIN(needed_by) as next_needed_by
+     FROM requests
+     WHERE status IN ('open', 'claimed', 'in_progress')
+     GROUP BY profession`
+  );
+}
+
+/**
+ * Changes a request's priority and records the change in its audit log.
+ * @param {number} requestId
+ * @param {string} priority - Key of PRIORITY_LEVELS
+ * @param {string} userId - Officer making the change
+ * @returns {Promise<boolean>} False if the request does not exist
+ */
+async function setRequestPriority(requestId, priority, userId) {
+  if (!PRIORITY_LEVELS[priority]) {
+    throw new Error(`Unknown priority: ${priority}`);
+  }
+
+  const request = await get('SELECT priority FROM requests WHERE id = ?', [requestId]);
+  if (!request) return false;
+
+  await run(
+    `UPDATE requests SET priority = ?, updated_at = ? WHERE id = ?`,
+    [priority, new Date().toISOString(), requestId]
+  );
+  await appendAuditLog(requestId, 'priority_changed', userId, { from: request.priority || 'normal', to: priority });
+  log.info(`[DB] Request ${requestId} priority set to ${priority} by user ${userId}`);
+  return true;
+}
+
 /**
  * Gets all requests claimed by a specific crafter (by user ID), grouped by status.
  * @param {string} userId
@@ -919,19 +2388,35 @@ async function cleanupOldDMTracking() {
 
 module.exports = {
   initDatabase,
+  runMigrations,
+  getPendingMigrations,
   run,
   get,
   all,
   registerCharacter,
   getCharactersByUser,
+  getAllCharacters,
   deleteCharacter,
+  getKnownRecipes,
+  setKnownRecipes,
+  getKnownRecipeNamesForUser,
+  countCraftersKnowingRecipe,
+  getRecipeCrafterIds,
   getRequestById,
   getRequestsByCharacters,
   getRequestsByUserId,
   getRequestsByProfession,
+  searchRequests,
   updateRequestStatus,
   getClaimedRequestsByUser,
   addRequest,
+  saveRequestMaterials,
+  getRequestMaterials,
+  getMaterialHandoffs,
+  recordMaterialsReceived,
+  getMaterialTotalsForCrafter,
+  getMaterialTotalsByCharacterForCrafter,
+  getOutstandingMaterialTotals,
   storeTempSession,
   getTempSession,
   deleteTempSession,
@@ -946,14 +2431,80 @@ module.exports = {
   cleanupOldDMTracking,
   // New crafting queue functions
   appendAuditLog,
+  searchAuditLog,
+  describeRequestConflict,
   claimRequest,
   releaseRequest,
   completeRequest,
   completeRequestWithQuantity,
+  confirmRequestDelivery,
+  disputeRequestDelivery,
+  getReadyRequestsBefore,
+  getDisputedRequests,
+  cancelRequest,
   getOpenRequestsByProfession,
+  getIdleClaimedRequests,
+  markIdleReminderSent,
+  getStaleOpenRequests,
+  expireRequest,
+  getScheduledJob,
+  recordScheduledJobRun,
+  createAssignmentOffer,
+  getPendingAssignmentOffer,
+  resolveAssignmentOffer,
+  getAssignmentOfferedUserIds,
+  getExpiredAssignmentOffers,
+  countPendingOffersByUser,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  listWebhookDeliveries,
+  replayWebhookDeliveries,
+  getRequestsCreatedSince,
+  getRequestsCompletedSince,
+  isDigestSubscriber,
+  setDigestSubscription,
+  getDigestSubscribers,
+  saveRequestAnnouncement,
+  getRequestAnnouncement,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  deleteNotificationPreferences,
+  holdNotification,
+  getUsersWithHeldNotifications,
+  getHeldNotifications,
+  deleteHeldNotifications,
+  saveRequestRating,
+  getRatingsForRequests,
+  getCrafterRatingSummaries,
+  getCrafterRatingSummary,
+  getRecentCrafterRatings,
+  recordGuildBankTransaction,
+  consumeGuildBankMaterials,
+  getGuildBankInventory,
+  getGuildBankLedger,
+  applyRequestEdit,
+  createRequestEdit,
+  getRequestEdit,
+  getPendingRequestEdit,
+  resolveRequestEdit,
+  createRequestSet,
+  getRequestsBySet,
+  getRequestSetProgress,
+  saveRequestTemplate,
+  getRequestTemplates,
+  getRequestTemplate,
+  deleteRequestTemplate,
+  markRequestTemplateUsed,
+  getPendingRequestRecipes,
+  setRecipeRemovedFlags,
+  getRequestsWithRemovedRecipes,
   getInProgressRequestsByUser,
   getRequestsByCharacterName,
   getRequestSummary,
+  getPrioritySummary,
+  setRequestPriority,
   getAllRequestsByClaimedUser,
   getAllCrafters,
   getAllCraftersWithProfessions,
@@ -0,0 +1,140 @@
+// utils/deliveryConfirmation.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { onRequestEvent } = require('./requestEvents');
+const { notifyRequester, sendDM } = require('./notifications');
+const { getRequestLabel } = require('./requestFormatter');
+const { buildRatingRows } = require('./ratings');
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function isDeliveryConfirmationEnabled() {
+  return !!config.deliveryConfirmation?.enabled;
+}
+
+/**
+ * Confirm/dispute prompt sent to the requester when a request is marked ready.
+ * @param {Object} request - requests row
+ */
+function buildConfirmationPrompt(request) {
+  const hours = config.deliveryConfirmation?.autoConfirmHours || 0;
+
+  let content = `📬 **${request.claimed_by_name || 'Your crafter'}** has marked request **#${request.id}** ready:\n`;
+  content += `**${request.character}**: ${getRequestLabel(request)}${request.gear_slot ? ` to ${request.gear_slot}` : ''}\n\n`;
+  content += 'Did you receive it? Confirm to close the request, or dispute it if something is missing.';
+  if (hours > 0) {
+    content += `\n_It will be confirmed automatically after ${hours} hour(s) without an answer._`;
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`delivery_confirm_${request.id}`)
+      .setLabel('✅ I received it')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`delivery_dispute_${request.id}`)
+      .setLabel('⚠️ Dispute')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return { content, components: [row] };
+}
+
+/**
+ * DM the requester the confirm/dispute prompt for a ready request.
+ * Sent regardless of notification preferences, since it needs an answer;
+ * auto-confirm covers requesters who can't be reached.
+ * @param {Client} client - Discord client
+ * @param {number} requestId
+ */
+async function sendConfirmationPrompt(client, requestId) {
+  const request = await db.getRequestById(requestId);
+  if (!request || request.status !== 'ready') return;
+
+  if (await sendDM(client, request.user_id, buildConfirmationPrompt(request))) {
+    log.info(`[DELIVERY] Confirmation prompt for request ${requestId} sent to ${request.user_id}`);
+  }
+}
+
+/**
+ * Tell the crafter how the requester answered.
+ * @param {Client} client - Discord client
+ * @param {Object} request - requests row (before the change)
+ * @param {string} message
+ */
+async function notifyCrafter(client, request, message) {
+  if (!request.claimed_by) return;
+  await sendDM(client, request.claimed_by, message);
+}
+
+/**
+ * Confirm every ready request that has waited longer than autoConfirmHours.
+ * @returns {Promise<number>} Number of requests confirmed
+ */
+async function autoConfirmReadyRequests(client, now = Date.now()) {
+  const hours = config.deliveryConfirmation?.autoConfirmHours || 0;
+  if (hours <= 0) return 0;
+
+  const cutoff = new Date(now - hours * HOUR_MS).toISOString();
+  let confirmed = 0;
+
+  for (const request of await db.getReadyRequestsBefore(cutoff)) {
+    const result = await db.confirmRequestDelivery(request.id, client.user.id, { auto: true, hours });
+    if (!result.success) continue;
+    confirmed++;
+
+    await notifyRequester(client, request.user_id, 'complete',
+      `🎉 Request **#${request.id}** for **${request.character}** was confirmed automatically after ${hours} hour(s) and is now complete.`,
+      buildRatingRows([request]));
+    await notifyCrafter(client, request,
+      `✅ Request **#${request.id}** for **${request.character}** was confirmed automatically and is now complete.`);
+  }
+
+  return confirmed;
+}
+
+/**
+ * Prompt requesters when their requests are marked ready, and auto-confirm
+ * prompts nobody answered.
+ * @param {Client} client - Discord client
+ */
+function scheduleDeliveryConfirmation(client) {
+  if (!isDeliveryConfirmationEnabled()) {
+    log.info('[DELIVERY] Delivery confirmation is disabled');
+    return;
+  }
+
+  onRequestEvent(({ event, requestId }) => {
+    if (event !== 'ready') return;
+    sendConfirmationPrompt(client, requestId).catch(err => {
+      log.error(`[DELIVERY] Failed to send confirmation prompt for request ${requestId}:`, err);
+    });
+  });
+
+  const sweep = async () => {
+    try {
+      const confirmed = await autoConfirmReadyRequests(client);
+      if (confirmed > 0) log.info(`[DELIVERY] Auto-confirmed ${confirmed} request(s)`);
+    } catch (err) {
+      log.error(`[DELIVERY] Auto-confirm sweep failed: ${err.message}`);
+    }
+  };
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS);
+
+  const hours = config.deliveryConfirmation.autoConfirmHours || 0;
+  log.info(`[DELIVERY] Delivery confirmation enabled (${hours > 0 ? `auto-confirm after ${hours}h` : 'no auto-confirm'})`);
+}
+
+module.exports = {
+  isDeliveryConfirmationEnabled,
+  buildConfirmationPrompt,
+  sendConfirmationPrompt,
+  notifyCrafter,
+  autoConfirmReadyRequests,
+  scheduleDeliveryConfirmation
+};
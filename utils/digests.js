@@ -0,0 +1,333 @@
+// utils/digests.js
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { compareRequestsByPriority } = require('./requestPriority');
+const { capitalize, getRequestLabel, getPriorityBadge } = require('./requestFormatter');
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIELD_LIMIT = 1024;
+const LIST_LIMIT = 10;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Cron fields in order: [name, min, max]
+const CRON_FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['dayOfMonth', 1, 31],
+  ['month', 1, 12],
+  ['dayOfWeek', 0, 7]
+];
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30", "1-5/2") into a Set of values.
+ */
+function parseCronField(text, min, max) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`invalid field "${text}"`);
+
+    const start = match[1] === '*' ? min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start);
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) throw new Error(`field "${text}" is out of range ${min}-${max}`);
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression ("minute hour day-of-month month day-of-week").
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`"${expression}" must have 5 fields`);
+
+  const schedule = {};
+  CRON_FIELDS.forEach(([name, min, max], i) => {
+    schedule[name] = parseCronField(parts[i], min, max);
+  });
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+}
+
+/**
+ * Local date parts for `date` in `timezone`.
+ */
+function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    key: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Whether a parsed cron schedule fires in the minute containing `date`.
+ * Like cron, when both day fields are restricted either one may match.
+ */
+function cronMatches(schedule, parts) {
+  if (!schedule.minute.has(parts.minute) || !schedule.hour.has(parts.hour) || !schedule.month.has(parts.month)) {
+    return false;
+  }
+  const domMatch = schedule.dayOfMonth.has(parts.dayOfMonth);
+  const dowMatch = schedule.dayOfWeek.has(parts.dayOfWeek);
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return domMatch && dowMatch;
+  return domMatch || dowMatch;
+}
+
+function ageInDays(timestamp, now) {
+  const value = String(timestamp);
+  const time = Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return Math.max(Math.floor((now - time) / DAY_MS), 0);
+}
+
+/**
+ * Join lines into an embed field value, noting how many didn't fit.
+ */
+function fieldList(lines, emptyText, limit = LIST_LIMIT) {
+  if (lines.length === 0) return emptyText;
+  const shown = lines.slice(0, limit);
+  let text = shown.join('\n');
+  if (lines.length > shown.length) text += `\n_...and ${lines.length - shown.length} more_`;
+  return text.length > FIELD_LIMIT ? text.slice(0, FIELD_LIMIT - 3) + '...' : text;
+}
+
+/**
+ * Count requests per crafter name as "Name: N" lines, busiest first.
+ */
+function countByCrafter(requests) {
+  const counts = {};
+  for (const request of requests) {
+    const name = request.claimed_by_name || request.claimed_by || 'Unknown';
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `${name}: **${count}**`);
+}
+
+/**
+ * Officer digest for one profession covering the period since `since`.
+ * @param {string} profession
+ * @param {string} since - ISO timestamp of the previous digest
+ * @param {number} now - Epoch ms
+ * @returns {Promise<EmbedBuilder>}
+ */
+async function buildProfessionDigest(profession, since, now = Date.now()) {
+  const until = new Date(now).toISOString();
+  const created = await db.getRequestsCreatedSince(profession, since, until);
+  const completed = await db.getRequestsCompletedSince(profession, since, until);
+  const open = (await db.getOpenRequestsByProfession(profession))
+    .sort((a, b) => ageInDays(b.created_at, now) - ageInDays(a.created_at, now) || a.id - b.id);
+  const claimed = await db.searchRequests({ status: ['claimed', 'in_progress'], profession, limit: 1000 });
+  const materials = (await db.getOutstandingMaterialTotals()).filter(m => m.profession === profession);
+
+  return new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(`📰 ${capitalize(profession)} Digest`)
+    .setDescription(`Since <t:${Math.floor(Date.parse(since) / 1000)}:f>\n\u200B`)
+    .addFields(
+      {
+        name: `🆕 New Requests (${created.length})`,
+        value: fieldList(created.map(r => `#${r.id} ${getRequestLabel(r)} - ${r.character}`), 'None'),
+        inline: false
+      },
+      {
+        name: `⏳ Oldest Open (${open.length} open)`,
+        value: fieldList(
+          open.map(r => `#${r.id} ${getRequestLabel(r)} - ${r.character} (${ageInDays(r.created_at, now)}d) ${getPriorityBadge(r)}`.trim()),
+          'Nothing waiting',
+          config.digests.oldestOpenCount || 5
+        ),
+        inline: false
+      },
+      {
+        name: `⚙️ Claimed (${claimed.length})`,
+        value: fieldList(countByCrafter(claimed), 'Nothing claimed'),
+        inline: true
+      },
+      {
+        name: `✅ Completed (${completed.length})`,
+        value: fieldList(countByCrafter(completed), 'None this period'),
+        inline: true
+      },
+      {
+        name: '📦 Outstanding Materials',
+        value: fieldList(materials.map(m => `${m.material_name}: **${m.total}**${m.unclaimed ? ` (${m.unclaimed} unclaimed)` : ''}`), 'None'),
+        inline: false
+      }
+    )
+    .setTimestamp(new Date(now));
+}
+
+/**
+ * Personal digest for a crafter: their claimed queue and the materials it needs.
+ * @param {string} userId
+ * @returns {Promise<string|null>} Message text, or null when they have nothing claimed
+ */
+async function buildPersonalDigest(userId) {
+  const claims = (await db.getInProgressRequestsByUser(userId))
+    .filter(r => r.status === 'claimed' || r.status === 'in_progress')
+    .sort(compareRequestsByPriority);
+  if (claims.length === 0) return null;
+
+  const materials = await db.getMaterialTotalsForCrafter(userId);
+
+  let content = `📬 **Your crafting digest** - ${claims.length} claimed request(s)\n\n`;
+  for (const request of claims.slice(0, 20)) {
+    const badge = getPriorityBadge(request);
+    content += `• **#${request.id}** [${capitalize(request.profession)}] ${getRequestLabel(request)} for ${request.character}${badge ? ` ${badge}` : ''}\n`;
+  }
+  if (claims.length > 20) content += `_...and ${claims.length - 20} more_\n`;
+
+  if (materials.length > 0) {
+    content += '\n📦 **Materials still needed:**\n';
+    for (const material of materials.slice(0, 20)) {
+      content += `• ${material.material_name}: ${material.total}\n`;
+    }
+    if (materials.length > 20) content += `_...and ${materials.length - 20} more_\n`;
+  }
+
+  content += '\n_Turn this off from Manage Requests → 📬 Digest._';
+  return content.length > 2000 ? content.slice(0, 1997) + '...' : content;
+}
+
+/**
+ * Post the officer digest for a profession to the digest channel.
+ */
+async function postProfessionDigest(client, profession, since, now) {
+  const channel = await client.channels.fetch(config.digests.channelId);
+  await channel.send({ embeds: [await buildProfessionDigest(profession, since, now)] });
+}
+
+/**
+ * DM every subscribed crafter their personal digest.
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function sendPersonalDigests(client) {
+  let sent = 0;
+  for (const userId of await db.getDigestSubscribers()) {
+    const content = await buildPersonalDigest(userId);
+    if (!content) continue;
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(content);
+      sent++;
+    } catch (err) {
+      log.warn(`[DIGEST] Could not DM digest to ${userId}: ${err.message}`);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Configured digests as { name, schedule, run } entries. Invalid cron expressions are logged and skipped.
+ */
+function getDigestJobs() {
+  const settings = config.digests || {};
+  const jobs = [];
+
+  const add = (name, expression, run) => {
+    try {
+      jobs.push({ name, expression, schedule: parseCron(expression), run });
+    } catch (err) {
+      log.warn(`[DIGEST] Ignoring ${name} schedule: ${err.message}`);
+    }
+  };
+
+  if (settings.channelId) {
+    for (const [profession, expression] of Object.entries(settings.schedules || {})) {
+      if (!expression) continue;
+      add(`digest_${profession}`, expression, (client, since, now) => postProfessionDigest(client, profession, since, now));
+    }
+  }
+  if (settings.personalSchedule) {
+    add('digest_personal', settings.personalSchedule, client => sendPersonalDigests(client));
+  }
+
+  return jobs;
+}
+
+/**
+ * Run every digest whose schedule matches the current minute. The last run
+ * is stored in scheduled_jobs so a restart within the same minute doesn't
+ * post twice, and so the next digest knows where its period starts. The
+ * recorded time is when the run began, not when it finished.
+ * @param {Client} client - Discord client
+ * @param {Array} jobs - From getDigestJobs()
+ * @param {number} now - Epoch ms
+ */
+async function runDueDigests(client, jobs, now = Date.now()) {
+  const parts = zonedParts(new Date(now), config.digests.timezone || 'UTC');
+
+  for (const job of jobs) {
+    if (!cronMatches(job.schedule, parts)) continue;
+
+    try {
+      const lastRun = await db.getScheduledJob(job.name);
+      const lastResult = lastRun ? JSON.parse(lastRun.last_result_json || '{}') : {};
+      if (lastResult.minute === parts.key) continue;
+
+      // The period ends when this run starts, so events during the build land in the next digest
+      const since = lastRun?.last_run_at || new Date(now - DAY_MS).toISOString();
+      const periodEnd = new Date(now).toISOString();
+      await job.run(client, since, now);
+      await db.recordScheduledJobRun(job.name, { minute: parts.key }, periodEnd);
+      log.info(`[DIGEST] ${job.name} sent`);
+    } catch (err) {
+      log.error(`[DIGEST] ${job.name} failed:`, err);
+    }
+  }
+}
+
+/**
+ * Start the digest scheduler if any digest is configured.
+ * @param {Client} client - Discord client
+ */
+function scheduleDigests(client) {
+  const jobs = getDigestJobs();
+  if (jobs.length === 0) {
+    log.info('[DIGEST] No digests configured');
+    return;
+  }
+
+  log.info(`[DIGEST] Scheduled: ${jobs.map(job => `${job.name} (${job.expression})`).join(', ')} in ${config.digests.timezone || 'UTC'}`);
+
+  setInterval(() => {
+    runDueDigests(client, jobs).catch(err => {
+      log.error(`[DIGEST] Scheduled run failed: ${err.message}`);
+    });
+  }, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  parseCron,
+  buildProfessionDigest,
+  buildPersonalDigest,
+  getDigestJobs,
+  runDueDigests,
+  scheduleDigests
+};
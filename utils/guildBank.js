@@ -0,0 +1,42 @@
+// utils/guildBank.js
+
+const MAX_REASON_LENGTH = 100;
+
+// How each ledger entry type reads in the history
+const LEDGER_TYPES = {
+  deposit: { emoji: '📥', label: 'Deposit' },
+  withdrawal: { emoji: '📤', label: 'Withdrawal' },
+  consumed: { emoji: '🔨', label: 'Used for guild craft' }
+};
+
+/**
+ * How much more of a material the guild needs for its claimed guild crafts.
+ * @param {{have: number, reserved: number}} row - getGuildBankInventory row
+ */
+function getShortfall(row) {
+  return Math.max((row.reserved || 0) - (row.have || 0), 0);
+}
+
+/**
+ * "have 20 / reserved 12 / short 0" for an inventory row.
+ */
+function formatBankStock(row) {
+  return `have ${row.have} / reserved ${row.reserved} / short ${getShortfall(row)}`;
+}
+
+/**
+ * Inventory rows keyed by lower-cased material name, for lookups from material lists.
+ * @param {Array<{material_name: string}>} inventory
+ * @returns {Map<string, Object>}
+ */
+function indexInventory(inventory) {
+  return new Map(inventory.map(row => [row.material_name.toLowerCase(), row]));
+}
+
+module.exports = {
+  MAX_REASON_LENGTH,
+  LEDGER_TYPES,
+  getShortfall,
+  formatBankStock,
+  indexInventory
+};
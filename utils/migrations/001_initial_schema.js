@@ -0,0 +1,61 @@
+/**
+ * Migration 001: Base tables.
+ * Uses IF NOT EXISTS so databases created before versioning adopt cleanly.
+ */
+module.exports = {
+  description: 'Create characters, requests, action_logs, temp_sessions and active_dms tables',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS characters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      name TEXT,
+      type TEXT
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      character TEXT,
+      profession TEXT,
+      gear_slot TEXT,
+      request_id TEXT,
+      request_name TEXT,
+      status TEXT DEFAULT 'open',
+      claimed_by TEXT,
+      claimed_by_name TEXT,
+      claimed_at TEXT,
+      deny_reason TEXT,
+      materials_json TEXT,
+      provided_materials_json TEXT,
+      provides_materials INTEGER,
+      quantity_requested INTEGER DEFAULT 1,
+      quantity_completed INTEGER DEFAULT 0,
+      audit_log TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS action_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      action_type TEXT,
+      target_request_id INTEGER,
+      timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+      details_json TEXT
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS temp_sessions (
+      session_key TEXT PRIMARY KEY,
+      user_id TEXT,
+      data_json TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS active_dms (
+      user_id TEXT PRIMARY KEY,
+      dm_channel_id TEXT,
+      last_activity TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 002: Request tracking columns.
+ * Databases created before these columns existed only have the original
+ * requests table, so each column is added only when missing.
+ */
+const COLUMNS = [
+  { name: 'provided_materials_json', definition: 'TEXT' },
+  { name: 'claimed_at', definition: 'TEXT' },
+  { name: 'audit_log', definition: 'TEXT' },
+  { name: 'quantity_requested', definition: 'INTEGER DEFAULT 1' },
+  { name: 'quantity_completed', definition: 'INTEGER DEFAULT 0' }
+];
+
+module.exports = {
+  description: 'Add materials, claim, audit and quantity columns to legacy requests tables',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+
+    for (const column of COLUMNS) {
+      if (!existing.includes(column.name)) {
+        await run(`ALTER TABLE requests ADD COLUMN ${column.name} ${column.definition}`);
+      }
+    }
+  }
+};
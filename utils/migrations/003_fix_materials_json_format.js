@@ -0,0 +1,66 @@
+/**
+ * Migration 003: Normalize materials_json.
+ * Early builds stored materials as ["Material x10", ...] or as objects keyed
+ * by array index; both are rewritten to the { "Material": 10 } format.
+ */
+const MATERIAL_PATTERN = /^(.+?)\s+x(\d+)$/;
+
+function convertMaterials(materials) {
+  const converted = {};
+
+  if (Array.isArray(materials)) {
+    for (const materialStr of materials) {
+      const match = typeof materialStr === 'string' && materialStr.match(MATERIAL_PATTERN);
+      if (match) {
+        converted[match[1].trim()] = parseInt(match[2], 10);
+      }
+    }
+    return converted;
+  }
+
+  for (const [key, value] of Object.entries(materials)) {
+    if (key.match(/^\d+$/)) {
+      const match = typeof value === 'string' && value.match(MATERIAL_PATTERN);
+      if (match) {
+        converted[match[1].trim()] = parseInt(match[2], 10);
+      }
+    } else {
+      converted[key] = parseInt(value, 10) || 0;
+    }
+  }
+  return converted;
+}
+
+module.exports = {
+  description: 'Convert array-style and index-keyed materials_json to name/quantity objects',
+
+  async up({ run, all }) {
+    const requests = await all(
+      `SELECT id, materials_json FROM requests WHERE materials_json IS NOT NULL AND materials_json != ''`
+    );
+
+    for (const req of requests) {
+      let materials;
+      try {
+        materials = JSON.parse(req.materials_json);
+      } catch (err) {
+        // Unparseable rows were never readable by the bot; leave them untouched
+        continue;
+      }
+
+      if (!materials || typeof materials !== 'object') continue;
+
+      const needsFix = Array.isArray(materials) ||
+        Object.keys(materials).some(key => key.match(/^\d+$/));
+      if (!needsFix) continue;
+
+      const converted = convertMaterials(materials);
+      if (Object.keys(converted).length === 0) continue;
+
+      await run(
+        `UPDATE requests SET materials_json = ? WHERE id = ?`,
+        [JSON.stringify(converted), req.id]
+      );
+    }
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 004: Normalized request materials.
+ * One row per material per request, backfilled from materials_json
+ * (per-unit requirement) and provided_materials_json (total provided).
+ */
+function parseMaterialObject(json) {
+  if (!json) return {};
+  try {
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    return parsed;
+  } catch (err) {
+    return {};
+  }
+}
+
+module.exports = {
+  description: 'Create request_materials table and backfill it from the JSON material columns',
+
+  async up({ run, all }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_materials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id INTEGER NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+      material_name TEXT NOT NULL,
+      required_per_unit INTEGER NOT NULL DEFAULT 0,
+      provided INTEGER NOT NULL DEFAULT 0,
+      delivered INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (request_id, material_name)
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_request_materials_request ON request_materials (request_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_requests_claimed_by ON requests (claimed_by, status)`);
+
+    const requests = await all(
+      `SELECT id, materials_json, provided_materials_json FROM requests
+        WHERE (materials_json IS NOT NULL AND materials_json != '')
+           OR (provided_materials_json IS NOT NULL AND provided_materials_json != '')`
+    );
+
+    for (const req of requests) {
+      const required = parseMaterialObject(req.materials_json);
+      const provided = parseMaterialObject(req.provided_materials_json);
+      const names = new Set([...Object.keys(required), ...Object.keys(provided)]);
+
+      for (const name of names) {
+        await run(
+          `INSERT OR IGNORE INTO request_materials (request_id, material_name, required_per_unit, provided)
+           VALUES (?, ?, ?, ?)`,
+          [req.id, name, parseInt(required[name], 10) || 0, parseInt(provided[name], 10) || 0]
+        );
+      }
+    }
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 005: Request priority and "needed by" deadline.
+ */
+module.exports = {
+  description: 'Add priority and needed_by columns to requests',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+
+    if (!existing.includes('priority')) {
+      await run(`ALTER TABLE requests ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal'`);
+    }
+    if (!existing.includes('needed_by')) {
+      // Calendar date (YYYY-MM-DD), no time component
+      await run(`ALTER TABLE requests ADD COLUMN needed_by TEXT`);
+    }
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 006: Request maintenance scheduler state.
+ * scheduled_jobs remembers when each job last ran so restarts don't re-run
+ * it early; idle_reminder_sent_at keeps claimants from being DMed twice
+ * for the same idle stretch.
+ */
+module.exports = {
+  description: 'Add scheduled_jobs table and idle_reminder_sent_at column',
+
+  async up({ run, all }) {
+    await run(`CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      name TEXT PRIMARY KEY,
+      last_run_at TEXT,
+      last_result_json TEXT
+    )`);
+
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+    if (!existing.includes('idle_reminder_sent_at')) {
+      await run(`ALTER TABLE requests ADD COLUMN idle_reminder_sent_at TEXT`);
+    }
+  }
+};
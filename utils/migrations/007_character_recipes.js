@@ -0,0 +1,22 @@
+/**
+ * Migration 007: Recipe knowledge registry.
+ * Crafters record which recipes each of their characters knows, keyed by
+ * profession and recipe name as they appear in the profession data files.
+ */
+module.exports = {
+  description: 'Create character_recipes table for crafter recipe knowledge',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS character_recipes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL,
+      profession TEXT NOT NULL,
+      recipe_name TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (character_id, profession, recipe_name)
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_character_recipes_recipe ON character_recipes (profession, recipe_name)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_character_recipes_user ON character_recipes (user_id, profession)`);
+  }
+};
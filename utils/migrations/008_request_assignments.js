@@ -0,0 +1,21 @@
+/**
+ * Migration 008: Auto-assignment offers.
+ * One row per crafter a request was offered to, so declined and timed-out
+ * crafters are skipped when the request moves on to the next candidate.
+ */
+module.exports = {
+  description: 'Create request_assignments table for auto-assignment offers',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id INTEGER NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'offered',
+      offered_at TEXT NOT NULL,
+      responded_at TEXT
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_request_assignments_request ON request_assignments (request_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_request_assignments_status ON request_assignments (status, offered_at)`);
+  }
+};
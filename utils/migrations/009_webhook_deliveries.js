@@ -0,0 +1,27 @@
+/**
+ * Migration 009: Outgoing webhook delivery log.
+ * Every event sent to a webhook endpoint gets a row; pending rows are
+ * retried with backoff and failed rows can be replayed.
+ */
+module.exports = {
+  description: 'Create webhook_deliveries table for outgoing webhooks',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      event TEXT NOT NULL,
+      request_id INTEGER,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_status_code INTEGER,
+      last_error TEXT,
+      next_attempt_at TEXT,
+      created_at TEXT NOT NULL,
+      delivered_at TEXT
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 010: Per-user notification preferences and quiet hours.
+ * Users without a row get the global defaults from config.notificationSettings.
+ * Notifications raised during a user's quiet hours wait in held_notifications
+ * and are sent as one batch once quiet hours end.
+ */
+module.exports = {
+  description: 'Create notification_preferences and held_notifications tables',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id TEXT PRIMARY KEY,
+      events_json TEXT,
+      delivery TEXT NOT NULL DEFAULT 'dm',
+      quiet_start TEXT,
+      quiet_end TEXT,
+      timezone TEXT,
+      updated_at TEXT NOT NULL
+    )`);
+    await run(`CREATE TABLE IF NOT EXISTS held_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      message TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_held_notifications_user ON held_notifications (user_id, id)`);
+  }
+};
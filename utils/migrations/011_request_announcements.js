@@ -0,0 +1,17 @@
+/**
+ * Migration 011: New-request announcement posts.
+ * Remembers which channel message announced each request so the post can be
+ * edited when the request is claimed, completed or cancelled.
+ */
+module.exports = {
+  description: 'Create request_announcements table for profession announcement posts',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_announcements (
+      request_id INTEGER PRIMARY KEY REFERENCES requests(id) ON DELETE CASCADE,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 012: Personal digest opt-ins.
+ * Crafters listed here get a scheduled DM with their claimed queue and the
+ * materials it still needs.
+ */
+module.exports = {
+  description: 'Create digest_subscriptions table for personal crafter digests',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS digest_subscriptions (
+      user_id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL
+    )`);
+  }
+};
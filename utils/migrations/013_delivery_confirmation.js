@@ -0,0 +1,17 @@
+/**
+ * Migration 013: Delivery confirmation.
+ * ready_at starts the auto-confirm clock for requests waiting on the
+ * requester; disputed_at/dispute_reason flag disputed deliveries for officers.
+ */
+module.exports = {
+  description: 'Add ready_at, disputed_at and dispute_reason columns to requests',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+    for (const column of ['ready_at', 'disputed_at', 'dispute_reason']) {
+      if (!existing.includes(column)) {
+        await run(`ALTER TABLE requests ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+};
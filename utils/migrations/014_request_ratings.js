@@ -0,0 +1,22 @@
+/**
+ * Migration 014: Requester ratings.
+ * One rating per completed request, recorded against the crafter who
+ * completed it so per-crafter averages survive later reassignments.
+ */
+module.exports = {
+  description: 'Create request_ratings table for requester feedback',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_ratings (
+      request_id INTEGER PRIMARY KEY REFERENCES requests(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL,
+      crafter_id TEXT NOT NULL,
+      crafter_name TEXT,
+      rating INTEGER NOT NULL,
+      comment TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_request_ratings_crafter ON request_ratings (crafter_id)`);
+  }
+};
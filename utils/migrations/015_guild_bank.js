@@ -0,0 +1,31 @@
+/**
+ * Migration 015: Guild bank material inventory.
+ * Current stock per material plus an append-only ledger of every deposit,
+ * withdrawal and guild-craft consumption. Reservations are not stored: they are
+ * the outstanding needs of claimed guild-craft requests, computed on read.
+ */
+module.exports = {
+  description: 'Create guild_bank_materials and guild_bank_ledger tables',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS guild_bank_materials (
+      material_name TEXT PRIMARY KEY COLLATE NOCASE,
+      quantity INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS guild_bank_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      material_name TEXT NOT NULL COLLATE NOCASE,
+      type TEXT NOT NULL,
+      change INTEGER NOT NULL,
+      balance INTEGER NOT NULL,
+      reason TEXT,
+      actor_id TEXT NOT NULL,
+      actor_name TEXT,
+      request_id INTEGER,
+      created_at TEXT NOT NULL
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_guild_bank_ledger_material ON guild_bank_ledger (material_name, created_at)`);
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 016: Requester edits awaiting crafter approval.
+ * Edits to open requests apply straight away; edits to claimed requests are
+ * parked here until the crafter approves or rejects them. At most one edit
+ * per request is pending - a newer one supersedes it.
+ */
+module.exports = {
+  description: 'Create request_edits table for edits awaiting crafter approval',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_edits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id INTEGER NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL,
+      crafter_id TEXT NOT NULL,
+      changes_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at TEXT NOT NULL,
+      resolved_at TEXT,
+      resolved_by TEXT
+    )`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_request_edits_request ON request_edits (request_id, status)`);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 017: Saved request templates.
+ * A user's recurring requests (character, recipe, quantity and how materials
+ * are provided) so they can be submitted again in one click. One template per
+ * character and recipe; saving the same pair again replaces it.
+ */
+module.exports = {
+  description: 'Create request_templates table for recurring requests',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      character TEXT NOT NULL,
+      profession TEXT NOT NULL,
+      gear_slot TEXT NOT NULL,
+      request_id TEXT NOT NULL,
+      request_name TEXT NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      provision TEXT NOT NULL DEFAULT 'full',
+      provided_materials_json TEXT NOT NULL DEFAULT '{}',
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      UNIQUE (user_id, character, profession, request_id)
+    )`);
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 018: Gear sets.
+ * A set groups the requests a user submitted together from the gear set
+ * builder (one per slot, same character and profession) so crafters can claim
+ * them together and the requester sees combined progress.
+ */
+module.exports = {
+  description: 'Create request_sets table and add set_id to requests',
+
+  async up({ run, all }) {
+    await run(`CREATE TABLE IF NOT EXISTS request_sets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      character TEXT NOT NULL,
+      profession TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`);
+
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+    if (!existing.includes('set_id')) {
+      await run(`ALTER TABLE requests ADD COLUMN set_id INTEGER REFERENCES request_sets(id)`);
+    }
+    await run(`CREATE INDEX IF NOT EXISTS idx_requests_set ON requests (set_id)`);
+  }
+};
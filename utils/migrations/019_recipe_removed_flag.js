@@ -0,0 +1,16 @@
+/**
+ * Migration 019: Removed-recipe flag.
+ * Set on pending requests whose recipe no longer exists in the profession
+ * files after a reload, so they can be shown as flagged instead of breaking.
+ * Cleared again if the recipe comes back.
+ */
+module.exports = {
+  description: 'Add recipe_removed_at to requests',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+    if (!existing.includes('recipe_removed_at')) {
+      await run(`ALTER TABLE requests ADD COLUMN recipe_removed_at TEXT`);
+    }
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 020: Buttons on held notifications.
+ * A notification held for quiet hours keeps its message components (e.g. the
+ * ⭐ Rate buttons on a completed request) so they are still there when it is sent.
+ */
+module.exports = {
+  description: 'Add components_json to held_notifications',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(held_notifications)`)).map(col => col.name);
+    if (!existing.includes('components_json')) {
+      await run(`ALTER TABLE held_notifications ADD COLUMN components_json TEXT`);
+    }
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 021: Completion time.
+ * completed_at records when a request became complete, so digests can list
+ * completions by when they happened rather than by the last update.
+ * Existing completed requests take their last update time.
+ */
+module.exports = {
+  description: 'Add completed_at to requests',
+
+  async up({ run, all }) {
+    const existing = (await all(`PRAGMA table_info(requests)`)).map(col => col.name);
+    if (!existing.includes('completed_at')) {
+      await run(`ALTER TABLE requests ADD COLUMN completed_at TEXT`);
+      await run(`UPDATE requests SET completed_at = updated_at WHERE status = 'complete'`);
+    }
+  }
+};
@@ -0,0 +1,292 @@
+// utils/notifications.js
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+
+const FLUSH_INTERVAL_MS = 60 * 1000;
+const MAX_MESSAGE_LENGTH = 1900; // Leave room under Discord's 2000 for the mention prefix
+
+/**
+ * Notification events a requester can opt in or out of.
+ * `setting` is the config.notificationSettings flag used as the default.
+ */
+const NOTIFICATION_EVENTS = [
+  { key: 'claim', label: 'Claimed', description: 'A crafter picks up your request', setting: 'notifyOnClaim' },
+  { key: 'progress', label: 'Partial progress', description: 'Some of a multi-item request is done', setting: 'notifyOnProgress' },
+  { key: 'complete', label: 'Completed', description: 'Your request is finished', setting: 'notifyOnComplete' },
+  { key: 'release', label: 'Released', description: 'Your request goes back to the open queue', setting: 'notifyOnRelease' },
+  { key: 'cancel', label: 'Cancelled', description: 'An officer cancels your request', setting: 'notifyOnCancel' },
+  { key: 'expire', label: 'Expired', description: 'Your request expires unclaimed', setting: 'notifyOnExpire' }
+];
+
+/**
+ * Events enabled in config, used for users who haven't saved their own preferences.
+ */
+function getDefaultEvents() {
+  const settings = config.notificationSettings || {};
+  return NOTIFICATION_EVENTS.filter(e => settings[e.setting] !== false).map(e => e.key);
+}
+
+/**
+ * Guild channel used for "channel mention" delivery, or null if not configured.
+ */
+function getMentionChannelId() {
+  return config.notificationSettings?.channelId || null;
+}
+
+function getDefaultTimezone() {
+  return config.notificationSettings?.defaultTimezone || 'UTC';
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse "22", "7:30" or "07:30" into a normalized "HH:MM", or null if invalid.
+ */
+function parseTimeOfDay(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function toMinutes(timeOfDay) {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes since local midnight in the given timezone.
+ */
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+/**
+ * A user's effective notification preferences (saved row merged over config defaults).
+ * @param {string} userId
+ * @returns {Promise<{events: string[], delivery: string, quietStart: string|null, quietEnd: string|null, timezone: string, custom: boolean}>}
+ */
+async function getPreferences(userId) {
+  const row = await db.getNotificationPreferences(userId);
+  let events = null;
+  if (row?.events_json) {
+    try {
+      events = JSON.parse(row.events_json);
+    } catch (err) {
+      log.warn(`[NOTIFY] Invalid saved events for user ${userId}, using defaults`);
+    }
+  }
+
+  return {
+    events: Array.isArray(events) ? events : getDefaultEvents(),
+    delivery: row?.delivery === 'channel' && getMentionChannelId() ? 'channel' : 'dm',
+    quietStart: row?.quiet_start || null,
+    quietEnd: row?.quiet_end || null,
+    timezone: row?.timezone || getDefaultTimezone(),
+    custom: !!row
+  };
+}
+
+/**
+ * Whether `now` falls inside the user's quiet hours. Windows may wrap midnight (e.g. 22:00-07:00).
+ */
+function isInQuietHours(prefs, now = new Date()) {
+  if (!prefs.quietStart || !prefs.quietEnd || prefs.quietStart === prefs.quietEnd) return false;
+
+  const current = localMinutes(now, isValidTimezone(prefs.timezone) ? prefs.timezone : 'UTC');
+  const start = toMinutes(prefs.quietStart);
+  const end = toMinutes(prefs.quietEnd);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * DM a user, logging (not throwing) when their DMs are closed.
+ * @param {Client} client - Discord client
+ * @param {string} userId - Discord user id
+ * @param {string|Object} payload - Message content or send options
+ * @returns {Promise<boolean>} Whether the message was delivered
+ */
+async function sendDM(client, userId, payload) {
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send(payload);
+    return true;
+  } catch (err) {
+    log.warn(`[NOTIFY] Could not DM user ${userId}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Send a message the way the user asked for: a mention in the notification
+ * channel, or a DM. Channel delivery falls back to DM if the channel is unavailable.
+ * @returns {Promise<boolean>} Whether the message was delivered
+ */
+async function deliver(client, userId, prefs, content, components = []) {
+  if (prefs.delivery === 'channel') {
+    try {
+      const channel = await client.channels.fetch(getMentionChannelId());
+      await channel.send({ content: `<@${userId}> ${content}`, components, allowedMentions: { users: [userId] } });
+      return true;
+    } catch (err) {
+      log.warn(`[NOTIFY] Could not post to notification channel for ${userId}, falling back to DM: ${err.message}`);
+    }
+  }
+
+  return sendDM(client, userId, { content, components });
+}
+
+/**
+ * Notify a requester about a change to their request, honoring their
+ * preferences: skipped if they opted out of the event, held until quiet
+ * hours end, otherwise sent by DM or channel mention.
+ * @param {Client} client - Discord client
+ * @param {string} requesterId - Discord user id
+ * @param {string} event - One of NOTIFICATION_EVENTS keys
+ * @param {string} message
+ * @param {ActionRowBuilder[]} components - Optional buttons; kept with the message if it is held for quiet hours
+ */
+async function notifyRequester(client, requesterId, event, message, components = []) {
+  if (!config.notificationSettings?.enabled) return;
+
+  try {
+    const prefs = await getPreferences(requesterId);
+    if (!prefs.events.includes(event)) {
+      log.debug(`[NOTIFY] User ${requesterId} has ${event} notifications turned off`);
+      return;
+    }
+
+    if (isInQuietHours(prefs)) {
+      await db.holdNotification(requesterId, event, message,
+        components.map(row => (typeof row.toJSON === 'function' ? row.toJSON() : row)));
+      log.debug(`[NOTIFY] Held ${event} notification for ${requesterId} until quiet hours end`);
+      return;
+    }
+
+    if (await deliver(client, requesterId, prefs, message, components)) {
+      log.info(`[NOTIFY] ${event} notification sent to user ${requesterId}`);
+    }
+  } catch (err) {
+    log.error(`[NOTIFY] Failed to notify user ${requesterId}:`, err);
+  }
+}
+
+/**
+ * Split held messages into as few Discord-sized messages as possible.
+ */
+function buildBatches(header, messages) {
+  const batches = [];
+  let current = header;
+  for (const message of messages) {
+    const text = message.length > MAX_MESSAGE_LENGTH ? message.slice(0, MAX_MESSAGE_LENGTH - 3) + '...' : message;
+    if (current.length + text.length + 2 > MAX_MESSAGE_LENGTH) {
+      batches.push(current);
+      current = text;
+    } else {
+      current += `\n\n${text}`;
+    }
+  }
+  batches.push(current);
+  return batches;
+}
+
+/**
+ * Parse a held notification's saved components, or an empty list.
+ */
+function parseHeldComponents(held) {
+  if (!held.components_json) return [];
+  try {
+    return JSON.parse(held.components_json);
+  } catch (err) {
+    log.warn(`[NOTIFY] Invalid saved components on held notification ${held.id}, sending without them`);
+    return [];
+  }
+}
+
+/**
+ * Send held notifications to every user whose quiet hours have ended,
+ * batched into one message where they fit. Notifications with buttons are
+ * sent on their own after the batch so the buttons stay with their message.
+ * @returns {Promise<number>} Number of users flushed
+ */
+async function flushHeldNotifications(client) {
+  let flushed = 0;
+
+  for (const userId of await db.getUsersWithHeldNotifications()) {
+    const prefs = await getPreferences(userId);
+    if (isInQuietHours(prefs)) continue;
+
+    const held = await db.getHeldNotifications(userId);
+    if (held.length === 0) continue;
+
+    const entries = held.map(h => ({ ...h, components: parseHeldComponents(h) }));
+    const textOnly = entries.filter(h => h.components.length === 0);
+    const header = `🌙 **${held.length} update(s) from your quiet hours:**`;
+    if (textOnly.length > 0) {
+      for (const batch of buildBatches(header, textOnly.map(h => h.message))) {
+        await deliver(client, userId, prefs, batch);
+      }
+    }
+    const withButtons = entries.filter(h => h.components.length > 0);
+    for (const [index, h] of withButtons.entries()) {
+      const text = textOnly.length === 0 && index === 0 ? `${header}\n\n${h.message}` : h.message;
+      await deliver(client, userId, prefs, text.slice(0, MAX_MESSAGE_LENGTH), h.components);
+    }
+
+    // Dropped even if undeliverable, like any other notification to closed DMs
+    await db.deleteHeldNotifications(held.map(h => h.id));
+    log.info(`[NOTIFY] Sent ${held.length} held notification(s) to user ${userId}`);
+    flushed++;
+  }
+
+  return flushed;
+}
+
+/**
+ * Periodically send notifications held during quiet hours.
+ * @param {Client} client - Discord client
+ */
+function scheduleHeldNotificationFlush(client) {
+  const tick = () => flushHeldNotifications(client).catch(err => {
+    log.error(`[NOTIFY] Failed to flush held notifications: ${err.message}`);
+  });
+
+  tick();
+  setInterval(tick, FLUSH_INTERVAL_MS);
+  log.info('[NOTIFY] Quiet-hours flush scheduled (every minute)');
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  getDefaultEvents,
+  getMentionChannelId,
+  getDefaultTimezone,
+  isValidTimezone,
+  parseTimeOfDay,
+  getPreferences,
+  isInQuietHours,
+  sendDM,
+  notifyRequester,
+  flushHeldNotifications,
+  scheduleHeldNotificationFlush
+};
@@ -0,0 +1,124 @@
+// utils/paginatedSelect.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const db = require('./database');
+const log = require('./logWriter');
+
+// Discord allows at most 25 options per select menu
+const PAGE_SIZE = 25;
+
+// Navigation buttons: paginated_prev_<key>, paginated_next_<key> and the disabled paginated_page_<key> indicator
+const BUTTON_PREFIX = 'paginated_';
+
+let keyCounter = 0;
+function _pageKey(userId) {
+  keyCounter = (keyCounter + 1) % 10000;
+  return `pg_${userId}_${Date.now()}_${keyCounter}`;
+}
+
+/**
+ * Select row for the current page, plus the navigation row when there is more than one page.
+ * @param {string|null} key - Session key (null for single-page menus)
+ * @param {Object} state - { customId, placeholder, options, minValues, maxValues, page }
+ * @returns {Array<ActionRowBuilder>}
+ */
+function buildRows(key, state) {
+  const totalPages = Math.max(1, Math.ceil(state.options.length / PAGE_SIZE));
+  const page = Math.min(Math.max(state.page || 0, 0), totalPages - 1);
+  const pageOptions = state.options.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(state.customId)
+    .setPlaceholder(totalPages > 1 ? `${state.placeholder} (page ${page + 1}/${totalPages})`.slice(0, 150) : state.placeholder)
+    .addOptions(pageOptions);
+  if (state.maxValues > 1) {
+    select
+      .setMinValues(Math.min(state.minValues, pageOptions.length))
+      .setMaxValues(Math.min(state.maxValues, pageOptions.length));
+  }
+
+  const rows = [new ActionRowBuilder().addComponents(select)];
+  if (totalPages > 1) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${BUTTON_PREFIX}prev_${key}`)
+        .setLabel('⬅️ Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(`${BUTTON_PREFIX}page_${key}`)
+        .setLabel(`Page ${page + 1}/${totalPages} (${state.options.length} items)`)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(true),
+      new ButtonBuilder()
+        .setCustomId(`${BUTTON_PREFIX}next_${key}`)
+        .setLabel('Next ➡️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page === totalPages - 1)
+    ));
+  }
+  return rows;
+}
+
+/**
+ * Build a select menu that can reach any number of options.
+ * Lists longer than one page get Previous/Next buttons and a page indicator; the
+ * option list and current page are kept in temp_sessions. The select keeps its
+ * customId on every page, so its existing handler receives the chosen values as usual.
+ *
+ * @param {string} userId - User the menu is shown to (only they can change pages)
+ * @param {Object} menu
+ * @param {string} menu.customId - Select menu custom id
+ * @param {string} menu.placeholder
+ * @param {Array<Object>} menu.options - Plain select option objects ({ label, value, description?, emoji? })
+ * @param {number} [menu.minValues=1] - For multi-selects, capped at the page size
+ * @param {number} [menu.maxValues=1] - For multi-selects, capped at the page size
+ * @returns {Promise<Array<ActionRowBuilder>>} One row, or two when the list has more than one page
+ */
+async function buildPaginatedSelect(userId, { customId, placeholder, options, minValues = 1, maxValues = 1 }) {
+  const state = { userId, customId, placeholder, options, minValues, maxValues, page: 0 };
+  if (options.length <= PAGE_SIZE) {
+    return buildRows(null, state);
+  }
+
+  const key = _pageKey(userId);
+  await db.storeTempSession(key, userId, state);
+  return buildRows(key, state);
+}
+
+/**
+ * Previous/Next on a paginated select: re-render the select and navigation rows in place,
+ * leaving the message's other rows as they are.
+ */
+async function handlePaginatedSelectButton(interaction) {
+  const [, action, ...keyParts] = interaction.customId.split('_');
+  const key = keyParts.join('_');
+
+  const state = await db.getTempSession(key);
+  if (!state) {
+    return interaction.reply({ content: '⚠️ This menu has expired. Please open it again.', flags: 1 << 6 });
+  }
+  if (state.userId !== interaction.user.id) {
+    return interaction.reply({ content: '❌ This menu belongs to someone else.', flags: 1 << 6 });
+  }
+
+  state.page = (state.page || 0) + (action === 'next' ? 1 : action === 'prev' ? -1 : 0);
+  state.page = Math.min(Math.max(state.page, 0), Math.ceil(state.options.length / PAGE_SIZE) - 1);
+  await db.storeTempSession(key, state.userId, state);
+
+  const [selectRow, navRow] = buildRows(key, state);
+  const components = interaction.message.components.map(row => {
+    const ids = row.components.map(component => component.customId);
+    if (ids.includes(state.customId)) return selectRow;
+    if (ids.some(id => id && id.startsWith(BUTTON_PREFIX) && id.endsWith(`_${key}`))) return navRow;
+    return ActionRowBuilder.from(row);
+  });
+
+  log.debug(`[PAGINATED_SELECT] ${state.customId} page ${state.page + 1} for user ${state.userId}`);
+  await interaction.update({ components });
+}
+
+module.exports = {
+  PAGE_SIZE,
+  buildPaginatedSelect,
+  handlePaginatedSelectButton
+};
@@ -3,11 +3,18 @@
 const fs = require('fs');
 const path = require('path');
 const log = require('./logWriter');
+const {
+  getProfessionItems,
+  parseMaterialEntry,
+  validateProfessionData,
+  formatIssue
+} = require('./professionValidator');
 
 /**
  * Parse material strings into object format
  * Converts ["Soul Dust x10", "Dream Dust x5"] to {"Soul Dust": 10, "Dream Dust": 5}
- * @param {Array<string>} materialsArray - Array of material strings in "Name xQuantity" format
+ * Entries in object format ({ name, quantity }) are accepted too.
+ * @param {Array<string|Object>} materialsArray - Array of material strings in "Name xQuantity" format
  * @returns {Object} Object with material names as keys and quantities as values
  */
 function parseMaterials(materialsArray) {
@@ -18,13 +25,11 @@ function parseMaterials(materialsArray) {
 
   const result = {};
   for (const materialStr of materialsArray) {
-    // Match "Material Name xQuantity" pattern
-    const match = materialStr.match(/^(.+?)\s+x(\d+)$/);
-    if (match) {
-      const [, name, quantity] = match;
-      result[name.trim()] = parseInt(quantity, 10);
+    const material = parseMaterialEntry(materialStr);
+    if (material) {
+      result[material.name] = material.quantity;
     } else {
-      log.warn(`Failed to parse material string: "${materialStr}"`);
+      log.warn(`Failed to parse material string: ${JSON.stringify(materialStr)}`);
     }
   }
   return result;
@@ -38,20 +43,150 @@ let professionCache = {};
 
 /**
  * Metadata about loaded professions
- * Structure: { professionName: { recipeCount, gearSlotCount, loadedAt } }
+ * Structure: { professionName: { itemCount, slotCount, errorCount, warningCount, loadedAt, filePath } }
  */
 let professionMetadata = {};
 
+/**
+ * Convert each slot's material lists to { name: quantity } objects
+ * @param {Object} items - Slot → recipes map from a profession file
+ * @returns {Object} Items ready for the cache
+ */
+function processItems(items) {
+  const processedItems = {};
+  for (const [slot, itemList] of Object.entries(items)) {
+    if (Array.isArray(itemList)) {
+      processedItems[slot] = itemList.map(item => ({
+        ...item,
+        materials: parseMaterials(item.materials)
+      }));
+    } else {
+      processedItems[slot] = itemList;
+    }
+  }
+  return processedItems;
+}
+
+/**
+ * Validate a parsed profession file and log what was found
+ * @param {string} professionName
+ * @param {string} fileName
+ * @param {Object} professionData - Parsed profession JSON
+ * @returns {{errors: Array, warnings: Array, rejected: boolean}} rejected is true when
+ *   config.professionValidation.strict is on and the file has errors
+ */
+function checkProfessionData(professionName, fileName, professionData) {
+  const config = require('../config/config.js');
+  const { errors, warnings } = validateProfessionData(professionName, professionData, {
+    enabledGearSlots: config.enabledGearSlots || null
+  });
+
+  for (const issue of errors) log.error(`   ❌ ${fileName}: ${formatIssue(issue)}`);
+  for (const issue of warnings) log.warn(`   ⚠️ ${fileName}: ${formatIssue(issue)}`);
+
+  const rejected = errors.length > 0 && Boolean(config.professionValidation?.strict);
+  if (rejected) {
+    log.error(`❌ Refusing to load ${fileName}: ${errors.length} error(s) (professionValidation.strict is on)`);
+  } else if (errors.length > 0) {
+    log.warn(`⚠️ ${fileName} loaded with ${errors.length} error(s); the recipes listed above may be incomplete`);
+  }
+  return { errors, warnings, rejected };
+}
+
+/**
+ * Read one profession file and prepare it for the cache
+ * Missing, empty or unparseable files and files without an items key fail; in strict
+ * validation mode so do files with errors. Nothing is cached here.
+ *
+ * @param {string} professionName
+ * @returns {{items: Object, metadata: Object}|{failed: string, rejected: boolean, errors?: Array}}
+ *   failed is the reason; rejected is true when strict validation turned the file away
+ */
+function readProfessionFile(professionName) {
+  const fileName = `${professionName}.json`;
+  const filePath = path.join(__dirname, '../config', fileName);
+
+  // Check if the profession file exists
+  if (!fs.existsSync(filePath)) {
+    log.error(`❌ Profession file not found: ${fileName} (required by config.enabledProfessions)`);
+    return { failed: 'file not found', rejected: false };
+  }
+
+  try {
+    // Read and parse the profession file
+    const rawData = fs.readFileSync(filePath, 'utf8');
+
+    // Validate file is not empty
+    if (!rawData || rawData.trim().length === 0) {
+      log.error(`❌ Profession file is empty: ${fileName}`);
+      return { failed: 'file is empty', rejected: false };
+    }
+
+    let professionData;
+    try {
+      professionData = JSON.parse(rawData);
+    } catch (parseError) {
+      log.error(`❌ Invalid JSON in ${fileName}: ${parseError.message}`);
+      log.error(`   File content preview: ${rawData.substring(0, 100)}...`);
+      return { failed: `invalid JSON: ${parseError.message}`, rejected: false };
+    }
+
+    // Validate the data structure
+    if (!professionData || typeof professionData !== 'object' ||
+        (!professionData.items && !professionData.enchants && !professionData.recipes && !professionData.crafts)) {
+      log.warn(`⚠️ Invalid profession file structure: ${fileName} (missing 'items' key)`);
+      return { failed: "missing 'items' key", rejected: false };
+    }
+
+    // Check the file against the profession data format before caching anything
+    const validation = checkProfessionData(professionName, fileName, professionData);
+    if (validation.rejected) {
+      return { failed: `${validation.errors.length} validation error(s)`, rejected: true, errors: validation.errors };
+    }
+
+    // Use unified 'items' key, with fallback to legacy keys for backward compatibility
+    const items = getProfessionItems(professionData) || {};
+
+    // Calculate metadata
+    const slots = Object.keys(items);
+    let itemCount = 0;
+    for (const slot of slots) {
+      if (Array.isArray(items[slot])) {
+        itemCount += items[slot].length;
+      }
+    }
+
+    return {
+      // Convert each slot's materials to object format
+      items: processItems(items),
+      metadata: {
+        itemCount,
+        slotCount: slots.length,
+        errorCount: validation.errors.length,
+        warningCount: validation.warnings.length,
+        loadedAt: new Date().toISOString(),
+        filePath: fileName
+      }
+    };
+  } catch (error) {
+    log.error(`❌ Failed to load profession file: ${fileName}`, error);
+    return { failed: error.message, rejected: false };
+  }
+}
+
 /**
  * Load all profession data files from the config directory into memory
  * This runs once at bot startup for optimal performance
  * Only loads professions listed in config.enabledProfessions
  * 
+ * The new data is built on the side and swapped in at the end, so lookups never see a
+ * half-loaded cache. When a file that was loaded before fails to load (missing, invalid
+ * JSON, or rejected in strict mode), its previous data is kept.
+ * 
  * @returns {Object} Summary of loaded professions
  */
 function loadProfessions() {
   const config = require('../config/config.js');
-  const configDir = path.join(__dirname, '../config');
   
   // Only load professions that are enabled in config
   const enabledProfessions = config.enabledProfessions || [];
@@ -64,99 +199,48 @@ function loadProfessions() {
   let totalRecipes = 0;
   let totalProfessions = 0;
   const missingProfessions = [];
+  const rejectedProfessions = [];
+  const nextCache = {};
+  const nextMetadata = {};
 
   log.info(`🔄 Loading profession data files from config...`);
 
   for (const professionName of enabledProfessions) {
-    const fileName = `${professionName}.json`;
-    const filePath = path.join(configDir, fileName);
-
-    // Check if the profession file exists
-    if (!fs.existsSync(filePath)) {
-      log.error(`❌ Profession file not found: ${fileName} (required by config.enabledProfessions)`);
-      missingProfessions.push(professionName);
+    const loaded = readProfessionFile(professionName);
+    if (loaded.failed) {
+      (loaded.rejected ? rejectedProfessions : missingProfessions).push(professionName);
       continue;
     }
 
-    try {
-      // Read and parse the profession file
-      const rawData = fs.readFileSync(filePath, 'utf8');
-      
-      // Validate file is not empty
-      if (!rawData || rawData.trim().length === 0) {
-        log.error(`❌ Profession file is empty: ${fileName}`);
-        missingProfessions.push(professionName);
-        continue;
-      }
-      
-      let professionData;
-      try {
-        professionData = JSON.parse(rawData);
-      } catch (parseError) {
-        log.error(`❌ Invalid JSON in ${fileName}: ${parseError.message}`);
-        log.error(`   File content preview: ${rawData.substring(0, 100)}...`);
-        missingProfessions.push(professionName);
-        continue;
-      }
-
-      // Validate the data structure
-      if (!professionData.items && !professionData.enchants && !professionData.recipes && !professionData.crafts) {
-        log.warn(`⚠️ Invalid profession file structure: ${fileName} (missing 'items' key)`);
-        missingProfessions.push(professionName);
-        continue;
-      }
-
-      // Use unified 'items' key, with fallback to legacy keys for backward compatibility
-      const items = professionData.items || professionData.enchants || professionData.recipes || professionData.crafts || {};
-
-      // Process each slot's items to convert materials to object format
-      const processedItems = {};
-      for (const [slot, itemList] of Object.entries(items)) {
-        if (Array.isArray(itemList)) {
-          processedItems[slot] = itemList.map(item => ({
-            ...item,
-            materials: parseMaterials(item.materials)
-          }));
-        } else {
-          processedItems[slot] = itemList;
-        }
-      }
-
-      // Store in cache
-      professionCache[professionName] = processedItems;
-
-      // Calculate metadata
-      const slots = Object.keys(items);
-      let itemCount = 0;
-      for (const slot of slots) {
-        if (Array.isArray(items[slot])) {
-          itemCount += items[slot].length;
-        }
-      }
-
-      professionMetadata[professionName] = {
-        itemCount,
-        slotCount: slots.length,
-        loadedAt: new Date().toISOString(),
-        filePath: fileName
-      };
+    nextCache[professionName] = loaded.items;
+    nextMetadata[professionName] = loaded.metadata;
 
-      totalRecipes += itemCount;
-      totalProfessions++;
+    totalRecipes += loaded.metadata.itemCount;
+    totalProfessions++;
 
-      log.info(`  ✅ ${professionName}: ${itemCount} items across ${slots.length} slots`);
+    log.info(`  ✅ ${professionName}: ${loaded.metadata.itemCount} items across ${loaded.metadata.slotCount} slots`);
+  }
 
-    } catch (error) {
-      log.error(`❌ Failed to load profession file: ${fileName}`, error);
-      missingProfessions.push(professionName);
+  // Keep what was loaded before for files that failed this time
+  for (const professionName of [...missingProfessions, ...rejectedProfessions]) {
+    if (professionCache[professionName]) {
+      nextCache[professionName] = professionCache[professionName];
+      nextMetadata[professionName] = professionMetadata[professionName];
+      log.warn(`⚠️ Keeping previously loaded ${professionName} data`);
     }
   }
 
+  professionCache = nextCache;
+  professionMetadata = nextMetadata;
+
   // Log summary
   if (missingProfessions.length > 0) {
     log.warn(`⚠️ Missing profession files: ${missingProfessions.join(', ')}`);
     log.warn(`   Create these files in config/ directory with proper JSON structure`);
   }
+  if (rejectedProfessions.length > 0) {
+    log.warn(`⚠️ Rejected profession files: ${rejectedProfessions.join(', ')} (fix the errors above or turn off professionValidation.strict)`);
+  }
 
   log.info(`✨ Profession data loaded: ${totalProfessions}/${enabledProfessions.length} professions, ${totalRecipes} total items`);
 
@@ -164,6 +248,7 @@ function loadProfessions() {
     professionsLoaded: totalProfessions,
     professionsEnabled: enabledProfessions.length,
     missingProfessions: missingProfessions,
+    rejectedProfessions,
     totalItems: totalRecipes,
     professions: Object.keys(professionCache)
   };
@@ -260,62 +345,38 @@ function getMetadata() {
  */
 function reloadProfessions(profession = null) {
   if (profession) {
-    // Reload specific profession
-    const fileName = `${profession.toLowerCase()}.json`;
-    const filePath = path.join(__dirname, '../config', fileName);
-    
-    try {
-      const rawData = fs.readFileSync(filePath, 'utf8');
-      const professionData = JSON.parse(rawData);
-      const recipes = professionData.enchants || professionData.recipes || {};
-      
-      // Process materials to convert arrays to objects
-      const processedRecipes = {};
-      for (const [gearSlot, recipeList] of Object.entries(recipes)) {
-        if (Array.isArray(recipeList)) {
-          processedRecipes[gearSlot] = recipeList.map(recipe => ({
-            ...recipe,
-            materials: parseMaterials(recipe.materials)
-          }));
-        } else {
-          processedRecipes[gearSlot] = recipeList;
-        }
-      }
-      
-      professionCache[profession.toLowerCase()] = processedRecipes;
-      
-      // Update metadata
-      const gearSlots = Object.keys(recipes);
-      let recipeCount = 0;
-      for (const slot of gearSlots) {
-        if (Array.isArray(recipes[slot])) {
-          recipeCount += recipes[slot].length;
-        }
-      }
-      
-      professionMetadata[profession.toLowerCase()] = {
-        recipeCount,
-        gearSlotCount: gearSlots.length,
-        loadedAt: new Date().toISOString(),
-        filePath: fileName
-      };
-      
-      log.info(`♻️ Reloaded profession: ${profession} (${recipeCount} recipes)`);
-      return { success: true, profession, recipeCount };
-      
-    } catch (error) {
-      log.error(`Failed to reload profession: ${profession}`, error);
-      return { success: false, profession, error: error.message };
+    // Reload specific profession; a file that can't be used leaves the previous data in place
+    const professionName = profession.toLowerCase();
+    const loaded = readProfessionFile(professionName);
+    if (loaded.failed) {
+      if (professionCache[professionName]) log.warn(`⚠️ Keeping previously loaded ${professionName} data`);
+      return { success: false, profession, error: loaded.failed, ...(loaded.errors ? { errors: loaded.errors } : {}) };
     }
+
+    // Swap in new objects so snapshots taken before the reload keep the old data
+    professionCache = { ...professionCache, [professionName]: loaded.items };
+    professionMetadata = { ...professionMetadata, [professionName]: loaded.metadata };
+
+    log.info(`♻️ Reloaded profession: ${profession} (${loaded.metadata.itemCount} recipes)`);
+    return { success: true, profession, recipeCount: loaded.metadata.itemCount };
     
   } else {
-    // Reload all professions
-    professionCache = {};
-    professionMetadata = {};
+    // Reload all professions (swapped in once every file has been read)
     return loadProfessions();
   }
 }
 
+/**
+ * The cached data as it is right now, one entry per profession
+ * Reloads replace profession entries rather than changing them, so a snapshot taken
+ * before a reload still holds the old recipes afterwards.
+ * 
+ * @returns {Object} { professionName: { gearSlot: [recipes] } }
+ */
+function getProfessionSnapshot() {
+  return { ...professionCache };
+}
+
 /**
  * Search for recipes by partial name match
  * 
@@ -349,6 +410,141 @@ function searchRecipes(profession, searchTerm) {
   return results;
 }
 
+/**
+ * Lowercase a name and collapse punctuation to single spaces for matching
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance between two short strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well a search query matches a name (0 = no match, 100 = exact)
+ * Whole-phrase matches score highest, then every query word matching a word in
+ * the name (prefix, substring, or within a typo or two), then the query's
+ * letters appearing in order.
+ * 
+ * @param {string} query - Search text
+ * @param {string} text - Recipe or material name
+ * @returns {number} Match score
+ */
+function scoreSearchMatch(query, text) {
+  const q = normalizeSearchText(query);
+  const t = normalizeSearchText(text);
+  if (!q || !t) return 0;
+  if (t === q) return 100;
+
+  const index = t.indexOf(q);
+  if (index !== -1) {
+    return index === 0 || t[index - 1] === ' ' ? 90 : 75;
+  }
+
+  const words = t.split(' ');
+  let total = 0;
+  for (const token of q.split(' ')) {
+    const maxTypos = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+    let best = 0;
+    for (const word of words) {
+      if (word.startsWith(token)) {
+        best = 1;
+        break;
+      }
+      if (word.includes(token)) {
+        best = Math.max(best, 0.8);
+      } else if (maxTypos > 0) {
+        const typos = Math.min(editDistance(token, word), editDistance(token, word.slice(0, token.length)));
+        if (typos <= maxTypos) best = Math.max(best, 0.6);
+      }
+    }
+    if (best === 0) {
+      total = 0;
+      break;
+    }
+    total += best;
+  }
+  if (total > 0) {
+    return Math.round(40 + 30 * (total / q.split(' ').length));
+  }
+
+  // Letters in order, e.g. "gbag" in "Greater Bag"
+  const compact = q.replace(/ /g, '');
+  let position = 0;
+  for (const char of t) {
+    if (char === compact[position]) position++;
+    if (position === compact.length) return 25;
+  }
+  return 0;
+}
+
+/**
+ * Fuzzy search for recipes by recipe or material name across professions
+ * Only gear slots enabled in config are searched, matching the request flow.
+ * A material match scores slightly below the same match on a recipe name.
+ * 
+ * @param {string} query - Search text (e.g., "crusadr", "Arcanite Bar")
+ * @param {Object} [options]
+ * @param {Array<string>} [options.professions] - Professions to search (default: config.enabledProfessions)
+ * @param {number} [options.limit=25] - Maximum number of results
+ * @returns {Array} Best matches first: recipe objects with gearSlot, profession, index (position in
+ *   getRecipes(profession, gearSlot)), score and matchedMaterial (null for name matches)
+ */
+function fuzzySearchRecipes(query, { professions = null, limit = 25 } = {}) {
+  const config = require('../config/config.js');
+  if (normalizeSearchText(query).length < 2) return [];
+
+  const results = [];
+  for (const profession of professions || config.enabledProfessions || []) {
+    const professionData = professionCache[profession.toLowerCase()];
+    if (!professionData) continue;
+
+    for (const gearSlot of getGearSlots(profession)) {
+      if (config.enabledGearSlots && !config.enabledGearSlots.includes(gearSlot)) continue;
+
+      professionData[gearSlot].forEach((recipe, index) => {
+        let score = scoreSearchMatch(query, recipe.name);
+        let matchedMaterial = null;
+        for (const material of Object.keys(recipe.materials || {})) {
+          const materialScore = Math.round(scoreSearchMatch(query, material) * 0.9);
+          if (materialScore > score) {
+            score = materialScore;
+            matchedMaterial = material;
+          }
+        }
+        if (score > 0) {
+          results.push({ ...recipe, gearSlot, profession, index, score, matchedMaterial });
+        }
+      });
+    }
+  }
+
+  results.sort((a, b) =>
+    b.score - a.score ||
+    Boolean(a.matchedMaterial) - Boolean(b.matchedMaterial) ||
+    a.name.localeCompare(b.name)
+  );
+  return results.slice(0, limit);
+}
+
 module.exports = {
   loadProfessions,
   getRecipes,
@@ -357,6 +553,9 @@ module.exports = {
   isLoaded,
   getMetadata,
   reloadProfessions,
+  getProfessionSnapshot,
   searchRecipes,
+  fuzzySearchRecipes,
+  scoreSearchMatch,
   parseMaterials
 };
@@ -0,0 +1,290 @@
+// utils/professionReload.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter');
+const { capitalize } = require('./requestFormatter');
+const {
+  reloadProfessions,
+  getProfessionSnapshot,
+  getRecipe,
+  isLoaded
+} = require('./professionLoader');
+
+const CONFIG_DIR = path.join(__dirname, '../config');
+
+// Editors often write a file in several steps; wait for them to finish before reloading
+const WATCH_DEBOUNCE_MS = 1000;
+
+let watcher = null;
+const pendingReloads = new Map(); // profession -> debounce timer
+
+// Reloads run one at a time so two of them never sync the removed-recipe flags at once
+let reloadChain = Promise.resolve();
+
+/**
+ * Materials as a comparable list, ignoring the order they are written in
+ */
+function materialEntries(recipe) {
+  return Object.entries(recipe.materials || {}).sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * What changed in one recipe between two loads, e.g. "Soul Dust x2 → x3, + Dream Dust x1"
+ * @returns {string|null} Null when the recipe is unchanged
+ */
+function describeRecipeChange(before, after) {
+  const oldMaterials = new Map(materialEntries(before));
+  const newMaterials = new Map(materialEntries(after));
+  const parts = [];
+
+  for (const [name, quantity] of newMaterials) {
+    if (!oldMaterials.has(name)) parts.push(`+ ${name} x${quantity}`);
+    else if (oldMaterials.get(name) !== quantity) parts.push(`${name} x${oldMaterials.get(name)} → x${quantity}`);
+  }
+  for (const [name] of oldMaterials) {
+    if (!newMaterials.has(name)) parts.push(`- ${name}`);
+  }
+
+  const otherFields = recipe => JSON.stringify({ ...recipe, materials: undefined });
+  if (otherFields(before) !== otherFields(after)) parts.push('details changed');
+
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Added, removed and changed recipes between two profession cache snapshots
+ * A recipe is identified by profession, slot and name; moving it to another slot
+ * shows as removed from one and added to the other.
+ *
+ * @param {Object} before - getProfessionSnapshot() before the reload
+ * @param {Object} after - getProfessionSnapshot() after the reload
+ * @returns {Object} { profession: { added: [{gearSlot, name}], removed: [...], changed: [{gearSlot, name, details}] } }
+ *   Professions without changes are left out.
+ */
+function diffProfessionData(before, after) {
+  const changes = {};
+  const recipeMap = data => {
+    const map = new Map();
+    for (const [gearSlot, recipes] of Object.entries(data || {})) {
+      if (gearSlot.startsWith('_') || !Array.isArray(recipes)) continue;
+      for (const recipe of recipes) map.set(`${gearSlot}\u0000${recipe.name}`, { gearSlot, recipe });
+    }
+    return map;
+  };
+
+  for (const profession of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (before[profession] === after[profession]) continue;
+
+    const oldRecipes = recipeMap(before[profession]);
+    const newRecipes = recipeMap(after[profession]);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, { gearSlot, recipe }] of newRecipes) {
+      const old = oldRecipes.get(key);
+      if (!old) {
+        diff.added.push({ gearSlot, name: recipe.name });
+        continue;
+      }
+      const details = describeRecipeChange(old.recipe, recipe);
+      if (details) diff.changed.push({ gearSlot, name: recipe.name, details });
+    }
+    for (const [key, { gearSlot, recipe }] of oldRecipes) {
+      if (!newRecipes.has(key)) diff.removed.push({ gearSlot, name: recipe.name });
+    }
+
+    if (diff.added.length || diff.removed.length || diff.changed.length) {
+      changes[profession] = diff;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Flag pending requests whose recipe is no longer in the loaded profession data, and clear
+ * the flag on ones whose recipe is back. Professions that aren't loaded at all are skipped,
+ * so a missing file doesn't flag every request for it.
+ *
+ * @param {string} userId - Actor recorded in the audit log
+ * @returns {Promise<{removedIds: number[], restoredIds: number[], flagged: number, cleared: number}>}
+ */
+async function syncRemovedRecipeFlags(userId) {
+  const removedIds = [];
+  const restoredIds = [];
+
+  for (const request of await db.getPendingRequestRecipes()) {
+    if (!request.profession || !isLoaded(request.profession)) continue;
+
+    const exists = Boolean(getRecipe(request.profession, request.gear_slot, request.request_id));
+    if (!exists && !request.recipe_removed_at) removedIds.push(request.id);
+    if (exists && request.recipe_removed_at) restoredIds.push(request.id);
+  }
+
+  const counts = await db.setRecipeRemovedFlags(removedIds, restoredIds, userId);
+  return { removedIds, restoredIds, ...counts };
+}
+
+/**
+ * Reload profession data, work out what changed and flag affected requests
+ *
+ * @param {Object} options
+ * @param {string|null} [options.profession] - Reload only this profession (default: all enabled)
+ * @param {string} options.userId - Admin who asked for the reload, or the bot for the file watcher
+ * @returns {Promise<Object>} { reloaded: [names], failed: [{profession, reason}], changes, flags }
+ */
+function reloadProfessionData({ profession = null, userId }) {
+  const task = reloadChain.then(async () => {
+    const before = getProfessionSnapshot();
+    const result = reloadProfessions(profession);
+    const after = getProfessionSnapshot();
+
+    const failed = [];
+    let reloaded;
+    if (profession) {
+      reloaded = result.success ? [profession] : [];
+      if (!result.success) failed.push({ profession, reason: result.error });
+    } else {
+      reloaded = (config.enabledProfessions || []).filter(name =>
+        !result.missingProfessions?.includes(name) && !result.rejectedProfessions?.includes(name)
+      );
+      for (const name of result.missingProfessions || []) failed.push({ profession: name, reason: 'file missing or unreadable' });
+      for (const name of result.rejectedProfessions || []) failed.push({ profession: name, reason: 'validation errors (professionValidation.strict)' });
+    }
+
+    const changes = diffProfessionData(before, after);
+    const flags = await syncRemovedRecipeFlags(userId);
+    return { reloaded, failed, changes, flags };
+  });
+
+  // Keep the chain going even if this reload fails
+  reloadChain = task.catch(() => {});
+  return task;
+}
+
+/**
+ * One-line summary for the log: "enchanting +2 -1 ~3, tailoring no changes"
+ */
+function summarizeReload(report) {
+  const parts = report.reloaded.map(name => {
+    const diff = report.changes[name];
+    return diff ? `${name} +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}` : `${name} no changes`;
+  });
+  for (const { profession, reason } of report.failed) parts.push(`${profession} failed (${reason})`);
+  if (report.flags.flagged) parts.push(`${report.flags.flagged} request(s) flagged`);
+  if (report.flags.cleared) parts.push(`${report.flags.cleared} flag(s) cleared`);
+  return parts.join(', ') || 'nothing reloaded';
+}
+
+/**
+ * Reload report for Discord: recipes added, removed and changed per profession,
+ * failed files and requests whose removed-recipe flag changed
+ * @param {Object} report - From reloadProfessionData
+ * @param {number} [maxLength=1900] - Stay inside Discord's 2000 character limit
+ * @returns {string}
+ */
+function formatReloadReport(report, maxLength = 1900) {
+  let content = '♻️ **Profession Data Reloaded**\n\n';
+  let truncated = false;
+  const add = text => {
+    if (truncated) return;
+    if ((content + text).length > maxLength - 40) {
+      content += '_...more changes not shown (see logs/bot.log)_\n';
+      truncated = true;
+      return;
+    }
+    content += text;
+  };
+
+  for (const name of report.reloaded) {
+    const diff = report.changes[name];
+    if (!diff) {
+      add(`**${capitalize(name)}:** no changes\n\n`);
+      continue;
+    }
+    add(`**${capitalize(name)}:** ➕ ${diff.added.length} added | ➖ ${diff.removed.length} removed | ✏️ ${diff.changed.length} changed\n`);
+    for (const recipe of diff.added) add(`➕ ${recipe.gearSlot} > ${recipe.name}\n`);
+    for (const recipe of diff.removed) add(`➖ ${recipe.gearSlot} > ${recipe.name}\n`);
+    for (const recipe of diff.changed) add(`✏️ ${recipe.gearSlot} > ${recipe.name}: ${recipe.details}\n`);
+    add('\n');
+  }
+
+  for (const { profession, reason } of report.failed) {
+    add(`❌ **${capitalize(profession)}** not reloaded: ${reason}. The previous data is still in use.\n`);
+  }
+  if (report.failed.length > 0) add('\n');
+
+  const ids = list => list.map(id => `#${id}`).join(', ');
+  if (report.flags.removedIds.length > 0) {
+    add(`⚠️ **${report.flags.removedIds.length} pending request(s) now use a removed recipe:** ${ids(report.flags.removedIds)}\n`);
+  }
+  if (report.flags.restoredIds.length > 0) {
+    add(`✅ **${report.flags.restoredIds.length} request(s) have their recipe back:** ${ids(report.flags.restoredIds)}\n`);
+  }
+
+  return content.trim();
+}
+
+/**
+ * Flag requests whose recipe disappeared while the bot was offline, then, when
+ * professionReload.watchFiles is on, reload a profession whenever its file in config/ changes.
+ * @param {Client} client - Discord client (used as the audit actor)
+ */
+function startProfessionWatcher(client) {
+  syncRemovedRecipeFlags(client.user.id).catch(err => {
+    log.error('[PROFESSION_RELOAD] Failed to check requests for removed recipes:', err);
+  });
+
+  if (!config.professionReload?.watchFiles) {
+    log.info('[PROFESSION_RELOAD] Profession file watcher is disabled in config');
+    return;
+  }
+  if (watcher) return;
+
+  const files = new Set((config.enabledProfessions || []).map(name => `${name}.json`));
+
+  try {
+    watcher = fs.watch(CONFIG_DIR, (eventType, filename) => {
+      if (!filename || !files.has(filename)) return;
+
+      const profession = filename.replace(/\.json$/, '');
+      clearTimeout(pendingReloads.get(profession));
+      pendingReloads.set(profession, setTimeout(() => {
+        pendingReloads.delete(profession);
+        log.info(`[PROFESSION_RELOAD] ${filename} changed, reloading`);
+        reloadProfessionData({ profession, userId: client.user.id })
+          .then(report => log.info(`[PROFESSION_RELOAD] ${summarizeReload(report)}`))
+          .catch(err => log.error(`[PROFESSION_RELOAD] Reload of ${filename} failed:`, err));
+      }, WATCH_DEBOUNCE_MS));
+    });
+    watcher.on('error', err => log.error('[PROFESSION_RELOAD] File watcher error:', err));
+  } catch (err) {
+    log.error('[PROFESSION_RELOAD] Could not watch the config directory:', err);
+    watcher = null;
+    return;
+  }
+
+  log.info(`[PROFESSION_RELOAD] Watching ${[...files].join(', ')} for changes`);
+}
+
+/**
+ * Stop watching profession files (pending reloads are dropped)
+ */
+function stopProfessionWatcher() {
+  for (const timer of pendingReloads.values()) clearTimeout(timer);
+  pendingReloads.clear();
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+module.exports = {
+  diffProfessionData,
+  syncRemovedRecipeFlags,
+  reloadProfessionData,
+  summarizeReload,
+  formatReloadReport,
+  startProfessionWatcher,
+  stopProfessionWatcher
+};
@@ -0,0 +1,244 @@
+// utils/professionValidator.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keys that can hold a profession's slot → recipes map, in priority order
+ * 'items' is the unified key; the rest are legacy names still accepted by the loader
+ */
+const ITEM_KEYS = ['items', 'enchants', 'recipes', 'crafts'];
+
+// "Material Name xQuantity"
+const MATERIAL_PATTERN = /^(.+?)\s+x(\d+)$/;
+
+/**
+ * Get the slot → recipes map from a profession file
+ * @param {Object} data - Parsed profession JSON
+ * @returns {Object|null} Items map, or null when none of the item keys is present
+ */
+function getProfessionItems(data) {
+  if (!data || typeof data !== 'object') return null;
+  const key = ITEM_KEYS.find(k => data[k] !== undefined);
+  return key ? data[key] : null;
+}
+
+/**
+ * Parse one material entry in either supported format
+ * "Soul Dust x10" or { "name": "Soul Dust", "quantity": 10 }
+ * @param {string|Object} entry
+ * @returns {{name: string, quantity: number}|null} Null when the entry can't be parsed
+ */
+function parseMaterialEntry(entry) {
+  if (typeof entry === 'string') {
+    const match = entry.trim().match(MATERIAL_PATTERN);
+    return match ? { name: match[1].trim(), quantity: parseInt(match[2], 10) } : null;
+  }
+  if (entry && typeof entry === 'object' &&
+      typeof entry.name === 'string' && entry.name.trim() &&
+      Number.isInteger(entry.quantity)) {
+    return { name: entry.name.trim(), quantity: entry.quantity };
+  }
+  return null;
+}
+
+/**
+ * Material name reduced for comparison: lowercase, punctuation collapsed, plural "s" dropped
+ * "Large Brilliant Shards" and "large brilliant shard" both become "large brilliant shard"
+ */
+function materialKey(name) {
+  return name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => (word.length > 3 && !word.endsWith('ss') ? word.replace(/s$/, '') : word))
+    .join(' ');
+}
+
+/**
+ * True when two strings differ by exactly one inserted, removed or changed character
+ */
+function differsByOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1 || a === b) return false;
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.length === b.length) return a.slice(i + 1) === b.slice(i + 1);
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * Check a parsed profession file against the profession data format
+ * (see docs/PROFESSION_DATA_FORMAT.md).
+ *
+ * Errors are problems that lose or corrupt data when the file is loaded: broken structure,
+ * duplicate recipe names, materials that don't parse, zero or negative quantities and
+ * materials listed twice in one recipe. Warnings don't stop anything loading but usually
+ * point at a mistake: slots that aren't in enabledGearSlots (never offered in the request
+ * flow), recipes without materials and material names that look like the same item.
+ *
+ * @param {string} profession - Profession name, used in the report
+ * @param {Object} data - Parsed profession JSON
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.enabledGearSlots] - Slots offered in the request flow (null = skip the check)
+ * @returns {{profession: string, errors: Array<Object>, warnings: Array<Object>}} Issues as { location, message }
+ */
+function validateProfessionData(profession, data, { enabledGearSlots = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (location, message) => errors.push({ location, message });
+  const warning = (location, message) => warnings.push({ location, message });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    error(null, 'File must contain a JSON object');
+    return { profession, errors, warnings };
+  }
+
+  const items = getProfessionItems(data);
+  if (items === null) {
+    error(null, `Missing 'items' key (legacy keys: ${ITEM_KEYS.slice(1).join(', ')})`);
+    return { profession, errors, warnings };
+  }
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+    error(null, "'items' must be an object of slot names to recipe lists");
+    return { profession, errors, warnings };
+  }
+
+  const recipeNames = new Map();   // lowercase name -> location of first use
+  const materialUses = new Map();  // material name -> location of first use
+
+  for (const [slot, recipes] of Object.entries(items)) {
+    if (slot.startsWith('_')) continue;
+
+    if (!Array.isArray(recipes)) {
+      error(slot, 'Slot must be a list of recipes');
+      continue;
+    }
+    if (enabledGearSlots && !enabledGearSlots.includes(slot) && recipes.length > 0) {
+      warning(slot, `Slot is not in config.enabledGearSlots, so its ${recipes.length} recipe(s) won't be offered in the request flow`);
+    }
+
+    recipes.forEach((recipe, index) => {
+      if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+        error(`${slot} #${index + 1}`, 'Recipe must be an object with name and materials');
+        return;
+      }
+      if (typeof recipe.name !== 'string' || !recipe.name.trim()) {
+        error(`${slot} #${index + 1}`, 'Recipe has no name');
+        return;
+      }
+
+      const location = `${slot} > ${recipe.name}`;
+      const nameKey = recipe.name.trim().toLowerCase();
+      if (recipeNames.has(nameKey)) {
+        error(location, `Duplicate recipe name (also in ${recipeNames.get(nameKey)})`);
+      } else {
+        recipeNames.set(nameKey, slot);
+      }
+
+      if (!Array.isArray(recipe.materials)) {
+        error(location, "'materials' must be a list");
+        return;
+      }
+      if (recipe.materials.length === 0) {
+        warning(location, 'No materials listed');
+      }
+
+      const seen = new Set();
+      for (const entry of recipe.materials) {
+        const material = parseMaterialEntry(entry);
+        if (!material) {
+          error(location, `Can't parse material ${JSON.stringify(entry)} (expected "Name xQuantity")`);
+          continue;
+        }
+        if (material.quantity <= 0) {
+          error(location, `${material.quantity === 0 ? 'Zero' : 'Negative'} quantity for ${material.name}`);
+        }
+        if (seen.has(material.name)) {
+          error(location, `${material.name} is listed more than once (only the last quantity is kept)`);
+        }
+        seen.add(material.name);
+        if (!materialUses.has(material.name)) materialUses.set(material.name, location);
+      }
+    });
+  }
+
+  // Near-duplicate material names, e.g. "Large Brilliant Shard" vs "Large Brilliant Shards"
+  const materials = [...materialUses.keys()];
+  const keys = materials.map(materialKey);
+  for (let i = 0; i < materials.length; i++) {
+    for (let j = i + 1; j < materials.length; j++) {
+      const sameKey = keys[i] === keys[j];
+      if (sameKey || (Math.min(keys[i].length, keys[j].length) >= 8 && differsByOneEdit(keys[i], keys[j]))) {
+        warning(materialUses.get(materials[j]),
+          `Material "${materials[j]}" looks like "${materials[i]}" (used in ${materialUses.get(materials[i])})`);
+      }
+    }
+  }
+
+  return { profession, errors, warnings };
+}
+
+/**
+ * Read and check one profession file from the config directory
+ * A missing, empty or unparseable file is reported as an error.
+ *
+ * @param {string} profession - Profession name (file is <profession>.json)
+ * @param {Object} [options]
+ * @param {string} [options.configDir] - Directory holding the profession files (default: config/)
+ * @param {Array<string>|null} [options.enabledGearSlots]
+ * @returns {{profession: string, file: string, data: Object|null, errors: Array<Object>, warnings: Array<Object>}}
+ */
+function validateProfessionFile(profession, { configDir = path.join(__dirname, '../config'), enabledGearSlots = null } = {}) {
+  const file = `${profession}.json`;
+  const filePath = path.join(configDir, file);
+  const failed = message => ({ profession, file, data: null, errors: [{ location: null, message }], warnings: [] });
+
+  if (!fs.existsSync(filePath)) return failed('File not found');
+
+  const rawData = fs.readFileSync(filePath, 'utf8');
+  if (!rawData.trim()) return failed('File is empty');
+
+  let data;
+  try {
+    data = JSON.parse(rawData);
+  } catch (parseError) {
+    return failed(`Invalid JSON: ${parseError.message}`);
+  }
+
+  return { ...validateProfessionData(profession, data, { enabledGearSlots }), file, data };
+}
+
+/**
+ * One issue as a report line: "Chest > Enchant Chest - Stats: Zero quantity for Soul Dust"
+ */
+function formatIssue(issue) {
+  return issue.location ? `${issue.location}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Plain-text report for one or more validation results
+ * @param {Array<Object>} results - From validateProfessionData or validateProfessionFile
+ * @returns {string}
+ */
+function formatValidationReport(results) {
+  const lines = [];
+  for (const result of results) {
+    const name = result.file || result.profession;
+    const summary = result.errors.length === 0 && result.warnings.length === 0
+      ? 'OK'
+      : `${result.errors.length} error(s), ${result.warnings.length} warning(s)`;
+    lines.push(`${result.errors.length ? '❌' : result.warnings.length ? '⚠️' : '✅'} ${name}: ${summary}`);
+    for (const issue of result.errors) lines.push(`   ❌ ${formatIssue(issue)}`);
+    for (const issue of result.warnings) lines.push(`   ⚠️ ${formatIssue(issue)}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  getProfessionItems,
+  parseMaterialEntry,
+  validateProfessionData,
+  validateProfessionFile,
+  formatIssue,
+  formatValidationReport
+};
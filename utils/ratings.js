@@ -0,0 +1,50 @@
+// utils/ratings.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const MAX_COMMENT_LENGTH = 200;
+const BUTTONS_PER_ROW = 5;
+const MAX_ROWS = 5;
+
+/**
+ * "★★★★☆" for a 1-5 rating.
+ */
+function formatStars(rating) {
+  const stars = Math.max(0, Math.min(5, Math.round(rating)));
+  return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+
+/**
+ * "⭐ 4.6 (12 ratings)" for a rating summary row, or "No ratings yet".
+ * @param {{rating_count: number, average_rating: number}|undefined} summary
+ */
+function formatRatingSummary(summary) {
+  if (!summary || !summary.rating_count) return 'No ratings yet';
+  return `⭐ ${Number(summary.average_rating).toFixed(1)} (${summary.rating_count} rating${summary.rating_count === 1 ? '' : 's'})`;
+}
+
+/**
+ * "⭐ Rate" buttons for completed requests, attached to completion notifications.
+ * @param {Array<{id: number}>} requests
+ * @returns {ActionRowBuilder[]}
+ */
+function buildRatingRows(requests) {
+  const buttons = requests.slice(0, BUTTONS_PER_ROW * MAX_ROWS).map(request =>
+    new ButtonBuilder()
+      .setCustomId(`rate_request_${request.id}`)
+      .setLabel(requests.length === 1 ? '⭐ Rate this request' : `⭐ Rate #${request.id}`)
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += BUTTONS_PER_ROW) {
+    rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + BUTTONS_PER_ROW)));
+  }
+  return rows;
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  formatStars,
+  formatRatingSummary,
+  buildRatingRows
+};
@@ -0,0 +1,159 @@
+// utils/requestAnnouncements.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { onRequestEvent } = require('./requestEvents');
+const { capitalize, getRequestLabel, getPriorityLabel, getDeadlineBadge } = require('./requestFormatter');
+
+const STATUS_DISPLAY = {
+  open: { color: 0x2ecc71, text: () => '🟢 Open - waiting for a crafter' },
+  claimed: { color: 0xf39c12, text: r => `⚙️ Claimed by **${r.claimed_by_name || 'a crafter'}**` },
+  in_progress: { color: 0xf39c12, text: r => `⚙️ In progress - claimed by **${r.claimed_by_name || 'a crafter'}**` },
+  ready: { color: 0x9b59b6, text: r => `📬 Ready - **${r.claimed_by_name || 'the crafter'}** is waiting for the requester to confirm delivery` },
+  complete: { color: 0x3498db, text: r => `✅ Completed${r.claimed_by_name ? ` by **${r.claimed_by_name}**` : ''}` },
+  denied: { color: 0x95a5a6, text: r => `❌ Cancelled${r.deny_reason ? ` - ${r.deny_reason}` : ''}` },
+  expired: { color: 0x95a5a6, text: () => '⌛ Expired without being claimed' }
+};
+
+/**
+ * Announcement channel configured for a profession, or null.
+ */
+function getAnnouncementChannelId(profession) {
+  return config.announcements?.channels?.[profession] || null;
+}
+
+/**
+ * One-line materials status, matching the 🛡️/📦/🔷 indicators in the crafter menus.
+ */
+function describeMaterials(request, materials) {
+  if (!request.provides_materials) {
+    return '🛡️ Guild craft - crafter supplies all materials';
+  }
+
+  const quantity = parseInt(request.quantity_requested, 10) || 1;
+  const short = materials.filter(m => m.provided < m.required_per_unit * quantity);
+  if (materials.length === 0 || short.length === 0) {
+    return '📦 Requester provides all materials';
+  }
+  return `🔷 Requester provides some materials (${materials.length - short.length} of ${materials.length} covered)`;
+}
+
+/**
+ * Embed and Claim button for a request in its current state.
+ * @param {Object} request - requests row
+ * @param {Array} materials - getRequestMaterials rows
+ */
+function buildAnnouncement(request, materials) {
+  const display = STATUS_DISPLAY[request.status] || { color: 0x95a5a6, text: () => capitalize(request.status) };
+  const requested = parseInt(request.quantity_requested, 10) || 1;
+  const completed = parseInt(request.quantity_completed, 10) || 0;
+  const priority = [getPriorityLabel(request), getDeadlineBadge(request)].filter(Boolean).join(' ');
+
+  const embed = new EmbedBuilder()
+    .setColor(display.color)
+    .setTitle(`${request.status === 'open' ? '🆕 ' : ''}#${request.id} ${getRequestLabel(request)}`.slice(0, 256))
+    .setDescription(display.text(request))
+    .addFields(
+      { name: 'Character', value: request.character, inline: true },
+      { name: 'Slot', value: request.gear_slot || '-', inline: true },
+      { name: 'Quantity', value: requested > 1 ? `${completed}/${requested} done` : '1', inline: true },
+      { name: 'Priority', value: priority, inline: true },
+      { name: 'Materials', value: describeMaterials(request, materials), inline: false }
+    )
+    .setFooter({ text: `${capitalize(request.profession)} request` })
+    .setTimestamp(new Date(request.created_at));
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`announce_claim_${request.id}`)
+      .setLabel('✋ Claim')
+      .setStyle(request.status === 'open' ? ButtonStyle.Success : ButtonStyle.Secondary)
+      .setDisabled(request.status !== 'open')
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Post a new request to its profession's announcement channel, mentioning the profession role.
+ * Does nothing when the profession has no announcement channel.
+ * @param {Client} client - Discord client
+ * @param {number} requestId
+ */
+async function postRequestAnnouncement(client, requestId) {
+  const request = await db.getRequestById(requestId);
+  if (!request) return;
+
+  const channelId = getAnnouncementChannelId(request.profession);
+  if (!channelId) return;
+
+  const roleId = config.roles.professions?.[request.profession];
+  const channel = await client.channels.fetch(channelId);
+  const message = await channel.send({
+    content: roleId ? `<@&${roleId}> New ${capitalize(request.profession)} request` : `New ${capitalize(request.profession)} request`,
+    allowedMentions: { roles: roleId ? [roleId] : [] },
+    ...buildAnnouncement(request, await db.getRequestMaterials(requestId))
+  });
+
+  await db.saveRequestAnnouncement(requestId, channelId, message.id);
+  log.info(`[ANNOUNCE] Request ${requestId} announced in channel ${channelId}`);
+}
+
+/**
+ * Edit a request's announcement post to show its current state.
+ * @param {Client} client - Discord client
+ * @param {number} requestId
+ */
+async function refreshRequestAnnouncement(client, requestId) {
+  const announcement = await db.getRequestAnnouncement(requestId);
+  if (!announcement) return;
+
+  const request = await db.getRequestById(requestId);
+  if (!request) return;
+
+  try {
+    const channel = await client.channels.fetch(announcement.channel_id);
+    const message = await channel.messages.fetch(announcement.message_id);
+    await message.edit(buildAnnouncement(request, await db.getRequestMaterials(requestId)));
+    log.debug(`[ANNOUNCE] Announcement for request ${requestId} updated (${request.status})`);
+  } catch (err) {
+    // Unknown Message: the post was deleted by hand - nothing to update
+    if (err.code === 10008) {
+      log.debug(`[ANNOUNCE] Announcement for request ${requestId} no longer exists`);
+      return;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Announce new requests and keep their posts up to date as they change.
+ * @param {Client} client - Discord client
+ */
+function startRequestAnnouncements(client) {
+  const channels = Object.entries(config.announcements?.channels || {}).filter(([, channelId]) => channelId);
+  if (channels.length === 0) {
+    log.info('[ANNOUNCE] No announcement channels configured');
+    return;
+  }
+
+  onRequestEvent(({ event, requestId }) => {
+    const task = event === 'created'
+      ? postRequestAnnouncement(client, requestId)
+      : refreshRequestAnnouncement(client, requestId);
+    task.catch(err => {
+      log.error(`[ANNOUNCE] Failed to ${event === 'created' ? 'post' : 'update'} announcement for request ${requestId}:`, err);
+    });
+  });
+
+  log.info(`[ANNOUNCE] Announcing new requests for: ${channels.map(([profession]) => profession).join(', ')}`);
+}
+
+module.exports = {
+  getAnnouncementChannelId,
+  buildAnnouncement,
+  postRequestAnnouncement,
+  refreshRequestAnnouncement,
+  startRequestAnnouncements
+};
@@ -0,0 +1,189 @@
+// utils/requestAssignment.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { getUserProfessionRoles } = require('./permissionChecks');
+const { capitalize, getPriorityBadge } = require('./requestFormatter');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether new requests for a profession are offered to crafters automatically.
+ * @param {string} profession
+ * @returns {boolean}
+ */
+function isAutoAssignEnabled(profession) {
+  return (config.autoAssignment?.professions || []).includes(profession);
+}
+
+/**
+ * Active load used for balancing: claims the crafter is working on plus
+ * offers still waiting on their answer.
+ */
+async function getCrafterLoad(userId) {
+  const active = (await db.getInProgressRequestsByUser(userId))
+    .filter(request => request.status === 'claimed' || request.status === 'in_progress');
+  return active.length + await db.countPendingOffersByUser(userId);
+}
+
+/**
+ * Crafters who know the recipe, still hold the profession role, haven't been
+ * offered this request yet and are under the claim cap, least loaded first.
+ */
+async function findCandidates(client, request) {
+  const tried = new Set(await db.getAssignmentOfferedUserIds(request.id));
+  const crafterIds = (await db.getRecipeCrafterIds(request.profession, request.request_id))
+    .filter(userId => userId !== request.user_id && !tried.has(userId));
+  if (crafterIds.length === 0) return [];
+
+  const guild = await client.guilds.fetch(config.guildId).catch(() => null);
+  const cap = config.autoAssignment.maxActiveClaims;
+  const candidates = [];
+
+  for (const userId of crafterIds) {
+    const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+    if (!getUserProfessionRoles(member).includes(request.profession)) continue;
+
+    const load = await getCrafterLoad(userId);
+    if (cap > 0 && load >= cap) continue;
+    candidates.push({ userId, load });
+  }
+
+  return candidates.sort((a, b) => a.load - b.load);
+}
+
+function buildOfferMessage(request, load) {
+  const qty = parseInt(request.quantity_requested, 10) || 1;
+  const badge = getPriorityBadge(request);
+  const timeout = config.autoAssignment.responseTimeoutMinutes;
+
+  let content = `📨 **New ${capitalize(request.profession)} request assigned to you**\n\n`;
+  content += `**Request #${request.id}:** ${request.request_name}${qty > 1 ? ` x${qty}` : ''}${badge ? ` ${badge}` : ''}\n`;
+  content += `**Character:** ${request.character}\n`;
+  content += `**Gear Slot:** ${request.gear_slot}\n`;
+  content += `**Your active claims:** ${load}\n\n`;
+  content += `You were picked because you know this recipe. Accept to claim it, or decline to pass it on.`;
+  if (timeout > 0) {
+    content += ` If you don't answer within ${timeout} minute(s) it goes to the next crafter.`;
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`auto_assign:accept_${request.id}`)
+      .setLabel('Accept')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('✅'),
+    new ButtonBuilder()
+      .setCustomId(`auto_assign:decline_${request.id}`)
+      .setLabel('Decline')
+      .setStyle(ButtonStyle.Danger)
+      .setEmoji('✖️')
+  );
+
+  return { content, components: [row] };
+}
+
+/**
+ * Offer an open request to the next eligible crafter. Does nothing if the
+ * profession isn't auto-assigned, the request is no longer open, or an offer
+ * is already outstanding. When nobody is left the request stays open for a
+ * manual claim.
+ * @param {Client} client - Discord client (used for DMs and as the audit actor)
+ * @param {number} requestId
+ * @returns {Promise<string|null>} The crafter the request was offered to
+ */
+async function offerToNextCrafter(client, requestId) {
+  const request = await db.getRequestById(requestId);
+  if (!request || request.status !== 'open' || !isAutoAssignEnabled(request.profession)) return null;
+  if (await db.getPendingAssignmentOffer(requestId)) return null;
+
+  const candidates = await findCandidates(client, request);
+
+  for (const { userId, load } of candidates) {
+    const offerId = await db.createAssignmentOffer(requestId, userId);
+    if (!offerId) {
+      log.debug(`[AUTO_ASSIGN] Request ${requestId} already has an outstanding offer`);
+      return null;
+    }
+
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(buildOfferMessage(request, load));
+    } catch (err) {
+      log.warn(`[AUTO_ASSIGN] Could not DM crafter ${userId} about request ${requestId}: ${err.message}`);
+      await db.resolveAssignmentOffer(offerId, 'undeliverable');
+      await db.appendAuditLog(requestId, 'auto_assign_undeliverable', client.user.id, { crafter: userId });
+      continue;
+    }
+
+    await db.appendAuditLog(requestId, 'auto_assign_offered', client.user.id, { crafter: userId, activeClaims: load });
+    log.info(`[AUTO_ASSIGN] Request ${requestId} offered to ${userId} (load ${load})`);
+    return userId;
+  }
+
+  const tried = (await db.getAssignmentOfferedUserIds(requestId)).length;
+  await db.appendAuditLog(requestId, 'auto_assign_unrouted', client.user.id, { offeredTo: tried });
+  log.info(`[AUTO_ASSIGN] No crafter available for request ${requestId} after ${tried} offer(s); left open for manual claim`);
+  return null;
+}
+
+/**
+ * Time out offers nobody answered and pass those requests on.
+ * @param {Client} client
+ * @returns {Promise<number>} Number of offers that timed out
+ */
+async function expireAssignmentOffers(client) {
+  const timeout = config.autoAssignment.responseTimeoutMinutes;
+  if (!(timeout > 0)) return 0;
+
+  const cutoff = new Date(Date.now() - timeout * 60 * 1000).toISOString();
+  const expired = await db.getExpiredAssignmentOffers(cutoff);
+  let timedOut = 0;
+
+  for (const offer of expired) {
+    const request = await db.getRequestById(offer.request_id);
+    // Claimed manually or cancelled while the offer was out
+    if (!request || request.status !== 'open') {
+      await db.resolveAssignmentOffer(offer.id, 'cancelled');
+      continue;
+    }
+
+    if (!await db.resolveAssignmentOffer(offer.id, 'timed_out')) continue;
+    timedOut++;
+    await db.appendAuditLog(offer.request_id, 'auto_assign_timed_out', client.user.id, { crafter: offer.user_id });
+    await offerToNextCrafter(client, offer.request_id);
+  }
+
+  return timedOut;
+}
+
+/**
+ * Start the offer timeout sweep. Runs every minute so offers outstanding
+ * across a restart are still timed out.
+ * @param {Client} client - Discord client
+ */
+function scheduleAssignmentTimeouts(client) {
+  if ((config.autoAssignment?.professions || []).length === 0) {
+    log.info('[AUTO_ASSIGN] Auto-assignment is not enabled for any profession');
+    return;
+  }
+
+  log.info(`[AUTO_ASSIGN] Auto-assigning requests for: ${config.autoAssignment.professions.join(', ')}`);
+
+  setInterval(async () => {
+    try {
+      const timedOut = await expireAssignmentOffers(client);
+      if (timedOut > 0) log.info(`[AUTO_ASSIGN] ${timedOut} offer(s) timed out`);
+    } catch (err) {
+      log.error(`[AUTO_ASSIGN] Offer timeout sweep failed: ${err.message}`);
+    }
+  }, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+  isAutoAssignEnabled,
+  offerToNextCrafter,
+  expireAssignmentOffers,
+  scheduleAssignmentTimeouts
+};
@@ -0,0 +1,53 @@
+// utils/requestEvents.js
+const EventEmitter = require('events');
+const log = require('./logWriter.js');
+
+/**
+ * Request lifecycle events. Emitted after the change is written to the
+ * database, so listeners can re-read the request row.
+ */
+const REQUEST_EVENTS = [
+  'created',
+  'claimed',
+  'released',
+  'partially_completed',
+  'ready',
+  'completed',
+  'disputed',
+  'cancelled',
+  'reassigned',
+  'reopened',
+  'expired',
+  'edited'
+];
+
+const emitter = new EventEmitter();
+
+/**
+ * Announce a request lifecycle change.
+ * @param {string} event - One of REQUEST_EVENTS
+ * @param {number} requestId
+ * @param {string} actorId - Discord user id responsible for the change
+ * @param {Object} details - Extra context (e.g. reason, previous claimant)
+ */
+function emitRequestEvent(event, requestId, actorId, details = {}) {
+  if (!REQUEST_EVENTS.includes(event)) {
+    log.warn(`[EVENTS] Ignoring unknown request event: ${event}`);
+    return;
+  }
+  emitter.emit('request', { event, requestId, actorId, details, occurredAt: new Date().toISOString() });
+}
+
+/**
+ * Subscribe to every request lifecycle event.
+ * @param {function({event: string, requestId: number, actorId: string, details: Object, occurredAt: string}): void} listener
+ */
+function onRequestEvent(listener) {
+  emitter.on('request', listener);
+}
+
+module.exports = {
+  REQUEST_EVENTS,
+  emitRequestEvent,
+  onRequestEvent
+};
@@ -1,4 +1,5 @@
 // utils/requestFormatter.js
+const { PRIORITY_LEVELS, DEFAULT_PRIORITY, DUE_SOON_DAYS, daysUntil } = require('./requestPriority');
 
 /**
  * Human‐readable title of any request row, including quantity when > 1.
@@ -12,12 +13,95 @@ function getRequestLabel(req) {
   return base;
 }
   
+  /**
+   * Upper-case the first letter (e.g. "enchanting" -> "Enchanting").
+   */
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
   /**
    * Profession subtitle (e.g. “Enchanting”, “Alchemy”, etc).
    */
   function getRequestSubtext(req) {
-    return req.profession.charAt(0).toUpperCase() + req.profession.slice(1);
+    return capitalize(req.profession);
   }
   
-  module.exports = { getRequestLabel, getRequestSubtext };
+  /**
+   * Short deadline marker: "📅 Nov 21", "⏰ Nov 21" when due soon, "⚠️ Nov 19" when overdue.
+   * Empty string when the request has no deadline.
+   */
+  function getDeadlineBadge(req) {
+    if (!req.needed_by) return '';
+    const date = new Date(`${req.needed_by}T00:00:00Z`)
+      .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const days = daysUntil(req.needed_by);
+    if (days < 0) return `⚠️ ${date}`;
+    if (days <= DUE_SOON_DAYS) return `⏰ ${date}`;
+    return `📅 ${date}`;
+  }
+
+  /**
+   * Combined priority + deadline badge (e.g. "🔥 ⏰ Nov 21"). Empty for normal requests with no deadline.
+   */
+  function getPriorityBadge(req) {
+    const level = PRIORITY_LEVELS[req.priority] || PRIORITY_LEVELS[DEFAULT_PRIORITY];
+    return [level.emoji, getDeadlineBadge(req)].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Priority label for detail views (e.g. "🔥 Raid-Critical").
+   */
+  function getPriorityLabel(req) {
+    const level = PRIORITY_LEVELS[req.priority] || PRIORITY_LEVELS[DEFAULT_PRIORITY];
+    return level.emoji ? `${level.emoji} ${level.label}` : level.label;
+  }
+
+  /**
+   * Material hand-off line for a request (e.g. "📦 Received: Dream Dust 4/8, Large Shard 1/1").
+   * Empty when the requester promised no materials.
+   * @param {Array<{material_name: string, provided: number, delivered: number}>} materials - Rows for one request
+   */
+  function getHandoffSummary(materials) {
+    const promised = materials.filter(mat => mat.provided > 0);
+    if (promised.length === 0) return '';
+    if (promised.every(mat => mat.delivered >= mat.provided)) return '📦 All materials received';
+    return `📦 Received: ${promised.map(mat => `${mat.material_name} ${Math.min(mat.delivered, mat.provided)}/${mat.provided}`).join(', ')}`;
+  }
+
+  /**
+   * "⚠️ Recipe removed" for requests whose recipe was taken out of the profession files
+   * after they were submitted. Empty otherwise.
+   */
+  function getRecipeRemovedBadge(req) {
+    return req.recipe_removed_at ? '⚠️ Recipe removed' : '';
+  }
+
+  /**
+   * One "• **Quantity:** 2 → 3" line per field changed by a requester edit.
+   * @param {Object} changes - { field: { from, to } } as recorded by applyRequestEdit
+   */
+  function formatEditChanges(changes) {
+    const labels = {
+      character: 'Character',
+      quantity_requested: 'Quantity',
+      priority: 'Priority',
+      needed_by: 'Needed by',
+      provided_materials: 'Providing'
+    };
+    const formatValue = (field, value) => {
+      if (field === 'priority') return getPriorityLabel({ priority: value });
+      if (field === 'provided_materials') {
+        const entries = Object.entries(value || {}).filter(([, qty]) => qty > 0);
+        return entries.length > 0 ? entries.map(([name, qty]) => `${name} x${qty}`).join(', ') : 'none';
+      }
+      return value === null || value === undefined || value === '' ? 'none' : String(value);
+    };
+
+    return Object.entries(changes)
+      .map(([field, { from, to }]) => `• **${labels[field] || field}:** ${formatValue(field, from)} → ${formatValue(field, to)}`)
+      .join('\n');
+  }
+
+  module.exports = { capitalize, getRequestLabel, getRequestSubtext, getDeadlineBadge, getPriorityBadge, getPriorityLabel, getHandoffSummary, getRecipeRemovedBadge, formatEditChanges };
   
\ No newline at end of file
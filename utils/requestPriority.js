@@ -0,0 +1,116 @@
+// utils/requestPriority.js
+
+/**
+ * Priority levels, most urgent first.
+ * `rank` drives sorting (lower = more urgent); keys are stored in requests.priority.
+ */
+const PRIORITY_LEVELS = {
+  raid_critical: { label: 'Raid-Critical', emoji: '🔥', rank: 0 },
+  high: { label: 'High', emoji: '🔸', rank: 1 },
+  normal: { label: 'Normal', emoji: '', rank: 2 }
+};
+
+const DEFAULT_PRIORITY = 'normal';
+
+// Deadlines this many days away (or fewer) are flagged as due soon
+const DUE_SOON_DAYS = 2;
+
+// ORDER BY fragment: priority, then earliest deadline (requests without one last)
+const PRIORITY_ORDER_SQL = `CASE priority WHEN 'raid_critical' THEN 0 WHEN 'high' THEN 1 ELSE 2 END,
+        needed_by IS NULL, needed_by ASC`;
+
+const PRIORITY_ALIASES = {
+  normal: 'normal',
+  n: 'normal',
+  low: 'normal',
+  high: 'high',
+  h: 'high',
+  urgent: 'high',
+  raid_critical: 'raid_critical',
+  raidcritical: 'raid_critical',
+  raid: 'raid_critical',
+  critical: 'raid_critical',
+  rc: 'raid_critical'
+};
+
+/**
+ * Resolve free-text priority input ("High", "raid-critical", "rc") to a priority key.
+ * @param {string} input
+ * @returns {string|null} Priority key, or null if unrecognized
+ */
+function parsePriority(input) {
+  if (!input || !input.trim()) return DEFAULT_PRIORITY;
+  const normalized = input.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return PRIORITY_ALIASES[normalized] || null;
+}
+
+/**
+ * Today's date as YYYY-MM-DD (UTC).
+ */
+function todayString() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a "needed by" date. Accepts YYYY-MM-DD.
+ * @param {string} input
+ * @returns {{ value: string|null, error: string|null }}
+ */
+function parseNeededBy(input) {
+  if (!input || !input.trim()) return { value: null, error: null };
+
+  const trimmed = input.trim();
+  const match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) {
+    return { value: null, error: `"${trimmed}" is not a date (use YYYY-MM-DD)` };
+  }
+
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+    return { value: null, error: `"${trimmed}" is not a valid date` };
+  }
+
+  const value = date.toISOString().slice(0, 10);
+  if (value < todayString()) {
+    return { value: null, error: `${value} is in the past` };
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Whole days from today (UTC) until a YYYY-MM-DD date; negative when overdue.
+ */
+function daysUntil(dateString) {
+  const target = Date.parse(`${dateString}T00:00:00Z`);
+  const today = Date.parse(`${todayString()}T00:00:00Z`);
+  return Math.round((target - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Sort comparator matching PRIORITY_ORDER_SQL, falling back to request age.
+ */
+function compareRequestsByPriority(a, b) {
+  const rankA = (PRIORITY_LEVELS[a.priority] || PRIORITY_LEVELS[DEFAULT_PRIORITY]).rank;
+  const rankB = (PRIORITY_LEVELS[b.priority] || PRIORITY_LEVELS[DEFAULT_PRIORITY]).rank;
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (a.needed_by !== b.needed_by) {
+    if (!a.needed_by) return 1;
+    if (!b.needed_by) return -1;
+    return a.needed_by < b.needed_by ? -1 : 1;
+  }
+
+  return a.id - b.id;
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  DEFAULT_PRIORITY,
+  DUE_SOON_DAYS,
+  PRIORITY_ORDER_SQL,
+  parsePriority,
+  parseNeededBy,
+  daysUntil,
+  compareRequestsByPriority
+};
@@ -0,0 +1,192 @@
+// utils/requestScheduler.js
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { notifyRequester, sendDM } = require('./notifications');
+const { capitalize } = require('./requestFormatter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a stored timestamp. Rows created by SQLite defaults use
+ * "YYYY-MM-DD HH:MM:SS" (UTC, no zone); newer rows use ISO strings.
+ */
+function parseDbTimestamp(value) {
+  if (!value) return NaN;
+  return Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function idleDays(request, now) {
+  return Math.floor((now - parseDbTimestamp(request.updated_at)) / DAY_MS);
+}
+
+/**
+ * Release claims that have been idle for `autoReleaseDays` back to open.
+ */
+async function autoReleaseStaleClaims(client, settings, now) {
+  const cutoff = new Date(now - settings.autoReleaseDays * DAY_MS).toISOString();
+  const stale = await db.getIdleClaimedRequests(cutoff);
+  let released = 0;
+
+  for (const request of stale) {
+    const days = idleDays(request, now);
+    const result = await db.releaseRequest(request.id, client.user.id, request.claimed_by, {
+      action: 'auto_released',
+      details: { previousClaimantName: request.claimed_by_name, idleDays: days }
+    });
+    if (!result.success) continue;
+    released++;
+
+    await sendDM(client, request.claimed_by,
+      `🔓 **Request #${request.id}** was released back to the queue after **${days}** day(s) without progress.\n\n` +
+      `**Request:** ${request.request_name} for ${request.character}\n` +
+      `**Profession:** ${capitalize(request.profession)}\n\n` +
+      `You can claim it again from the Manage Requests menu if you're still working on it.`
+    );
+
+    await notifyRequester(client, request.user_id, 'release',
+      `🔓 Your request **${request.request_name}** for **${request.character}** is back in the queue ` +
+      `because the crafter hasn't updated it in ${days} day(s). Another crafter can now pick it up.`
+    );
+  }
+
+  return { released };
+}
+
+/**
+ * Remind claimants once per idle stretch about claims idle for `idleReminderDays`.
+ * One DM per claimant listing all their idle requests.
+ */
+async function remindIdleClaimants(client, settings, now) {
+  const cutoff = new Date(now - settings.idleReminderDays * DAY_MS).toISOString();
+  const idle = (await db.getIdleClaimedRequests(cutoff)).filter(request =>
+    !request.idle_reminder_sent_at ||
+    parseDbTimestamp(request.idle_reminder_sent_at) < parseDbTimestamp(request.updated_at)
+  );
+
+  const byClaimant = {};
+  for (const request of idle) {
+    if (!byClaimant[request.claimed_by]) byClaimant[request.claimed_by] = [];
+    byClaimant[request.claimed_by].push(request);
+  }
+
+  let reminded = 0;
+  for (const [claimantId, requests] of Object.entries(byClaimant)) {
+    let content = `⏰ **Claimed requests waiting on you**\n\n`;
+    content += `These request(s) haven't been updated in a while:\n`;
+    for (const request of requests) {
+      content += `• **#${request.id}** ${request.request_name} for ${request.character} — idle ${idleDays(request, now)} day(s)\n`;
+    }
+    content += `\nMark progress, complete, or release them from the Manage Requests menu.`;
+    if (settings.autoReleaseDays > 0) {
+      content += ` Claims idle for ${settings.autoReleaseDays} day(s) are released automatically.`;
+    }
+
+    // Mark even if the DM fails so closed DMs don't trigger a retry every run
+    await sendDM(client, claimantId, content);
+    for (const request of requests) {
+      await db.markIdleReminderSent(request.id);
+      await db.appendAuditLog(request.id, 'idle_reminder_sent', client.user.id, { idleDays: idleDays(request, now) });
+    }
+    reminded += requests.length;
+  }
+
+  return { reminded };
+}
+
+/**
+ * Expire open requests nobody has touched for `expireOpenDays`.
+ */
+async function expireStaleOpenRequests(client, settings, now) {
+  const cutoff = new Date(now - settings.expireOpenDays * DAY_MS).toISOString();
+  const stale = await db.getStaleOpenRequests(cutoff);
+  let expired = 0;
+
+  for (const request of stale) {
+    const days = idleDays(request, now);
+    const result = await db.expireRequest(request.id, client.user.id, { idleDays: days });
+    if (!result.success) continue;
+    expired++;
+
+    await notifyRequester(client, request.user_id, 'expire',
+      `⌛ Your request **${request.request_name}** for **${request.character}** ` +
+      `(${capitalize(request.profession)}) expired after ${days} day(s) without being claimed.\n\n` +
+      `If you still need it, please submit a new request.`
+    );
+  }
+
+  return { expired };
+}
+
+// Release runs before reminders so a claim being released isn't also reminded about
+const JOBS = [
+  { name: 'auto_release_stale_claims', setting: 'autoReleaseDays', run: autoReleaseStaleClaims },
+  { name: 'remind_idle_claimants', setting: 'idleReminderDays', run: remindIdleClaimants },
+  { name: 'expire_stale_open_requests', setting: 'expireOpenDays', run: expireStaleOpenRequests }
+];
+
+/**
+ * Run every enabled job that is due. A job is due when it has never run or
+ * its last recorded run is at least one check interval ago.
+ * @param {Client} client - Discord client (used for DMs and as the audit actor)
+ * @param {Object} options
+ * @param {boolean} options.force - Run all enabled jobs regardless of last run
+ */
+async function runScheduledJobs(client, { force = false } = {}) {
+  const settings = config.requestScheduler;
+  const intervalMs = settings.checkIntervalMinutes * 60 * 1000;
+  const now = Date.now();
+
+  for (const job of JOBS) {
+    if (!(settings[job.setting] > 0)) continue;
+
+    try {
+      const lastRun = await db.getScheduledJob(job.name);
+      // Small tolerance so timer drift doesn't skip a whole interval
+      if (!force && lastRun && now - parseDbTimestamp(lastRun.last_run_at) < intervalMs - 60 * 1000) {
+        continue;
+      }
+
+      const result = await job.run(client, settings, now);
+      await db.recordScheduledJobRun(job.name, result);
+      log.info(`[SCHEDULER] ${job.name} finished: ${JSON.stringify(result)}`);
+    } catch (err) {
+      log.error(`[SCHEDULER] ${job.name} failed:`, err);
+    }
+  }
+}
+
+/**
+ * Start the request maintenance scheduler.
+ * @param {Client} client - Discord client
+ */
+function scheduleRequestMaintenance(client) {
+  const settings = config.requestScheduler;
+  if (!settings || !settings.enabled) {
+    log.info('[SCHEDULER] Request maintenance scheduler is disabled in config');
+    return;
+  }
+
+  const intervalMs = settings.checkIntervalMinutes * 60 * 1000;
+  log.info(`[SCHEDULER] Running request maintenance every ${settings.checkIntervalMinutes} minute(s)`);
+
+  // First run shortly after startup; jobs that ran recently are skipped
+  setTimeout(() => {
+    runScheduledJobs(client).catch(err => {
+      log.error(`[SCHEDULER] Startup run failed: ${err.message}`);
+    });
+  }, 30000);
+
+  setInterval(async () => {
+    try {
+      await runScheduledJobs(client);
+    } catch (err) {
+      log.error(`[SCHEDULER] Scheduled run failed: ${err.message}`);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  scheduleRequestMaintenance,
+  runScheduledJobs
+};
@@ -0,0 +1,103 @@
+// utils/requestTemplates.js
+
+// One select menu's worth
+const MAX_TEMPLATES = 25;
+
+// How a template's materials are provided, matching the request flow's provision buttons
+const PROVISIONS = {
+  full: { emoji: '📦', label: 'Provide materials' },
+  partial: { emoji: '🔷', label: 'Partial guild craft' },
+  none: { emoji: '🛡️', label: 'Full guild craft' }
+};
+
+function parseJsonObject(json) {
+  try {
+    const parsed = JSON.parse(json || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Template fields for an existing request: its recipe, quantity and how its materials were provided.
+ * @param {Object} request - requests row
+ */
+function buildTemplateFromRequest(request) {
+  const quantity = parseInt(request.quantity_requested || 1, 10) || 1;
+  const required = parseJsonObject(request.materials_json);
+  const provided = parseJsonObject(request.provided_materials_json);
+
+  let provision = 'partial';
+  if (!request.provides_materials || Object.values(provided).every(qty => !qty)) {
+    provision = 'none';
+  } else if (Object.entries(required).every(([name, perUnit]) => (provided[name] || 0) >= perUnit * quantity)) {
+    provision = 'full';
+  }
+
+  return {
+    userId: request.user_id,
+    character: request.character,
+    profession: request.profession,
+    gearSlot: request.gear_slot,
+    requestId: request.request_id,
+    requestName: request.request_name,
+    quantity,
+    provision,
+    providedMaterials: provision === 'partial' ? provided : {}
+  };
+}
+
+/**
+ * Template fields for a saved request_templates row (same shape as buildTemplateFromRequest).
+ * @param {Object} row - request_templates row
+ */
+function parseTemplateRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    character: row.character,
+    profession: row.profession,
+    gearSlot: row.gear_slot,
+    requestId: row.request_id,
+    requestName: row.request_name,
+    quantity: parseInt(row.quantity, 10) || 1,
+    provision: PROVISIONS[row.provision] ? row.provision : 'full',
+    providedMaterials: parseJsonObject(row.provided_materials_json)
+  };
+}
+
+/**
+ * Materials the requester provides when a template is submitted, against the recipe's current materials.
+ * Partial amounts are capped at what the recipe needs now.
+ * @param {Object} template - Template fields
+ * @param {Object} materials - Per-unit requirement { "Material": qty } from the recipe
+ * @returns {Object} { "Material": total provided }
+ */
+function getTemplateProvidedMaterials(template, materials) {
+  const provided = {};
+
+  for (const [name, perUnit] of Object.entries(materials)) {
+    const required = (perUnit || 0) * template.quantity;
+    if (template.provision === 'full') provided[name] = required;
+    else if (template.provision === 'partial') provided[name] = Math.min(parseInt(template.providedMaterials[name], 10) || 0, required);
+  }
+  return provided;
+}
+
+/**
+ * "Aria: Flask of Titans x5" for menus and confirmations.
+ * @param {Object} template - Template fields
+ */
+function formatTemplateLabel(template) {
+  return `${template.character}: ${template.requestName}${template.quantity > 1 ? ` x${template.quantity}` : ''}`;
+}
+
+module.exports = {
+  MAX_TEMPLATES,
+  PROVISIONS,
+  buildTemplateFromRequest,
+  parseTemplateRow,
+  getTemplateProvidedMaterials,
+  formatTemplateLabel
+};
@@ -0,0 +1,184 @@
+// utils/webhooks.js
+const crypto = require('crypto');
+const config = require('../config/config.js');
+const db = require('./database');
+const log = require('./logWriter.js');
+const { REQUEST_EVENTS, onRequestEvent } = require('./requestEvents');
+
+const RETRY_POLL_MS = 15 * 1000;
+
+// Deliveries currently being sent, so the retry loop doesn't double-send
+const inFlight = new Set();
+
+/**
+ * Configured endpoints that can be used: each needs a name, url and secret.
+ */
+function getEndpoints() {
+  return (config.webhooks?.endpoints || []).filter(endpoint => endpoint.name && endpoint.url && endpoint.secret);
+}
+
+function isSubscribed(endpoint, event) {
+  const events = endpoint.events || ['*'];
+  return events.includes('*') || events.includes(event);
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays of old payloads.
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next attempt: retryBaseSeconds doubled after each failure.
+ */
+function retryDelayMs(attempts) {
+  const base = (config.webhooks.retryBaseSeconds || 30) * 1000;
+  return base * 2 ** Math.max(attempts - 1, 0);
+}
+
+/**
+ * Send one delivery and record the outcome. Failures are retried with
+ * backoff until maxAttempts, then marked failed for manual replay.
+ * @param {Object} delivery - webhook_deliveries row
+ */
+async function attemptDelivery(delivery) {
+  if (inFlight.has(delivery.id)) return;
+  inFlight.add(delivery.id);
+
+  try {
+    const endpoint = getEndpoints().find(e => e.name === delivery.webhook_name);
+    if (!endpoint) {
+      await db.recordWebhookAttempt(delivery.id, { status: 'failed', error: 'Endpoint is no longer configured' });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = delivery.payload_json;
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Profession-Request-Webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout((config.webhooks.timeoutSeconds || 10) * 1000)
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+    }
+
+    if (!error) {
+      await db.recordWebhookAttempt(delivery.id, { status: 'delivered', statusCode });
+      log.debug(`[WEBHOOK] Delivery ${delivery.id} (${delivery.event}) sent to ${delivery.webhook_name}`);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const maxAttempts = config.webhooks.maxAttempts || 6;
+    if (attempts >= maxAttempts) {
+      await db.recordWebhookAttempt(delivery.id, { status: 'failed', statusCode, error });
+      log.warn(`[WEBHOOK] Delivery ${delivery.id} to ${delivery.webhook_name} failed after ${attempts} attempt(s): ${error}`);
+    } else {
+      const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+      await db.recordWebhookAttempt(delivery.id, { status: 'pending', statusCode, error, nextAttemptAt });
+      log.debug(`[WEBHOOK] Delivery ${delivery.id} to ${delivery.webhook_name} failed (${error}); retrying at ${nextAttemptAt}`);
+    }
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/**
+ * Build the payload for a request event and queue it for every subscribed endpoint.
+ */
+async function queueEvent({ event, requestId, actorId, details, occurredAt }) {
+  const targets = getEndpoints().filter(endpoint => isSubscribed(endpoint, event));
+  if (targets.length === 0) return;
+
+  const request = await db.getRequestById(requestId);
+  if (!request) return;
+
+  const { audit_log, ...row } = request;
+  const payload = {
+    event,
+    occurredAt,
+    actor: { id: actorId },
+    details,
+    request: { ...row, materials: await db.getRequestMaterials(requestId) }
+  };
+
+  for (const endpoint of targets) {
+    const id = await db.createWebhookDelivery({ webhookName: endpoint.name, url: endpoint.url, event, requestId, payload });
+    attemptDelivery(await db.getWebhookDelivery(id)).catch(err => {
+      log.error(`[WEBHOOK] Delivery ${id} errored:`, err);
+    });
+  }
+}
+
+/**
+ * Send every pending delivery that is due (retries, replays, and anything
+ * left over from before a restart).
+ */
+async function processDueDeliveries() {
+  const due = await db.getDueWebhookDeliveries(new Date().toISOString());
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+}
+
+/**
+ * Subscribe configured endpoints to request events and start the retry loop.
+ */
+function startWebhookDispatcher() {
+  for (const endpoint of config.webhooks?.endpoints || []) {
+    if (!endpoint.name || !endpoint.url) {
+      log.warn('[WEBHOOK] Skipping endpoint without name or url');
+    } else if (!endpoint.secret) {
+      log.warn(`[WEBHOOK] Skipping endpoint "${endpoint.name}": no signing secret configured`);
+    }
+  }
+
+  const endpoints = getEndpoints();
+  if (endpoints.length === 0) {
+    log.info('[WEBHOOK] No outgoing webhooks configured');
+    return;
+  }
+
+  for (const endpoint of endpoints) {
+    const unknown = (endpoint.events || []).filter(e => e !== '*' && !REQUEST_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      log.warn(`[WEBHOOK] Endpoint "${endpoint.name}" subscribes to unknown event(s): ${unknown.join(', ')}`);
+    }
+  }
+  log.info(`[WEBHOOK] Sending request events to ${endpoints.length} endpoint(s): ${endpoints.map(e => e.name).join(', ')}`);
+
+  onRequestEvent(event => {
+    queueEvent(event).catch(err => {
+      log.error(`[WEBHOOK] Failed to queue ${event.event} for request ${event.requestId}:`, err);
+    });
+  });
+
+  setInterval(() => {
+    processDueDeliveries().catch(err => {
+      log.error(`[WEBHOOK] Retry loop failed: ${err.message}`);
+    });
+  }, RETRY_POLL_MS);
+}
+
+module.exports = {
+  startWebhookDispatcher,
+  processDueDeliveries,
+  sign
+};